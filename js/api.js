@@ -2,22 +2,23 @@
  * API functions for fetching coffee location data from OpenStreetMap
  */
 
-import { CONFIG, filterState } from './config.js';
-import { getLocationType } from './utils.js';
+import { CONFIG } from './config.js';
+import { getTilesForBounds, getTileForCoordinates, getTileBounds } from './tiles.js';
+import { getCachedTile, setCachedTile } from './cache.js';
+import { showNotification, dismissNotification } from './notifications.js';
+
+// Notification id for loading status, so retries, errors and recovery replace each other
+const LOAD_NOTIFICATION_ID = 'locations-load';
 
 /**
- * Builds the Overpass API query for coffee locations
- * @param {L.LatLngBounds} bounds - The map bounds to query within
- * @returns {string} The Overpass QL query string
+ * Builds the Overpass union statement selecting all coffee locations in an area
+ * @param {Object} bounds - Area to query, with south, west, north and east properties
+ * @returns {string} The Overpass QL union statement
  */
-function buildOverpassQuery(bounds) {
-    const south = bounds.getSouth();
-    const west = bounds.getWest();
-    const north = bounds.getNorth();
-    const east = bounds.getEast();
+function buildLocationUnion(bounds) {
+    const { south, west, north, east } = bounds;
     
     return `
-        [out:json][timeout:25];
         (
           node["amenity"="cafe"](${south},${west},${north},${east});
           way["amenity"="cafe"](${south},${west},${north},${east});
@@ -27,11 +28,48 @@ function buildOverpassQuery(bounds) {
           way["craft"="roaster"](${south},${west},${north},${east});
           node["amenity"="fast_food"]["cuisine"="sandwich"](${south},${west},${north},${east});
           way["amenity"="fast_food"]["cuisine"="sandwich"](${south},${west},${north},${east});
-        );
+        );`;
+}
+
+/**
+ * Builds the Overpass API query for coffee locations
+ * @param {Object} bounds - Area to query, with south, west, north and east properties
+ * @returns {string} The Overpass QL query string
+ */
+function buildOverpassQuery(bounds) {
+    return `
+        [out:json][timeout:25];${buildLocationUnion(bounds)}
         out center;
     `;
 }
 
+/**
+ * Builds an Overpass query for the positions of coffee locations only, to count them per area
+ * One union for the whole area keeps the query as cheap as a location query; `skel` leaves out the tags.
+ * @param {Object} bounds - Area to query, with south, west, north and east properties
+ * @returns {string} The Overpass QL query string
+ */
+function buildDensityQuery(bounds) {
+    return `
+        [out:json][timeout:25];${buildLocationUnion(bounds)}
+        out skel center qt;
+    `;
+}
+
+/**
+ * Converts Leaflet bounds to a plain bounds object
+ * @param {L.LatLngBounds} bounds - The map bounds
+ * @returns {Object} Bounds with south, west, north and east properties
+ */
+function getPlainBounds(bounds) {
+    return {
+        south: bounds.getSouth(),
+        west: bounds.getWest(),
+        north: bounds.getNorth(),
+        east: bounds.getEast()
+    };
+}
+
 /**
  * Extracts coordinates from an OSM element
  * @param {Object} element - The OSM element
@@ -47,58 +85,447 @@ export function getElementCoordinates(element) {
 }
 
 /**
- * Fetches coffee locations from Overpass API
- * @param {L.LatLngBounds} bounds - The map bounds to query
- * @returns {Promise<Array>} Array of OSM elements
+ * Calculates the area covered by a set of tiles
+ * @param {Array<Object>} tiles - Tiles with x and y properties
+ * @param {number} zoom - Tile zoom level
+ * @returns {Object} Bounds with south, west, north and east properties
+ */
+function getCombinedTileBounds(tiles, zoom) {
+    const xs = tiles.map(tile => tile.x);
+    const ys = tiles.map(tile => tile.y);
+    const northWest = getTileBounds(zoom, Math.min(...xs), Math.min(...ys));
+    const southEast = getTileBounds(zoom, Math.max(...xs), Math.max(...ys));
+    
+    return {
+        south: southEast.south,
+        west: northWest.west,
+        north: northWest.north,
+        east: southEast.east
+    };
+}
+
+/**
+ * Waits for a number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal|null} signal - Signal that cancels the wait
+ * @returns {Promise<void>} Resolves after the delay, rejects with an AbortError when cancelled
+ */
+function sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timeoutId);
+            reject(signal.reason);
+        };
+        const timeoutId = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Parses the plain text response of an Overpass `/api/status` request
+ * @param {string} text - Status response body
+ * @returns {Object} Object with slotsAvailable (number) and nextSlotSeconds (number or null)
  */
-export async function fetchCoffeeLocations(bounds) {
-    const query = buildOverpassQuery(bounds);
+export function parseOverpassStatus(text) {
+    const status = text || '';
     
-    // Add timeout to fetch request
+    // A rate limit of 0 means the server does not limit this client
+    const rateLimit = /Rate limit: (\d+)/.exec(status);
+    if (rateLimit && Number(rateLimit[1]) === 0) {
+        return { slotsAvailable: Infinity, nextSlotSeconds: null };
+    }
+    
+    const available = /(\d+) slots? available now/.exec(status);
+    const waits = [...status.matchAll(/Slot available after: [^,]+, in (-?\d+) seconds?/g)]
+        .map(match => Math.max(0, Number(match[1])));
+    
+    return {
+        slotsAvailable: available ? Number(available[1]) : 0,
+        nextSlotSeconds: waits.length > 0 ? Math.min(...waits) : null
+    };
+}
+
+/**
+ * Sends a request to an Overpass endpoint, cancelled after CONFIG.OVERPASS_TIMEOUT
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options such as method and body
+ * @param {AbortSignal|null} signal - Signal that cancels the request
+ * @returns {Promise<Response>} The fetch response
+ */
+async function fetchOverpass(url, options = {}, signal = null) {
+    // Add timeout to fetch request, and forward cancellation by the caller
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), CONFIG.OVERPASS_TIMEOUT);
+    const abort = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', abort, { once: true });
     
     try {
-        const response = await fetch('https://overpass-api.de/api/interpreter', {
-            method: 'POST',
-            body: query,
-            signal: controller.signal
-        });
-        
+        return await fetch(url, { ...options, signal: controller.signal });
+    } finally {
         clearTimeout(timeoutId);
+        signal?.removeEventListener('abort', abort);
+    }
+}
+
+/**
+ * Asks an Overpass endpoint how long until a query slot is free
+ * @param {string} endpoint - Interpreter URL (ending in /interpreter)
+ * @param {AbortSignal|null} signal - Signal that cancels the request
+ * @returns {Promise<number|null>} Seconds until the next free slot (0 if one is free now), or null if unknown
+ * @throws {Error} If cancelled by the caller
+ */
+async function getSlotWaitSeconds(endpoint, signal = null) {
+    try {
+        const response = await fetchOverpass(endpoint.replace(/\/interpreter$/, '/status'), {}, signal);
+        if (!response.ok) return null;
+        
+        const { slotsAvailable, nextSlotSeconds } = parseOverpassStatus(await response.text());
+        return slotsAvailable > 0 ? 0 : nextSlotSeconds;
+    } catch (error) {
+        // Timeouts and network errors leave the wait unknown, so the default backoff applies
+        if (signal?.aborted) throw error;
+        return null;
+    }
+}
+
+/**
+ * Calculates how long to wait before retrying a busy endpoint
+ * Uses exponential backoff, extended to the next free slot reported by `/api/status` after a 429.
+ * @param {string} endpoint - Interpreter URL
+ * @param {number} status - HTTP status of the failed response (429 or 504)
+ * @param {number} attempt - Number of the failed attempt, starting at 0
+ * @param {AbortSignal|null} signal - Signal that cancels the status request
+ * @returns {Promise<number>} Delay in milliseconds
+ */
+async function getRetryDelay(endpoint, status, attempt, signal = null) {
+    const backoff = CONFIG.OVERPASS_BACKOFF_BASE * 2 ** attempt;
+    if (status !== 429) return backoff;
+    
+    const slotWait = await getSlotWaitSeconds(endpoint, signal);
+    return slotWait === null ? backoff : Math.max(backoff, slotWait * 1000);
+}
+
+/**
+ * Sends a query to one Overpass endpoint
+ * @param {string} endpoint - Interpreter URL
+ * @param {string} query - Overpass QL query
+ * @param {AbortSignal|null} signal - Signal that cancels the request
+ * @returns {Promise<Response>} The fetch response
+ */
+async function postQuery(endpoint, query, signal = null) {
+    return fetchOverpass(endpoint, { method: 'POST', body: query }, signal);
+}
+
+// Endpoint that last answered successfully, tried first on the next request
+let preferredEndpoint = null;
+
+/**
+ * Orders the configured endpoints, starting with the one that last answered
+ * @returns {Array<string>} Interpreter URLs in the order to try them
+ */
+function getEndpointOrder() {
+    const endpoints = CONFIG.OVERPASS_ENDPOINTS;
+    if (!endpoints.includes(preferredEndpoint)) return endpoints;
+    return [preferredEndpoint, ...endpoints.filter(endpoint => endpoint !== preferredEndpoint)];
+}
+
+/**
+ * Sends a query to the Overpass API
+ * Busy endpoints (429/504) are retried with exponential backoff; other errors, timeouts, responses
+ * that are not Overpass JSON and waits longer than CONFIG.OVERPASS_MAX_RETRY_DELAY fail over to
+ * the next configured endpoint.
+ * @param {string} query - Overpass QL query
+ * @param {AbortSignal|null} signal - Signal that cancels the request, including retries and failover
+ * @returns {Promise<Object>} The parsed JSON response
+ */
+async function requestOverpass(query, signal = null) {
+    let lastError = null;
+    let retryNoticeShown = false;
+    
+    try {
+        for (const endpoint of getEndpointOrder()) {
+            for (let attempt = 0; attempt <= CONFIG.OVERPASS_MAX_RETRIES; attempt++) {
+                signal?.throwIfAborted();
+                
+                let response;
+                let data;
+                try {
+                    response = await postQuery(endpoint, query, signal);
+                    
+                    // Mirrors may answer 200 with an HTML error page
+                    if (response.ok) {
+                        data = await response.json();
+                        if (!Array.isArray(data?.elements)) {
+                            throw new Error('Invalid Overpass response: no elements');
+                        }
+                    }
+                } catch (error) {
+                    // Cancelled by the caller - do not try other endpoints
+                    if (signal?.aborted) throw error;
+                    
+                    // Network error, timeout or unreadable response - try the next endpoint
+                    console.warn(`Overpass endpoint ${endpoint} failed:`, error);
+                    lastError = error;
+                    break;
+                }
+                
+                if (response.ok) {
+                    preferredEndpoint = endpoint;
+                    return data;
+                }
+                
+                lastError = new Error(`HTTP error! status: ${response.status}`);
+                lastError.status = response.status;
+                
+                const isBusy = response.status === 429 || response.status === 504;
+                if (!isBusy || attempt === CONFIG.OVERPASS_MAX_RETRIES) break;
+                
+                const delay = await getRetryDelay(endpoint, response.status, attempt, signal);
+                if (delay > CONFIG.OVERPASS_MAX_RETRY_DELAY) break;
+                
+                console.warn(`Overpass endpoint ${endpoint} busy (${response.status}), retrying in ${delay} ms`);
+                showNotification(`Overpass is busy, retrying in ${Math.ceil(delay / 1000)} s…`, {
+                    id: LOAD_NOTIFICATION_ID,
+                    level: 'warning'
+                });
+                retryNoticeShown = true;
+                await sleep(delay, signal);
+            }
+        }
         
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+        throw lastError;
+    } finally {
+        // The retry notice is over once the request succeeds or fails; callers report failures themselves
+        if (retryNoticeShown) {
+            dismissNotification(LOAD_NOTIFICATION_ID);
+        }
+    }
+}
+
+/**
+ * Requests coffee locations within an area from the Overpass API
+ * @param {Object} bounds - Area to query, with south, west, north and east properties
+ * @param {AbortSignal|null} signal - Signal that cancels the request
+ * @returns {Promise<Array>} Array of OSM elements with coordinates
+ */
+async function requestCoffeeLocations(bounds, signal = null) {
+    const data = await requestOverpass(buildOverpassQuery(bounds), signal);
+    
+    // Return only elements with valid coordinates; filtering happens client-side
+    return data.elements.filter(element => getElementCoordinates(element) !== null);
+}
+
+/**
+ * Reports a failed load to the user
+ * @param {Error} error - The error
+ */
+function reportLoadError(error) {
+    // Show user-friendly error message
+    let errorMessage = 'Could not load coffee locations. Please try again later.';
+    if (error.name === 'AbortError') {
+        errorMessage = 'Request timeout - the server took too long to respond. Please try again.';
+    } else if (error.status === 429 || error.status === 504) {
+        errorMessage = 'The Overpass servers are busy right now. Please try again in a minute.';
+    }
+    
+    // Show the error to the user; retrying reloads whatever view is current by then
+    showNotification(errorMessage, {
+        id: LOAD_NOTIFICATION_ID,
+        level: 'error',
+        action: {
+            label: 'Retry loading',
+            onClick: () => window.dispatchEvent(new CustomEvent('retryLoadingLocations'))
         }
+    });
+}
+
+/**
+ * Fetches coffee locations from Overpass API
+ * The map is split into fixed tiles at MIN_ZOOM_FOR_LOCATIONS. Tiles cached within
+ * CONFIG.TILE_CACHE_TTL are served from the cache; the area covering the missing
+ * tiles is fetched in one request and cached tile by tile.
+ * @param {L.LatLngBounds} bounds - The map bounds to query
+ * @param {AbortSignal|null} signal - Signal that cancels the request (e.g. when the map moves again)
+ * @returns {Promise<Array>} Array of OSM elements with coordinates, unfiltered
+ */
+export async function fetchCoffeeLocations(bounds, signal = null) {
+    const zoom = CONFIG.MIN_ZOOM_FOR_LOCATIONS;
+    const tiles = getTilesForBounds(getPlainBounds(bounds), zoom);
+    
+    try {
+        const cachedTiles = await Promise.all(tiles.map(tile => getCachedTile(tile.key)));
         
-        const data = await response.json();
+        const elementsByTile = new Map();
+        const missingTiles = tiles.filter((tile, index) => {
+            if (cachedTiles[index]) {
+                elementsByTile.set(tile.key, cachedTiles[index]);
+                return false;
+            }
+            return true;
+        });
         
-        // Filter elements based on filter state and return only those with valid coordinates
-        const filteredElements = data.elements.filter(element => {
-            const coords = getElementCoordinates(element);
-            if (!coords) return false;
+        if (missingTiles.length > 0) {
+            const fetchedElements = await requestCoffeeLocations(getCombinedTileBounds(missingTiles, zoom), signal);
             
-            const tags = element.tags || {};
-            const { type } = getLocationType(tags);
+            // Sort each element into the tile containing it; empty tiles are cached too
+            missingTiles.forEach(tile => elementsByTile.set(tile.key, []));
+            const missingKeys = new Set(missingTiles.map(tile => tile.key));
+            fetchedElements.forEach(element => {
+                const coords = getElementCoordinates(element);
+                const { key } = getTileForCoordinates(coords.lat, coords.lon, zoom);
+                if (missingKeys.has(key)) {
+                    elementsByTile.get(key).push(element);
+                }
+            });
             
-            return filterState[type];
-        });
+            // Persisting runs in the background, the in-memory copy is available immediately
+            missingTiles.forEach(tile => setCachedTile(tile.key, elementsByTile.get(tile.key)));
+        }
+        
+        const elements = tiles.flatMap(tile => elementsByTile.get(tile.key));
+        
+        console.log(`Loaded ${elements.length} coffee locations (${missingTiles.length} of ${tiles.length} tiles fetched)`);
         
-        console.log(`Loaded ${data.elements.length} coffee locations (${filteredElements.length} after filtering)`);
+        // Hide any earlier loading error or retry notice
+        dismissNotification(LOAD_NOTIFICATION_ID);
         
-        return filteredElements;
+        return elements;
     } catch (error) {
+        // Cancelled requests were superseded by a newer one, nothing to report
+        if (signal?.aborted) throw error;
+        
         console.error('Error fetching coffee locations:', error);
+        reportLoadError(error);
+        throw error;
+    }
+}
+
+/**
+ * Builds the cache key for the location count of a tile
+ * @param {string} tileKey - Tile key from getTileKey()
+ * @returns {string} Cache key, separate from the tile's location data
+ */
+function getCountKey(tileKey) {
+    return `count/${tileKey}`;
+}
+
+/**
+ * Fetches the number of coffee locations per area for a zoomed-out view
+ * The view is split into cells (tiles one zoom level deeper than the map, i.e. 128 pixels,
+ * at most MIN_ZOOM_FOR_LOCATIONS). Counts come from cached location tiles where available,
+ * then from cached counts; for the rest, the positions of the locations in the area covering
+ * them are fetched in one request and counted per cell. Counts include all location types,
+ * regardless of the active filters.
+ * @param {L.LatLngBounds} bounds - The map bounds to query
+ * @param {number} zoom - The current map zoom level
+ * @param {AbortSignal|null} signal - Signal that cancels the request
+ * @returns {Promise<Array<Object>>} Cells with key, bounds (south, west, north, east) and count
+ */
+export async function fetchLocationDensity(bounds, zoom, signal = null) {
+    const cellZoom = Math.min(zoom + 1, CONFIG.MIN_ZOOM_FOR_LOCATIONS);
+    const cells = getTilesForBounds(getPlainBounds(bounds), cellZoom);
+    
+    try {
+        const counts = new Map();
+        await Promise.all(cells.map(async cell => {
+            const locationTile = cellZoom === CONFIG.MIN_ZOOM_FOR_LOCATIONS ? await getCachedTile(cell.key) : null;
+            if (locationTile) {
+                counts.set(cell.key, locationTile.length);
+                return;
+            }
+            
+            const cachedCount = await getCachedTile(getCountKey(cell.key));
+            if (cachedCount) {
+                counts.set(cell.key, Number(cachedCount[0].tags.total));
+            }
+        }));
         
-        // Show user-friendly error message
-        let errorMessage = 'Could not load coffee locations. Please try again later.';
-        if (error.name === 'AbortError') {
-            errorMessage = 'Request timeout - the server took too long to respond. Please try again.';
+        const missingCells = cells.filter(cell => !counts.has(cell.key));
+        if (missingCells.length > 0) {
+            const data = await requestOverpass(buildDensityQuery(getCombinedTileBounds(missingCells, cellZoom)), signal);
+            
+            // Count each location in the cell containing it; cells already counted are skipped
+            missingCells.forEach(cell => counts.set(cell.key, 0));
+            const missingKeys = new Set(missingCells.map(cell => cell.key));
+            data.elements.forEach(element => {
+                const coords = getElementCoordinates(element);
+                if (!coords) return;
+                const { key } = getTileForCoordinates(coords.lat, coords.lon, cellZoom);
+                if (missingKeys.has(key)) {
+                    counts.set(key, counts.get(key) + 1);
+                }
+            });
+            
+            // Cached in the form of an Overpass count element
+            missingCells.forEach(cell => {
+                setCachedTile(getCountKey(cell.key), [{ type: 'count', tags: { total: String(counts.get(cell.key)) } }]);
+            });
         }
         
-        // Display error to user (simple alert for now, could be improved with a nicer UI notification)
-        console.error(errorMessage);
+        console.log(`Loaded location density for ${cells.length} areas (${missingCells.length} counted)`);
         
+        // Hide any earlier loading error or retry notice
+        dismissNotification(LOAD_NOTIFICATION_ID);
+        
+        return cells.map(cell => ({
+            key: cell.key,
+            bounds: getTileBounds(cellZoom, cell.x, cell.y),
+            count: counts.get(cell.key)
+        }));
+    } catch (error) {
+        // Cancelled requests were superseded by a newer one, nothing to report
+        if (signal?.aborted) throw error;
+        
+        console.error('Error fetching location density:', error);
+        reportLoadError(error);
         throw error;
     }
 }
+
+/**
+ * Fetches a single OSM element by type and id, wherever it is located
+ * Used to open shared links to places outside the loaded view.
+ * @param {string} type - Element type ('node', 'way' or 'relation')
+ * @param {number} id - Element id
+ * @param {AbortSignal|null} signal - Signal that cancels the request
+ * @returns {Promise<Object|null>} The element, or null if it does not exist or has no coordinates
+ */
+export async function fetchElement(type, id, signal = null) {
+    const query = `
+        [out:json][timeout:25];
+        ${type}(${Number(id)});
+        out center;
+    `;
+    const data = await requestOverpass(query, signal);
+    
+    return data.elements.find(element => getElementCoordinates(element) !== null) || null;
+}
+
+/**
+ * Fetches OSM elements by type and id in one request
+ * Used to refresh saved favorites; elements that no longer exist are simply missing from the result.
+ * @param {Array<Object>} refs - Element references with type ('node', 'way' or 'relation') and id
+ * @param {AbortSignal|null} signal - Signal that cancels the request
+ * @returns {Promise<Array<Object>>} The elements that exist and have coordinates
+ */
+export async function fetchElements(refs, signal = null) {
+    const idsByType = { node: [], way: [], relation: [] };
+    refs.forEach(ref => idsByType[ref.type]?.push(Number(ref.id)));
+    
+    const statements = Object.entries(idsByType)
+        .filter(([, ids]) => ids.length > 0)
+        .map(([type, ids]) => `${type}(id:${ids.join(',')});`);
+    if (statements.length === 0) return [];
+    
+    const query = `
+        [out:json][timeout:25];
+        (${statements.join('')});
+        out center;
+    `;
+    const data = await requestOverpass(query, signal);
+    
+    return data.elements.filter(element => getElementCoordinates(element) !== null);
+}
@@ -0,0 +1,157 @@
+/**
+ * Persistent cache of Overpass results per map tile
+ * Stored in IndexedDB, with an in-memory copy for the current session.
+ * Falls back to memory only when IndexedDB is unavailable (e.g. private browsing).
+ */
+
+import { CONFIG } from './config.js';
+
+const DB_NAME = 'osmCoffeeTiles';
+const DB_VERSION = 1;
+const STORE_NAME = 'tiles';
+
+// Tile entries read or written this session, keyed by tile key
+const memoryCache = new Map();
+
+let databasePromise = null;
+
+/**
+ * Checks whether a cache entry is still within the configured TTL
+ * @param {Object} entry - Cache entry with a fetchedAt timestamp
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True if the entry can be used
+ */
+function isFresh(entry, now) {
+    return Boolean(entry) && now - entry.fetchedAt < CONFIG.TILE_CACHE_TTL;
+}
+
+/**
+ * Wraps an IndexedDB request in a promise
+ * @param {IDBRequest} request - The request
+ * @returns {Promise<*>} Resolves with the request result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Deletes entries older than the TTL so unvisited areas do not pile up
+ * @param {IDBDatabase} database - The open database
+ * @param {number} now - Current time in milliseconds
+ */
+function pruneExpiredTiles(database, now) {
+    const store = database.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+    store.openCursor().onsuccess = event => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        if (!isFresh(cursor.value, now)) {
+            cursor.delete();
+        }
+        cursor.continue();
+    };
+}
+
+/**
+ * Opens the tile database once per session
+ * @returns {Promise<IDBDatabase|null>} The database, or null if IndexedDB is unavailable
+ */
+function openDatabase() {
+    if (databasePromise) return databasePromise;
+
+    databasePromise = new Promise(resolve => {
+        if (typeof indexedDB === 'undefined') {
+            resolve(null);
+            return;
+        }
+
+        try {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+            };
+            request.onsuccess = () => {
+                const database = request.result;
+                pruneExpiredTiles(database, Date.now());
+                resolve(database);
+            };
+            request.onerror = () => {
+                console.error('Error opening tile cache:', request.error);
+                resolve(null);
+            };
+        } catch (error) {
+            console.error('Error opening tile cache:', error);
+            resolve(null);
+        }
+    });
+
+    return databasePromise;
+}
+
+/**
+ * Gets the cached locations of a tile
+ * @param {string} key - Tile key from getTileKey()
+ * @param {number} now - Current time in milliseconds (defaults to now)
+ * @returns {Promise<Array|null>} OSM elements, or null if missing or expired
+ */
+export async function getCachedTile(key, now = Date.now()) {
+    const cached = memoryCache.get(key);
+    if (isFresh(cached, now)) {
+        return cached.elements;
+    }
+
+    const database = await openDatabase();
+    if (!database) return null;
+
+    try {
+        const store = database.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+        const entry = await promisifyRequest(store.get(key));
+        if (!isFresh(entry, now)) return null;
+
+        memoryCache.set(key, entry);
+        return entry.elements;
+    } catch (error) {
+        console.error('Error reading tile cache:', error);
+        return null;
+    }
+}
+
+/**
+ * Stores the locations of a tile
+ * @param {string} key - Tile key from getTileKey()
+ * @param {Array} elements - OSM elements located in the tile
+ * @param {number} now - Fetch time in milliseconds (defaults to now)
+ */
+export async function setCachedTile(key, elements, now = Date.now()) {
+    const entry = { key, elements, fetchedAt: now };
+    memoryCache.set(key, entry);
+
+    const database = await openDatabase();
+    if (!database) return;
+
+    try {
+        const store = database.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+        await promisifyRequest(store.put(entry));
+    } catch (error) {
+        console.error('Error writing tile cache:', error);
+    }
+}
+
+/**
+ * Removes all cached tiles
+ */
+export async function clearTileCache() {
+    memoryCache.clear();
+
+    const database = await openDatabase();
+    if (!database) return;
+
+    try {
+        const store = database.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+        await promisifyRequest(store.clear());
+    } catch (error) {
+        console.error('Error clearing tile cache:', error);
+    }
+}
@@ -0,0 +1,86 @@
+/**
+ * Distance-based marker clustering
+ * Works on projected pixel coordinates so clusters adapt to the zoom level.
+ */
+
+import { getLocationType } from './utils.js';
+
+/**
+ * Groups points that lie within a radius of a cluster's first point
+ * Points are assigned greedily in order; a spatial grid keeps lookups fast for many points.
+ * @param {Array<Object>} points - Points with x and y pixel coordinates (other properties are kept)
+ * @param {number} radius - Maximum distance in pixels from a cluster's first point
+ * @returns {Array<Object>} Clusters with x and y (of the first point) and points
+ */
+export function clusterPoints(points, radius) {
+    const clusters = [];
+    const grid = new Map();
+
+    points.forEach(point => {
+        const cellX = Math.floor(point.x / radius);
+        const cellY = Math.floor(point.y / radius);
+
+        // A cluster within the radius can only be in this or a neighbouring cell
+        let nearest = null;
+        let nearestDistance = radius;
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                (grid.get(`${cellX + dx}:${cellY + dy}`) || []).forEach(cluster => {
+                    const distance = Math.hypot(cluster.x - point.x, cluster.y - point.y);
+                    if (distance <= nearestDistance) {
+                        nearest = cluster;
+                        nearestDistance = distance;
+                    }
+                });
+            }
+        }
+
+        if (nearest) {
+            nearest.points.push(point);
+            return;
+        }
+
+        const cluster = { x: point.x, y: point.y, points: [point] };
+        clusters.push(cluster);
+
+        const cellKey = `${cellX}:${cellY}`;
+        if (!grid.has(cellKey)) {
+            grid.set(cellKey, []);
+        }
+        grid.get(cellKey).push(cluster);
+    });
+
+    return clusters;
+}
+
+/**
+ * Groups locations at exactly the same position, e.g. several places mapped in one building
+ * Zooming in never splits such a group up, so it needs a cluster at every zoom level.
+ * @param {Array<Object>} locations - Entries with coords (lat and lon); other properties are kept
+ * @returns {Array<Array<Object>>} Groups of locations, in order of their first location
+ */
+export function groupByPosition(locations) {
+    const groups = new Map();
+    locations.forEach(location => {
+        const key = `${location.coords.lat},${location.coords.lon}`;
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(location);
+    });
+    return [...groups.values()];
+}
+
+/**
+ * Counts locations per type
+ * @param {Array<Object>} elements - OSM elements
+ * @returns {Object} Counts keyed by type ('cafe', 'shop', 'roastery', 'sandwich'), only types present
+ */
+export function getTypeBreakdown(elements) {
+    const counts = {};
+    elements.forEach(element => {
+        const { type } = getLocationType(element.tags || {});
+        counts[type] = (counts[type] || 0) + 1;
+    });
+    return counts;
+}
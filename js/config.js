@@ -10,32 +10,150 @@ export const CONFIG = {
     // Minimum zoom level to load locations (prevents API overload)
     MIN_ZOOM_FOR_LOCATIONS: 13,
     
+    // Minimum zoom level for the location density view shown below MIN_ZOOM_FOR_LOCATIONS
+    MIN_ZOOM_FOR_DENSITY: 10,
+    
+    // Overpass API endpoints, tried in order when one is unavailable
+    OVERPASS_ENDPOINTS: [
+        'https://overpass-api.de/api/interpreter',
+        'https://overpass.kumi.systems/api/interpreter',
+        'https://overpass.private.coffee/api/interpreter'
+    ],
+    
+    // Retries per endpoint on 429 (rate limited) and 504 (overloaded) responses
+    OVERPASS_MAX_RETRIES: 2,
+    
+    // Initial retry delay (milliseconds), doubled on every retry
+    OVERPASS_BACKOFF_BASE: 1000,
+    
+    // Longest wait for a free Overpass slot before failing over (milliseconds)
+    OVERPASS_MAX_RETRY_DELAY: 15000,
+    
+    // Nominatim-compatible place search endpoint (e.g. a local Nominatim or mock server)
+    GEOCODING_ENDPOINT: 'https://nominatim.openstreetmap.org/search',
+    
+    // Maximum number of places (and loaded locations) listed per search
+    GEOCODING_RESULT_LIMIT: 5,
+    
+    // Routing API for directions: 'osrm' or 'graphhopper' request format
+    ROUTING_API: 'osrm',
+    
+    // Routing server base URL (e.g. a local OSRM or mock server); '{profile}' is replaced by the profile
+    ROUTING_ENDPOINT: 'https://routing.openstreetmap.de/routed-{profile}',
+    
+    // Routing profile per travel mode
+    ROUTING_PROFILES: {
+        walking: 'foot',
+        cycling: 'bike'
+    },
+    
+    // Where favorites are stored: 'local' (this browser's localStorage) or 'rest' (one JSON
+    // document at FAVORITES_STORAGE_URL, read with GET and replaced with PUT, with ETags)
+    FAVORITES_STORAGE: 'local',
+    
+    // URL of the favorites document for the 'rest' storage (e.g. on a self-hosted JSON server)
+    FAVORITES_STORAGE_URL: null,
+    
+    // Sync API for shared favorite lists: 'rest' (JSON documents with ETags)
+    FAVORITES_SYNC_API: 'rest',
+    
+    // Sync server base URL (e.g. a self-hosted JSON server or local mock); null disables shared lists
+    FAVORITES_SYNC_ENDPOINT: null,
+    
+    // How often shared lists are checked for changes by others (milliseconds)
+    FAVORITES_SYNC_INTERVAL: 60 * 1000,
+    
     // API timeouts (milliseconds)
     OVERPASS_TIMEOUT: 30000,
     GEOLOCATION_TIMEOUT: 10000,
+    GEOCODING_TIMEOUT: 10000,
+    ROUTING_TIMEOUT: 10000,
+    FAVORITES_SYNC_TIMEOUT: 10000,
+    
+    // How long fetched tiles stay cached (milliseconds); tiles are fixed at MIN_ZOOM_FOR_LOCATIONS
+    TILE_CACHE_TTL: 24 * 60 * 60 * 1000,
+    
+    // How often saved favorites are checked against OpenStreetMap (milliseconds)
+    FAVORITES_REFRESH_INTERVAL: 24 * 60 * 60 * 1000,
     
     // Debounce delay for map movements (milliseconds)
     MAP_MOVE_DEBOUNCE: 500,
     
+    // How long notifications stay visible per level (milliseconds, 0 = until dismissed)
+    NOTIFICATION_DURATIONS: {
+        info: 4000,
+        success: 4000,
+        warning: 6000,
+        error: 10000
+    },
+    
+    // Maximum number of notifications shown at once (oldest are dropped)
+    MAX_NOTIFICATIONS: 3,
+    
+    // Markers closer than this (pixels) are grouped into a cluster
+    CLUSTER_RADIUS: 60,
+    
+    // Above this zoom level every location gets its own marker
+    CLUSTER_MAX_ZOOM: 17,
+    
+    // Maximum number of rows in the location list (refine the search to see others)
+    LIST_MAX_ITEMS: 100,
+    
+    // Walking speed for estimated walking times (meters per second, about 5 km/h)
+    WALKING_SPEED: 1.4,
+    
     // Icon sizes
     MARKER_SIZE: 32,
     
-    // Marker colors
+    // Marker and route colors
     COLORS: {
         CAFE: '#8B4513',
         ROASTERY: '#D2691E',
         SHOP: '#228B22',
         SANDWICH: '#FF6B6B',
-        USER_LOCATION: '#4285F4'
+        USER_LOCATION: '#4285F4',
+        ROUTE: '#4285F4',
+        FAVORITE: '#F5B301'
     }
 };
 
 /**
- * Filter state - all types enabled by default
+ * Filter state - all types enabled by default, "open now" disabled
  */
 export const filterState = {
     cafe: true,
     shop: true,
     roastery: true,
-    sandwich: true
+    sandwich: true,
+    openNow: false
+};
+
+/**
+ * Attribute filter state - null means "any", otherwise the required value ('yes', 'no' or 'unknown')
+ */
+export const attributeFilterState = {
+    wifi: null,
+    power: null,
+    outdoor: null,
+    vegan: null,
+    vegetarian: null,
+    wheelchair: null,
+    takeaway: null,
+    cards: null,
+    cash: null
+};
+
+/**
+ * Planned time for opening hours evaluation - null means "now"
+ * Stored as a wall-clock time ('YYYY-MM-DDTHH:MM') in each location's own time zone
+ */
+export const planState = {
+    time: null
+};
+
+/**
+ * Favorites collection whose places alone are shown on the map - null shows all locations
+ */
+export const collectionFilterState = {
+    collection: null
 };
@@ -1,81 +1,779 @@
 /**
  * Favorites management - storing and retrieving favorite cafes
+ * Favorites are stored as compact, versioned snapshots (id, type, coordinates, key tags, savedAt)
+ * and checked against OpenStreetMap in the background to flag deleted or changed places.
+ * Each favorite belongs to one or more named collections (lists such as "Paris trip").
+ * They are kept through a storage adapter chosen with CONFIG.FAVORITES_STORAGE (localStorage or a
+ * REST server). Changes made in another tab are picked up through the adapter; a change that another
+ * tab overwrote is merged into its version, so neither is lost.
+ * Changes that cannot be saved (e.g. with browser storage full) throw, and favoritesChanged is not dispatched.
  */
 
+import { CONFIG } from './config.js';
+import { normalizeText } from './utils.js';
+import { getElementCoordinates, fetchElements } from './api.js';
+import { showNotification } from './notifications.js';
+
+// File export and import live in transfer.js; they are part of the favorites API as well
+export { FAVORITE_FORMATS, exportFavorites, detectFavoritesFormat, parseFavorites } from './transfer.js';
+
 const STORAGE_KEY = 'osmCoffeeFavorites';
 
+// Version of the stored format: 1 was a plain array of raw OSM elements, 2 had no collections
+const STORAGE_VERSION = 3;
+
+// First collection, holding the favorites saved before collections existed
+const DEFAULT_COLLECTION = { id: 'favorites', name: 'Favorites' };
+
+// Tags kept in a favorite's snapshot: enough to show, filter and list it
+export const FAVORITE_TAGS = [
+    'name',
+    'amenity',
+    'shop',
+    'craft',
+    'cuisine',
+    'opening_hours',
+    'timezone',
+    'addr:street',
+    'addr:housenumber',
+    'addr:postcode',
+    'addr:city',
+    'website',
+    'phone'
+];
+
+// Longest private note and custom tag kept (characters)
+const MAX_NOTE_LENGTH = 2000;
+const MAX_TAG_LENGTH = 40;
+
+// Longest collection name kept (characters)
+const MAX_COLLECTION_NAME_LENGTH = 60;
+
+// Revision ids of the latest saves kept in storage, to tell which saves another tab has seen
+const MAX_REVISIONS = 20;
+
+// localStorage key of a favorites document the REST storage could not send yet (e.g. offline)
+const PENDING_STORAGE_KEY = 'osmCoffeeFavoritesPending';
+
+/**
+ * Favorites storage in localStorage, the default storage adapter
+ * A storage adapter keeps the favorites document as a string: load() returns it (null if
+ * nothing is stored yet) and save(raw) replaces it. Synchronous adapters return directly and
+ * are read on every access; adapters with `async: true` return promises and are only read by
+ * loadFavoritesStorage() (see createRestStorageAdapter). Optionally, subscribe(listener) calls
+ * the listener when the document may have changed elsewhere.
+ */
+export const localStorageAdapter = {
+    load() {
+        return localStorage.getItem(STORAGE_KEY);
+    },
+    save(raw) {
+        localStorage.setItem(STORAGE_KEY, raw);
+    },
+    subscribe(listener) {
+        // Storage events only fire in the other tabs of the same origin; a null key means cleared
+        window.addEventListener('storage', event => {
+            if (event.storageArea === localStorage && (event.key === STORAGE_KEY || event.key === null)) {
+                listener();
+            }
+        });
+    }
+};
+
+/**
+ * Sends a request for the favorites document to the storage server
+ * @param {string} url - URL of the favorites document
+ * @param {Object} options - method, headers and body (the document string)
+ * @returns {Promise<Response>} The response, if successful or 304 Not Modified
+ * @throws {Error} With the HTTP status as status property; network errors and timeouts have none
+ */
+async function requestFavoritesDocument(url, { method = 'GET', headers = {}, body } = {}) {
+    // Add timeout to fetch request
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), CONFIG.FAVORITES_SYNC_TIMEOUT);
+
+    try {
+        const response = await fetch(url, {
+            method,
+            headers: {
+                Accept: 'application/json',
+                ...(body ? { 'Content-Type': 'application/json' } : {}),
+                ...headers
+            },
+            body,
+            signal: controller.signal
+        });
+        if (!response.ok && response.status !== 304) {
+            const error = new Error(`HTTP error! status: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return response;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Creates a storage adapter keeping the favorites document on a server
+ * The document is read with GET and replaced with PUT at the given URL. ETags detect changes
+ * made elsewhere (e.g. on another device): a save over them fails with status 412, and the
+ * favorites are loaded again with ours merged in. A document that could not be sent (e.g.
+ * offline) is kept in localStorage, also across reloads, and sent first with the next save or load.
+ * @param {string} url - URL of the favorites document, e.g. on a self-hosted JSON server
+ * @returns {Object} Asynchronous storage adapter (see localStorageAdapter)
+ * @throws {Error} Without a URL
+ */
+export function createRestStorageAdapter(url) {
+    if (!url) {
+        throw new Error('The REST favorites storage needs CONFIG.FAVORITES_STORAGE_URL');
+    }
+    
+    // Last document loaded or saved, its ETag, and the document waiting to be sent (null if none)
+    let document = null;
+    let etag = null;
+    let pending = null;
+    try {
+        const stored = JSON.parse(localStorage.getItem(PENDING_STORAGE_KEY));
+        if (stored?.url === url && typeof stored.raw === 'string') {
+            pending = stored.raw;
+            etag = stored.etag;
+        }
+    } catch (error) {
+        // Nothing usable waiting to be sent
+    }
+    
+    // Sends run one at a time, so each one carries the ETag of the one before
+    let sending = Promise.resolve();
+    
+    /**
+     * Keeps the document waiting to be sent in localStorage, or forgets it
+     * @param {Object|null} waiting - url, raw and etag of the document, or null once sent
+     */
+    function keepPending(waiting) {
+        try {
+            if (waiting) {
+                localStorage.setItem(PENDING_STORAGE_KEY, JSON.stringify(waiting));
+            } else {
+                localStorage.removeItem(PENDING_STORAGE_KEY);
+            }
+        } catch (error) {
+            console.error('Error keeping unsent favorites:', error);
+        }
+    }
+    
+    /**
+     * Sends the waiting document, if any
+     * @returns {Promise<void>} Resolves when sent or kept for later (offline)
+     * @throws {Error} With status 412 if the document changed on the server, or other HTTP errors
+     */
+    async function sendPending() {
+        const raw = pending;
+        if (raw === null) return;
+        
+        try {
+            // Without an ETag from the server, the last write wins
+            const headers = etag ? { 'If-Match': etag } : {};
+            const response = await requestFavoritesDocument(url, { method: 'PUT', headers, body: raw });
+            document = raw;
+            etag = response.headers.get('ETag');
+        } catch (error) {
+            if (error.status === undefined) {
+                keepPending({ url, raw, etag });
+                return;
+            }
+            if (pending === raw) pending = null;
+            keepPending(null);
+            throw error;
+        }
+        
+        if (pending === raw) pending = null;
+        keepPending(null);
+    }
+    
+    /**
+     * Queues sending the waiting document after the sends before it
+     * @returns {Promise<void>} Result of sendPending()
+     */
+    function queueSend() {
+        const sent = sending.then(sendPending);
+        sending = sent.catch(() => {});
+        return sent;
+    }
+    
+    return {
+        async: true,
+        save(raw) {
+            pending = raw;
+            return queueSend();
+        },
+        async load() {
+            // Changes not sent yet go first; if they conflict, the server's version is loaded to merge them
+            await queueSend().catch(error => {
+                if (error.status !== 412) throw error;
+            });
+            
+            try {
+                const headers = etag ? { 'If-None-Match': etag } : {};
+                const response = await requestFavoritesDocument(url, { headers });
+                if (response.status !== 304) {
+                    document = await response.text();
+                    etag = response.headers.get('ETag');
+                }
+            } catch (error) {
+                if (error.status !== 404) throw error;
+                // Nothing stored yet
+                document = null;
+                etag = null;
+            }
+            return document;
+        },
+        subscribe(listener) {
+            setInterval(listener, CONFIG.FAVORITES_SYNC_INTERVAL);
+            window.addEventListener('online', listener);
+        }
+    };
+}
+
+// Storage adapters that can be chosen with CONFIG.FAVORITES_STORAGE
+const STORAGE_ADAPTERS = {
+    local: () => localStorageAdapter,
+    rest: () => createRestStorageAdapter(CONFIG.FAVORITES_STORAGE_URL)
+};
+
+// Storage adapter in use
+let storage = localStorageAdapter;
+
+// Document last loaded from an asynchronous storage adapter, as { raw }; null with synchronous adapters
+let loaded = null;
+
+// Parsed favorites and collections and the stored string they were read from, so unchanged storage is not parsed again
+let cache = createEmptyCache();
+
+// Saves from this tab that no other tab has built on yet, to merge them again if another tab overwrites them:
+// base (the state they started from) and saves (revision, favorites and collections of each, oldest first)
+let localWrites = null;
+
+/**
+ * Builds the key identifying a favorite
+ * @param {Object} element - OSM element or favorite with type and id
+ * @returns {string} Key such as 'node/123'
+ */
+export function getFavoriteKey(element) {
+    return `${element.type}/${element.id}`;
+}
+
+/**
+ * Creates the stored snapshot of a favorite
+ * Coordinates keep the OSM element shape (lat/lon for nodes, center otherwise), so
+ * favorites can be used wherever elements are.
+ * @param {Object} element - The OSM element
+ * @param {string} savedAt - ISO timestamp of when it was saved (default now)
+ * @returns {Object} Favorite with type, id, coordinates, key tags and savedAt
+ */
+export function createFavoriteRecord(element, savedAt = new Date().toISOString()) {
+    const tags = {};
+    FAVORITE_TAGS.forEach(tag => {
+        if (element.tags?.[tag] !== undefined) {
+            tags[tag] = element.tags[tag];
+        }
+    });
+    
+    const record = { type: element.type, id: element.id };
+    const coords = getElementCoordinates(element);
+    if (coords && element.type === 'node') {
+        record.lat = coords.lat;
+        record.lon = coords.lon;
+    } else if (coords) {
+        record.center = coords;
+    }
+    record.tags = tags;
+    record.savedAt = savedAt;
+    return record;
+}
+
+/**
+ * Builds the cache of parsed favorites, with key sets for quick membership checks
+ * @param {string|null} raw - The stored string
+ * @param {Array<Object>} favorites - The favorites
+ * @param {Array<Object>} collections - The collections
+ * @param {Array<string>} revisions - Ids of the latest saves the stored string results from, oldest first
+ * @returns {Object} Cache with raw, revisions, favorites, collections, keys and collectionKeys (Map of id to key set)
+ */
+function createCache(raw, favorites, collections, revisions = []) {
+    return {
+        raw,
+        revisions,
+        favorites,
+        collections,
+        keys: new Set(favorites.map(getFavoriteKey)),
+        collectionKeys: new Map(collections.map(collection => [collection.id, new Set(collection.members)]))
+    };
+}
+
 /**
- * Loads favorites from localStorage
- * @returns {Array} Array of favorite cafe elements
+ * Builds the cache for storage that holds nothing yet: no favorites and one empty collection
+ * @returns {Object} The cache (see createCache)
+ */
+function createEmptyCache() {
+    return createCache(null, [], [{ ...DEFAULT_COLLECTION, members: [] }]);
+}
+
+/**
+ * Changes where favorites are stored
+ * Favorites from an asynchronous adapter show up once loadFavoritesStorage() has loaded them.
+ * @param {Object} adapter - Storage adapter with load() and save(raw), see localStorageAdapter
+ */
+export function setFavoritesStorage(adapter) {
+    storage = adapter;
+    cache = createEmptyCache();
+    localWrites = null;
+    loaded = adapter.async ? { raw: null } : null;
+}
+
+/**
+ * Converts stored favorites to the current format
+ * @param {Object|Array} data - Parsed stored value
+ * @returns {Object} favorites and collections in the current format
+ * @throws {Error} For unknown formats
+ */
+function migrateFavorites(data) {
+    // Version 1: raw OSM elements, saved at an unknown time
+    if (Array.isArray(data)) {
+        const savedAt = new Date().toISOString();
+        const favorites = data
+            .filter(element => element && element.type && element.id !== undefined)
+            .map(element => createFavoriteRecord(element, savedAt));
+        return migrateFavorites({ version: 2, favorites });
+    }
+    
+    // Version 2: a single list, which becomes the first collection
+    if (data?.version === 2 && Array.isArray(data.favorites)) {
+        const collections = [{ ...DEFAULT_COLLECTION, members: data.favorites.map(getFavoriteKey) }];
+        return { favorites: data.favorites, collections };
+    }
+    
+    if (data?.version === STORAGE_VERSION && Array.isArray(data.favorites) && Array.isArray(data.collections)) {
+        return { favorites: data.favorites, collections: data.collections };
+    }
+    
+    throw new Error(`Unsupported favorites format (version ${data?.version})`);
+}
+
+/**
+ * Reads favorites from storage, parsing only when the stored value changed
+ * Nothing is written: favorites in an older format are stored in the current one with the next save.
+ * @returns {Object} The cache (see createCache)
+ */
+function readFavorites() {
+    const stored = loaded ? loaded.raw : storage.load();
+    if (stored === cache.raw) {
+        return cache;
+    }
+    
+    const data = stored
+        ? JSON.parse(stored)
+        : { version: STORAGE_VERSION, favorites: [], collections: [{ ...DEFAULT_COLLECTION, members: [] }] };
+    const { favorites, collections } = migrateFavorites(data);
+    cache = createCache(stored, favorites, collections, Array.isArray(data.revisions) ? data.revisions : []);
+    
+    // Saved elsewhere (e.g. in another tab) without our latest saves: merge them in
+    if (localWrites) {
+        mergeLocalWrites();
+    }
+    return cache;
+}
+
+/**
+ * Loads favorites from storage
+ * @returns {Array} Array of favorites (see createFavoriteRecord), oldest first
  */
 export function loadFavorites() {
     try {
-        const stored = localStorage.getItem(STORAGE_KEY);
-        return stored ? JSON.parse(stored) : [];
+        return [...readFavorites().favorites];
     } catch (error) {
         console.error('Error loading favorites:', error);
+        showNotification('Your saved favorites could not be read.', { id: 'favorites-load', level: 'warning' });
         return [];
     }
 }
 
 /**
- * Saves favorites to localStorage
- * @param {Array} favorites - Array of favorite cafe elements
+ * Loads the collections of favorites
+ * @returns {Array<Object>} Collections with id, name and members (favorite keys such as 'node/123'), in creation order
  */
-function saveFavorites(favorites) {
+export function loadCollections() {
     try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(favorites));
+        return readFavorites().collections.map(collection => ({ ...collection, members: [...collection.members] }));
+    } catch (error) {
+        // Unreadable storage is reported by loadFavorites()
+        return [];
+    }
+}
+
+/**
+ * Keeps the collection members in line with the favorites
+ * Members that are no longer favorites are dropped; favorites in no collection join the first one.
+ * @param {Array<Object>} favorites - The favorites
+ * @param {Array<Object>} collections - The collections
+ * @returns {Array<Object>} The collections, at least one
+ */
+function syncCollections(favorites, collections) {
+    const keys = new Set(favorites.map(getFavoriteKey));
+    const synced = (collections.length > 0 ? collections : [{ ...DEFAULT_COLLECTION, members: [] }])
+        .map(collection => ({ ...collection, members: [...new Set(collection.members)].filter(key => keys.has(key)) }));
+    
+    const assigned = new Set(synced.flatMap(collection => collection.members));
+    const unassigned = [...keys].filter(key => !assigned.has(key));
+    if (unassigned.length > 0) {
+        synced[0].members.push(...unassigned);
+    }
+    return synced;
+}
+
+/**
+ * Saves favorites and collections to storage
+ * Every save adds a revision id, so another tab can tell whether it saw this save.
+ * @param {Array} favorites - Array of favorites
+ * @param {Array} collections - The collections (default the current ones)
+ * @throws {Error} If the storage cannot be written, e.g. when it is full or disabled; nothing changes then
+ */
+function saveFavorites(favorites, collections = cache.collections) {
+    const synced = syncCollections(favorites, collections);
+    const revision = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    const revisions = [...cache.revisions, revision].slice(-MAX_REVISIONS);
+    const raw = JSON.stringify({ version: STORAGE_VERSION, revisions, favorites, collections: synced });
+    let saved;
+    try {
+        saved = storage.save(raw);
     } catch (error) {
         console.error('Error saving favorites:', error);
+        throw new Error('Your favorites could not be saved. Browser storage may be full or disabled.');
     }
+    
+    // Asynchronous adapters: the change counts as saved, a failure is handled once the server answers
+    if (loaded) {
+        loaded = { raw };
+        saved.catch(handleFailedSave);
+    }
+    
+    localWrites = {
+        base: localWrites?.base || { favorites: cache.favorites, collections: cache.collections },
+        saves: [...(localWrites?.saves || []), { revision, favorites, collections: synced }].slice(-MAX_REVISIONS)
+    };
+    cache = createCache(raw, favorites, synced, revisions);
 }
 
 /**
- * Adds a cafe to favorites
- * @param {Object} element - The OSM element to add to favorites
+ * Compares two stored values
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if both serialize the same
  */
-export function addFavorite(element) {
-    const favorites = loadFavorites();
+function isSameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Merges the fields of an object changed on two sides
+ * Fields changed only here take our value; everything else keeps theirs.
+ * @param {Object} base - The object both sides started from
+ * @param {Object} ours - Our version
+ * @param {Object} theirs - Their version
+ * @returns {Object} The merged object
+ */
+function mergeFields(base, ours, theirs) {
+    const merged = { ...theirs };
+    new Set([...Object.keys(base), ...Object.keys(ours)]).forEach(field => {
+        if (!isSameValue(ours[field], base[field]) && isSameValue(theirs[field], base[field])) {
+            if (ours[field] === undefined) {
+                delete merged[field];
+            } else {
+                merged[field] = ours[field];
+            }
+        }
+    });
+    return merged;
+}
+
+/**
+ * Merges a list of items changed on two sides
+ * Items added on either side are kept and items removed on either side stay removed.
+ * @param {Array<Object>} base - The items both sides started from
+ * @param {Array<Object>} ours - Our items
+ * @param {Array<Object>} theirs - Their items
+ * @param {Function} getId - Gets the id of an item
+ * @param {Function} mergeItem - Merges an item present on both sides, given base (or null if added on both), ours and theirs
+ * @returns {Array<Object>} Merged items, in their order with ours added at the end
+ */
+function mergeItems(base, ours, theirs, getId, mergeItem) {
+    const baseById = new Map(base.map(item => [getId(item), item]));
+    const ourById = new Map(ours.map(item => [getId(item), item]));
+    const theirIds = new Set(theirs.map(getId));
     
-    // Check if already favorited
-    if (favorites.some(fav => fav.id === element.id && fav.type === element.type)) {
+    const merged = theirs
+        .filter(item => ourById.has(getId(item)) || !baseById.has(getId(item)))
+        .map(item => {
+            const ourItem = ourById.get(getId(item));
+            return ourItem ? mergeItem(baseById.get(getId(item)) || null, ourItem, item) : item;
+        });
+    const added = ours.filter(item => !baseById.has(getId(item)) && !theirIds.has(getId(item)));
+    return [...merged, ...added];
+}
+
+/**
+ * Merges two changes of the favorites made from the same state, e.g. in two tabs at once
+ * Places and lists added or removed on either side stay added or removed, list members are
+ * merged per place, and where both sides changed the same field (e.g. a note), theirs wins.
+ * @param {Object} base - favorites and collections both sides started from
+ * @param {Object} ours - favorites and collections with our change
+ * @param {Object} theirs - favorites and collections with their change
+ * @returns {Object} Merged favorites and collections
+ */
+function mergeFavoritesStates(base, ours, theirs) {
+    const favorites = mergeItems(base.favorites, ours.favorites, theirs.favorites, getFavoriteKey, (baseFav, ourFav, theirFav) => {
+        const merged = mergeFields(baseFav || {}, ourFav, theirFav);
+        const personal = mergeFields(baseFav?.personal || {}, ourFav.personal || {}, theirFav.personal || {});
+        delete merged.personal;
+        return isPersonalDataEmpty(getPersonalData({ personal })) ? merged : { ...merged, personal };
+    });
+    
+    const collections = mergeItems(base.collections, ours.collections, theirs.collections, collection => collection.id, (baseCollection, ourCollection, theirCollection) => {
+        const baseMembers = new Set(baseCollection?.members || []);
+        const ourMembers = new Set(ourCollection.members);
+        const members = [
+            ...theirCollection.members.filter(key => ourMembers.has(key) || !baseMembers.has(key)),
+            ...ourCollection.members.filter(key => !baseMembers.has(key) && !theirCollection.members.includes(key))
+        ];
+        const merged = mergeFields(baseCollection || {}, ourCollection, theirCollection);
+        return { ...merged, members };
+    });
+    
+    return { favorites, collections: syncCollections(favorites, collections) };
+}
+
+/**
+ * Merges saves from this tab that the stored favorites (just read into the cache) do not build on
+ * The merge starts from the latest of our saves the stored version contains; if that is the last
+ * one, nothing is merged. Otherwise the cache holds the merged version, without saving it: it is
+ * kept as a save without revision, stored with the next change or by applyExternalFavoritesChange().
+ */
+function mergeLocalWrites() {
+    const { base, saves } = localWrites;
+    const seen = saves.findLastIndex(save => cache.revisions.includes(save.revision));
+    localWrites = null;
+    
+    // Cleared or written by something else than a tab of this app: taken over as is
+    if (seen === saves.length - 1 || cache.revisions.length === 0) {
         return;
     }
     
-    favorites.push(element);
-    saveFavorites(favorites);
+    const theirs = { favorites: cache.favorites, collections: cache.collections };
+    const merged = mergeFavoritesStates(seen === -1 ? base : saves[seen], saves[saves.length - 1], theirs);
+    if (isSameValue(merged, theirs)) {
+        return;
+    }
+    
+    // Merged again, from their version, if storage changes before it is saved
+    localWrites = { base: theirs, saves: [{ revision: null, ...merged }] };
+    cache = createCache(cache.raw, merged.favorites, merged.collections, cache.revisions);
+}
+
+/**
+ * Takes over favorites changed elsewhere (e.g. in another tab) and notifies the UI
+ * Saves from this tab that the change overwrote are merged into it (see readFavorites) and
+ * the merged version is saved, so the other tab picks it up the same way.
+ */
+export function applyExternalFavoritesChange() {
+    try {
+        readFavorites();
+        const latest = localWrites?.saves[localWrites.saves.length - 1];
+        if (latest && latest.revision === null) {
+            saveFavorites(latest.favorites, latest.collections);
+        }
+    } catch (error) {
+        console.error('Error reading favorites changed in another tab:', error);
+    }
     
-    // Dispatch custom event to notify UI
     window.dispatchEvent(new CustomEvent('favoritesChanged'));
 }
 
 /**
- * Removes a cafe from favorites
- * @param {Object} element - The OSM element to remove from favorites
+ * Handles a save an asynchronous storage adapter could not complete
+ * @param {Error} error - The error, with status 412 if the favorites changed elsewhere meanwhile
  */
-export function removeFavorite(element) {
-    const favorites = loadFavorites();
-    const filtered = favorites.filter(fav => !(fav.id === element.id && fav.type === element.type));
-    saveFavorites(filtered);
+function handleFailedSave(error) {
+    if (error.status === 412) {
+        // Changed elsewhere: load that version, ours is merged into it and saved again
+        loadFavoritesStorage();
+        return;
+    }
+    console.error('Error saving favorites:', error);
+    showNotification('Your favorites could not be saved to the server.', { id: 'favorites-save', level: 'error' });
+}
+
+/**
+ * Loads the favorites from the storage adapter and takes over changes made elsewhere
+ * Asynchronous adapters are only read here; our saves the loaded version does not build on are
+ * merged into it, as with changes from other tabs (see applyExternalFavoritesChange).
+ * @returns {Promise<void>} Resolves when loaded; errors are reported, not thrown
+ */
+export async function loadFavoritesStorage() {
+    if (loaded) {
+        const adapter = storage;
+        let raw;
+        try {
+            raw = await adapter.load();
+        } catch (error) {
+            console.error('Error loading favorites:', error);
+            showNotification('Your favorites could not be loaded from the server.', { id: 'favorites-load', level: 'warning' });
+            return;
+        }
+        
+        // Unchanged, or another storage was chosen meanwhile
+        if (adapter !== storage || raw === loaded.raw) return;
+        loaded = { raw };
+    }
+    applyExternalFavoritesChange();
+}
+
+/**
+ * Follows changes of the stored favorites made elsewhere, e.g. in another tab or on another device
+ * Only storage adapters with subscribe() report them.
+ */
+export function watchFavoritesStorage() {
+    storage.subscribe?.(loadFavoritesStorage);
+}
+
+/**
+ * Sets up the storage chosen with CONFIG.FAVORITES_STORAGE, loads the favorites and follows changes made elsewhere
+ * @returns {Promise<void>} Resolves when the favorites are loaded
+ * @throws {Error} For an unknown storage
+ */
+export async function initFavoritesStorage() {
+    const createAdapter = STORAGE_ADAPTERS[CONFIG.FAVORITES_STORAGE];
+    if (!createAdapter) {
+        throw new Error(`Unknown favorites storage: ${CONFIG.FAVORITES_STORAGE}`);
+    }
+    setFavoritesStorage(createAdapter());
+    watchFavoritesStorage();
+    if (loaded) {
+        await loadFavoritesStorage();
+    }
+}
+
+/**
+ * Gets the collections a place belongs to
+ * @param {Object} element - The OSM element or favorite
+ * @returns {Array<string>} Collection ids, empty if the element is not a favorite
+ */
+export function getFavoriteCollections(element) {
+    const key = getFavoriteKey(element);
+    return loadCollections()
+        .filter(collection => collection.members.includes(key))
+        .map(collection => collection.id);
+}
+
+/**
+ * Sets the collections a place belongs to
+ * The place is saved as a favorite when it joins its first collection and removed, with its
+ * personal data, when it leaves the last one. Unknown collection ids are ignored.
+ * @param {Object} element - The OSM element or favorite
+ * @param {Array<string>} collectionIds - Ids of the collections to keep the place in
+ * @throws {Error} If the favorites cannot be saved
+ */
+export function setFavoriteCollections(element, collectionIds) {
+    const key = getFavoriteKey(element);
+    const wanted = new Set(collectionIds);
+    const collections = loadCollections();
+    let favorites = loadFavorites();
+    
+    collections.forEach(collection => {
+        const isMember = collection.members.includes(key);
+        if (wanted.has(collection.id) && !isMember) {
+            collection.members.push(key);
+        } else if (!wanted.has(collection.id) && isMember) {
+            collection.members = collection.members.filter(member => member !== key);
+        }
+    });
+    
+    const keep = collections.some(collection => wanted.has(collection.id));
+    const saved = favorites.some(fav => getFavoriteKey(fav) === key);
+    if (!keep) {
+        favorites = favorites.filter(fav => getFavoriteKey(fav) !== key);
+    } else if (!saved) {
+        favorites.push(createFavoriteRecord(element));
+    }
+    saveFavorites(favorites, collections);
     
     // Dispatch custom event to notify UI
     window.dispatchEvent(new CustomEvent('favoritesChanged'));
 }
 
+/**
+ * Adds a cafe to favorites
+ * Adding a favorite to another collection copies it there; the place keeps one snapshot and one set of personal data.
+ * @param {Object} element - The OSM element to add to favorites
+ * @param {string|null} collectionId - Collection to add it to (default the first one)
+ * @throws {Error} If the favorites cannot be saved
+ */
+export function addFavorite(element, collectionId = null) {
+    const targetId = collectionId ?? loadCollections()[0]?.id ?? DEFAULT_COLLECTION.id;
+    
+    // Check if already in the collection
+    if (isFavorite(element, targetId)) {
+        return;
+    }
+    
+    setFavoriteCollections(element, [...getFavoriteCollections(element), targetId]);
+}
+
+/**
+ * Removes a cafe from favorites
+ * @param {Object} element - The OSM element to remove from favorites
+ * @param {string|null} collectionId - Collection to remove it from, or null for all collections
+ * @throws {Error} If the favorites cannot be saved
+ */
+export function removeFavorite(element, collectionId = null) {
+    const collectionIds = collectionId === null
+        ? []
+        : getFavoriteCollections(element).filter(id => id !== collectionId);
+    setFavoriteCollections(element, collectionIds);
+}
+
+/**
+ * Moves a favorite from one collection to another
+ * @param {Object} element - The favorite or OSM element
+ * @param {string} fromId - Collection to remove it from
+ * @param {string} toId - Collection to add it to
+ * @throws {Error} If the favorites cannot be saved
+ */
+export function moveFavorite(element, fromId, toId) {
+    const collectionIds = getFavoriteCollections(element).filter(id => id !== fromId);
+    setFavoriteCollections(element, [...collectionIds, toId]);
+}
+
 /**
  * Checks if a cafe is in favorites
  * @param {Object} element - The OSM element to check
+ * @param {string|null} collectionId - Collection to check, or null for any collection
  * @returns {boolean} True if favorited, false otherwise
  */
-export function isFavorite(element) {
-    const favorites = loadFavorites();
-    return favorites.some(fav => fav.id === element.id && fav.type === element.type);
+export function isFavorite(element, collectionId = null) {
+    try {
+        const { keys, collectionKeys } = readFavorites();
+        const collectionSet = collectionId === null ? keys : collectionKeys.get(collectionId);
+        return Boolean(collectionSet?.has(getFavoriteKey(element)));
+    } catch (error) {
+        return false;
+    }
 }
 
 /**
  * Toggles favorite status for a cafe
  * @param {Object} element - The OSM element to toggle
  * @returns {boolean} True if now favorited, false if unfavorited
+ * @throws {Error} If the favorites cannot be saved
  */
 export function toggleFavorite(element) {
     if (isFavorite(element)) {
@@ -86,3 +784,499 @@ export function toggleFavorite(element) {
         return true;
     }
 }
+
+/**
+ * Checks a collection name and cleans up its whitespace
+ * @param {string} name - The name typed by the user
+ * @param {Array<Object>} collections - The existing collections
+ * @param {string|null} ignoreId - Collection being renamed, whose own name does not count as taken
+ * @returns {string} The cleaned-up name
+ * @throws {Error} If the name is empty or another collection has it (ignoring case and accents)
+ */
+function normalizeCollectionName(name, collections, ignoreId = null) {
+    const cleaned = String(name || '').trim().replace(/\s+/g, ' ').slice(0, MAX_COLLECTION_NAME_LENGTH);
+    if (!cleaned) {
+        throw new Error('A list needs a name.');
+    }
+    
+    const taken = collections.some(collection =>
+        collection.id !== ignoreId && normalizeText(collection.name) === normalizeText(cleaned));
+    if (taken) {
+        throw new Error(`There is already a list named "${cleaned}".`);
+    }
+    return cleaned;
+}
+
+/**
+ * Finds a collection name not used yet, numbering the given one if needed ("Favorites 2")
+ * @param {string} name - The name wanted
+ * @param {Array<Object>} collections - The collections (default the stored ones)
+ * @returns {string} The name, or the first free numbered one
+ */
+export function getFreeCollectionName(name, collections = loadCollections()) {
+    let free = name;
+    for (let number = 2; collections.some(collection => normalizeText(collection.name) === normalizeText(free)); number++) {
+        free = `${name} ${number}`;
+    }
+    return free;
+}
+
+/**
+ * Creates an id for a new collection
+ * @param {Array<Object>} collections - The existing collections
+ * @returns {string} An id none of them has
+ */
+function createCollectionId(collections) {
+    const ids = new Set(collections.map(collection => collection.id));
+    let id;
+    do {
+        id = `list-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    } while (ids.has(id));
+    return id;
+}
+
+/**
+ * Finds a collection to keep places in that are leaving another one
+ * @param {Array<Object>} collections - The collections; a new one is added if there is no other
+ * @param {string} leftId - Id of the collection the places leave
+ * @returns {Object} The first other collection, or a new "Favorites" list
+ */
+function getKeepingCollection(collections, leftId) {
+    const other = collections.find(collection => collection.id !== leftId);
+    if (other) {
+        return other;
+    }
+    
+    // Numbered if the list being left has the default name
+    const collection = { id: createCollectionId(collections), name: getFreeCollectionName(DEFAULT_COLLECTION.name, collections), members: [] };
+    collections.push(collection);
+    return collection;
+}
+
+/**
+ * Creates an empty collection
+ * @param {string} name - Name of the collection, e.g. "Weekend roasteries"
+ * @returns {Object} The new collection with id, name and members
+ * @throws {Error} If the name is empty or already used, or the favorites cannot be saved
+ */
+export function createCollection(name) {
+    const collections = loadCollections();
+    const collection = { id: createCollectionId(collections), name: normalizeCollectionName(name, collections), members: [] };
+    saveFavorites(loadFavorites(), [...collections, collection]);
+    
+    window.dispatchEvent(new CustomEvent('favoritesChanged'));
+    return { ...collection, members: [] };
+}
+
+/**
+ * Renames a collection
+ * @param {string} collectionId - Id of the collection
+ * @param {string} name - The new name
+ * @throws {Error} If the collection does not exist, the name is empty or already used, or the favorites cannot be saved
+ */
+export function renameCollection(collectionId, name) {
+    const collections = loadCollections();
+    const collection = collections.find(item => item.id === collectionId);
+    if (!collection) {
+        throw new Error('This list no longer exists.');
+    }
+    
+    collection.name = normalizeCollectionName(name, collections, collectionId);
+    saveFavorites(loadFavorites(), collections);
+    
+    window.dispatchEvent(new CustomEvent('favoritesChanged'));
+}
+
+/**
+ * Deletes a collection
+ * Places that are in no other collection are removed from favorites, with their personal data.
+ * @param {string} collectionId - Id of the collection
+ * @returns {number} Number of favorites removed with it
+ * @throws {Error} If the collection does not exist or is the only one, or the favorites cannot be saved
+ */
+export function deleteCollection(collectionId) {
+    const collections = loadCollections();
+    const collection = collections.find(item => item.id === collectionId);
+    if (!collection) {
+        throw new Error('This list no longer exists.');
+    }
+    if (collections.length === 1) {
+        throw new Error('The only list cannot be deleted.');
+    }
+    
+    const remaining = collections.filter(item => item !== collection);
+    const keptKeys = new Set(remaining.flatMap(item => item.members));
+    const favorites = loadFavorites();
+    const kept = favorites.filter(fav => keptKeys.has(getFavoriteKey(fav)));
+    saveFavorites(kept, remaining);
+    
+    window.dispatchEvent(new CustomEvent('favoritesChanged'));
+    return favorites.length - kept.length;
+}
+
+/**
+ * Gets the places of a collection as snapshots without personal data, e.g. to share the collection
+ * @param {string} collectionId - Id of the collection
+ * @returns {Array<Object>} Favorites (see createFavoriteRecord) in the order they were added to the collection
+ */
+export function getCollectionPlaces(collectionId) {
+    const collection = loadCollections().find(item => item.id === collectionId);
+    if (!collection) {
+        return [];
+    }
+    
+    const favorites = new Map(loadFavorites().map(fav => [getFavoriteKey(fav), fav]));
+    return collection.members
+        .filter(key => favorites.has(key))
+        .map(key => createFavoriteRecord(favorites.get(key), favorites.get(key).savedAt));
+}
+
+/**
+ * Replaces the name and places of a collection, e.g. with the version of a shared list on a server
+ * Places not saved yet are added from the given snapshots (invalid ones are skipped), and places
+ * already saved keep their data. Places leaving their last collection are removed, unless they
+ * have personal data: those move to another collection, so notes and ratings are not lost.
+ * @param {string} collectionId - Id of the collection
+ * @param {Object} content - name and places (snapshots as from getCollectionPlaces())
+ * @throws {Error} If the collection does not exist or the favorites cannot be saved
+ */
+export function setCollectionPlaces(collectionId, { name, places }) {
+    const favorites = loadFavorites();
+    const collections = loadCollections();
+    const collection = collections.find(item => item.id === collectionId);
+    if (!collection) {
+        throw new Error('This list no longer exists.');
+    }
+    const previousRaw = cache.raw;
+    
+    // Names from elsewhere are not checked for uniqueness, so every client shows the same name
+    const cleanedName = String(name || '').trim().slice(0, MAX_COLLECTION_NAME_LENGTH);
+    if (cleanedName) {
+        collection.name = cleanedName;
+    }
+    
+    const savedKeys = new Set(favorites.map(getFavoriteKey));
+    const received = (places || [])
+        .map(place => createImportedFavorite({ ...place, ...getElementCoordinates(place || {}), personal: {} }))
+        .filter(Boolean);
+    const added = new Map(received.filter(fav => !savedKeys.has(getFavoriteKey(fav))).map(fav => [getFavoriteKey(fav), fav]));
+    collection.members = [...new Set(received.map(getFavoriteKey))];
+    
+    let keptKeys = new Set(collections.flatMap(item => item.members));
+    const withPersonalData = favorites.filter(fav => !keptKeys.has(getFavoriteKey(fav)) && !isPersonalDataEmpty(getPersonalData(fav)));
+    const keeping = withPersonalData.length > 0 ? getKeepingCollection(collections, collectionId) : null;
+    if (keeping) {
+        keeping.members.push(...withPersonalData.map(getFavoriteKey));
+        keptKeys = new Set(collections.flatMap(item => item.members));
+    }
+    saveFavorites([...favorites.filter(fav => keptKeys.has(getFavoriteKey(fav))), ...added.values()], collections);
+    
+    if (keeping) {
+        const places = withPersonalData.length === 1 ? '1 place' : `${withPersonalData.length} places`;
+        showNotification(`${places} removed from "${collection.name}" kept in "${keeping.name}" with your notes.`, {
+            id: 'favorites-kept'
+        });
+    }
+    if (cache.raw !== previousRaw) {
+        window.dispatchEvent(new CustomEvent('favoritesChanged'));
+    }
+}
+
+/**
+ * Gets a copy of all favorites and collections, e.g. to undo a change
+ * @returns {Object} favorites and collections
+ */
+export function getFavoritesState() {
+    return { favorites: loadFavorites(), collections: loadCollections() };
+}
+
+/**
+ * Restores favorites and collections from getFavoritesState()
+ * @param {Object} state - favorites and collections
+ * @throws {Error} If the favorites cannot be saved
+ */
+export function restoreFavoritesState({ favorites, collections }) {
+    saveFavorites([...favorites], collections.map(collection => ({ ...collection, members: [...collection.members] })));
+    window.dispatchEvent(new CustomEvent('favoritesChanged'));
+}
+
+/**
+ * Compares a favorite with its current OSM element
+ * The snapshot is replaced by the current data; changes to key tags are flagged until acknowledged.
+ * @param {Object} favorite - The stored favorite
+ * @param {Object|undefined} element - The current OSM element, or undefined if it no longer exists
+ * @param {string} refreshedAt - ISO timestamp of the check
+ * @returns {Object} The updated favorite, with status 'deleted' or 'changed' (and changedTags) when flagged
+ */
+export function getRefreshedFavorite(favorite, element, refreshedAt) {
+    if (!element) {
+        return { ...favorite, status: 'deleted', refreshedAt };
+    }
+    
+    const record = createFavoriteRecord(element, favorite.savedAt);
+    if (favorite.personal) {
+        record.personal = favorite.personal;
+    }
+    const changedTags = new Set(favorite.status === 'changed' ? favorite.changedTags : []);
+    FAVORITE_TAGS.forEach(tag => {
+        if (favorite.tags[tag] !== record.tags[tag]) {
+            changedTags.add(tag);
+        }
+    });
+    
+    record.refreshedAt = refreshedAt;
+    if (changedTags.size > 0) {
+        record.status = 'changed';
+        record.changedTags = FAVORITE_TAGS.filter(tag => changedTags.has(tag));
+    }
+    return record;
+}
+
+/**
+ * Checks favorites not refreshed within CONFIG.FAVORITES_REFRESH_INTERVAL against OpenStreetMap
+ * Runs in the background when the app opens; favorites added or removed meanwhile are kept.
+ * @param {AbortSignal|null} signal - Signal that cancels the request
+ * @returns {Promise<number>} Number of favorites refreshed
+ * @throws {Error} If the refreshed favorites cannot be saved
+ */
+export async function refreshFavorites(signal = null) {
+    const now = Date.now();
+    const stale = loadFavorites().filter(fav =>
+        !(now - Date.parse(fav.refreshedAt || fav.savedAt) < CONFIG.FAVORITES_REFRESH_INTERVAL));
+    if (stale.length === 0) {
+        return 0;
+    }
+    
+    const elements = await fetchElements(stale, signal);
+    const current = new Map(elements.map(element => [getFavoriteKey(element), element]));
+    const staleKeys = new Set(stale.map(getFavoriteKey));
+    const refreshedAt = new Date(now).toISOString();
+    
+    const favorites = loadFavorites().map(fav => {
+        const key = getFavoriteKey(fav);
+        return staleKeys.has(key) ? getRefreshedFavorite(fav, current.get(key), refreshedAt) : fav;
+    });
+    saveFavorites(favorites);
+    
+    window.dispatchEvent(new CustomEvent('favoritesChanged'));
+    return stale.length;
+}
+
+/**
+ * Clears the "changed in OpenStreetMap" flag of a favorite once the user has seen it
+ * @param {Object} element - The favorite or OSM element
+ * @throws {Error} If the favorites cannot be saved
+ */
+export function acknowledgeFavoriteChanges(element) {
+    const key = getFavoriteKey(element);
+    const favorites = loadFavorites();
+    const index = favorites.findIndex(fav => getFavoriteKey(fav) === key && fav.status === 'changed');
+    if (index === -1) {
+        return;
+    }
+    
+    const { status, changedTags, ...favorite } = favorites[index];
+    favorites[index] = favorite;
+    saveFavorites(favorites);
+    
+    window.dispatchEvent(new CustomEvent('favoritesChanged'));
+}
+
+/**
+ * Gets the saved favorite for an element
+ * @param {Object} element - The OSM element or favorite
+ * @returns {Object|null} The favorite, or null if the element is not a favorite
+ */
+export function getFavorite(element) {
+    const key = getFavoriteKey(element);
+    return loadFavorites().find(fav => getFavoriteKey(fav) === key) || null;
+}
+
+/**
+ * Reads the personal data of a favorite, with defaults for missing fields
+ * @param {Object|null} favorite - The favorite
+ * @returns {Object} Private note, rating (1-5 or null), tried dates ('YYYY-MM-DD', newest first) and custom tags
+ */
+export function getPersonalData(favorite) {
+    const personal = favorite?.personal || {};
+    return {
+        note: personal.note || '',
+        rating: personal.rating ?? null,
+        tried: personal.tried || [],
+        tags: personal.tags || []
+    };
+}
+
+/**
+ * Normalizes a custom tag: trimmed, single spaces, lowercase
+ * @param {string} tag - Tag as typed
+ * @returns {string} Normalized tag, empty if nothing is left
+ */
+function normalizeCustomTag(tag) {
+    return String(tag).trim().replace(/\s+/g, ' ').toLowerCase().slice(0, MAX_TAG_LENGTH);
+}
+
+/**
+ * Splits comma-separated custom tags as typed by the user
+ * @param {string} text - E.g. "Quiet, good flat white"
+ * @returns {Array<string>} Normalized tags without duplicates, e.g. ['quiet', 'good flat white']
+ */
+export function parseCustomTags(text) {
+    return [...new Set(String(text).split(',').map(normalizeCustomTag).filter(Boolean))];
+}
+
+/**
+ * Validates personal data before it is stored
+ * @param {Object} personal - Note, rating, tried dates and tags
+ * @returns {Object} Valid personal data
+ */
+function normalizePersonalData({ note, rating, tried, tags }) {
+    const validDate = date => /^\d{4}-\d{2}-\d{2}$/.test(date) && !Number.isNaN(Date.parse(date));
+    return {
+        note: String(note || '').trim().slice(0, MAX_NOTE_LENGTH),
+        rating: Number.isInteger(rating) && rating >= 1 && rating <= 5 ? rating : null,
+        tried: [...new Set((tried || []).filter(validDate))].sort().reverse(),
+        tags: [...new Set((tags || []).map(normalizeCustomTag).filter(Boolean))]
+    };
+}
+
+/**
+ * Checks whether personal data has nothing worth storing
+ * @param {Object} personal - Normalized personal data
+ * @returns {boolean} True if there is no note, rating, tried date or tag
+ */
+function isPersonalDataEmpty(personal) {
+    return !personal.note && personal.rating === null && personal.tried.length === 0 && personal.tags.length === 0;
+}
+
+/**
+ * Updates the private note, rating, tried dates or custom tags of a favorite
+ * @param {Object} element - The favorite or OSM element
+ * @param {Object} changes - Fields to change: note, rating (1-5 or null), tried (dates) and/or tags
+ * @returns {Object|null} The stored personal data, or null if the element is not a favorite
+ * @throws {Error} If the favorites cannot be saved
+ */
+export function updatePersonalData(element, changes) {
+    const key = getFavoriteKey(element);
+    const favorites = loadFavorites();
+    const index = favorites.findIndex(fav => getFavoriteKey(fav) === key);
+    if (index === -1) {
+        return null;
+    }
+    
+    const personal = normalizePersonalData({ ...getPersonalData(favorites[index]), ...changes });
+    
+    // Empty personal data is not stored, to keep favorites compact
+    const { personal: previous, ...favorite } = favorites[index];
+    favorites[index] = isPersonalDataEmpty(personal) ? favorite : { ...favorite, personal };
+    saveFavorites(favorites);
+    
+    window.dispatchEvent(new CustomEvent('favoritesChanged'));
+    return personal;
+}
+
+/**
+ * Lists the custom tags used on favorites
+ * @param {Array<Object>} favorites - The favorites
+ * @returns {Array<string>} Tags in alphabetical order
+ */
+export function getCustomTags(favorites) {
+    const tags = new Set(favorites.flatMap(fav => getPersonalData(fav).tags));
+    return [...tags].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Filters favorites by their personal data
+ * @param {Array<Object>} favorites - The favorites
+ * @param {Object} filter - Filter options
+ * @param {string} filter.query - Words that must all appear in the name, note or custom tags
+ * @param {string} filter.tag - Custom tag that must be set ('' for any)
+ * @param {number} filter.minRating - Lowest rating shown (0 for any, including unrated)
+ * @param {string} filter.tried - 'any', 'yes' (tried at least once) or 'no'
+ * @returns {Array<Object>} Matching favorites, in their order
+ */
+export function filterFavorites(favorites, { query = '', tag = '', minRating = 0, tried = 'any' } = {}) {
+    const words = normalizeText(query).split(/\s+/).filter(Boolean);
+    
+    return favorites.filter(fav => {
+        const personal = getPersonalData(fav);
+        if (tag && !personal.tags.includes(tag)) return false;
+        if (minRating > 0 && !(personal.rating >= minRating)) return false;
+        if (tried === 'yes' && personal.tried.length === 0) return false;
+        if (tried === 'no' && personal.tried.length > 0) return false;
+        
+        const haystack = normalizeText([fav.tags?.name || '', personal.note, ...personal.tags].join(' '));
+        return words.every(word => haystack.includes(word));
+    });
+}
+
+/**
+ * Builds a favorite from imported data, validating it
+ * @param {Object} data - type, id, lat and lon (numbers), tags, savedAt and personal (note, rating, tried, tags)
+ * @returns {Object|null} The favorite, or null without a valid OSM type and id
+ */
+export function createImportedFavorite({ type, id, lat, lon, tags = {}, savedAt, personal = {} }) {
+    const osmId = Number(id);
+    if (!['node', 'way', 'relation'].includes(type) || !Number.isInteger(osmId) || osmId <= 0) {
+        return null;
+    }
+    
+    // Tag values from files may be numbers or null
+    const tagEntries = Object.entries(tags || {}).filter(([, value]) => value !== null && value !== undefined);
+    const element = { type, id: osmId, tags: Object.fromEntries(tagEntries.map(([key, value]) => [key, String(value)])) };
+    const hasCoords = Number.isFinite(lat) && Number.isFinite(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+    if (hasCoords && type === 'node') {
+        element.lat = lat;
+        element.lon = lon;
+    } else if (hasCoords) {
+        element.center = { lat, lon };
+    }
+    
+    const validSavedAt = savedAt && !Number.isNaN(Date.parse(savedAt)) ? new Date(savedAt).toISOString() : undefined;
+    const record = createFavoriteRecord(element, validSavedAt);
+    const normalized = normalizePersonalData(personal);
+    if (!isPersonalDataEmpty(normalized)) {
+        record.personal = normalized;
+    }
+    return record;
+}
+
+/**
+ * Adds imported favorites to the saved ones, or replaces them
+ * When merging, favorites already saved (same type and id) keep their saved data. Imported
+ * favorites join the given collection; replacing with a collection only replaces that collection.
+ * @param {Array<Object>} imported - Favorites from parseFavorites() in transfer.js
+ * @param {string} mode - 'merge' or 'replace'
+ * @param {string|null} collectionId - Collection to import into, or null for the first one (replacing all favorites)
+ * @returns {Object} added (new favorites) and duplicates (already saved, skipped when merging)
+ * @throws {Error} If the favorites cannot be saved
+ */
+export function importFavorites(imported, mode = 'merge', collectionId = null) {
+    const current = loadFavorites();
+    const currentKeys = new Set(current.map(getFavoriteKey));
+    const importedByKey = new Map(imported.map(fav => [getFavoriteKey(fav), fav]));
+    const duplicates = imported.filter(fav => currentKeys.has(getFavoriteKey(fav))).length;
+    const added = imported.filter(fav => !currentKeys.has(getFavoriteKey(fav)));
+    
+    const collections = loadCollections();
+    const target = collections.find(collection => collection.id === collectionId) || collections[0];
+    
+    if (mode === 'replace' && collectionId === null) {
+        target.members.push(...importedByKey.keys());
+        saveFavorites([...imported], collections);
+    } else if (mode === 'replace') {
+        // Places of the replaced collection stay favorites if they are in another collection
+        const elsewhere = new Set(collections.filter(collection => collection !== target).flatMap(collection => collection.members));
+        target.members = [...importedByKey.keys()];
+        const kept = current
+            .filter(fav => elsewhere.has(getFavoriteKey(fav)) || importedByKey.has(getFavoriteKey(fav)))
+            .map(fav => importedByKey.get(getFavoriteKey(fav)) || fav);
+        saveFavorites([...kept, ...added], collections);
+    } else {
+        target.members.push(...importedByKey.keys());
+        saveFavorites([...current, ...added], collections);
+    }
+    
+    window.dispatchEvent(new CustomEvent('favoritesChanged'));
+    return { added: added.length, duplicates };
+}
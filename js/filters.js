@@ -1,8 +1,112 @@
 /**
- * Filter functionality for toggling location types
+ * Filter functionality for toggling location types and attributes
  */
 
-import { filterState } from './config.js';
+import { filterState, attributeFilterState } from './config.js';
+import { getLocationType } from './utils.js';
+
+// Tag values that count as "yes" for simple yes/no tags
+const YES_VALUES = ['yes', 'only', 'designated', 'limited'];
+
+// Order in which attribute filters cycle when clicked (null = any)
+const ATTRIBUTE_FILTER_CYCLE = [null, 'yes', 'no', 'unknown'];
+
+const ATTRIBUTE_FILTER_LABELS = {
+    yes: 'Yes',
+    no: 'No',
+    unknown: 'Unknown'
+};
+
+// Filter combinations that can be applied with one click
+const FILTER_PRESETS = {
+    remoteWork: { attributes: { wifi: 'yes', power: 'yes' }, openNow: true }
+};
+
+/**
+ * Classifies a simple yes/no tag value
+ * @param {string|undefined} value - The tag value
+ * @returns {string} 'yes', 'no' or 'unknown'
+ */
+function classifyYesNo(value) {
+    if (!value) return 'unknown';
+    if (value === 'no') return 'no';
+    return YES_VALUES.includes(value) ? 'yes' : 'unknown';
+}
+
+/**
+ * Classifies a group of tags where any "yes" counts, e.g. several payment:* tags
+ * @param {Array<string|undefined>} values - The tag values
+ * @returns {string} 'yes', 'no' or 'unknown'
+ */
+function classifyAny(values) {
+    const classified = values.map(classifyYesNo);
+    if (classified.includes('yes')) return 'yes';
+    if (classified.includes('no')) return 'no';
+    return 'unknown';
+}
+
+// How each filterable attribute is read from OSM tags
+const ATTRIBUTE_CLASSIFIERS = {
+    wifi: tags => {
+        const value = tags.internet_access || tags.wifi;
+        if (!value) return 'unknown';
+        if (['yes', 'wlan', 'wifi', 'free', 'public', 'customers'].includes(value)) return 'yes';
+        if (['no', 'wired', 'terminal'].includes(value)) return 'no';
+        return 'unknown';
+    },
+    power: tags => {
+        const sockets = Object.keys(tags).filter(key => key.startsWith('socket:')).map(key => tags[key]);
+        if (sockets.some(value => value !== 'no')) return 'yes';
+        return classifyYesNo(tags.power_supply);
+    },
+    outdoor: tags => classifyYesNo(tags.outdoor_seating),
+    vegan: tags => classifyYesNo(tags['diet:vegan']),
+    vegetarian: tags => classifyYesNo(tags['diet:vegetarian']),
+    wheelchair: tags => classifyYesNo(tags.wheelchair),
+    takeaway: tags => classifyYesNo(tags.takeaway),
+    cards: tags => classifyAny([
+        tags['payment:cards'],
+        tags['payment:credit_cards'],
+        tags['payment:debit_cards'],
+        tags['payment:contactless']
+    ]),
+    cash: tags => classifyAny([tags['payment:cash'], tags['payment:coins']])
+};
+
+/**
+ * Reads a filterable attribute from OSM tags
+ * @param {Object} tags - OSM tags for the location
+ * @param {string} attribute - Attribute name (e.g. 'wifi', 'vegan', 'cards')
+ * @returns {string} 'yes', 'no' or 'unknown'
+ */
+export function getAttributeValue(tags, attribute) {
+    const classify = ATTRIBUTE_CLASSIFIERS[attribute];
+    return classify ? classify(tags || {}) : 'unknown';
+}
+
+/**
+ * Checks whether a location matches all active attribute filters (AND semantics)
+ * @param {Object} tags - OSM tags for the location
+ * @returns {boolean} True if the location passes every active attribute filter
+ */
+export function matchesAttributeFilters(tags) {
+    return Object.entries(attributeFilterState).every(([attribute, wanted]) =>
+        wanted === null || getAttributeValue(tags, attribute) === wanted);
+}
+
+/**
+ * Checks whether a location passes the type, attribute and "Open now" filters
+ * Locations with unknown opening hours are never hidden by the "Open now" filter.
+ * @param {Object} tags - OSM tags for the location
+ * @param {boolean|null} isOpen - Open status from opening hours evaluation
+ * @returns {boolean} True if the location should be shown
+ */
+export function matchesFilters(tags, isOpen) {
+    const { type } = getLocationType(tags);
+    if (!filterState[type]) return false;
+    if (filterState.openNow && isOpen === false) return false;
+    return matchesAttributeFilters(tags);
+}
 
 /**
  * Toggles the filter for a specific location type
@@ -26,6 +130,130 @@ export function toggleFilter(type, updateMarkersCallback) {
     updateMarkersCallback();
 }
 
+/**
+ * Toggles the "Open now" filter that hides closed locations
+ * @param {Function} updateMarkersCallback - Callback to refresh markers after filter change
+ */
+export function toggleOpenNowFilter(updateMarkersCallback) {
+    filterState.openNow = !filterState.openNow;
+    
+    // Update legend item visual state
+    syncFilterControls();
+    
+    // Refresh markers on map
+    updateMarkersCallback();
+}
+
+/**
+ * Updates the filter panel and legend items to match the filter state
+ */
+export function syncFilterControls() {
+    document.querySelectorAll('.legend-item[data-type]').forEach(item => {
+        const type = item.getAttribute('data-type');
+        if (filterState[type] === false) {
+            item.classList.add('disabled');
+        } else {
+            item.classList.remove('disabled');
+        }
+    });
+    
+    document.querySelectorAll('.attribute-filter').forEach(item => {
+        const value = attributeFilterState[item.getAttribute('data-attribute')] ?? null;
+        item.setAttribute('data-state', value || 'any');
+        
+        const stateLabel = item.querySelector('.attribute-filter-state');
+        if (stateLabel) {
+            stateLabel.textContent = value ? ATTRIBUTE_FILTER_LABELS[value] : 'Any';
+        }
+    });
+    
+    const openNowItem = document.querySelector('.legend-item[data-filter="openNow"]');
+    if (openNowItem) {
+        if (filterState.openNow) {
+            openNowItem.classList.add('active');
+        } else {
+            openNowItem.classList.remove('active');
+        }
+    }
+}
+
+/**
+ * Cycles an attribute filter through any → yes → no → unknown
+ * @param {string} attribute - Attribute name (e.g. 'wifi')
+ * @param {Function} updateMarkersCallback - Callback to refresh markers after filter change
+ */
+export function cycleAttributeFilter(attribute, updateMarkersCallback) {
+    if (!(attribute in attributeFilterState)) return;
+    
+    const index = ATTRIBUTE_FILTER_CYCLE.indexOf(attributeFilterState[attribute]);
+    attributeFilterState[attribute] = ATTRIBUTE_FILTER_CYCLE[(index + 1) % ATTRIBUTE_FILTER_CYCLE.length];
+    
+    syncFilterControls();
+    updateMarkersCallback();
+}
+
+/**
+ * Clears all attribute filters
+ * @param {Function} updateMarkersCallback - Callback to refresh markers after filter change
+ */
+export function clearAttributeFilters(updateMarkersCallback) {
+    Object.keys(attributeFilterState).forEach(attribute => {
+        attributeFilterState[attribute] = null;
+    });
+    
+    syncFilterControls();
+    updateMarkersCallback();
+}
+
+/**
+ * Applies a predefined filter combination, replacing the current attribute filters
+ * @param {string} presetName - Preset name (e.g. 'remoteWork')
+ * @param {Function} updateMarkersCallback - Callback to refresh markers after filter change
+ */
+export function applyFilterPreset(presetName, updateMarkersCallback) {
+    const preset = FILTER_PRESETS[presetName];
+    if (!preset) return;
+    
+    Object.keys(attributeFilterState).forEach(attribute => {
+        attributeFilterState[attribute] = preset.attributes[attribute] ?? null;
+    });
+    if (preset.openNow !== undefined) {
+        filterState.openNow = preset.openNow;
+    }
+    
+    syncFilterControls();
+    updateMarkersCallback();
+}
+
+/**
+ * Replaces the type, "Open now" and attribute filters, e.g. with the ones from a shared link
+ * Markers are only refreshed if a filter changed.
+ * @param {Object} filters - Filter values as in filterState; unknown keys are ignored
+ * @param {Object} attributes - Attribute filter values as in attributeFilterState; unknown keys and values are ignored
+ * @param {Function} updateMarkersCallback - Callback to refresh markers after filter change
+ */
+export function restoreFilters(filters, attributes, updateMarkersCallback) {
+    let changed = false;
+    Object.keys(filterState).forEach(key => {
+        if (typeof filters[key] === 'boolean' && filterState[key] !== filters[key]) {
+            filterState[key] = filters[key];
+            changed = true;
+        }
+    });
+    Object.keys(attributeFilterState).forEach(attribute => {
+        const wanted = attributes?.[attribute];
+        if ((wanted === null || ATTRIBUTE_FILTER_CYCLE.includes(wanted)) && attributeFilterState[attribute] !== wanted) {
+            attributeFilterState[attribute] = wanted;
+            changed = true;
+        }
+    });
+    
+    if (changed) {
+        syncFilterControls();
+        updateMarkersCallback();
+    }
+}
+
 /**
  * Initializes filter event listeners
  * @param {Function} updateMarkersCallback - Callback to refresh markers after filter change
@@ -36,7 +264,28 @@ export function initFilters(updateMarkersCallback) {
             const type = item.getAttribute('data-type');
             if (type) {
                 toggleFilter(type, updateMarkersCallback);
+            } else if (item.getAttribute('data-filter') === 'openNow') {
+                toggleOpenNowFilter(updateMarkersCallback);
             }
         });
     });
+    
+    document.querySelectorAll('.attribute-filter').forEach(item => {
+        item.addEventListener('click', () => {
+            cycleAttributeFilter(item.getAttribute('data-attribute'), updateMarkersCallback);
+        });
+    });
+    
+    document.querySelectorAll('.filter-preset').forEach(button => {
+        button.addEventListener('click', () => {
+            applyFilterPreset(button.getAttribute('data-preset'), updateMarkersCallback);
+        });
+    });
+    
+    const clearButton = document.getElementById('filterClear');
+    if (clearButton) {
+        clearButton.addEventListener('click', () => clearAttributeFilters(updateMarkersCallback));
+    }
+    
+    syncFilterControls();
 }
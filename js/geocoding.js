@@ -0,0 +1,226 @@
+/**
+ * Place and address search (geocoding)
+ * Queries a Nominatim-compatible endpoint (CONFIG.GEOCODING_ENDPOINT) and also matches
+ * the names of the loaded locations. Searches run on submit only, as Nominatim's usage
+ * policy does not allow search-as-you-type.
+ */
+
+import { CONFIG } from './config.js';
+import { sanitizeText, getLocationType } from './utils.js';
+import { getLocations } from './store.js';
+import { matchesSearch, TYPE_EMOJIS } from './list.js';
+import { showNotification } from './notifications.js';
+
+const SEARCH_NOTIFICATION_ID = 'place-search';
+
+// Zoom range used for search results, from countries to single addresses
+const MIN_RESULT_ZOOM = 4;
+const MAX_RESULT_ZOOM = 18;
+
+// Controller of the search in progress, aborted by a newer search
+let activeSearch = null;
+
+/**
+ * Builds the geocoding request URL for a search text
+ * @param {string} query - Place or address to search
+ * @returns {string} URL of the Nominatim-compatible search endpoint
+ */
+export function buildGeocodingUrl(query) {
+    const url = new URL(CONFIG.GEOCODING_ENDPOINT);
+    url.searchParams.set('q', query);
+    url.searchParams.set('format', 'jsonv2');
+    url.searchParams.set('limit', String(CONFIG.GEOCODING_RESULT_LIMIT));
+    return url.toString();
+}
+
+/**
+ * Converts a Nominatim response to places
+ * Results without valid coordinates are dropped.
+ * @param {Array<Object>} results - Parsed Nominatim JSON (jsonv2 format)
+ * @returns {Array<Object>} Places with name, description, lat, lon and bounds (south, west, north, east, or null)
+ */
+export function parseGeocodingResults(results) {
+    if (!Array.isArray(results)) return [];
+
+    return results
+        .map(result => {
+            const lat = parseFloat(result.lat);
+            const lon = parseFloat(result.lon);
+            const [south, north, west, east] = (result.boundingbox || []).map(parseFloat);
+            const hasBounds = [south, north, west, east].every(Number.isFinite);
+
+            return {
+                name: result.name || String(result.display_name || '').split(',')[0],
+                description: result.display_name || '',
+                lat,
+                lon,
+                bounds: hasBounds ? { south, west, north, east } : null
+            };
+        })
+        .filter(place => Number.isFinite(place.lat) && Number.isFinite(place.lon));
+}
+
+/**
+ * Chooses a zoom level that shows a place as a whole
+ * @param {Object} place - Place from parseGeocodingResults()
+ * @returns {number} Zoom level, the closest for places without bounds
+ */
+export function getPlaceZoom(place) {
+    if (!place.bounds) return MAX_RESULT_ZOOM;
+
+    const { south, west, north, east } = place.bounds;
+    const span = Math.max(north - south, east - west);
+    if (span <= 0) return MAX_RESULT_ZOOM;
+
+    // A tile at zoom z spans 360 / 2^z degrees; fit the place into about 2 tiles
+    const zoom = Math.round(Math.log2(720 / span));
+    return Math.max(MIN_RESULT_ZOOM, Math.min(MAX_RESULT_ZOOM, zoom));
+}
+
+/**
+ * Searches places and addresses
+ * @param {string} query - Place or address to search
+ * @param {AbortSignal|null} signal - Signal that cancels the request
+ * @returns {Promise<Array<Object>>} Places from parseGeocodingResults()
+ */
+export async function searchPlaces(query, signal = null) {
+    // Add timeout to fetch request, and forward cancellation by the caller
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), CONFIG.GEOCODING_TIMEOUT);
+    const abort = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', abort, { once: true });
+
+    try {
+        const response = await fetch(buildGeocodingUrl(query), {
+            headers: { Accept: 'application/json' },
+            signal: controller.signal
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return parseGeocodingResults(await response.json());
+    } finally {
+        clearTimeout(timeoutId);
+        signal?.removeEventListener('abort', abort);
+    }
+}
+
+/**
+ * Finds loaded locations whose name matches a search text
+ * @param {Array<Object>} elements - Loaded OSM elements
+ * @param {string} query - Search text
+ * @returns {Array<Object>} Matching elements with a name, at most CONFIG.GEOCODING_RESULT_LIMIT
+ */
+export function findLoadedLocations(elements, query) {
+    if (!query.trim()) return [];
+
+    return elements
+        .filter(element => element.tags?.name && matchesSearch({ name: element.tags.name }, query))
+        .slice(0, CONFIG.GEOCODING_RESULT_LIMIT);
+}
+
+/**
+ * Shows the search results below the search box
+ * @param {HTMLElement} resultsDiv - Results container
+ * @param {Array<Object>} locations - Matching loaded OSM elements
+ * @param {Array<Object>} places - Places from the geocoder
+ * @param {Object} callbacks - onSelectPlace(place) and onSelectLocation(element)
+ * @param {boolean} searching - Whether the geocoder has yet to answer
+ */
+function renderSearchResults(resultsDiv, locations, places, { onSelectPlace, onSelectLocation }, searching = false) {
+    if (locations.length === 0 && places.length === 0) {
+        const message = searching ? 'Searching…' : 'No places found.';
+        resultsDiv.innerHTML = `<p class="place-search-empty">${message}</p>`;
+        resultsDiv.classList.add('active');
+        return;
+    }
+
+    let html = '';
+    locations.forEach((element, index) => {
+        const { type } = getLocationType(element.tags);
+        html += `<button type="button" class="place-search-result" data-location="${index}">`;
+        html += `<span class="place-search-name">${TYPE_EMOJIS[type]} ${sanitizeText(element.tags.name)}</span>`;
+        html += '<span class="place-search-description">On the map</span>';
+        html += '</button>';
+    });
+    places.forEach((place, index) => {
+        html += `<button type="button" class="place-search-result" data-place="${index}">`;
+        html += `<span class="place-search-name">📍 ${sanitizeText(place.name)}</span>`;
+        html += `<span class="place-search-description">${sanitizeText(place.description)}</span>`;
+        html += '</button>';
+    });
+
+    resultsDiv.innerHTML = html;
+    resultsDiv.classList.add('active');
+
+    resultsDiv.querySelectorAll('.place-search-result').forEach(button => {
+        button.addEventListener('click', () => {
+            resultsDiv.classList.remove('active');
+            if (button.hasAttribute('data-location')) {
+                onSelectLocation(locations[parseInt(button.getAttribute('data-location'), 10)]);
+            } else {
+                onSelectPlace(places[parseInt(button.getAttribute('data-place'), 10)]);
+            }
+        });
+    });
+}
+
+/**
+ * Initializes the place search box
+ * @param {Function} onSelectPlace - Called with a place from the geocoder when its result is clicked
+ * @param {Function} onSelectLocation - Called with a loaded OSM element when its result is clicked
+ */
+export function initPlaceSearch(onSelectPlace, onSelectLocation) {
+    const form = document.getElementById('place-search');
+    const input = document.getElementById('place-search-input');
+    const resultsDiv = document.getElementById('place-search-results');
+    if (!form || !input || !resultsDiv) return;
+
+    const callbacks = { onSelectPlace, onSelectLocation };
+
+    form.addEventListener('submit', async event => {
+        event.preventDefault();
+        const query = input.value.trim();
+        if (!query) return;
+
+        // Loaded locations are shown right away, places once the geocoder answers
+        const locations = findLoadedLocations(getLocations(), query);
+        renderSearchResults(resultsDiv, locations, [], callbacks, true);
+
+        activeSearch?.abort();
+        const controller = new AbortController();
+        activeSearch = controller;
+        form.classList.add('searching');
+
+        try {
+            const places = await searchPlaces(query, controller.signal);
+            if (activeSearch !== controller) return;
+            renderSearchResults(resultsDiv, locations, places, callbacks);
+        } catch (error) {
+            if (activeSearch !== controller) return;
+            console.error('Error searching places:', error);
+            resultsDiv.classList.toggle('active', locations.length > 0);
+            showNotification('Could not search for places. Please try again later.', {
+                id: SEARCH_NOTIFICATION_ID,
+                level: 'error'
+            });
+        } finally {
+            if (activeSearch === controller) {
+                activeSearch = null;
+                form.classList.remove('searching');
+            }
+        }
+    });
+
+    // Hide the results when the search is cleared or Escape is pressed
+    input.addEventListener('input', () => {
+        if (!input.value.trim()) {
+            resultsDiv.classList.remove('active');
+        }
+    });
+    input.addEventListener('keydown', event => {
+        if (event.key === 'Escape') {
+            resultsDiv.classList.remove('active');
+        }
+    });
+}
@@ -3,24 +3,101 @@
  */
 
 import { CONFIG } from './config.js';
+import { showNotification } from './notifications.js';
 
 let userLocationMarker = null;
 let mapInstance = null;
 
+// Last known position of the user, with lat and lon
+let userPosition = null;
+
+// Location button appearance per tracking mode; the title describes what a click does
+const LOCATION_BUTTON = {
+    off: { icon: '📍', title: 'Show my location' },
+    locate: { icon: '📍', title: 'Follow my location' },
+    follow: { icon: '🧭', title: 'Stop tracking my location' }
+};
+
+// Tracking mode: 'off', 'locate' (marker follows the user, map moves freely) or 'follow' (map stays centered)
+let locationMode = 'off';
+let watchId = null;
+let accuracyCircle = null;
+
+// Whether the current tracking session has received a position yet
+let hasFix = false;
+
+/**
+ * Works out the tracking mode after an event
+ * - 'click' on the location button cycles off → locate → follow → off
+ * - 'drag' of the map stops following, but keeps tracking
+ * - 'error' of the position watch stops tracking before the first position, or when permission is
+ *   denied; after a position was found, temporary errors keep tracking
+ * @param {string} mode - Current mode: 'off', 'locate' or 'follow'
+ * @param {string} event - 'click', 'drag' or 'error'
+ * @param {Object} details - For errors: hasFix (a position was found) and permissionDenied
+ * @returns {string} The new mode
+ */
+export function getNextLocationMode(mode, event, { hasFix = false, permissionDenied = false } = {}) {
+    if (event === 'click') {
+        return { off: 'locate', locate: 'follow', follow: 'off' }[mode];
+    }
+    if (event === 'drag') {
+        return mode === 'follow' ? 'locate' : mode;
+    }
+    if (event === 'error' && mode !== 'off') {
+        return !hasFix || permissionDenied ? 'off' : mode;
+    }
+    return mode;
+}
+
+/**
+ * Gets the last known position of the user
+ * @returns {Object|null} Position with lat and lon, or null if not located yet
+ */
+export function getUserPosition() {
+    return userPosition;
+}
+
+/**
+ * Stores the user's position and notifies listeners (e.g. the list sorted by distance)
+ * @param {number} latitude - User's latitude
+ * @param {number} longitude - User's longitude
+ */
+function setUserPosition(latitude, longitude) {
+    userPosition = { lat: latitude, lon: longitude };
+    window.dispatchEvent(new CustomEvent('userPositionChanged', { detail: userPosition }));
+}
+
 /**
  * Initializes the geolocation module with the map instance
  * @param {L.Map} map - The Leaflet map instance
  * @param {L.DivIcon} userIcon - The icon to use for user location marker
+ * @param {boolean} centerOnUser - Whether to center the map on the user's location (false when opening a shared link)
  */
-export function initGeolocation(map, userIcon) {
+export function initGeolocation(map, userIcon, centerOnUser = true) {
     mapInstance = map;
     
+    // Dragging the map while following lets it move freely again
+    mapInstance.on('dragstart', () => {
+        const mode = getNextLocationMode(locationMode, 'drag');
+        if (mode !== locationMode) {
+            locationMode = mode;
+            updateLocationButton();
+        }
+    });
+    
     // Try to get user's location on page load with same options as location button
+    // (with a shared view it is still used for distances, just not centered on)
     if (navigator.geolocation) {
         navigator.geolocation.getCurrentPosition(
             position => {
+                // Tracking started meanwhile and already has a newer position
+                if (hasFix) return;
                 const { latitude, longitude } = position.coords;
-                mapInstance.setView([latitude, longitude], CONFIG.DEFAULT_ZOOM);
+                setUserPosition(latitude, longitude);
+                if (centerOnUser) {
+                    mapInstance.setView([latitude, longitude], CONFIG.DEFAULT_ZOOM);
+                }
             },
             error => {
                 console.log('Geolocation not available, using default location');
@@ -35,27 +112,69 @@ export function initGeolocation(map, userIcon) {
 }
 
 /**
- * Creates and displays a marker for the user's location
+ * Gets the current tracking mode
+ * @returns {string} 'off', 'locate' or 'follow'
+ */
+export function getLocationMode() {
+    return locationMode;
+}
+
+/**
+ * Updates the location button to match the tracking mode
+ */
+function updateLocationButton() {
+    const locationBtn = document.getElementById('locationBtn');
+    if (!locationBtn) return;
+    
+    const waiting = locationMode !== 'off' && !hasFix;
+    locationBtn.textContent = waiting ? '⏳' : LOCATION_BUTTON[locationMode].icon;
+    locationBtn.title = LOCATION_BUTTON[locationMode].title;
+    locationBtn.setAttribute('data-mode', locationMode);
+    locationBtn.setAttribute('aria-pressed', String(locationMode !== 'off'));
+}
+
+/**
+ * Moves the user location marker and accuracy circle, creating them on the first position
  * @param {number} latitude - User's latitude
  * @param {number} longitude - User's longitude
  * @param {number} accuracy - Location accuracy in meters
  * @param {L.DivIcon} userIcon - The icon to use for the marker
  */
 function showUserLocationMarker(latitude, longitude, accuracy, userIcon) {
-    // Remove existing user location marker if any
+    const latLng = [latitude, longitude];
+    const accuracyText = accuracy ? `<br>Accuracy: ${Math.round(accuracy)} meters` : '';
+    const popupContent = `<strong>Your Location</strong>${accuracyText}`;
+    
     if (userLocationMarker) {
-        mapInstance.removeLayer(userLocationMarker);
+        userLocationMarker.setLatLng(latLng).setPopupContent(popupContent);
+        accuracyCircle.setLatLng(latLng).setRadius(accuracy || 0);
+        return;
     }
     
-    // Add marker at user's location
-    const accuracyText = accuracy ? `<br>Accuracy: ${Math.round(accuracy)} meters` : '';
-    userLocationMarker = L.marker([latitude, longitude], { icon: userIcon })
-        .addTo(mapInstance)
-        .bindPopup(`<strong>Your Location</strong>${accuracyText}`)
-        .openPopup();
+    // Accuracy circle below the marker
+    accuracyCircle = L.circle(latLng, {
+        radius: accuracy || 0,
+        color: CONFIG.COLORS.USER_LOCATION,
+        weight: 1,
+        fillOpacity: 0.15,
+        interactive: false
+    }).addTo(mapInstance);
     
-    // Center map on user's location
-    mapInstance.setView([latitude, longitude], CONFIG.USER_LOCATION_ZOOM);
+    userLocationMarker = L.marker(latLng, { icon: userIcon })
+        .addTo(mapInstance)
+        .bindPopup(popupContent);
+}
+
+/**
+ * Removes the user location marker and accuracy circle
+ */
+function removeUserLocationMarker() {
+    if (userLocationMarker) {
+        mapInstance.removeLayer(userLocationMarker);
+        mapInstance.removeLayer(accuracyCircle);
+        userLocationMarker = null;
+        accuracyCircle = null;
+    }
 }
 
 /**
@@ -77,37 +196,45 @@ function getGeolocationErrorMessage(error) {
 }
 
 /**
- * Handles the user location button click event
+ * Handles a position update while tracking
+ * The first position centers the map; later ones only do in follow mode (main.js skips the
+ * reload for these pans while the center stays within the loaded view).
+ * @param {GeolocationPosition} position - The new position
  * @param {L.DivIcon} userIcon - The icon to use for the marker
  */
-export function showUserLocation(userIcon) {
-    const locationBtn = document.getElementById('locationBtn');
+function handlePositionUpdate(position, userIcon) {
+    const { latitude, longitude, accuracy } = position.coords;
+    setUserPosition(latitude, longitude);
+    showUserLocationMarker(latitude, longitude, accuracy, userIcon);
     
-    if (!navigator.geolocation) {
-        alert('Geolocation is not supported by your browser.');
-        return;
+    if (!hasFix) {
+        hasFix = true;
+        mapInstance.setView([latitude, longitude], Math.max(mapInstance.getZoom(), CONFIG.USER_LOCATION_ZOOM));
+        updateLocationButton();
+    } else if (locationMode === 'follow') {
+        mapInstance.panTo([latitude, longitude]);
     }
+}
+
+/**
+ * Starts watching the user's position
+ * @param {L.DivIcon} userIcon - The icon to use for the marker
+ */
+function startTracking(userIcon) {
+    locationMode = 'locate';
+    hasFix = false;
+    updateLocationButton();
     
-    // Disable button and show loading state
-    locationBtn.disabled = true;
-    locationBtn.textContent = '⏳';
-    
-    navigator.geolocation.getCurrentPosition(
-        position => {
-            const { latitude, longitude, accuracy } = position.coords;
-            showUserLocationMarker(latitude, longitude, accuracy, userIcon);
-            
-            // Re-enable button
-            locationBtn.disabled = false;
-            locationBtn.textContent = '📍';
-        },
+    watchId = navigator.geolocation.watchPosition(
+        position => handlePositionUpdate(position, userIcon),
         error => {
-            const message = getGeolocationErrorMessage(error);
-            alert(message);
+            showNotification(getGeolocationErrorMessage(error), { id: 'geolocation', level: 'error' });
             
-            // Re-enable button
-            locationBtn.disabled = false;
-            locationBtn.textContent = '📍';
+            // Keep tracking through temporary errors once a position was found
+            const permissionDenied = error.code === error.PERMISSION_DENIED;
+            if (getNextLocationMode(locationMode, 'error', { hasFix, permissionDenied }) === 'off') {
+                stopTracking();
+            }
         },
         {
             enableHighAccuracy: true,
@@ -116,3 +243,43 @@ export function showUserLocation(userIcon) {
         }
     );
 }
+
+/**
+ * Stops watching the user's position and removes the marker
+ * The last known position is kept for distances.
+ */
+function stopTracking() {
+    if (watchId !== null) {
+        navigator.geolocation.clearWatch(watchId);
+        watchId = null;
+    }
+    removeUserLocationMarker();
+    locationMode = 'off';
+    hasFix = false;
+    updateLocationButton();
+}
+
+/**
+ * Handles the user location button click event
+ * Cycles through off → locate (marker tracks the user) → follow (map stays centered) → off.
+ * @param {L.DivIcon} userIcon - The icon to use for the marker
+ */
+export function cycleLocationMode(userIcon) {
+    if (!navigator.geolocation) {
+        showNotification('Geolocation is not supported by your browser.', { level: 'warning' });
+        return;
+    }
+    
+    const mode = getNextLocationMode(locationMode, 'click');
+    if (mode === 'locate') {
+        startTracking(userIcon);
+    } else if (mode === 'follow') {
+        locationMode = 'follow';
+        updateLocationButton();
+        if (hasFix) {
+            mapInstance.panTo([userPosition.lat, userPosition.lon]);
+        }
+    } else {
+        stopTracking();
+    }
+}
@@ -0,0 +1,215 @@
+/**
+ * Searchable list of the loaded locations in the sidebar
+ * Shows the same locations as the map (after filters), sorted by distance, name or open now.
+ */
+
+import { CONFIG } from './config.js';
+import { sanitizeText, getLocationType, getDistance, formatDistance, normalizeText } from './utils.js';
+import { getVisibleLocations } from './store.js';
+import { getUserPosition } from './geolocation.js';
+
+// Tags searched by the text search
+const SEARCH_TAGS = ['name', 'cuisine', 'coffee:roaster', 'addr:street', 'addr:housenumber', 'addr:postcode', 'addr:city'];
+
+// Emoji per location type, as on the markers
+export const TYPE_EMOJIS = {
+    cafe: '☕',
+    roastery: '🔥',
+    shop: '🏪',
+    sandwich: '🥪'
+};
+
+// Current search text and sort order
+const listState = {
+    query: '',
+    sortBy: 'distance'
+};
+
+let onSelectCallback = null;
+let onHoverCallback = null;
+
+/**
+ * Checks whether a location matches a search text
+ * Every word must appear in the name, cuisine, roaster or address.
+ * @param {Object} tags - OSM tags of the location
+ * @param {string} query - Search text
+ * @returns {boolean} True if the location matches (always for an empty search)
+ */
+export function matchesSearch(tags, query) {
+    const words = normalizeText(query).split(/\s+/).filter(Boolean);
+    if (words.length === 0) return true;
+
+    const haystack = normalizeText(SEARCH_TAGS.map(tag => tags[tag] || '').join(' '));
+    return words.every(word => haystack.includes(word));
+}
+
+/**
+ * Compares locations by name, unnamed ones last
+ * @param {Object} a - List entry
+ * @param {Object} b - List entry
+ * @returns {number} Sort order
+ */
+function compareByName(a, b) {
+    const nameA = a.element.tags?.name;
+    const nameB = b.element.tags?.name;
+    if (!nameA || !nameB) return (nameA ? 0 : 1) - (nameB ? 0 : 1);
+    return nameA.localeCompare(nameB);
+}
+
+/**
+ * Ranks an opening state for "open now first": open, then unknown, then closed
+ * @param {boolean|null} isOpen - Open status from opening hours evaluation
+ * @returns {number} Rank, lower first
+ */
+function getOpenRank(isOpen) {
+    if (isOpen === true) return 0;
+    if (isOpen === false) return 2;
+    return 1;
+}
+
+/**
+ * Compares locations by distance, falling back to name without a user position
+ * @param {Object} a - List entry
+ * @param {Object} b - List entry
+ * @returns {number} Sort order
+ */
+function compareByDistance(a, b) {
+    if (a.distance === null || b.distance === null) return compareByName(a, b);
+    return a.distance - b.distance;
+}
+
+/**
+ * Builds the list entries: locations matching the search, with distance, sorted
+ * @param {Array<Object>} locations - Entries with element, coords and hours (from getVisibleLocations)
+ * @param {Object} options - List options
+ * @param {string} options.query - Search text
+ * @param {string} options.sortBy - 'distance', 'name' or 'openNow' (open first, then unknown, then closed, each by distance)
+ * @param {Object|null} options.userPosition - Position with lat and lon for distances
+ * @returns {Array<Object>} Entries with element, coords, hours and distance (meters, or null without a position)
+ */
+export function getListEntries(locations, { query = '', sortBy = 'distance', userPosition = null } = {}) {
+    const entries = locations
+        .filter(({ element }) => matchesSearch(element.tags || {}, query))
+        .map(location => ({
+            ...location,
+            distance: userPosition
+                ? getDistance(userPosition.lat, userPosition.lon, location.coords.lat, location.coords.lon)
+                : null
+        }));
+
+    if (sortBy === 'name') {
+        return entries.sort(compareByName);
+    }
+    if (sortBy === 'openNow') {
+        return entries.sort((a, b) =>
+            getOpenRank(a.hours.isOpen) - getOpenRank(b.hours.isOpen) || compareByDistance(a, b));
+    }
+    return entries.sort(compareByDistance);
+}
+
+/**
+ * Builds the HTML of a list row
+ * @param {Object} entry - List entry from getListEntries()
+ * @param {number} index - Row index
+ * @returns {string} Row HTML
+ */
+function createRowHTML(entry, index) {
+    const tags = entry.element.tags || {};
+    const { type } = getLocationType(tags);
+    const { isOpen } = entry.hours;
+    const status = isOpen === true ? 'open' : isOpen === false ? 'closed' : 'unknown';
+    const statusText = isOpen === true ? 'Open' : isOpen === false ? 'Closed' : '';
+    const address = [tags['addr:street'], tags['addr:housenumber']].filter(Boolean).join(' ');
+
+    let html = `<div class="location-list-item" data-index="${index}">`;
+    html += `<span class="location-list-type">${TYPE_EMOJIS[type]}</span>`;
+    html += '<span class="location-list-text">';
+    html += `<span class="location-list-name">${sanitizeText(tags.name || 'Unnamed')}</span>`;
+    if (address) {
+        html += `<span class="location-list-address">${sanitizeText(address)}</span>`;
+    }
+    html += '</span>';
+    html += '<span class="location-list-meta">';
+    if (entry.distance !== null) {
+        html += `<span class="location-list-distance">${formatDistance(entry.distance)}</span>`;
+    }
+    if (statusText) {
+        html += `<span class="location-list-status status-${status}">${statusText}</span>`;
+    }
+    html += '</span>';
+    html += '</div>';
+    return html;
+}
+
+/**
+ * Re-renders the list from the loaded locations
+ * Called when markers are re-rendered, the user's position changes or the search changes.
+ */
+export function renderLocationList() {
+    const listDiv = document.getElementById('location-list');
+    const countSpan = document.getElementById('location-list-count');
+    if (!listDiv) return;
+
+    const locations = getVisibleLocations();
+    const entries = getListEntries(locations, { ...listState, userPosition: getUserPosition() });
+    const shown = entries.slice(0, CONFIG.LIST_MAX_ITEMS);
+
+    if (countSpan) {
+        countSpan.textContent = locations.length > 0 ? `(${entries.length})` : '';
+    }
+
+    if (entries.length === 0) {
+        listDiv.classList.add('empty');
+        listDiv.innerHTML = locations.length > 0
+            ? '<p>No locations match your search.</p>'
+            : '<p>Zoom in on the map to list the locations in view.</p>';
+        return;
+    }
+
+    listDiv.classList.remove('empty');
+    let html = shown.map(createRowHTML).join('');
+    if (entries.length > shown.length) {
+        html += `<p class="location-list-more">Showing ${shown.length} of ${entries.length}, refine your search to see more.</p>`;
+    }
+    listDiv.innerHTML = html;
+
+    listDiv.querySelectorAll('.location-list-item').forEach(item => {
+        const entry = shown[parseInt(item.getAttribute('data-index'), 10)];
+        item.addEventListener('click', () => onSelectCallback(entry.element));
+        item.addEventListener('mouseenter', () => onHoverCallback(entry.element));
+        item.addEventListener('mouseleave', () => onHoverCallback(null));
+    });
+}
+
+/**
+ * Initializes the list search and sort controls
+ * @param {Function} onSelect - Called with the OSM element when a row is clicked
+ * @param {Function} onHover - Called with the OSM element when a row is hovered, and null when left
+ */
+export function initLocationList(onSelect, onHover) {
+    onSelectCallback = onSelect;
+    onHoverCallback = onHover;
+
+    const searchInput = document.getElementById('location-search');
+    const sortSelect = document.getElementById('location-sort');
+
+    if (searchInput) {
+        searchInput.addEventListener('input', () => {
+            listState.query = searchInput.value;
+            renderLocationList();
+        });
+    }
+
+    if (sortSelect) {
+        sortSelect.value = listState.sortBy;
+        sortSelect.addEventListener('change', () => {
+            listState.sortBy = sortSelect.value;
+            renderLocationList();
+        });
+    }
+
+    window.addEventListener('locationsRendered', renderLocationList);
+    window.addEventListener('userPositionChanged', renderLocationList);
+
+    renderLocationList();
+}
@@ -2,15 +2,32 @@
  * Main application initialization and event handlers
  */
 
-import { CONFIG } from './config.js';
+import { CONFIG, filterState, attributeFilterState } from './config.js';
 import { debounce } from './utils.js';
 import { initMap, panToLocation } from './map.js';
-import { initGeolocation, showUserLocation } from './geolocation.js';
-import { initFilters } from './filters.js';
-import { loadFavorites } from './favorites.js';
-import { renderFavoritesList, showCafeDetails } from './ui.js';
-import { getElementCoordinates } from './api.js';
+import { initGeolocation, cycleLocationMode, getLocationMode } from './geolocation.js';
+import { initFilters, restoreFilters } from './filters.js';
+import { loadFavorites, refreshFavorites, initFavoritesStorage } from './favorites.js';
+import {
+    renderFavoritesList,
+    initFavoritesFilter,
+    initFavoritesCollections,
+    initFavoritesTransfer,
+    showCafeDetails,
+    getCurrentElement,
+    updateDetailsDistance,
+    updateFavoritesDistances,
+    updateDetailsFavorite
+} from './ui.js';
+import { getElementCoordinates, fetchElement } from './api.js';
 import { displayRandomJoke } from './jokes.js';
+import { initPlanner } from './planner.js';
+import { parsePermalink, buildPermalink } from './permalink.js';
+import { showNotification } from './notifications.js';
+import { initLocationList } from './list.js';
+import { initPlaceSearch, getPlaceZoom } from './geocoding.js';
+import { initRouting } from './routing.js';
+import { initFavoritesSync } from './sync.js';
 
 /**
  * Initializes the application
@@ -24,10 +41,83 @@ function init() {
     }
     
     // Initialize map
-    const { map, updateCoffeeMarkers, icons } = initMap();
+    const { map, updateCoffeeMarkers, renderCoffeeMarkers, highlightLocation, fitToFavorites, isCenterLoaded, icons } = initMap();
     
-    // Initialize geolocation
-    initGeolocation(map, icons.userLocation);
+    // Place from a shared link, kept in the URL until its details are shown
+    let pendingPlace = null;
+    
+    /**
+     * Writes the current view, selected place and filters to the URL hash
+     * Uses replaceState, so map movements do not fill up the browser history.
+     */
+    function updatePermalink() {
+        const center = map.getCenter();
+        const hash = buildPermalink({
+            view: { lat: center.lat, lon: center.lng, zoom: map.getZoom() },
+            place: getCurrentElement() || pendingPlace,
+            filters: filterState,
+            attributes: attributeFilterState
+        });
+        history.replaceState(null, '', hash);
+    }
+    
+    /**
+     * Fetches a place from a shared link by id and shows its details
+     * Works for places outside the loaded view, as the element is requested directly.
+     * @param {Object} place - OSM element reference with type and id
+     * @param {boolean} centerOnPlace - Whether to pan the map to the place
+     */
+    async function openSharedPlace(place, centerOnPlace) {
+        pendingPlace = place;
+        
+        try {
+            const element = await fetchElement(place.type, place.id);
+            
+            // Another place was selected in the meantime
+            if (pendingPlace !== place) return;
+            pendingPlace = null;
+            
+            if (!element) {
+                showNotification('The shared place could not be found on OpenStreetMap.', { level: 'warning' });
+                updatePermalink();
+                return;
+            }
+            
+            if (centerOnPlace) {
+                const coords = getElementCoordinates(element);
+                panToLocation(coords.lat, coords.lon);
+            }
+            showCafeDetails(element);
+        } catch (error) {
+            console.error('Error loading shared place:', error);
+            showNotification('Could not load the shared place. Please try again later.', { level: 'error' });
+        }
+    }
+    
+    /**
+     * Restores the view, filters and selected place encoded in a shared link
+     * A link without filters (e.g. to only a place) keeps the current ones.
+     * @param {Object} permalink - State from parsePermalink()
+     */
+    function applyPermalink({ view, place, filters, attributes }) {
+        if (view) {
+            map.setView([view.lat, view.lon], view.zoom);
+        }
+        if (filters) {
+            restoreFilters(filters, attributes, renderCoffeeMarkers);
+        }
+        if (place) {
+            openSharedPlace(place, !view);
+        }
+    }
+    
+    // Restore the state of a shared link before the first load
+    const permalink = parsePermalink(window.location.hash);
+    applyPermalink(permalink);
+    
+    // Initialize geolocation (a shared link decides the initial view instead)
+    initGeolocation(map, icons.userLocation, !permalink.view && !permalink.place);
+    initRouting(map);
     
     // Initial data load
     updateCoffeeMarkers();
@@ -35,15 +125,57 @@ function init() {
     // Debounced function to prevent excessive API calls during map movement
     const debouncedUpdate = debounce(updateCoffeeMarkers, CONFIG.MAP_MOVE_DEBOUNCE);
     
-    // Reload coffee locations when map is moved
-    map.on('moveend', debouncedUpdate);
+    // Reload coffee locations when map is moved; following the user pans on every position
+    // update, which needs no reload while the user stays within the loaded view
+    map.on('moveend', () => {
+        if (getLocationMode() === 'follow' && isCenterLoaded()) return;
+        debouncedUpdate();
+    });
+    
+    // Keep the URL in sync with the view and selected place
+    map.on('moveend', updatePermalink);
+    window.addEventListener('cafeSelected', () => {
+        pendingPlace = null;
+        updatePermalink();
+    });
+    updatePermalink();
     
-    // Initialize filters
-    initFilters(updateCoffeeMarkers);
+    // Links opened in the same tab only change the hash
+    window.addEventListener('hashchange', () => applyPermalink(parsePermalink(window.location.hash)));
+    
+    // "Retry loading" in the error notification reloads the current view
+    window.addEventListener('retryLoadingLocations', () => updateCoffeeMarkers());
+    
+    // Initialize filters (re-rendered from loaded locations, no new request)
+    initFilters(() => {
+        renderCoffeeMarkers();
+        updatePermalink();
+    });
+    
+    // Re-evaluate opening hours of markers and details when the planned time changes
+    initPlanner(() => {
+        renderCoffeeMarkers();
+        const currentElement = getCurrentElement();
+        if (currentElement) {
+            showCafeDetails(currentElement);
+        }
+    });
+    
+    // List of the locations in view, following the rendered markers
+    initLocationList(showCafeDetails, highlightLocation);
     
     // Add click event listener to location button
     document.getElementById('locationBtn').addEventListener('click', () => {
-        showUserLocation(icons.userLocation);
+        cycleLocationMode(icons.userLocation);
+    });
+    
+    // Fit the map to the favorites (of the list shown on its own, if any)
+    document.getElementById('favoritesFitBtn').addEventListener('click', () => {
+        if (!fitToFavorites()) {
+            showNotification('No favorites to show yet. Save places with the 🤍 button in their details.', {
+                id: 'favorites-fit'
+            });
+        }
     });
     
     /**
@@ -58,17 +190,50 @@ function init() {
         showCafeDetails(element);
     }
     
+    // Place search jumps to geocoded places, or to matching locations on the map
+    initPlaceSearch(place => panToLocation(place.lat, place.lon, getPlaceZoom(place)), showCafeOnMap);
+    
     // Initialize favorites
     function updateFavoritesList() {
         const favorites = loadFavorites();
         renderFavoritesList(favorites, showCafeOnMap);
     }
     
-    // Initial render of favorites
+    // Favorites from the configured storage; saves in other tabs or on other devices show up here too
+    const favoritesLoaded = initFavoritesStorage();
+    
+    // Initial render of favorites, re-rendered when a favorites filter changes
+    initFavoritesFilter(updateFavoritesList);
+    initFavoritesTransfer();
     updateFavoritesList();
     
-    // Listen for favorites changes
-    window.addEventListener('favoritesChanged', updateFavoritesList);
+    // Switching lists re-renders the markers too, as the map may show only the list's places
+    initFavoritesCollections(() => {
+        updateFavoritesList();
+        renderCoffeeMarkers();
+    });
+    
+    // Listen for favorites changes; markers show which places are favorites
+    window.addEventListener('favoritesChanged', () => {
+        updateFavoritesList();
+        updateDetailsFavorite();
+        renderCoffeeMarkers();
+    });
+    
+    // Once favorites are loaded: keep shared lists in sync with the sync server, if one is
+    // configured, and check saved favorites against OpenStreetMap in the background
+    favoritesLoaded.then(() => {
+        initFavoritesSync();
+        return refreshFavorites();
+    }).catch(error => {
+        console.error('Error loading or refreshing favorites:', error);
+    });
+    
+    // Keep distances and walking times current as the user's position changes
+    window.addEventListener('userPositionChanged', () => {
+        updateFavoritesDistances();
+        updateDetailsDistance();
+    });
 }
 
 // Initialize when DOM is ready
@@ -5,25 +5,53 @@
 import { CONFIG } from './config.js';
 import { getLocationType } from './utils.js';
 import { showCafeDetails } from './ui.js';
-import { fetchCoffeeLocations, getElementCoordinates } from './api.js';
+import { loadLocations, loadDensity, clearLocations, getVisibleLocations, getDensityCells, getFavoriteLocations } from './store.js';
+import { clusterPoints, groupByPosition, getTypeBreakdown } from './clustering.js';
+import { isFavorite } from './favorites.js';
 
 // Map and layer variables
 let map;
 let coffeeMarkers;
+let favoriteMarkers; // Favorites without a location marker, shown at every zoom level
 let icons; // Will be initialized in initMap()
+let statusIcons; // Icons per type and opening status, initialized in initMap()
+let favoriteIcons; // Icons per type and opening status ('plain' without) for favorites, initialized in initMap()
+
+// Rendered marker per location ('type/id'), the cluster marker for clustered locations
+const markersByLocation = new Map();
+let highlightedMarker = null;
+
+// View (bounds and zoom) of the last successful load, null while nothing is loaded
+let loadedView = null;
+
+// Emoji, color and labels for each location type
+const MARKER_STYLES = {
+    cafe: { emoji: '☕', color: CONFIG.COLORS.CAFE, label: 'cafe', plural: 'cafes' },
+    roastery: { emoji: '🔥', color: CONFIG.COLORS.ROASTERY, label: 'roastery', plural: 'roasteries' },
+    shop: { emoji: '🏪', color: CONFIG.COLORS.SHOP, label: 'coffee shop', plural: 'coffee shops' },
+    sandwich: { emoji: '🥪', color: CONFIG.COLORS.SANDWICH, label: 'sandwich shop', plural: 'sandwich shops' }
+};
 
 /**
  * Creates a custom div icon for map markers
  * @param {string} emoji - The emoji to display in the marker
  * @param {string} backgroundColor - The background color of the marker
  * @param {number} borderWidth - Border width in pixels (default 2)
+ * @param {string|null} status - Opening status ('open', 'closed' or 'unknown') for status styling
+ * @param {boolean} favorite - Whether to mark the location as a favorite (gold border and star badge)
  * @returns {L.DivIcon} Leaflet div icon
  */
-function createMarkerIcon(emoji, backgroundColor, borderWidth = 2) {
+function createMarkerIcon(emoji, backgroundColor, borderWidth = 2, status = null, favorite = false) {
     const size = CONFIG.MARKER_SIZE;
+    const borderColor = favorite ? CONFIG.COLORS.FAVORITE : 'white';
+    let badges = status === 'unknown' ? '<span class="marker-badge" title="Opening hours unknown">?</span>' : '';
+    if (favorite) {
+        badges += '<span class="marker-favorite-badge" title="Favorite">★</span>';
+    }
+    const classNames = ['custom-icon', status ? `marker-${status}` : '', favorite ? 'marker-favorite' : ''].filter(Boolean);
     return L.divIcon({
-        html: `<div style="background: ${backgroundColor}; color: white; width: ${size}px; height: ${size}px; border-radius: 50%; display: flex; align-items: center; justify-content: center; font-size: 20px; border: ${borderWidth}px solid white; box-shadow: 0 2px 5px rgba(0,0,0,0.3);">${emoji}</div>`,
-        className: 'custom-icon',
+        html: `<div style="background: ${backgroundColor}; color: white; width: ${size}px; height: ${size}px; border-radius: 50%; display: flex; align-items: center; justify-content: center; font-size: 20px; border: ${borderWidth}px solid ${borderColor}; box-shadow: 0 2px 5px rgba(0,0,0,0.3);">${emoji}</div>${badges}`,
+        className: classNames.join(' '),
         iconSize: [size, size],
         iconAnchor: [size / 2, size / 2],
         popupAnchor: [0, -size / 2]
@@ -33,76 +61,373 @@ function createMarkerIcon(emoji, backgroundColor, borderWidth = 2) {
 /**
  * Determines the appropriate icon for a location based on type
  * @param {string} type - The type of location ('cafe', 'shop', or 'roastery')
+ * @param {string|null} status - Opening status ('open', 'closed' or 'unknown'), or null for the plain icon
+ * @param {boolean} favorite - Whether to use the favorite variant
  * @returns {L.DivIcon} The appropriate Leaflet icon
  */
-function getIconForType(type) {
-    return icons[type] || icons.cafe;
+function getIconForType(type, status = null, favorite = false) {
+    const knownType = MARKER_STYLES[type] ? type : 'cafe';
+    if (favorite) {
+        return favoriteIcons[knownType][status || 'plain'];
+    }
+    if (status) {
+        return statusIcons[knownType][status];
+    }
+    return icons[knownType];
+}
+
+/**
+ * Converts an isOpen value to a marker status
+ * @param {boolean|null} isOpen - Open status from opening hours evaluation
+ * @returns {string} 'open', 'closed' or 'unknown'
+ */
+function getMarkerStatus(isOpen) {
+    if (isOpen === true) return 'open';
+    if (isOpen === false) return 'closed';
+    return 'unknown';
 }
 
 /**
  * Creates a marker for a coffee location
- * @param {Object} element - The OSM element
+ * Closed locations are greyed out, locations with unknown hours get a "?" badge,
+ * favorites a gold border and a star badge and are drawn above other markers.
+ * @param {Object} element - The OSM element (or favorite)
  * @param {number} lat - Latitude
  * @param {number} lon - Longitude
+ * @param {Object} hours - Open status from getElementOpenStatus()
+ * @param {L.LayerGroup} layer - Layer to add the marker to (default the coffee markers)
+ * @returns {L.Marker} The marker
  */
-function createCoffeeMarker(element, lat, lon) {
+function createCoffeeMarker(element, lat, lon, hours, layer = coffeeMarkers) {
     const tags = element.tags || {};
     const { type } = getLocationType(tags);
-    const icon = getIconForType(type);
+    const { isOpen } = hours;
+    const favorite = isFavorite(element);
+    const icon = getIconForType(type, getMarkerStatus(isOpen), favorite);
     
-    // Add marker to coffee markers layer group with click handler
-    L.marker([lat, lon], { icon: icon })
-        .addTo(coffeeMarkers)
+    // Tooltip with name and opening status (at the planned time, if any)
+    const statusText = isOpen === true ? 'Open' : isOpen === false ? 'Closed' : 'Status unknown';
+    const title = `${favorite ? '★ ' : ''}${tags.name || 'Unnamed'} - ${statusText}`;
+    
+    // Add marker to the layer group with click handler
+    return L.marker([lat, lon], { icon: icon, title: title, zIndexOffset: favorite ? 1000 : 0 })
+        .addTo(layer)
         .on('click', () => showCafeDetails(element));
 }
 
 /**
- * Updates coffee markers on the map
+ * Creates the icon for a cluster: the total count in a ring split by type,
+ * with a count per type below and a star badge if it contains favorites
+ * @param {Object} breakdown - Counts keyed by location type
+ * @param {number} total - Total number of locations
+ * @param {boolean} hasFavorites - Whether the cluster contains favorites
+ * @returns {L.DivIcon} Leaflet div icon
+ */
+function createClusterIcon(breakdown, total, hasFavorites = false) {
+    const types = Object.keys(MARKER_STYLES).filter(type => breakdown[type]);
+    
+    // Ring segments proportional to the share of each type
+    let start = 0;
+    const segments = types.map(type => {
+        const end = start + breakdown[type] / total * 100;
+        const segment = `${MARKER_STYLES[type].color} ${start}% ${end}%`;
+        start = end;
+        return segment;
+    });
+    
+    const counts = types
+        .map(type => `<span>${MARKER_STYLES[type].emoji}${breakdown[type]}</span>`)
+        .join('');
+    const size = total < 10 ? 36 : total < 100 ? 44 : 52;
+    const favoriteBadge = hasFavorites ? '<span class="marker-favorite-badge" title="Contains favorites">★</span>' : '';
+    
+    return L.divIcon({
+        html: `<div class="cluster-ring" style="width: ${size}px; height: ${size}px; background: conic-gradient(${segments.join(', ')});"><div class="cluster-count">${total}</div></div><div class="cluster-breakdown">${counts}</div>${favoriteBadge}`,
+        className: 'cluster-icon',
+        iconSize: [size, size],
+        iconAnchor: [size / 2, size / 2]
+    });
+}
+
+/**
+ * Opens a list of the locations of a cluster that zooming in cannot split up
+ * Choosing a location shows its details.
+ * @param {L.LatLng} latLng - Position of the cluster
+ * @param {Array<Object>} locations - Entries with element (from getVisibleLocations)
+ */
+function openClusterList(latLng, locations) {
+    const list = document.createElement('ul');
+    list.className = 'cluster-list';
+    
+    // Names are set as text, so they need no sanitizing
+    locations.forEach(({ element }) => {
+        const { type } = getLocationType(element.tags || {});
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = `${(MARKER_STYLES[type] || MARKER_STYLES.cafe).emoji} ${element.tags?.name || 'Unnamed'}`;
+        button.addEventListener('click', () => {
+            map.closePopup();
+            showCafeDetails(element);
+        });
+        
+        const item = document.createElement('li');
+        item.append(button);
+        list.append(item);
+    });
+    
+    L.popup().setLatLng(latLng).setContent(list).openOn(map);
+}
+
+/**
+ * Creates a marker for a group of nearby locations
+ * Clicking it zooms in far enough to split the cluster up; locations at the same position,
+ * which never split up, are listed instead.
+ * @param {Array<Object>} locations - Entries with element and coords (from getVisibleLocations)
+ * @returns {L.Marker} The cluster marker
+ */
+function createClusterMarker(locations) {
+    const latLngs = locations.map(({ coords }) => [coords.lat, coords.lon]);
+    const lat = latLngs.reduce((sum, [pointLat]) => sum + pointLat, 0) / latLngs.length;
+    const lon = latLngs.reduce((sum, [, pointLon]) => sum + pointLon, 0) / latLngs.length;
+    
+    const breakdown = getTypeBreakdown(locations.map(({ element }) => element));
+    const summary = Object.keys(MARKER_STYLES)
+        .filter(type => breakdown[type])
+        .map(type => `${breakdown[type]} ${breakdown[type] === 1 ? MARKER_STYLES[type].label : MARKER_STYLES[type].plural}`)
+        .join(', ');
+    const favoriteCount = locations.filter(({ element }) => isFavorite(element)).length;
+    const favoriteSummary = favoriteCount > 0 ? ` (${favoriteCount} ${favoriteCount === 1 ? 'favorite' : 'favorites'})` : '';
+    
+    return L.marker([lat, lon], {
+        icon: createClusterIcon(breakdown, locations.length, favoriteCount > 0),
+        title: `${locations.length} locations: ${summary}${favoriteSummary}`
+    })
+        .addTo(coffeeMarkers)
+        .on('click', () => {
+            if (groupByPosition(locations).length === 1) {
+                openClusterList(L.latLng(lat, lon), locations);
+                return;
+            }
+            map.fitBounds(L.latLngBounds(latLngs), {
+                padding: [40, 40],
+                maxZoom: CONFIG.CLUSTER_MAX_ZOOM + 1
+            });
+        });
+}
+
+/**
+ * Draws the location counts per area as shaded rectangles
+ * Shading is relative to the busiest area in view; clicking an area zooms into it.
+ */
+function renderDensityCells() {
+    const cells = getDensityCells().filter(cell => cell.count > 0);
+    const maxCount = Math.max(...cells.map(cell => cell.count));
+    
+    cells.forEach(cell => {
+        const { south, west, north, east } = cell.bounds;
+        const cellBounds = L.latLngBounds([south, west], [north, east]);
+        
+        // Square root keeps sparse areas visible next to a busy city centre
+        const intensity = Math.sqrt(cell.count / maxCount);
+        
+        L.rectangle(cellBounds, {
+            color: CONFIG.COLORS.CAFE,
+            weight: 1,
+            opacity: 0.4,
+            fillColor: CONFIG.COLORS.CAFE,
+            fillOpacity: 0.1 + 0.5 * intensity
+        })
+            .bindTooltip(`${cell.count} ${cell.count === 1 ? 'location' : 'locations'}`)
+            .addTo(coffeeMarkers)
+            .on('click', () => map.fitBounds(cellBounds));
+        
+        L.marker(cellBounds.getCenter(), {
+            icon: L.divIcon({
+                html: `<span>${cell.count}</span>`,
+                className: 'density-label',
+                iconSize: [40, 20],
+                iconAnchor: [20, 10]
+            }),
+            interactive: false
+        }).addTo(coffeeMarkers);
+    });
+}
+
+/**
+ * Builds the key identifying a location's marker
+ * @param {Object} element - The OSM element
+ * @returns {string} Key in the form 'type/id'
+ */
+function getLocationKey(element) {
+    return `${element.type}/${element.id}`;
+}
+
+/**
+ * Highlights the marker of a location, e.g. while its row in the list is hovered
+ * Clustered locations highlight their cluster.
+ * @param {Object|null} element - The OSM element, or null to remove the highlight
+ */
+function highlightLocation(element) {
+    highlightedMarker?.getElement()?.classList.remove('marker-highlight');
+    highlightedMarker = element ? markersByLocation.get(getLocationKey(element)) || null : null;
+    highlightedMarker?.getElement()?.classList.add('marker-highlight');
+}
+
+/**
+ * Re-renders coffee markers from the location store without fetching
+ * Used for filter, planned time and favorites changes. Below MIN_ZOOM_FOR_LOCATIONS the density view is drawn instead.
+ * Favorites without a location marker are drawn on the favorites layer at every zoom level.
+ * Dispatches a `locationsRendered` window event afterwards, so the location list can follow.
+ */
+function renderCoffeeMarkers() {
+    coffeeMarkers.clearLayers();
+    favoriteMarkers.clearLayers();
+    markersByLocation.clear();
+    highlightedMarker = null;
+    
+    const zoom = map.getZoom();
+    const showDensity = zoom < CONFIG.MIN_ZOOM_FOR_LOCATIONS;
+    if (showDensity) {
+        renderDensityCells();
+    } else {
+        renderLocationMarkers(zoom);
+    }
+    renderFavoriteMarkers(showDensity);
+    
+    window.dispatchEvent(new CustomEvent('locationsRendered'));
+}
+
+/**
+ * Creates the markers of the favorites layer
+ * @param {boolean} showAll - Whether to draw all favorites, e.g. in the density view without location markers
+ */
+function renderFavoriteMarkers(showAll) {
+    getFavoriteLocations(showAll).forEach(({ element, coords, hours }) => {
+        const marker = createCoffeeMarker(element, coords.lat, coords.lon, hours, favoriteMarkers);
+        markersByLocation.set(getLocationKey(element), marker);
+    });
+}
+
+/**
+ * Fits the map to the favorites (of the list shown on its own, if any)
+ * @returns {boolean} False if there are no favorites to show
+ */
+function fitToFavorites() {
+    const latLngs = getFavoriteLocations(true).map(({ coords }) => [coords.lat, coords.lon]);
+    if (latLngs.length === 0) {
+        return false;
+    }
+    
+    map.fitBounds(L.latLngBounds(latLngs), {
+        padding: [40, 40],
+        maxZoom: CONFIG.DEFAULT_ZOOM
+    });
+    return true;
+}
+
+/**
+ * Creates the markers for the stored locations that pass the filters
+ * @param {number} zoom - The current map zoom level
+ */
+function renderLocationMarkers(zoom) {
+    const visible = getVisibleLocations();
+    
+    // Zoomed in, only locations at the same position are clustered, as their markers would hide each other
+    if (zoom > CONFIG.CLUSTER_MAX_ZOOM) {
+        groupByPosition(visible).forEach(locations => {
+            if (locations.length === 1) {
+                const { element, coords, hours } = locations[0];
+                markersByLocation.set(getLocationKey(element), createCoffeeMarker(element, coords.lat, coords.lon, hours));
+            } else {
+                const marker = createClusterMarker(locations);
+                locations.forEach(({ element }) => markersByLocation.set(getLocationKey(element), marker));
+            }
+        });
+        return;
+    }
+    
+    // Cluster in pixel space at the current zoom, so clusters split up when zooming in
+    const points = visible.map(location => {
+        const { x, y } = map.project([location.coords.lat, location.coords.lon], zoom);
+        return { x, y, location };
+    });
+    
+    clusterPoints(points, CONFIG.CLUSTER_RADIUS).forEach(cluster => {
+        if (cluster.points.length === 1) {
+            const { element, coords, hours } = cluster.points[0].location;
+            markersByLocation.set(getLocationKey(element), createCoffeeMarker(element, coords.lat, coords.lon, hours));
+        } else {
+            const locations = cluster.points.map(point => point.location);
+            const marker = createClusterMarker(locations);
+            locations.forEach(({ element }) => markersByLocation.set(getLocationKey(element), marker));
+        }
+    });
+}
+
+/**
+ * Fetches coffee locations (or, zoomed out, location counts per area) for the current view
+ * and updates the markers on the map
+ * A newer call cancels an older one still in progress, so only the latest view is drawn.
  */
 async function updateCoffeeMarkers() {
     const loading = document.getElementById('loading');
     const zoomWarning = document.getElementById('zoomWarning');
+    const densityHint = document.getElementById('densityHint');
     const currentZoom = map.getZoom();
+    const showDensity = currentZoom < CONFIG.MIN_ZOOM_FOR_LOCATIONS;
     
     // Check if zoom level is sufficient
-    if (currentZoom < CONFIG.MIN_ZOOM_FOR_LOCATIONS) {
-        // Clear existing markers
-        coffeeMarkers.clearLayers();
+    if (currentZoom < CONFIG.MIN_ZOOM_FOR_DENSITY) {
+        // Clear existing markers and cancel any load in progress
+        clearLocations();
+        loadedView = null;
+        renderCoffeeMarkers();
         
         // Show zoom warning, hide loading
         zoomWarning.classList.add('active');
+        densityHint.classList.remove('active');
         loading.classList.remove('active');
         return;
     }
     
     // Hide zoom warning if zoom is sufficient
     zoomWarning.classList.remove('active');
+    densityHint.classList.toggle('active', showDensity);
     loading.classList.add('active');
     
+    let isLatest = true;
+    const bounds = map.getBounds();
     try {
-        const bounds = map.getBounds();
-        const elements = await fetchCoffeeLocations(bounds);
-        
-        // Clear existing coffee markers
-        coffeeMarkers.clearLayers();
-        
-        // Add markers for each location
-        elements.forEach(element => {
-            const coords = getElementCoordinates(element);
-            if (coords) {
-                createCoffeeMarker(element, coords.lat, coords.lon);
-            }
-        });
+        // Keep the previous data if the request fails, replace it on success
+        isLatest = showDensity
+            ? await loadDensity(bounds, currentZoom)
+            : await loadLocations(bounds);
+        if (isLatest) {
+            loadedView = { bounds, zoom: currentZoom };
+            renderCoffeeMarkers();
+        }
     } catch (error) {
-        // Error already logged in fetchCoffeeLocations
+        // Error already logged in fetchCoffeeLocations / fetchLocationDensity
     } finally {
-        loading.classList.remove('active');
+        // A superseded call leaves the loading indicator to the newer one
+        if (isLatest) {
+            loading.classList.remove('active');
+        }
     }
 }
 
+/**
+ * Checks whether the map center is still within the view loaded last, at the same zoom
+ * Used to skip reloads for small pans, such as following the user's position.
+ * @returns {boolean} True if the center is inside the loaded view
+ */
+function isCenterLoaded() {
+    return Boolean(loadedView) && loadedView.zoom === map.getZoom() && loadedView.bounds.contains(map.getCenter());
+}
+
 /**
  * Initializes the map
- * @returns {Object} Object containing map, updateCoffeeMarkers function, and helper functions
+ * @returns {Object} Object containing map, updateCoffeeMarkers, renderCoffeeMarkers, highlightLocation, fitToFavorites and isCenterLoaded functions, and helper functions
  */
 export function initMap() {
     // Initialize the map
@@ -114,22 +439,46 @@ export function initMap() {
         maxZoom: 19
     }).addTo(map);
     
-    // Layer group for coffee markers
+    // Layer groups for coffee markers, and for favorites above them
     coffeeMarkers = L.layerGroup().addTo(map);
+    favoriteMarkers = L.layerGroup().addTo(map);
     
     // Initialize custom icons for different location types
     // This must be done here after Leaflet is loaded, not at module load time
     icons = {
-        cafe: createMarkerIcon('☕', CONFIG.COLORS.CAFE),
-        roastery: createMarkerIcon('🔥', CONFIG.COLORS.ROASTERY),
-        shop: createMarkerIcon('🏪', CONFIG.COLORS.SHOP),
-        sandwich: createMarkerIcon('🥪', CONFIG.COLORS.SANDWICH),
         userLocation: createMarkerIcon('📍', CONFIG.COLORS.USER_LOCATION, 3)
     };
+    statusIcons = {};
+    favoriteIcons = {};
+    Object.entries(MARKER_STYLES).forEach(([type, style]) => {
+        icons[type] = createMarkerIcon(style.emoji, style.color);
+        
+        // Variants of each type icon styled by opening status
+        statusIcons[type] = {
+            open: createMarkerIcon(style.emoji, style.color, 2, 'open'),
+            closed: createMarkerIcon(style.emoji, style.color, 2, 'closed'),
+            unknown: createMarkerIcon(style.emoji, style.color, 2, 'unknown')
+        };
+        
+        // The same variants marked as favorites, with a wider border to show its color
+        favoriteIcons[type] = {
+            plain: createMarkerIcon(style.emoji, style.color, 3, null, true),
+            open: createMarkerIcon(style.emoji, style.color, 3, 'open', true),
+            closed: createMarkerIcon(style.emoji, style.color, 3, 'closed', true),
+            unknown: createMarkerIcon(style.emoji, style.color, 3, 'unknown', true)
+        };
+    });
+    
+    // Re-cluster right away when zooming, without waiting for the debounced reload
+    map.on('zoomend', renderCoffeeMarkers);
     
     return {
         map,
         updateCoffeeMarkers,
+        renderCoffeeMarkers,
+        highlightLocation,
+        fitToFavorites,
+        isCenterLoaded,
         getIconForType,
         icons,
         panToLocation
@@ -0,0 +1,155 @@
+/**
+ * Non-blocking notifications (toasts) shown over the map
+ * Other modules report errors and status here instead of using alert() or the console.
+ */
+
+import { CONFIG } from './config.js';
+
+const LEVELS = ['info', 'success', 'warning', 'error'];
+
+const LEVEL_ICONS = {
+    info: 'ℹ️',
+    success: '✅',
+    warning: '⚠️',
+    error: '❌'
+};
+
+// Visible notifications, oldest first
+let notifications = [];
+
+// Auto-dismiss timers by notification id
+const dismissTimers = new Map();
+
+let nextId = 1;
+
+/**
+ * Removes a notification from the list without re-rendering
+ * @param {string} id - Notification id
+ * @returns {boolean} True if a notification was removed
+ */
+function removeNotification(id) {
+    clearTimeout(dismissTimers.get(id));
+    dismissTimers.delete(id);
+
+    const count = notifications.length;
+    notifications = notifications.filter(notification => notification.id !== id);
+    return notifications.length !== count;
+}
+
+/**
+ * Creates the DOM element for a notification
+ * Text is set via textContent, so messages never need sanitizing.
+ * @param {Object} notification - The notification
+ * @returns {HTMLElement} The notification element
+ */
+function createNotificationElement(notification) {
+    const element = document.createElement('div');
+    element.className = `notification notification-${notification.level}`;
+    element.setAttribute('role', notification.level === 'error' ? 'alert' : 'status');
+
+    const icon = document.createElement('span');
+    icon.className = 'notification-icon';
+    icon.textContent = LEVEL_ICONS[notification.level];
+
+    const message = document.createElement('span');
+    message.className = 'notification-message';
+    message.textContent = notification.message;
+
+    element.append(icon, message);
+
+    if (notification.action) {
+        const actionButton = document.createElement('button');
+        actionButton.className = 'notification-action';
+        actionButton.textContent = notification.action.label;
+        actionButton.addEventListener('click', () => {
+            dismissNotification(notification.id);
+            notification.action.onClick();
+        });
+        element.append(actionButton);
+    }
+
+    const closeButton = document.createElement('button');
+    closeButton.className = 'notification-close';
+    closeButton.title = 'Dismiss';
+    closeButton.textContent = '×';
+    closeButton.addEventListener('click', () => dismissNotification(notification.id));
+    element.append(closeButton);
+
+    return element;
+}
+
+/**
+ * Updates the notification container to match the notification list
+ */
+function renderNotifications() {
+    if (typeof document === 'undefined') return;
+
+    const container = document.getElementById('notifications');
+    if (!container) return;
+
+    // Existing elements are reused so visible toasts do not flicker
+    container.replaceChildren(...notifications.map(notification => {
+        notification.element = notification.element || createNotificationElement(notification);
+        return notification.element;
+    }));
+}
+
+/**
+ * Shows a notification
+ * Showing a notification with the id of a visible one replaces it, so repeated
+ * reports of the same problem do not pile up.
+ * @param {string} message - Text to show
+ * @param {Object} options - Optional settings
+ * @param {string} options.level - 'info', 'success', 'warning' or 'error' (default 'info')
+ * @param {string} options.id - Id to replace or dismiss the notification later
+ * @param {Object} options.action - Button with label and onClick, e.g. { label: 'Retry loading', onClick }
+ * @param {number} options.duration - Milliseconds until auto-dismiss, 0 to keep it until dismissed
+ *                                    (default from CONFIG.NOTIFICATION_DURATIONS)
+ * @returns {string} The notification id
+ */
+export function showNotification(message, options = {}) {
+    const level = LEVELS.includes(options.level) ? options.level : 'info';
+    const id = options.id || `notification-${nextId++}`;
+    const duration = options.duration ?? CONFIG.NOTIFICATION_DURATIONS[level];
+
+    removeNotification(id);
+    notifications.push({ id, message, level, action: options.action || null });
+
+    // Drop the oldest notifications beyond the limit
+    while (notifications.length > CONFIG.MAX_NOTIFICATIONS) {
+        removeNotification(notifications[0].id);
+    }
+
+    if (duration > 0) {
+        dismissTimers.set(id, setTimeout(() => dismissNotification(id), duration));
+    }
+
+    renderNotifications();
+    return id;
+}
+
+/**
+ * Hides a notification
+ * @param {string} id - Notification id returned by showNotification()
+ */
+export function dismissNotification(id) {
+    if (removeNotification(id)) {
+        renderNotifications();
+    }
+}
+
+/**
+ * Hides all notifications
+ */
+export function clearNotifications() {
+    notifications.map(notification => notification.id).forEach(removeNotification);
+    renderNotifications();
+}
+
+/**
+ * Gets the visible notifications
+ * @returns {Array<Object>} Notifications with id, message, level and action, oldest first
+ */
+export function getNotifications() {
+    return notifications.map(({ id, message, level, action }) => ({ id, message, level, action }));
+}
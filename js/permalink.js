@@ -0,0 +1,131 @@
+/**
+ * Shareable links encoding the map view, selected place and filters in the URL hash
+ * Example: #map=16/48.85660/2.35220&place=node/123&hide=shop,sandwich&open=1&attr=wifi:yes,power:yes
+ */
+
+// Location types that can be hidden with the type filters (keys of filterState)
+const LOCATION_TYPES = ['cafe', 'roastery', 'shop', 'sandwich'];
+
+// Attribute filters (keys of attributeFilterState) and the values they can require
+const ATTRIBUTE_FILTERS = ['wifi', 'power', 'outdoor', 'vegan', 'vegetarian', 'wheelchair', 'takeaway', 'cards', 'cash'];
+const ATTRIBUTE_VALUES = ['yes', 'no', 'unknown'];
+
+// Parameters that carry filters; a link with none of them (e.g. only a place) leaves the filters alone
+const FILTER_PARAMETERS = ['map', 'hide', 'open', 'attr'];
+
+// OSM element types that can be selected
+const PLACE_TYPES = ['node', 'way', 'relation'];
+
+// Decimal places of the map center, about 1 meter
+const COORDINATE_PRECISION = 5;
+
+/**
+ * Parses the 'zoom/lat/lon' map parameter
+ * @param {string|null} value - Parameter value
+ * @returns {Object|null} View with lat, lon and zoom, or null if missing or invalid
+ */
+function parseView(value) {
+    const parts = (value || '').split('/');
+    if (parts.length !== 3 || parts.some(part => part.trim() === '')) return null;
+
+    const [zoom, lat, lon] = parts.map(Number);
+    if (!Number.isInteger(zoom) || zoom < 0 || zoom > 19) return null;
+    if (!(Math.abs(lat) <= 90) || !(Math.abs(lon) <= 180)) return null;
+
+    return { lat, lon, zoom };
+}
+
+/**
+ * Parses the 'type/id' place parameter
+ * @param {string|null} value - Parameter value
+ * @returns {Object|null} OSM element reference with type and id, or null if missing or invalid
+ */
+function parsePlace(value) {
+    const match = /^(node|way|relation)\/(\d+)$/.exec(value || '');
+    if (!match) return null;
+
+    return { type: match[1], id: Number(match[2]) };
+}
+
+/**
+ * Parses the 'attribute:value,...' attribute filter parameter
+ * @param {string|null} value - Parameter value
+ * @returns {Object} Complete attributeFilterState values; attributes not mentioned or invalid are null (any)
+ */
+function parseAttributes(value) {
+    const required = new Map((value || '').split(',').map(entry => entry.split(':')));
+
+    const attributes = {};
+    ATTRIBUTE_FILTERS.forEach(attribute => {
+        const wanted = required.get(attribute);
+        attributes[attribute] = ATTRIBUTE_VALUES.includes(wanted) ? wanted : null;
+    });
+    return attributes;
+}
+
+/**
+ * Reads the state encoded in a URL hash
+ * Invalid or missing parts are ignored. A link with a view or any filter carries all filters:
+ * filters not mentioned have their default. Without (e.g. '#place=node/123'), filters and
+ * attributes are null, to keep the current ones.
+ * @param {string} hash - The URL hash, with or without the leading '#'
+ * @returns {Object} State with view ({lat, lon, zoom} or null), place ({type, id} or null),
+ *                   filters (complete filterState values or null) and attributes
+ *                   (complete attributeFilterState values or null)
+ */
+export function parsePermalink(hash) {
+    const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+    const state = {
+        view: parseView(params.get('map')),
+        place: parsePlace(params.get('place')),
+        filters: null,
+        attributes: null
+    };
+    if (!FILTER_PARAMETERS.some(name => params.has(name))) {
+        return state;
+    }
+
+    const hidden = (params.get('hide') || '').split(',');
+    state.filters = { openNow: params.get('open') === '1' };
+    LOCATION_TYPES.forEach(type => {
+        state.filters[type] = !hidden.includes(type);
+    });
+    state.attributes = parseAttributes(params.get('attr'));
+    return state;
+}
+
+/**
+ * Builds the URL hash for a state
+ * Default filters are left out to keep links short.
+ * @param {Object} state - State to encode
+ * @param {Object} state.view - Map view with lat, lon and zoom
+ * @param {Object|null} state.place - Selected OSM element (or reference) with type and id
+ * @param {Object} state.filters - Filter values as in filterState
+ * @param {Object} state.attributes - Attribute filter values as in attributeFilterState
+ * @returns {string} The hash, including the leading '#'
+ */
+export function buildPermalink({ view, place = null, filters = {}, attributes = {} }) {
+    const parts = [
+        `map=${view.zoom}/${view.lat.toFixed(COORDINATE_PRECISION)}/${view.lon.toFixed(COORDINATE_PRECISION)}`
+    ];
+
+    if (place && PLACE_TYPES.includes(place.type)) {
+        parts.push(`place=${place.type}/${place.id}`);
+    }
+
+    const hidden = LOCATION_TYPES.filter(type => filters[type] === false);
+    if (hidden.length > 0) {
+        parts.push(`hide=${hidden.join(',')}`);
+    }
+
+    if (filters.openNow) {
+        parts.push('open=1');
+    }
+
+    const required = ATTRIBUTE_FILTERS.filter(attribute => ATTRIBUTE_VALUES.includes(attributes[attribute]));
+    if (required.length > 0) {
+        parts.push(`attr=${required.map(attribute => `${attribute}:${attributes[attribute]}`).join(',')}`);
+    }
+
+    return `#${parts.join('&')}`;
+}
@@ -0,0 +1,107 @@
+/**
+ * "Plan for..." time picker - evaluates opening hours at a chosen time instead of now
+ */
+
+import { planState } from './config.js';
+import { parseOpeningHours, getOpenStatus } from './utils.js';
+import { getElementTimeZone, wallClockToDate } from './timezone.js';
+
+/**
+ * Sets the planned time used for opening hours evaluation
+ * @param {string|null} localDateTime - Wall-clock time as 'YYYY-MM-DDTHH:MM', or null for now
+ */
+export function setPlannedTime(localDateTime) {
+    planState.time = localDateTime || null;
+}
+
+/**
+ * Checks whether opening hours are evaluated for a planned time instead of now
+ * @returns {boolean} True if a planned time is set
+ */
+export function isPlanning() {
+    return planState.time !== null;
+}
+
+/**
+ * Formats the planned time for display, e.g. "Sat 1 Jun, 10:00"
+ * @returns {string} Formatted planned time, or empty string when not planning
+ */
+export function formatPlannedTime() {
+    const date = wallClockToDate(planState.time);
+    if (!date) return '';
+
+    return date.toLocaleString('en-GB', {
+        weekday: 'short',
+        day: 'numeric',
+        month: 'short',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+/**
+ * Gets the time to evaluate opening hours at: the planned time in the given time zone, or now
+ * @param {string|null} timeZone - IANA time zone of the location
+ * @param {Date} now - Current time (used when no time is planned)
+ * @returns {Date} The time to evaluate
+ */
+function getEvaluationTime(timeZone, now) {
+    const plannedDate = planState.time ? wallClockToDate(planState.time, timeZone) : null;
+    return plannedDate || now;
+}
+
+/**
+ * Evaluates an element's opening hours in its own time zone, at the planned time or now
+ * @param {Object} element - The OSM element
+ * @param {Date} now - Current time (used when no time is planned)
+ * @returns {Object} Result of parseOpeningHours() plus the timeZone used
+ */
+export function getElementOpeningHours(element, now = new Date()) {
+    const tags = element.tags || {};
+    const timeZone = getElementTimeZone(element);
+
+    return {
+        ...parseOpeningHours(tags.opening_hours, getEvaluationTime(timeZone, now), timeZone),
+        timeZone
+    };
+}
+
+/**
+ * Checks whether an element is open at the planned time or now, without the next state change
+ * Used for every location on each render (markers, filters, list); the details use getElementOpeningHours().
+ * @param {Object} element - The OSM element
+ * @param {Date} now - Current time (used when no time is planned)
+ * @returns {Object} Result of getOpenStatus() plus the timeZone used
+ */
+export function getElementOpenStatus(element, now = new Date()) {
+    const tags = element.tags || {};
+    const timeZone = getElementTimeZone(element);
+
+    return {
+        ...getOpenStatus(tags.opening_hours, getEvaluationTime(timeZone, now), timeZone),
+        timeZone
+    };
+}
+
+/**
+ * Initializes the "plan for..." time picker
+ * @param {Function} onPlanChange - Callback to re-evaluate markers and details after the planned time changes
+ */
+export function initPlanner(onPlanChange) {
+    const input = document.getElementById('planTime');
+    const resetBtn = document.getElementById('planReset');
+    const control = document.getElementById('planControl');
+    if (!input || !resetBtn || !control) return;
+
+    const update = () => {
+        setPlannedTime(input.value);
+        control.classList.toggle('active', isPlanning());
+        onPlanChange();
+    };
+
+    input.addEventListener('change', update);
+    resetBtn.addEventListener('click', () => {
+        input.value = '';
+        update();
+    });
+}
@@ -0,0 +1,248 @@
+/**
+ * Walking and cycling directions to a location
+ * Routes come from an OSRM- or GraphHopper-compatible HTTP API (CONFIG.ROUTING_API and
+ * CONFIG.ROUTING_ENDPOINT), so a local instance or mock can be used. Links to external
+ * navigation apps work without it.
+ */
+
+import { CONFIG } from './config.js';
+import { getUserPosition } from './geolocation.js';
+import { getElementCoordinates } from './api.js';
+import { showNotification } from './notifications.js';
+
+const ROUTING_NOTIFICATION_ID = 'routing';
+
+// Travel modes per external app: Google Maps travelmode, Apple Maps dirflg, openstreetmap.org engine
+const APP_MODES = {
+    walking: { google: 'walking', apple: 'w', osm: 'fossgis_osrm_foot' },
+    cycling: { google: 'bicycling', apple: null, osm: 'fossgis_osrm_bike' }
+};
+
+/**
+ * Request and response formats of the supported routing APIs
+ * Both return routes with distance (meters), duration (seconds) and coordinates ([lat, lon] pairs).
+ */
+const ROUTING_APIS = {
+    osrm: {
+        buildUrl(url, basePath, from, to, profile) {
+            url.pathname = `${basePath}/route/v1/${profile}/${from.lon},${from.lat};${to.lon},${to.lat}`;
+            url.searchParams.set('overview', 'full');
+            url.searchParams.set('geometries', 'geojson');
+        },
+        parse(data) {
+            const route = data?.code === 'Ok' ? data.routes?.[0] : null;
+            if (!route?.geometry) return null;
+            return {
+                distance: route.distance,
+                duration: route.duration,
+                coordinates: route.geometry.coordinates.map(([lon, lat]) => [lat, lon])
+            };
+        }
+    },
+    graphhopper: {
+        buildUrl(url, basePath, from, to, profile) {
+            url.pathname = `${basePath}/route`;
+            url.searchParams.append('point', `${from.lat},${from.lon}`);
+            url.searchParams.append('point', `${to.lat},${to.lon}`);
+            url.searchParams.set('profile', profile);
+            url.searchParams.set('points_encoded', 'false');
+        },
+        parse(data) {
+            const path = data?.paths?.[0];
+            if (!path?.points) return null;
+            return {
+                distance: path.distance,
+                duration: path.time / 1000,
+                coordinates: path.points.coordinates.map(([lon, lat]) => [lat, lon])
+            };
+        }
+    }
+};
+
+let mapInstance = null;
+let routeLayer = null;
+
+// Controller of the route request in progress, aborted by a newer request
+let activeRequest = null;
+
+/**
+ * Gets the routing API format in use
+ * @returns {Object} Entry of ROUTING_APIS
+ */
+function getRoutingApi() {
+    const api = ROUTING_APIS[CONFIG.ROUTING_API];
+    if (!api) {
+        throw new Error(`Unknown routing API: ${CONFIG.ROUTING_API}`);
+    }
+    return api;
+}
+
+/**
+ * Builds the route request URL
+ * '{profile}' in CONFIG.ROUTING_ENDPOINT is replaced by the profile, for servers with one instance per profile.
+ * @param {Object} from - Start with lat and lon
+ * @param {Object} to - Destination with lat and lon
+ * @param {string} mode - 'walking' or 'cycling'
+ * @returns {string} Request URL
+ */
+export function buildRouteUrl(from, to, mode) {
+    const profile = CONFIG.ROUTING_PROFILES[mode];
+    if (!profile) {
+        throw new Error(`Unknown travel mode: ${mode}`);
+    }
+
+    const url = new URL(CONFIG.ROUTING_ENDPOINT.replace('{profile}', profile));
+    getRoutingApi().buildUrl(url, url.pathname.replace(/\/$/, ''), from, to, profile);
+    return url.toString();
+}
+
+/**
+ * Reads the first route of a routing API response
+ * @param {Object} data - Parsed JSON response
+ * @returns {Object} Route with distance (meters), duration (seconds) and coordinates ([lat, lon] pairs)
+ * @throws {Error} If the response contains no route
+ */
+export function parseRoute(data) {
+    const route = getRoutingApi().parse(data);
+    if (!route || !Number.isFinite(route.distance) || !Number.isFinite(route.duration)) {
+        throw new Error(data?.message || 'No route found');
+    }
+    return route;
+}
+
+/**
+ * Requests a route
+ * @param {Object} from - Start with lat and lon
+ * @param {Object} to - Destination with lat and lon
+ * @param {string} mode - 'walking' or 'cycling'
+ * @param {AbortSignal|null} signal - Signal that cancels the request
+ * @returns {Promise<Object>} Route from parseRoute()
+ */
+export async function fetchRoute(from, to, mode, signal = null) {
+    // Add timeout to fetch request, and forward cancellation by the caller
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), CONFIG.ROUTING_TIMEOUT);
+    const abort = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', abort, { once: true });
+
+    try {
+        const response = await fetch(buildRouteUrl(from, to, mode), {
+            headers: { Accept: 'application/json' },
+            signal: controller.signal
+        });
+        // Routing APIs answer "no route" with a client error and a JSON message
+        const data = await response.json().catch(() => null);
+        if (!response.ok && !data) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return parseRoute(data);
+    } finally {
+        clearTimeout(timeoutId);
+        signal?.removeEventListener('abort', abort);
+    }
+}
+
+/**
+ * Builds links that open directions in external navigation apps
+ * @param {Object|null} from - Start with lat and lon, or null to let the app use the current location
+ * @param {Object} to - Destination with lat and lon
+ * @param {string} mode - 'walking' or 'cycling'
+ * @returns {Array<Object>} Links with label and url
+ */
+export function getNavigationLinks(from, to, mode) {
+    const appModes = APP_MODES[mode] || APP_MODES.walking;
+    const destination = `${to.lat},${to.lon}`;
+    const origin = from ? `${from.lat},${from.lon}` : '';
+
+    const google = new URL('https://www.google.com/maps/dir/');
+    google.searchParams.set('api', '1');
+    if (origin) google.searchParams.set('origin', origin);
+    google.searchParams.set('destination', destination);
+    google.searchParams.set('travelmode', appModes.google);
+
+    const apple = new URL('https://maps.apple.com/');
+    if (origin) apple.searchParams.set('saddr', origin);
+    apple.searchParams.set('daddr', destination);
+    if (appModes.apple) apple.searchParams.set('dirflg', appModes.apple);
+
+    const osm = new URL('https://www.openstreetmap.org/directions');
+    osm.searchParams.set('engine', appModes.osm);
+    osm.searchParams.set('route', `${origin};${destination}`);
+
+    return [
+        { label: 'Google Maps', url: google.toString() },
+        { label: 'Apple Maps', url: apple.toString() },
+        { label: 'OpenStreetMap', url: osm.toString() },
+        // Opens the default navigation app on Android
+        { label: 'Other app', url: `geo:${destination}` }
+    ];
+}
+
+/**
+ * Initializes routing with the map instance
+ * @param {L.Map} map - The Leaflet map instance
+ */
+export function initRouting(map) {
+    mapInstance = map;
+    routeLayer = L.layerGroup().addTo(mapInstance);
+}
+
+/**
+ * Removes the drawn route and cancels a route request in progress
+ */
+export function clearRoute() {
+    activeRequest?.abort();
+    activeRequest = null;
+    routeLayer?.clearLayers();
+}
+
+/**
+ * Draws the route from the user's position to a location
+ * Errors are shown as notifications.
+ * @param {Object} element - The OSM element to route to
+ * @param {string} mode - 'walking' or 'cycling'
+ * @returns {Promise<Object|null>} Route from parseRoute(), or null without a user position,
+ *                                 on errors or when a newer request replaced this one
+ */
+export async function showRoute(element, mode) {
+    const from = getUserPosition();
+    const to = getElementCoordinates(element);
+    if (!to) return null;
+
+    if (!from) {
+        showNotification('Directions need your location. Use the 📍 button to share it.', {
+            id: ROUTING_NOTIFICATION_ID,
+            level: 'warning'
+        });
+        return null;
+    }
+
+    clearRoute();
+    const controller = new AbortController();
+    activeRequest = controller;
+
+    try {
+        const route = await fetchRoute(from, to, mode, controller.signal);
+        if (activeRequest !== controller) return null;
+
+        const line = L.polyline(route.coordinates, {
+            color: CONFIG.COLORS.ROUTE,
+            weight: 5,
+            opacity: 0.8
+        }).addTo(routeLayer);
+        mapInstance.fitBounds(line.getBounds(), { padding: [40, 40] });
+        return route;
+    } catch (error) {
+        if (activeRequest !== controller) return null;
+        console.error('Error fetching route:', error);
+        showNotification('Could not get directions. Try one of the navigation apps instead.', {
+            id: ROUTING_NOTIFICATION_ID,
+            level: 'error'
+        });
+        return null;
+    } finally {
+        if (activeRequest === controller) {
+            activeRequest = null;
+        }
+    }
+}
@@ -0,0 +1,168 @@
+/**
+ * In-memory store of the locations loaded for the current map view
+ * Filter and planned time changes are rendered from here without re-querying Overpass.
+ * Zoomed out, it holds location counts per area (density cells) instead.
+ */
+
+import { collectionFilterState } from './config.js';
+import { fetchCoffeeLocations, fetchLocationDensity, getElementCoordinates } from './api.js';
+import { matchesFilters } from './filters.js';
+import { getElementOpenStatus } from './planner.js';
+import { isFavorite, loadFavorites } from './favorites.js';
+
+// OSM elements with coordinates from the last successful fetch
+let locations = [];
+
+// Location counts per area from the last successful density load
+let densityCells = [];
+
+// Sequence number of the latest load, and the controller to cancel it
+let loadSequence = 0;
+let activeLoad = null;
+
+/**
+ * Cancels the load in progress, if any, so its response is never applied
+ */
+function cancelActiveLoad() {
+    loadSequence++;
+    if (activeLoad) {
+        activeLoad.abort();
+        activeLoad = null;
+    }
+}
+
+/**
+ * Runs a load, cancelling the previous one (of either kind)
+ * @param {Function} fetchData - Called with an AbortSignal, resolves with the loaded data
+ * @param {Function} applyData - Stores the data, only called if no newer load started meanwhile
+ * @returns {Promise<boolean>} True if the data was applied, false if a newer load superseded this one
+ */
+async function runLoad(fetchData, applyData) {
+    cancelActiveLoad();
+    const sequence = loadSequence;
+    const controller = new AbortController();
+    activeLoad = controller;
+
+    try {
+        const data = await fetchData(controller.signal);
+        if (sequence !== loadSequence) return false;
+
+        applyData(data);
+        return true;
+    } catch (error) {
+        if (sequence !== loadSequence) return false;
+        throw error;
+    } finally {
+        if (activeLoad === controller) {
+            activeLoad = null;
+        }
+    }
+}
+
+/**
+ * Loads the locations for a map view, replacing the stored ones
+ * Starting a new load cancels the previous one; responses of superseded loads are
+ * ignored even if they arrive after a newer one. On failure the stored locations are kept.
+ * @param {L.LatLngBounds} bounds - The map bounds to load
+ * @returns {Promise<boolean>} True if the locations were replaced, false if a newer load superseded this one
+ */
+export function loadLocations(bounds) {
+    return runLoad(
+        signal => fetchCoffeeLocations(bounds, signal),
+        elements => {
+            setLocations(elements);
+            densityCells = [];
+        }
+    );
+}
+
+/**
+ * Loads the location counts per area for a zoomed-out map view, replacing the stored ones
+ * Shares cancellation with loadLocations(), so only the latest view is ever applied.
+ * On failure the stored cells are kept.
+ * @param {L.LatLngBounds} bounds - The map bounds to load
+ * @param {number} zoom - The current map zoom level
+ * @returns {Promise<boolean>} True if the cells were replaced, false if a newer load superseded this one
+ */
+export function loadDensity(bounds, zoom) {
+    return runLoad(
+        signal => fetchLocationDensity(bounds, zoom, signal),
+        cells => {
+            densityCells = cells;
+            locations = [];
+        }
+    );
+}
+
+/**
+ * Replaces the stored locations, keeping only elements with coordinates
+ * @param {Array} elements - OSM elements returned by the Overpass API
+ */
+export function setLocations(elements) {
+    locations = (elements || []).filter(element => getElementCoordinates(element) !== null);
+}
+
+/**
+ * Removes all stored locations and density cells (e.g. when zoomed out too far to show any)
+ * A load in progress is cancelled so it cannot bring them back.
+ */
+export function clearLocations() {
+    cancelActiveLoad();
+    locations = [];
+    densityCells = [];
+}
+
+/**
+ * Gets all stored locations, regardless of the active filters
+ * @returns {Array} OSM elements
+ */
+export function getLocations() {
+    return locations;
+}
+
+/**
+ * Gets the stored location counts per area
+ * @returns {Array<Object>} Cells with key, bounds (south, west, north, east) and count
+ */
+export function getDensityCells() {
+    return densityCells;
+}
+
+/**
+ * Gets the stored locations that pass the active type, attribute and "Open now" filters,
+ * and that are in the favorites collection shown on its own, if any
+ * @param {Date} now - Current time (defaults to now)
+ * @returns {Array<Object>} Entries with element, coords and hours (open status from getElementOpenStatus)
+ */
+export function getVisibleLocations(now = new Date()) {
+    const visible = [];
+
+    locations.forEach(element => {
+        const hours = getElementOpenStatus(element, now);
+        if (!matchesFilters(element.tags || {}, hours.isOpen)) return;
+        if (collectionFilterState.collection && !isFavorite(element, collectionFilterState.collection)) return;
+
+        visible.push({ element, coords: getElementCoordinates(element), hours });
+    });
+
+    return visible;
+}
+
+/**
+ * Gets the favorites to draw on the favorites layer, which is shown at every zoom level
+ * Favorites among the stored locations are left out unless asked for, as they have location
+ * markers of their own (following the filters). Only the favorites collection shown on its own counts, if any.
+ * @param {boolean} includeLoaded - Whether to include favorites among the stored locations
+ * @param {Date} now - Current time (defaults to now)
+ * @returns {Array<Object>} Entries with element (the favorite), coords and hours, like getVisibleLocations()
+ */
+export function getFavoriteLocations(includeLoaded = false, now = new Date()) {
+    const loaded = new Set(includeLoaded ? [] : locations.map(element => `${element.type}/${element.id}`));
+    const collectionId = collectionFilterState.collection;
+
+    return loadFavorites()
+        .filter(favorite => !loaded.has(`${favorite.type}/${favorite.id}`))
+        .filter(favorite => !collectionId || isFavorite(favorite, collectionId))
+        .map(favorite => ({ element: favorite, coords: getElementCoordinates(favorite), hours: getElementOpenStatus(favorite, now) }))
+        .filter(({ coords }) => coords !== null);
+}
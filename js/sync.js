@@ -0,0 +1,510 @@
+/**
+ * Shared favorite lists, synced with a server
+ * A list is shared by uploading it to the sync server (CONFIG.FAVORITES_SYNC_API and
+ * CONFIG.FAVORITES_SYNC_ENDPOINT) and joined by its share code. Local changes are sent as
+ * operations (add, remove, rename) on top of the last known server version: ETags detect
+ * edits by others, which are merged by applying the operations to the newer version again.
+ * Operations that could not be sent yet (e.g. offline) wait in a queue in localStorage, shared
+ * by all tabs; each operation has an id, so a tab only drops the operations it sent.
+ */
+
+import { CONFIG } from './config.js';
+import { loadCollections, createCollection, getFreeCollectionName, getCollectionPlaces, setCollectionPlaces } from './favorites.js';
+import { showNotification } from './notifications.js';
+
+const SYNC_STORAGE_KEY = 'osmCoffeeSync';
+const SYNC_NOTIFICATION_ID = 'favorites-sync';
+
+// Local name of a joined list that has no name on the server, numbered if taken ("Shared list 2")
+const SHARED_LIST_NAME = 'Shared list';
+
+// Attempts to send local changes while others keep changing the same list
+const MAX_SYNC_ATTEMPTS = 3;
+
+/**
+ * Request and response formats of the supported sync APIs
+ * A list is stored as a document { name, places } where places are favorite snapshots.
+ * - create(endpoint, document): resolves with the new list's id and etag
+ * - fetch(endpoint, id, etag): resolves with document and etag, or null if unchanged since etag
+ * - update(endpoint, id, document, etag): resolves with the new etag; rejects with status 412
+ *   if the list changed since etag
+ */
+const SYNC_APIS = {
+    rest: {
+        async create(endpoint, document) {
+            const response = await sendRequest(`${endpoint}/lists`, { method: 'POST', body: document });
+            const { id } = await response.json();
+            return { id: String(id), etag: response.headers.get('ETag') };
+        },
+        async fetch(endpoint, id, etag) {
+            const headers = etag ? { 'If-None-Match': etag } : {};
+            const response = await sendRequest(`${endpoint}/lists/${encodeURIComponent(id)}`, { headers });
+            if (response.status === 304) return null;
+            return { document: await response.json(), etag: response.headers.get('ETag') };
+        },
+        async update(endpoint, id, document, etag) {
+            // Without an ETag from the server, the last write wins
+            const headers = etag ? { 'If-Match': etag } : {};
+            const response = await sendRequest(`${endpoint}/lists/${encodeURIComponent(id)}`, { method: 'PUT', headers, body: document });
+            return { etag: response.headers.get('ETag') };
+        }
+    }
+};
+
+// Sync run in progress, and whether another run was requested meanwhile
+let activeSync = null;
+let syncRequested = false;
+
+/**
+ * Sends a request to the sync server
+ * @param {string} url - Request URL
+ * @param {Object} options - method, headers and body (sent as JSON)
+ * @returns {Promise<Response>} The response, if successful or 304 Not Modified
+ * @throws {Error} With the HTTP status as status property; network errors and timeouts have none
+ */
+async function sendRequest(url, { method = 'GET', headers = {}, body } = {}) {
+    // Add timeout to fetch request
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), CONFIG.FAVORITES_SYNC_TIMEOUT);
+
+    try {
+        const response = await fetch(url, {
+            method,
+            headers: {
+                Accept: 'application/json',
+                ...(body ? { 'Content-Type': 'application/json' } : {}),
+                ...headers
+            },
+            body: body ? JSON.stringify(body) : undefined,
+            signal: controller.signal
+        });
+        if (!response.ok && response.status !== 304) {
+            const error = new Error(`HTTP error! status: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return response;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Checks whether shared lists are available
+ * @returns {boolean} True if a sync server is configured
+ */
+export function isSyncEnabled() {
+    return Boolean(CONFIG.FAVORITES_SYNC_ENDPOINT);
+}
+
+/**
+ * Gets the sync API format in use
+ * @returns {Object} Entry of SYNC_APIS
+ */
+function getSyncApi() {
+    const api = SYNC_APIS[CONFIG.FAVORITES_SYNC_API];
+    if (!api) {
+        throw new Error(`Unknown sync API: ${CONFIG.FAVORITES_SYNC_API}`);
+    }
+    return api;
+}
+
+/**
+ * Gets the sync server base URL without a trailing slash
+ * @returns {string} Base URL
+ */
+function getSyncEndpoint() {
+    return String(CONFIG.FAVORITES_SYNC_ENDPOINT).replace(/\/$/, '');
+}
+
+/**
+ * Reads the shared lists from localStorage
+ * Read again for every change, so a sync that waited for the server never overwrites newer state.
+ * @returns {Object} State with lists: local collection id → remoteId (share code), etag,
+ *                   base (last known server document), queue (operations not sent yet) and,
+ *                   for lists without a name on the server, localName (the name they got here)
+ */
+function readSyncState() {
+    try {
+        const state = JSON.parse(localStorage.getItem(SYNC_STORAGE_KEY));
+        return state && typeof state.lists === 'object' ? state : { lists: {} };
+    } catch (error) {
+        return { lists: {} };
+    }
+}
+
+/**
+ * Saves the shared lists to localStorage
+ * @param {Object} state - State from readSyncState()
+ */
+function writeSyncState(state) {
+    try {
+        localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify(state));
+    } catch (error) {
+        console.error('Error saving shared lists:', error);
+    }
+}
+
+/**
+ * Builds the key identifying a place
+ * @param {Object} place - Favorite snapshot with type and id
+ * @returns {string} Key such as 'node/123'
+ */
+function getPlaceKey(place) {
+    return `${place.type}/${place.id}`;
+}
+
+/**
+ * Cleans up a list document from the server
+ * @param {Object} document - Parsed server response
+ * @returns {Object} Document with name (string) and places (array)
+ */
+function normalizeDocument(document) {
+    return {
+        name: typeof document?.name === 'string' ? document.name.trim() : '',
+        places: Array.isArray(document?.places) ? document.places.filter(place => place?.type && place.id !== undefined) : []
+    };
+}
+
+/**
+ * Applies queued operations to a list document
+ * Operations that no longer change anything (e.g. adding a place someone else added too) are skipped.
+ * @param {Object} document - List document with name and places
+ * @param {Array<Object>} operations - Operations: { type: 'add', place }, { type: 'remove', key } or { type: 'rename', name }
+ * @returns {Object} The resulting document
+ */
+function applyOperations(document, operations) {
+    const places = new Map(document.places.map(place => [getPlaceKey(place), place]));
+    let { name } = document;
+
+    operations.forEach(operation => {
+        if (operation.type === 'add' && !places.has(getPlaceKey(operation.place))) {
+            places.set(getPlaceKey(operation.place), operation.place);
+        } else if (operation.type === 'remove') {
+            places.delete(operation.key);
+        } else if (operation.type === 'rename') {
+            name = operation.name;
+        }
+    });
+
+    return { name, places: [...places.values()] };
+}
+
+/**
+ * Creates an id for a queued operation
+ * @returns {string} Id unique enough among the operations of one queue
+ */
+function createOperationId() {
+    return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Finds the operations that turn one version of a list into another
+ * @param {Object} from - List document expected from the known server version and queue
+ * @param {Object} to - List document of the local collection
+ * @returns {Array<Object>} Operations, see applyOperations()
+ */
+function getOperations(from, to) {
+    const fromKeys = new Set(from.places.map(getPlaceKey));
+    const toKeys = new Set(to.places.map(getPlaceKey));
+
+    return [
+        ...to.places.filter(place => !fromKeys.has(getPlaceKey(place))).map(place => ({ type: 'add', place })),
+        ...from.places.filter(place => !toKeys.has(getPlaceKey(place))).map(place => ({ type: 'remove', key: getPlaceKey(place) })),
+        ...(to.name !== from.name ? [{ type: 'rename', name: to.name }] : [])
+    ];
+}
+
+/**
+ * Gets the share code of a collection
+ * @param {string} collectionId - Id of the local collection
+ * @returns {string|null} The code others join the list with, or null if the list is not shared
+ */
+export function getShareCode(collectionId) {
+    return readSyncState().lists[collectionId]?.remoteId ?? null;
+}
+
+/**
+ * Gets the number of changes to a shared list that are not on the server yet
+ * @param {string} collectionId - Id of the local collection
+ * @returns {number} Number of queued operations
+ */
+export function getPendingChangeCount(collectionId) {
+    return readSyncState().lists[collectionId]?.queue.length ?? 0;
+}
+
+/**
+ * Queues the local changes to shared lists as operations
+ * Called whenever favorites change. Shared lists deleted locally stop syncing; they stay on the server.
+ * @returns {boolean} True if operations were queued
+ */
+export function queueLocalChanges() {
+    const state = readSyncState();
+    const collections = new Map(loadCollections().map(collection => [collection.id, collection]));
+    let queued = false;
+    let changed = false;
+
+    Object.entries(state.lists).forEach(([collectionId, list]) => {
+        const collection = collections.get(collectionId);
+        if (!collection) {
+            delete state.lists[collectionId];
+            changed = true;
+            return;
+        }
+
+        // The local name of a list without a name on the server is not sent as a rename
+        const expected = applyOperations(list.base, list.queue);
+        const name = !expected.name && collection.name === list.localName ? '' : collection.name;
+        const operations = getOperations(expected, { name, places: getCollectionPlaces(collectionId) });
+        if (operations.length > 0) {
+            list.queue.push(...operations.map(operation => ({ id: createOperationId(), ...operation })));
+            queued = true;
+            changed = true;
+        }
+    });
+
+    if (changed) {
+        writeSyncState(state);
+    }
+    return queued;
+}
+
+/**
+ * Stores a server version of a shared list and shows it locally, with the operations not sent yet on top
+ * @param {string} collectionId - Id of the local collection
+ * @param {Object} document - The server version
+ * @param {string|null} etag - Its ETag
+ * @param {Array<string>} sentIds - Ids of the queued operations the server version already contains
+ */
+function applyServerVersion(collectionId, document, etag, sentIds = []) {
+    const state = readSyncState();
+    const list = state.lists[collectionId];
+    if (!list) return;
+
+    // Another tab may have sent or queued operations meanwhile, so only the ones sent here are dropped
+    const sent = new Set(sentIds);
+    list.base = normalizeDocument(document);
+    list.etag = etag;
+    list.queue = list.queue.filter(operation => !sent.has(operation.id));
+    writeSyncState(state);
+
+    setCollectionPlaces(collectionId, applyOperations(list.base, list.queue));
+}
+
+/**
+ * Sends the queued operations of a shared list, or fetches changes by others if there are none
+ * On an ETag mismatch, the newer server version is fetched and the operations are applied to it again.
+ * @param {string} collectionId - Id of the local collection
+ * @throws {Error} If the server cannot be reached or rejects the changes
+ */
+async function syncCollection(collectionId) {
+    const api = getSyncApi();
+    const endpoint = getSyncEndpoint();
+
+    for (let attempt = 1; attempt <= MAX_SYNC_ATTEMPTS; attempt++) {
+        const list = readSyncState().lists[collectionId];
+        if (!list) return;
+
+        if (list.queue.length === 0) {
+            const result = await api.fetch(endpoint, list.remoteId, list.etag);
+            if (result) {
+                applyServerVersion(collectionId, result.document, result.etag);
+            }
+            return;
+        }
+
+        const sentIds = list.queue.map(operation => operation.id);
+        const document = applyOperations(list.base, list.queue);
+        try {
+            const { etag } = await api.update(endpoint, list.remoteId, document, list.etag);
+            applyServerVersion(collectionId, document, etag, sentIds);
+            return;
+        } catch (error) {
+            if (error.status !== 412) throw error;
+
+            // Changed by someone else meanwhile: continue from their version
+            const result = await api.fetch(endpoint, list.remoteId, null);
+            applyServerVersion(collectionId, result.document, result.etag);
+        }
+    }
+
+    throw new Error('The shared list kept changing while saving');
+}
+
+/**
+ * Stops syncing a shared list that was deleted on the server
+ * The local list stays, as an unshared list.
+ * @param {string} collectionId - Id of the local collection
+ */
+function stopSyncing(collectionId) {
+    const state = readSyncState();
+    delete state.lists[collectionId];
+    writeSyncState(state);
+
+    const collection = loadCollections().find(item => item.id === collectionId);
+    showNotification(`"${collection?.name || 'A shared list'}" no longer exists on the sync server. It stays on this device, but is no longer shared.`, {
+        id: SYNC_NOTIFICATION_ID,
+        level: 'warning'
+    });
+
+    // Removes the shared mark in the list switcher
+    window.dispatchEvent(new CustomEvent('favoritesChanged'));
+}
+
+/**
+ * Reports a failed sync of a shared list
+ * Without a connection, changes wait quietly in the queue unless there are some. A list deleted
+ * on the server (404) is no longer synced, so this is reported only once.
+ * @param {string} collectionId - Id of the local collection
+ * @param {Error} error - The error
+ */
+function reportSyncError(collectionId, error) {
+    console.warn('Error syncing shared list:', error);
+    if (error.status === undefined) {
+        if (getPendingChangeCount(collectionId) > 0) {
+            showNotification('Changes to shared lists will be sent once the sync server can be reached.', {
+                id: SYNC_NOTIFICATION_ID,
+                level: 'warning'
+            });
+        }
+        return;
+    }
+
+    if (error.status === 404) {
+        stopSyncing(collectionId);
+        return;
+    }
+    showNotification('Could not sync a shared list. Changes will be sent later.', { id: SYNC_NOTIFICATION_ID, level: 'error' });
+}
+
+/**
+ * Syncs all shared lists with the server
+ * Only one sync runs at a time; a sync requested meanwhile runs once the current one is done.
+ * @returns {Promise<boolean>} True if every shared list is in sync, false if some changes are still queued or failed
+ */
+export function syncSharedCollections() {
+    if (!isSyncEnabled()) {
+        return Promise.resolve(true);
+    }
+    if (activeSync) {
+        syncRequested = true;
+        return activeSync;
+    }
+
+    activeSync = syncAllCollections().finally(() => {
+        activeSync = null;
+    });
+    return activeSync;
+}
+
+/**
+ * Syncs every shared list, again as long as more syncs are requested meanwhile
+ * @returns {Promise<boolean>} True if every shared list is in sync
+ */
+async function syncAllCollections() {
+    let inSync;
+    do {
+        syncRequested = false;
+        inSync = true;
+
+        // Changes whose operations another tab overwrote in the shared queue are queued again
+        queueLocalChanges();
+        for (const collectionId of Object.keys(readSyncState().lists)) {
+            try {
+                await syncCollection(collectionId);
+            } catch (error) {
+                inSync = false;
+                reportSyncError(collectionId, error);
+            }
+        }
+    } while (syncRequested);
+    return inSync;
+}
+
+/**
+ * Shares a collection by uploading it to the sync server
+ * Only the places are shared, not their personal data. Sharing a shared list again returns its code.
+ * @param {string} collectionId - Id of the local collection
+ * @returns {Promise<string>} The share code others join the list with
+ */
+export async function shareCollection(collectionId) {
+    const existing = getShareCode(collectionId);
+    if (existing) return existing;
+
+    const collection = loadCollections().find(item => item.id === collectionId);
+    if (!collection) {
+        throw new Error('This list no longer exists.');
+    }
+
+    const document = { name: collection.name, places: getCollectionPlaces(collectionId) };
+    const { id, etag } = await getSyncApi().create(getSyncEndpoint(), document);
+
+    const state = readSyncState();
+    state.lists[collectionId] = { remoteId: id, etag, base: document, queue: [] };
+    writeSyncState(state);
+
+    // Changes made during the upload are queued on top of the uploaded version
+    if (queueLocalChanges()) {
+        syncSharedCollections();
+    }
+    window.dispatchEvent(new CustomEvent('favoritesChanged'));
+    return id;
+}
+
+/**
+ * Joins a list shared by someone else, as a new local collection
+ * Joining a list again returns the collection it was joined as.
+ * @param {string} shareCode - The code of the shared list
+ * @returns {Promise<string>} Id of the local collection
+ */
+export async function joinSharedCollection(shareCode) {
+    const remoteId = String(shareCode || '').trim();
+    if (!remoteId) {
+        throw new Error('Enter the code of a shared list.');
+    }
+
+    const joined = Object.entries(readSyncState().lists).find(([, list]) => list.remoteId === remoteId);
+    if (joined) return joined[0];
+
+    const { document, etag } = await getSyncApi().fetch(getSyncEndpoint(), remoteId, null);
+    const content = normalizeDocument(document);
+
+    // The server's name replaces this one, if the list has a name there
+    const collection = createCollection(getFreeCollectionName(SHARED_LIST_NAME));
+
+    const state = readSyncState();
+    state.lists[collection.id] = { remoteId, etag, base: content, queue: [] };
+    if (!content.name) {
+        state.lists[collection.id].localName = collection.name;
+    }
+    writeSyncState(state);
+
+    setCollectionPlaces(collection.id, content);
+    return collection.id;
+}
+
+/**
+ * Starts syncing shared lists, if a sync server is configured
+ * Local changes are queued and sent right away; changes by others are fetched every
+ * CONFIG.FAVORITES_SYNC_INTERVAL and when the browser comes back online.
+ */
+export function initFavoritesSync() {
+    if (!isSyncEnabled()) return;
+
+    window.addEventListener('favoritesChanged', () => {
+        if (queueLocalChanges()) {
+            syncSharedCollections();
+        }
+    });
+    window.addEventListener('online', () => syncSharedCollections());
+
+    // Shared lists changed in another tab (e.g. shared or joined there) update the UI here too
+    window.addEventListener('storage', event => {
+        if (event.storageArea === localStorage && event.key === SYNC_STORAGE_KEY) {
+            window.dispatchEvent(new CustomEvent('favoritesChanged'));
+        }
+    });
+    setInterval(() => syncSharedCollections(), CONFIG.FAVORITES_SYNC_INTERVAL);
+
+    syncSharedCollections();
+}
@@ -0,0 +1,76 @@
+/**
+ * Fixed map tiles used to load and cache locations area by area
+ * Uses the standard Web Mercator (slippy map) tile scheme.
+ */
+
+// Web Mercator is undefined at the poles, tiles stop at this latitude
+const MAX_LATITUDE = 85.0511;
+
+/**
+ * Builds the cache key of a tile
+ * @param {number} zoom - Tile zoom level
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @returns {string} Key in the form 'zoom/x/y'
+ */
+export function getTileKey(zoom, x, y) {
+    return `${zoom}/${x}/${y}`;
+}
+
+/**
+ * Finds the tile containing a point
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {number} zoom - Tile zoom level
+ * @returns {Object} Tile with x, y and key properties
+ */
+export function getTileForCoordinates(lat, lon, zoom) {
+    const count = 2 ** zoom;
+    const clampedLat = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+    const latRad = clampedLat * Math.PI / 180;
+
+    const x = Math.floor((lon + 180) / 360 * count);
+    const y = Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * count);
+
+    const tileX = Math.max(0, Math.min(count - 1, x));
+    const tileY = Math.max(0, Math.min(count - 1, y));
+    return { x: tileX, y: tileY, key: getTileKey(zoom, tileX, tileY) };
+}
+
+/**
+ * Calculates the geographic bounds of a tile
+ * @param {number} zoom - Tile zoom level
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @returns {Object} Bounds with south, west, north and east properties
+ */
+export function getTileBounds(zoom, x, y) {
+    const count = 2 ** zoom;
+    const toLat = row => Math.atan(Math.sinh(Math.PI * (1 - 2 * row / count))) * 180 / Math.PI;
+
+    return {
+        south: toLat(y + 1),
+        west: x / count * 360 - 180,
+        north: toLat(y),
+        east: (x + 1) / count * 360 - 180
+    };
+}
+
+/**
+ * Lists all tiles overlapping an area
+ * @param {Object} bounds - Area with south, west, north and east properties
+ * @param {number} zoom - Tile zoom level
+ * @returns {Array<Object>} Tiles with x, y and key properties, row by row
+ */
+export function getTilesForBounds(bounds, zoom) {
+    const northWest = getTileForCoordinates(bounds.north, bounds.west, zoom);
+    const southEast = getTileForCoordinates(bounds.south, bounds.east, zoom);
+
+    const tiles = [];
+    for (let y = northWest.y; y <= southEast.y; y++) {
+        for (let x = northWest.x; x <= southEast.x; x++) {
+            tiles.push({ x, y, key: getTileKey(zoom, x, y) });
+        }
+    }
+    return tiles;
+}
@@ -0,0 +1,415 @@
+/**
+ * Time zones of locations and wall-clock time conversion
+ */
+
+import { getWallClock, getDistance } from './utils.js';
+import { getElementCoordinates } from './api.js';
+
+// Reference cities used to approximate a time zone from coordinates (nearest city wins).
+// Without zone boundary data this is a best guess: places near a border may get the
+// neighbour's zone, so cities on both sides of common borders are listed.
+const REFERENCE_CITIES = [
+    // Europe
+    { lat: 51.51, lon: -0.13, timeZone: 'Europe/London' },
+    { lat: 53.48, lon: -2.24, timeZone: 'Europe/London' },
+    { lat: 55.95, lon: -3.19, timeZone: 'Europe/London' },
+    { lat: 54.60, lon: -5.93, timeZone: 'Europe/London' },
+    { lat: 53.35, lon: -6.26, timeZone: 'Europe/Dublin' },
+    { lat: 51.90, lon: -8.47, timeZone: 'Europe/Dublin' },
+    { lat: 64.15, lon: -21.94, timeZone: 'Atlantic/Reykjavik' },
+    { lat: 38.72, lon: -9.14, timeZone: 'Europe/Lisbon' },
+    { lat: 41.15, lon: -8.61, timeZone: 'Europe/Lisbon' },
+    { lat: 37.74, lon: -25.67, timeZone: 'Atlantic/Azores' },
+    { lat: 28.12, lon: -15.44, timeZone: 'Atlantic/Canary' },
+    { lat: 40.42, lon: -3.70, timeZone: 'Europe/Madrid' },
+    { lat: 41.39, lon: 2.17, timeZone: 'Europe/Madrid' },
+    { lat: 37.39, lon: -5.98, timeZone: 'Europe/Madrid' },
+    { lat: 43.26, lon: -2.93, timeZone: 'Europe/Madrid' },
+    { lat: 42.88, lon: -8.54, timeZone: 'Europe/Madrid' },
+    { lat: 48.86, lon: 2.35, timeZone: 'Europe/Paris' },
+    { lat: 50.63, lon: 3.06, timeZone: 'Europe/Paris' },
+    { lat: 48.11, lon: -1.68, timeZone: 'Europe/Paris' },
+    { lat: 44.84, lon: -0.58, timeZone: 'Europe/Paris' },
+    { lat: 43.60, lon: 1.44, timeZone: 'Europe/Paris' },
+    { lat: 45.76, lon: 4.84, timeZone: 'Europe/Paris' },
+    { lat: 43.30, lon: 5.37, timeZone: 'Europe/Paris' },
+    { lat: 48.57, lon: 7.75, timeZone: 'Europe/Paris' },
+    { lat: 50.85, lon: 4.35, timeZone: 'Europe/Brussels' },
+    { lat: 49.61, lon: 6.13, timeZone: 'Europe/Luxembourg' },
+    { lat: 52.37, lon: 4.90, timeZone: 'Europe/Amsterdam' },
+    { lat: 52.52, lon: 13.40, timeZone: 'Europe/Berlin' },
+    { lat: 53.55, lon: 9.99, timeZone: 'Europe/Berlin' },
+    { lat: 50.94, lon: 6.96, timeZone: 'Europe/Berlin' },
+    { lat: 50.11, lon: 8.68, timeZone: 'Europe/Berlin' },
+    { lat: 48.14, lon: 11.58, timeZone: 'Europe/Berlin' },
+    { lat: 51.05, lon: 13.74, timeZone: 'Europe/Berlin' },
+    { lat: 47.38, lon: 8.54, timeZone: 'Europe/Zurich' },
+    { lat: 46.20, lon: 6.14, timeZone: 'Europe/Zurich' },
+    { lat: 48.21, lon: 16.37, timeZone: 'Europe/Vienna' },
+    { lat: 47.81, lon: 13.04, timeZone: 'Europe/Vienna' },
+    { lat: 50.08, lon: 14.44, timeZone: 'Europe/Prague' },
+    { lat: 48.15, lon: 17.11, timeZone: 'Europe/Bratislava' },
+    { lat: 47.50, lon: 19.04, timeZone: 'Europe/Budapest' },
+    { lat: 46.06, lon: 14.51, timeZone: 'Europe/Ljubljana' },
+    { lat: 45.81, lon: 15.98, timeZone: 'Europe/Zagreb' },
+    { lat: 41.90, lon: 12.50, timeZone: 'Europe/Rome' },
+    { lat: 45.46, lon: 9.19, timeZone: 'Europe/Rome' },
+    { lat: 40.85, lon: 14.27, timeZone: 'Europe/Rome' },
+    { lat: 38.12, lon: 13.36, timeZone: 'Europe/Rome' },
+    { lat: 35.90, lon: 14.51, timeZone: 'Europe/Malta' },
+    { lat: 55.68, lon: 12.57, timeZone: 'Europe/Copenhagen' },
+    { lat: 59.91, lon: 10.75, timeZone: 'Europe/Oslo' },
+    { lat: 60.39, lon: 5.32, timeZone: 'Europe/Oslo' },
+    { lat: 63.43, lon: 10.40, timeZone: 'Europe/Oslo' },
+    { lat: 59.33, lon: 18.07, timeZone: 'Europe/Stockholm' },
+    { lat: 57.71, lon: 11.97, timeZone: 'Europe/Stockholm' },
+    { lat: 63.83, lon: 20.26, timeZone: 'Europe/Stockholm' },
+    { lat: 60.17, lon: 24.94, timeZone: 'Europe/Helsinki' },
+    { lat: 65.01, lon: 25.47, timeZone: 'Europe/Helsinki' },
+    { lat: 59.44, lon: 24.75, timeZone: 'Europe/Tallinn' },
+    { lat: 56.95, lon: 24.11, timeZone: 'Europe/Riga' },
+    { lat: 54.69, lon: 25.28, timeZone: 'Europe/Vilnius' },
+    { lat: 54.71, lon: 20.51, timeZone: 'Europe/Kaliningrad' },
+    { lat: 52.23, lon: 21.01, timeZone: 'Europe/Warsaw' },
+    { lat: 50.06, lon: 19.94, timeZone: 'Europe/Warsaw' },
+    { lat: 54.35, lon: 18.65, timeZone: 'Europe/Warsaw' },
+    { lat: 53.90, lon: 27.57, timeZone: 'Europe/Minsk' },
+    { lat: 52.10, lon: 23.69, timeZone: 'Europe/Minsk' },
+    { lat: 52.44, lon: 30.98, timeZone: 'Europe/Minsk' },
+    { lat: 50.45, lon: 30.52, timeZone: 'Europe/Kiev' },
+    { lat: 49.84, lon: 24.03, timeZone: 'Europe/Kiev' },
+    { lat: 46.48, lon: 30.72, timeZone: 'Europe/Kiev' },
+    { lat: 49.99, lon: 36.23, timeZone: 'Europe/Kiev' },
+    { lat: 47.01, lon: 28.86, timeZone: 'Europe/Chisinau' },
+    { lat: 44.43, lon: 26.10, timeZone: 'Europe/Bucharest' },
+    { lat: 46.77, lon: 23.59, timeZone: 'Europe/Bucharest' },
+    { lat: 42.70, lon: 23.32, timeZone: 'Europe/Sofia' },
+    { lat: 44.79, lon: 20.45, timeZone: 'Europe/Belgrade' },
+    { lat: 43.86, lon: 18.41, timeZone: 'Europe/Sarajevo' },
+    { lat: 42.44, lon: 19.26, timeZone: 'Europe/Podgorica' },
+    { lat: 41.33, lon: 19.82, timeZone: 'Europe/Tirane' },
+    { lat: 42.00, lon: 21.43, timeZone: 'Europe/Skopje' },
+    { lat: 37.98, lon: 23.73, timeZone: 'Europe/Athens' },
+    { lat: 40.64, lon: 22.94, timeZone: 'Europe/Athens' },
+    { lat: 35.34, lon: 25.13, timeZone: 'Europe/Athens' },
+    { lat: 35.17, lon: 33.36, timeZone: 'Asia/Nicosia' },
+    { lat: 41.01, lon: 28.98, timeZone: 'Europe/Istanbul' },
+    { lat: 39.93, lon: 32.86, timeZone: 'Europe/Istanbul' },
+    { lat: 38.42, lon: 27.14, timeZone: 'Europe/Istanbul' },
+    { lat: 37.00, lon: 35.32, timeZone: 'Europe/Istanbul' },
+    { lat: 55.76, lon: 37.62, timeZone: 'Europe/Moscow' },
+    { lat: 59.94, lon: 30.31, timeZone: 'Europe/Moscow' },
+    { lat: 55.80, lon: 49.11, timeZone: 'Europe/Moscow' },
+    { lat: 47.24, lon: 39.71, timeZone: 'Europe/Moscow' },
+    { lat: 53.20, lon: 50.15, timeZone: 'Europe/Samara' },
+    { lat: 41.72, lon: 44.79, timeZone: 'Asia/Tbilisi' },
+    { lat: 40.18, lon: 44.51, timeZone: 'Asia/Yerevan' },
+    { lat: 40.41, lon: 49.87, timeZone: 'Asia/Baku' },
+    // North America
+    { lat: 40.71, lon: -74.01, timeZone: 'America/New_York' },
+    { lat: 42.36, lon: -71.06, timeZone: 'America/New_York' },
+    { lat: 38.91, lon: -77.04, timeZone: 'America/New_York' },
+    { lat: 35.23, lon: -80.84, timeZone: 'America/New_York' },
+    { lat: 33.75, lon: -84.39, timeZone: 'America/New_York' },
+    { lat: 30.33, lon: -81.66, timeZone: 'America/New_York' },
+    { lat: 25.76, lon: -80.19, timeZone: 'America/New_York' },
+    { lat: 39.96, lon: -83.00, timeZone: 'America/New_York' },
+    { lat: 38.25, lon: -85.76, timeZone: 'America/Kentucky/Louisville' },
+    { lat: 42.33, lon: -83.05, timeZone: 'America/Detroit' },
+    { lat: 39.77, lon: -86.16, timeZone: 'America/Indiana/Indianapolis' },
+    { lat: 43.65, lon: -79.38, timeZone: 'America/Toronto' },
+    { lat: 45.50, lon: -73.57, timeZone: 'America/Toronto' },
+    { lat: 46.81, lon: -71.21, timeZone: 'America/Toronto' },
+    { lat: 44.65, lon: -63.57, timeZone: 'America/Halifax' },
+    { lat: 47.56, lon: -52.71, timeZone: 'America/St_Johns' },
+    { lat: 41.88, lon: -87.63, timeZone: 'America/Chicago' },
+    { lat: 43.04, lon: -87.91, timeZone: 'America/Chicago' },
+    { lat: 44.98, lon: -93.27, timeZone: 'America/Chicago' },
+    { lat: 38.63, lon: -90.20, timeZone: 'America/Chicago' },
+    { lat: 36.16, lon: -86.78, timeZone: 'America/Chicago' },
+    { lat: 35.15, lon: -90.05, timeZone: 'America/Chicago' },
+    { lat: 33.52, lon: -86.80, timeZone: 'America/Chicago' },
+    { lat: 29.95, lon: -90.07, timeZone: 'America/Chicago' },
+    { lat: 29.76, lon: -95.37, timeZone: 'America/Chicago' },
+    { lat: 32.78, lon: -96.80, timeZone: 'America/Chicago' },
+    { lat: 29.42, lon: -98.49, timeZone: 'America/Chicago' },
+    { lat: 35.47, lon: -97.52, timeZone: 'America/Chicago' },
+    { lat: 39.10, lon: -94.58, timeZone: 'America/Chicago' },
+    { lat: 41.26, lon: -95.93, timeZone: 'America/Chicago' },
+    { lat: 49.90, lon: -97.14, timeZone: 'America/Winnipeg' },
+    { lat: 50.45, lon: -104.61, timeZone: 'America/Regina' },
+    { lat: 39.74, lon: -104.99, timeZone: 'America/Denver' },
+    { lat: 40.76, lon: -111.89, timeZone: 'America/Denver' },
+    { lat: 35.08, lon: -106.65, timeZone: 'America/Denver' },
+    { lat: 31.76, lon: -106.49, timeZone: 'America/Denver' },
+    { lat: 45.78, lon: -108.50, timeZone: 'America/Denver' },
+    { lat: 43.62, lon: -116.20, timeZone: 'America/Boise' },
+    { lat: 51.05, lon: -114.07, timeZone: 'America/Edmonton' },
+    { lat: 53.55, lon: -113.49, timeZone: 'America/Edmonton' },
+    { lat: 33.45, lon: -112.07, timeZone: 'America/Phoenix' },
+    { lat: 32.22, lon: -110.97, timeZone: 'America/Phoenix' },
+    { lat: 36.17, lon: -115.14, timeZone: 'America/Los_Angeles' },
+    { lat: 34.05, lon: -118.24, timeZone: 'America/Los_Angeles' },
+    { lat: 32.72, lon: -117.16, timeZone: 'America/Los_Angeles' },
+    { lat: 37.77, lon: -122.42, timeZone: 'America/Los_Angeles' },
+    { lat: 38.58, lon: -121.49, timeZone: 'America/Los_Angeles' },
+    { lat: 45.52, lon: -122.68, timeZone: 'America/Los_Angeles' },
+    { lat: 47.61, lon: -122.33, timeZone: 'America/Los_Angeles' },
+    { lat: 47.66, lon: -117.43, timeZone: 'America/Los_Angeles' },
+    { lat: 49.28, lon: -123.12, timeZone: 'America/Vancouver' },
+    { lat: 61.22, lon: -149.90, timeZone: 'America/Anchorage' },
+    { lat: 64.84, lon: -147.72, timeZone: 'America/Anchorage' },
+    { lat: 21.31, lon: -157.86, timeZone: 'Pacific/Honolulu' },
+    { lat: 19.43, lon: -99.13, timeZone: 'America/Mexico_City' },
+    { lat: 20.67, lon: -103.35, timeZone: 'America/Mexico_City' },
+    { lat: 25.69, lon: -100.32, timeZone: 'America/Monterrey' },
+    { lat: 28.63, lon: -106.07, timeZone: 'America/Chihuahua' },
+    { lat: 29.07, lon: -110.96, timeZone: 'America/Hermosillo' },
+    { lat: 32.51, lon: -117.04, timeZone: 'America/Tijuana' },
+    { lat: 21.16, lon: -86.85, timeZone: 'America/Cancun' },
+    // Central America and the Caribbean
+    { lat: 14.63, lon: -90.51, timeZone: 'America/Guatemala' },
+    { lat: 13.69, lon: -89.22, timeZone: 'America/El_Salvador' },
+    { lat: 14.07, lon: -87.19, timeZone: 'America/Tegucigalpa' },
+    { lat: 12.11, lon: -86.24, timeZone: 'America/Managua' },
+    { lat: 9.93, lon: -84.08, timeZone: 'America/Costa_Rica' },
+    { lat: 8.98, lon: -79.52, timeZone: 'America/Panama' },
+    { lat: 23.11, lon: -82.37, timeZone: 'America/Havana' },
+    { lat: 18.02, lon: -76.80, timeZone: 'America/Jamaica' },
+    { lat: 18.54, lon: -72.34, timeZone: 'America/Port-au-Prince' },
+    { lat: 18.49, lon: -69.93, timeZone: 'America/Santo_Domingo' },
+    { lat: 18.47, lon: -66.11, timeZone: 'America/Puerto_Rico' },
+    // South America
+    { lat: 4.71, lon: -74.07, timeZone: 'America/Bogota' },
+    { lat: 6.24, lon: -75.58, timeZone: 'America/Bogota' },
+    { lat: 10.48, lon: -66.90, timeZone: 'America/Caracas' },
+    { lat: -0.18, lon: -78.47, timeZone: 'America/Guayaquil' },
+    { lat: -2.17, lon: -79.92, timeZone: 'America/Guayaquil' },
+    { lat: -12.05, lon: -77.04, timeZone: 'America/Lima' },
+    { lat: -16.50, lon: -68.15, timeZone: 'America/La_Paz' },
+    { lat: -25.26, lon: -57.58, timeZone: 'America/Asuncion' },
+    { lat: -33.45, lon: -70.67, timeZone: 'America/Santiago' },
+    { lat: -34.60, lon: -58.38, timeZone: 'America/Argentina/Buenos_Aires' },
+    { lat: -31.42, lon: -64.18, timeZone: 'America/Argentina/Cordoba' },
+    { lat: -32.89, lon: -68.83, timeZone: 'America/Argentina/Mendoza' },
+    { lat: -34.90, lon: -56.16, timeZone: 'America/Montevideo' },
+    { lat: -23.55, lon: -46.63, timeZone: 'America/Sao_Paulo' },
+    { lat: -22.91, lon: -43.17, timeZone: 'America/Sao_Paulo' },
+    { lat: -15.79, lon: -47.88, timeZone: 'America/Sao_Paulo' },
+    { lat: -30.03, lon: -51.23, timeZone: 'America/Sao_Paulo' },
+    { lat: -12.97, lon: -38.50, timeZone: 'America/Bahia' },
+    { lat: -8.05, lon: -34.88, timeZone: 'America/Recife' },
+    { lat: -3.73, lon: -38.53, timeZone: 'America/Fortaleza' },
+    { lat: -1.46, lon: -48.50, timeZone: 'America/Belem' },
+    { lat: -3.12, lon: -60.02, timeZone: 'America/Manaus' },
+    // Asia
+    { lat: 35.68, lon: 139.69, timeZone: 'Asia/Tokyo' },
+    { lat: 34.69, lon: 135.50, timeZone: 'Asia/Tokyo' },
+    { lat: 43.06, lon: 141.35, timeZone: 'Asia/Tokyo' },
+    { lat: 33.59, lon: 130.40, timeZone: 'Asia/Tokyo' },
+    { lat: 37.57, lon: 126.98, timeZone: 'Asia/Seoul' },
+    { lat: 35.18, lon: 129.08, timeZone: 'Asia/Seoul' },
+    { lat: 39.04, lon: 125.76, timeZone: 'Asia/Pyongyang' },
+    { lat: 39.90, lon: 116.41, timeZone: 'Asia/Shanghai' },
+    { lat: 31.23, lon: 121.47, timeZone: 'Asia/Shanghai' },
+    { lat: 23.13, lon: 113.26, timeZone: 'Asia/Shanghai' },
+    { lat: 30.57, lon: 104.07, timeZone: 'Asia/Shanghai' },
+    { lat: 34.34, lon: 108.94, timeZone: 'Asia/Shanghai' },
+    { lat: 45.80, lon: 126.53, timeZone: 'Asia/Shanghai' },
+    { lat: 43.83, lon: 87.62, timeZone: 'Asia/Urumqi' },
+    { lat: 22.32, lon: 114.17, timeZone: 'Asia/Hong_Kong' },
+    { lat: 25.03, lon: 121.57, timeZone: 'Asia/Taipei' },
+    { lat: 14.60, lon: 120.98, timeZone: 'Asia/Manila' },
+    { lat: 21.03, lon: 105.85, timeZone: 'Asia/Bangkok' },
+    { lat: 10.82, lon: 106.63, timeZone: 'Asia/Ho_Chi_Minh' },
+    { lat: 11.56, lon: 104.93, timeZone: 'Asia/Phnom_Penh' },
+    { lat: 13.76, lon: 100.50, timeZone: 'Asia/Bangkok' },
+    { lat: 16.87, lon: 96.20, timeZone: 'Asia/Yangon' },
+    { lat: 3.14, lon: 101.69, timeZone: 'Asia/Kuala_Lumpur' },
+    { lat: 1.35, lon: 103.82, timeZone: 'Asia/Singapore' },
+    { lat: -6.21, lon: 106.85, timeZone: 'Asia/Jakarta' },
+    { lat: -7.25, lon: 112.75, timeZone: 'Asia/Jakarta' },
+    { lat: -8.65, lon: 115.22, timeZone: 'Asia/Makassar' },
+    { lat: 23.81, lon: 90.41, timeZone: 'Asia/Dhaka' },
+    { lat: 27.72, lon: 85.32, timeZone: 'Asia/Kathmandu' },
+    { lat: 28.61, lon: 77.21, timeZone: 'Asia/Kolkata' },
+    { lat: 19.08, lon: 72.88, timeZone: 'Asia/Kolkata' },
+    { lat: 12.97, lon: 77.59, timeZone: 'Asia/Kolkata' },
+    { lat: 22.57, lon: 88.36, timeZone: 'Asia/Kolkata' },
+    { lat: 6.93, lon: 79.86, timeZone: 'Asia/Colombo' },
+    { lat: 24.86, lon: 67.01, timeZone: 'Asia/Karachi' },
+    { lat: 31.55, lon: 74.34, timeZone: 'Asia/Karachi' },
+    { lat: 34.56, lon: 69.21, timeZone: 'Asia/Kabul' },
+    { lat: 41.30, lon: 69.24, timeZone: 'Asia/Tashkent' },
+    { lat: 43.24, lon: 76.89, timeZone: 'Asia/Almaty' },
+    { lat: 47.92, lon: 106.92, timeZone: 'Asia/Ulaanbaatar' },
+    { lat: 56.84, lon: 60.61, timeZone: 'Asia/Yekaterinburg' },
+    { lat: 55.01, lon: 82.93, timeZone: 'Asia/Novosibirsk' },
+    { lat: 56.01, lon: 92.87, timeZone: 'Asia/Krasnoyarsk' },
+    { lat: 52.29, lon: 104.28, timeZone: 'Asia/Irkutsk' },
+    { lat: 43.12, lon: 131.89, timeZone: 'Asia/Vladivostok' },
+    { lat: 35.69, lon: 51.39, timeZone: 'Asia/Tehran' },
+    { lat: 33.31, lon: 44.37, timeZone: 'Asia/Baghdad' },
+    { lat: 24.71, lon: 46.68, timeZone: 'Asia/Riyadh' },
+    { lat: 21.49, lon: 39.19, timeZone: 'Asia/Riyadh' },
+    { lat: 29.38, lon: 47.99, timeZone: 'Asia/Kuwait' },
+    { lat: 25.29, lon: 51.53, timeZone: 'Asia/Qatar' },
+    { lat: 25.20, lon: 55.27, timeZone: 'Asia/Dubai' },
+    { lat: 23.59, lon: 58.41, timeZone: 'Asia/Muscat' },
+    { lat: 31.95, lon: 35.93, timeZone: 'Asia/Amman' },
+    { lat: 33.89, lon: 35.50, timeZone: 'Asia/Beirut' },
+    { lat: 33.51, lon: 36.29, timeZone: 'Asia/Damascus' },
+    { lat: 31.77, lon: 35.21, timeZone: 'Asia/Jerusalem' },
+    { lat: 32.09, lon: 34.78, timeZone: 'Asia/Jerusalem' },
+    // Oceania
+    { lat: -33.87, lon: 151.21, timeZone: 'Australia/Sydney' },
+    { lat: -37.81, lon: 144.96, timeZone: 'Australia/Melbourne' },
+    { lat: -27.47, lon: 153.03, timeZone: 'Australia/Brisbane' },
+    { lat: -19.26, lon: 146.82, timeZone: 'Australia/Brisbane' },
+    { lat: -34.93, lon: 138.60, timeZone: 'Australia/Adelaide' },
+    { lat: -12.46, lon: 130.84, timeZone: 'Australia/Darwin' },
+    { lat: -31.95, lon: 115.86, timeZone: 'Australia/Perth' },
+    { lat: -42.88, lon: 147.33, timeZone: 'Australia/Hobart' },
+    { lat: -36.85, lon: 174.76, timeZone: 'Pacific/Auckland' },
+    { lat: -41.29, lon: 174.78, timeZone: 'Pacific/Auckland' },
+    { lat: -43.53, lon: 172.64, timeZone: 'Pacific/Auckland' },
+    { lat: -18.14, lon: 178.44, timeZone: 'Pacific/Fiji' },
+    { lat: -9.44, lon: 147.18, timeZone: 'Pacific/Port_Moresby' },
+    // Africa
+    { lat: 30.04, lon: 31.24, timeZone: 'Africa/Cairo' },
+    { lat: 31.20, lon: 29.92, timeZone: 'Africa/Cairo' },
+    { lat: 32.89, lon: 13.19, timeZone: 'Africa/Tripoli' },
+    { lat: 36.81, lon: 10.18, timeZone: 'Africa/Tunis' },
+    { lat: 36.75, lon: 3.06, timeZone: 'Africa/Algiers' },
+    { lat: 33.57, lon: -7.59, timeZone: 'Africa/Casablanca' },
+    { lat: 34.02, lon: -6.84, timeZone: 'Africa/Casablanca' },
+    { lat: 14.72, lon: -17.47, timeZone: 'Africa/Dakar' },
+    { lat: 12.64, lon: -8.00, timeZone: 'Africa/Bamako' },
+    { lat: 5.36, lon: -4.01, timeZone: 'Africa/Abidjan' },
+    { lat: 5.60, lon: -0.19, timeZone: 'Africa/Accra' },
+    { lat: 6.52, lon: 3.38, timeZone: 'Africa/Lagos' },
+    { lat: 9.08, lon: 7.40, timeZone: 'Africa/Lagos' },
+    { lat: 3.85, lon: 11.50, timeZone: 'Africa/Douala' },
+    { lat: 15.50, lon: 32.56, timeZone: 'Africa/Khartoum' },
+    { lat: 9.03, lon: 38.74, timeZone: 'Africa/Addis_Ababa' },
+    { lat: -1.29, lon: 36.82, timeZone: 'Africa/Nairobi' },
+    { lat: 0.35, lon: 32.58, timeZone: 'Africa/Kampala' },
+    { lat: -1.95, lon: 30.06, timeZone: 'Africa/Kigali' },
+    { lat: -6.79, lon: 39.21, timeZone: 'Africa/Dar_es_Salaam' },
+    { lat: -4.44, lon: 15.27, timeZone: 'Africa/Kinshasa' },
+    { lat: -11.66, lon: 27.48, timeZone: 'Africa/Lubumbashi' },
+    { lat: -8.84, lon: 13.23, timeZone: 'Africa/Luanda' },
+    { lat: -15.39, lon: 28.32, timeZone: 'Africa/Lusaka' },
+    { lat: -17.83, lon: 31.05, timeZone: 'Africa/Harare' },
+    { lat: -25.97, lon: 32.57, timeZone: 'Africa/Maputo' },
+    { lat: -22.56, lon: 17.08, timeZone: 'Africa/Windhoek' },
+    { lat: -26.20, lon: 28.05, timeZone: 'Africa/Johannesburg' },
+    { lat: -33.92, lon: 18.42, timeZone: 'Africa/Johannesburg' },
+    { lat: -29.86, lon: 31.02, timeZone: 'Africa/Johannesburg' },
+    { lat: -18.88, lon: 47.51, timeZone: 'Indian/Antananarivo' },
+    { lat: -20.16, lon: 57.50, timeZone: 'Indian/Mauritius' }
+];
+
+// Beyond this distance from any reference city the time zone is estimated from longitude
+const MAX_REFERENCE_DISTANCE = 1000000;
+
+/**
+ * Checks whether a string is a time zone known to the browser
+ * @param {string} timeZone - IANA time zone name
+ * @returns {boolean} True if the time zone can be used with Intl
+ */
+export function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Gets the browser's time zone
+ * @returns {string|null} IANA time zone name, or null if the browser does not report one
+ */
+export function getBrowserTimeZone() {
+    const { timeZone } = Intl.DateTimeFormat().resolvedOptions();
+    return isValidTimeZone(timeZone) ? timeZone : null;
+}
+
+/**
+ * Approximates the time zone of a location from its coordinates
+ * Uses the nearest reference city, or a fixed UTC offset derived from longitude
+ * for remote places. Results near time zone borders are approximate.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {string} IANA time zone name
+ */
+export function getTimeZoneForCoordinates(lat, lon) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    REFERENCE_CITIES.forEach(city => {
+        const distance = getDistance(lat, lon, city.lat, city.lon);
+        if (distance < nearestDistance) {
+            nearest = city;
+            nearestDistance = distance;
+        }
+    });
+
+    if (nearest && nearestDistance <= MAX_REFERENCE_DISTANCE) {
+        return nearest.timeZone;
+    }
+
+    // Etc/GMT zones use inverted signs: Etc/GMT-9 is UTC+9
+    const offset = Math.max(-12, Math.min(12, Math.round(lon / 15)));
+    if (offset === 0) return 'Etc/GMT';
+    return `Etc/GMT${offset > 0 ? '-' : '+'}${Math.abs(offset)}`;
+}
+
+/**
+ * Determines the time zone of an OSM element
+ * A valid `timezone` tag takes precedence over the coordinate-based approximation;
+ * elements without coordinates use the browser's time zone.
+ * @param {Object} element - The OSM element
+ * @returns {string|null} IANA time zone name, or null for browser local time
+ */
+export function getElementTimeZone(element) {
+    const tags = element.tags || {};
+    if (isValidTimeZone(tags.timezone)) {
+        return tags.timezone;
+    }
+
+    const coords = getElementCoordinates(element);
+    if (!coords) return getBrowserTimeZone();
+
+    return getTimeZoneForCoordinates(coords.lat, coords.lon);
+}
+
+/**
+ * Converts a wall-clock time in a time zone to the corresponding instant
+ * @param {string} localDateTime - Wall-clock time as 'YYYY-MM-DDTHH:MM' (datetime-local format)
+ * @param {string|null} timeZone - IANA time zone, or null for browser local time
+ * @returns {Date|null} The instant, or null if the input is malformed
+ */
+export function wallClockToDate(localDateTime, timeZone = null) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(localDateTime || '');
+    if (!match) return null;
+
+    const [year, month, day, hours, minutes] = match.slice(1).map(Number);
+    if (!isValidTimeZone(timeZone)) {
+        return new Date(year, month - 1, day, hours, minutes);
+    }
+
+    // Start from the same wall-clock time in UTC and correct by the zone offset;
+    // the second pass settles instants close to a daylight saving transition
+    const target = Date.UTC(year, month - 1, day, hours, minutes);
+    let instant = target;
+    for (let i = 0; i < 2; i++) {
+        const wallClock = getWallClock(new Date(instant), timeZone);
+        const observed = Date.UTC(wallClock.year, wallClock.month - 1, wallClock.day, wallClock.hours, wallClock.minutes);
+        instant += target - observed;
+    }
+
+    return new Date(instant);
+}
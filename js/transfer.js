@@ -0,0 +1,407 @@
+/**
+ * Favorites files: export to and import from GeoJSON, GPX and CSV
+ * Exports keep the snapshot and personal data of each favorite, so a file imported again
+ * restores them; importing the parsed favorites into storage is done by importFavorites().
+ */
+
+import { getElementCoordinates } from './api.js';
+import { FAVORITE_TAGS, getFavoriteKey, getPersonalData, createImportedFavorite } from './favorites.js';
+
+/**
+ * File formats for exporting and importing favorites
+ */
+export const FAVORITE_FORMATS = {
+    geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' },
+    gpx: { label: 'GPX waypoints', extension: 'gpx', mimeType: 'application/gpx+xml' },
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' }
+};
+
+// XML namespace of the GPX extensions holding OSM tags and personal data
+const GPX_NAMESPACE = 'https://jowi-zuehlke.github.io/osm-coffee/gpx/1';
+
+// CSV columns besides the FAVORITE_TAGS columns; lists are separated by ';'
+const CSV_LEADING_COLUMNS = ['osm_type', 'osm_id', 'lat', 'lon'];
+const CSV_TRAILING_COLUMNS = ['saved_at', 'rating', 'tried', 'custom_tags', 'note'];
+
+/**
+ * Escapes text for XML content and attributes
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+    return String(text).replace(/[<>&"']/g, char => ({
+        '<': '&lt;',
+        '>': '&gt;',
+        '&': '&amp;',
+        '"': '&quot;',
+        "'": '&apos;'
+    })[char]);
+}
+
+/**
+ * Resolves XML entities
+ * @param {string} text - Escaped XML text
+ * @returns {string} Plain text
+ */
+function unescapeXml(text) {
+    return text
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/&(lt|gt|quot|apos|#x[0-9a-f]+|#\d+);/gi, (entity, name) => {
+            const named = { lt: '<', gt: '>', quot: '"', apos: "'" }[name.toLowerCase()];
+            if (named) return named;
+            return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+        })
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Finds XML elements by name; enough for GPX waypoints, not a general XML parser
+ * @param {string} xml - XML text
+ * @param {string} name - Element name, with prefix if any (e.g. 'wpt' or 'osmcoffee:tag')
+ * @returns {Array<Object>} Elements with attributes (object) and content (raw XML text)
+ */
+function findXmlElements(xml, name) {
+    const pattern = new RegExp(`<${name}(\\s[^>]*?)?(?:/>|>([\\s\\S]*?)</${name}\\s*>)`, 'g');
+    return [...xml.matchAll(pattern)].map(match => {
+        const attributes = {};
+        for (const [, key, doubleQuoted, singleQuoted] of (match[1] || '').matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+            attributes[key] = unescapeXml(doubleQuoted ?? singleQuoted);
+        }
+        return { attributes, content: match[2] || '' };
+    });
+}
+
+/**
+ * Reads the text of the first child element with a name
+ * @param {string} xml - XML text of the parent
+ * @param {string} name - Element name
+ * @returns {string|null} Trimmed text, or null if missing
+ */
+function getXmlText(xml, name) {
+    const [element] = findXmlElements(xml, name);
+    return element ? unescapeXml(element.content).trim() : null;
+}
+
+/**
+ * Formats favorites as a GeoJSON FeatureCollection of points
+ * @param {Array<Object>} favorites - The favorites
+ * @returns {string} GeoJSON text
+ */
+function exportGeoJSON(favorites) {
+    const features = favorites.map(fav => {
+        const coords = getElementCoordinates(fav);
+        const properties = { osmType: fav.type, osmId: fav.id, name: fav.tags.name || null, tags: fav.tags, savedAt: fav.savedAt };
+        if (fav.personal) {
+            properties.personal = fav.personal;
+        }
+        return {
+            type: 'Feature',
+            id: getFavoriteKey(fav),
+            geometry: coords ? { type: 'Point', coordinates: [coords.lon, coords.lat] } : null,
+            properties
+        };
+    });
+    return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+}
+
+/**
+ * Reads favorites from GeoJSON
+ * Also reads overpass turbo exports, whose features have an '@id' and the OSM tags as properties.
+ * @param {string} text - GeoJSON text
+ * @returns {Array<Object|null>} Favorites, null for invalid features
+ */
+function parseGeoJSON(text) {
+    const data = JSON.parse(text);
+    const features = data.type === 'FeatureCollection' ? data.features : [data];
+    if (!Array.isArray(features)) {
+        throw new Error('Not a GeoJSON FeatureCollection');
+    }
+    
+    return features.map(feature => {
+        const properties = feature?.properties || {};
+        const [lon, lat] = feature?.geometry?.type === 'Point' ? feature.geometry.coordinates : [null, null];
+        const [refType, refId] = String(properties['@id'] || feature?.id || '').split('/');
+        
+        let tags = properties.tags;
+        if (!tags && properties['@id']) {
+            tags = Object.fromEntries(Object.entries(properties).filter(([key]) => !key.startsWith('@')));
+        }
+        
+        return createImportedFavorite({
+            type: properties.osmType || refType,
+            id: properties.osmId ?? refId,
+            lat,
+            lon,
+            tags: tags || { name: properties.name },
+            savedAt: properties.savedAt,
+            personal: properties.personal
+        });
+    });
+}
+
+/**
+ * Formats favorites as GPX 1.1 waypoints
+ * Each waypoint links to its OSM element; tags and personal data are kept in extensions.
+ * Favorites without coordinates are left out.
+ * @param {Array<Object>} favorites - The favorites
+ * @returns {string} GPX text
+ */
+function exportGPX(favorites) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<gpx version="1.1" creator="OSM Coffee Hotspots" xmlns="http://www.topografix.com/GPX/1/1" xmlns:osmcoffee="${GPX_NAMESPACE}">`
+    ];
+    
+    favorites.forEach(fav => {
+        const coords = getElementCoordinates(fav);
+        if (!coords) return;
+        
+        const { note, rating, tried, tags } = getPersonalData(fav);
+        lines.push(`  <wpt lat="${coords.lat}" lon="${coords.lon}">`);
+        lines.push(`    <time>${escapeXml(fav.savedAt)}</time>`);
+        lines.push(`    <name>${escapeXml(fav.tags.name || 'Unnamed')}</name>`);
+        if (note) {
+            lines.push(`    <desc>${escapeXml(note)}</desc>`);
+        }
+        lines.push(`    <link href="https://www.openstreetmap.org/${fav.type}/${fav.id}"><text>OpenStreetMap</text></link>`);
+        lines.push('    <extensions>');
+        Object.entries(fav.tags).forEach(([key, value]) => {
+            lines.push(`      <osmcoffee:tag k="${escapeXml(key)}" v="${escapeXml(value)}"/>`);
+        });
+        if (rating !== null) {
+            lines.push(`      <osmcoffee:rating>${rating}</osmcoffee:rating>`);
+        }
+        tried.forEach(date => lines.push(`      <osmcoffee:tried>${date}</osmcoffee:tried>`));
+        tags.forEach(tag => lines.push(`      <osmcoffee:customTag>${escapeXml(tag)}</osmcoffee:customTag>`));
+        lines.push('    </extensions>');
+        lines.push('  </wpt>');
+    });
+    
+    lines.push('</gpx>');
+    return lines.join('\n');
+}
+
+/**
+ * Reads favorites from GPX waypoints
+ * Waypoints need a link to their OSM element (https://www.openstreetmap.org/node/123).
+ * @param {string} text - GPX text
+ * @returns {Array<Object|null>} Favorites, null for waypoints without an OSM link
+ */
+function parseGPX(text) {
+    if (!/<gpx[\s>]/.test(text)) {
+        throw new Error('Not a GPX file');
+    }
+    
+    return findXmlElements(text, 'wpt').map(({ attributes, content }) => {
+        const links = findXmlElements(content, 'link').map(link => link.attributes.href || '');
+        const osmLink = links.map(href => /openstreetmap\.org\/(node|way|relation)\/(\d+)/.exec(href)).find(Boolean);
+        if (!osmLink) return null;
+        
+        const tags = {};
+        findXmlElements(content, 'osmcoffee:tag').forEach(({ attributes: tag }) => {
+            tags[tag.k] = tag.v;
+        });
+        const name = getXmlText(content, 'name');
+        if (!tags.name && name && name !== 'Unnamed') {
+            tags.name = name;
+        }
+        
+        return createImportedFavorite({
+            type: osmLink[1],
+            id: osmLink[2],
+            lat: parseFloat(attributes.lat),
+            lon: parseFloat(attributes.lon),
+            tags,
+            savedAt: getXmlText(content, 'time'),
+            personal: {
+                note: getXmlText(content, 'desc') || '',
+                rating: parseInt(getXmlText(content, 'osmcoffee:rating'), 10),
+                tried: findXmlElements(content, 'osmcoffee:tried').map(element => unescapeXml(element.content).trim()),
+                tags: findXmlElements(content, 'osmcoffee:customTag').map(element => unescapeXml(element.content))
+            }
+        });
+    });
+}
+
+/**
+ * Quotes a CSV field when needed (RFC 4180)
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function formatCsvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Splits CSV text into rows of fields (RFC 4180, with quoted fields and CRLF or LF line ends)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows, without empty lines
+ */
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    rows.push(row);
+    
+    return rows.filter(fields => fields.some(value => value !== ''));
+}
+
+/**
+ * Formats favorites as CSV with one column per key tag
+ * @param {Array<Object>} favorites - The favorites
+ * @returns {string} CSV text with a header row
+ */
+function exportCSV(favorites) {
+    const header = [...CSV_LEADING_COLUMNS, ...FAVORITE_TAGS, ...CSV_TRAILING_COLUMNS];
+    const rows = favorites.map(fav => {
+        const coords = getElementCoordinates(fav);
+        const { note, rating, tried, tags } = getPersonalData(fav);
+        return [
+            fav.type,
+            fav.id,
+            coords?.lat,
+            coords?.lon,
+            ...FAVORITE_TAGS.map(tag => fav.tags[tag]),
+            fav.savedAt,
+            rating,
+            tried.join(';'),
+            tags.join(';'),
+            note
+        ];
+    });
+    return [header, ...rows].map(row => row.map(formatCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Reads favorites from CSV with a header row
+ * Columns are found by name, so their order does not matter and unknown columns are ignored.
+ * @param {string} text - CSV text
+ * @returns {Array<Object|null>} Favorites, null for invalid rows
+ */
+function parseCSV(text) {
+    const [header, ...rows] = parseCsvRows(text);
+    if (!header || !header.includes('osm_type') || !header.includes('osm_id')) {
+        throw new Error('CSV needs osm_type and osm_id columns');
+    }
+    
+    const splitList = value => (value || '').split(';').map(item => item.trim()).filter(Boolean);
+    
+    return rows.map(fields => {
+        const row = Object.fromEntries(header.map((column, index) => [column, fields[index] ?? '']));
+        const tags = {};
+        FAVORITE_TAGS.forEach(tag => {
+            if (row[tag]) tags[tag] = row[tag];
+        });
+        
+        return createImportedFavorite({
+            type: row.osm_type,
+            id: row.osm_id,
+            lat: row.lat === '' ? null : parseFloat(row.lat),
+            lon: row.lon === '' ? null : parseFloat(row.lon),
+            tags,
+            savedAt: row.saved_at,
+            personal: {
+                note: row.note,
+                rating: parseInt(row.rating, 10),
+                tried: splitList(row.tried),
+                tags: splitList(row.custom_tags)
+            }
+        });
+    });
+}
+
+/**
+ * Formats favorites for export
+ * @param {Array<Object>} favorites - The favorites
+ * @param {string} format - 'geojson', 'gpx' or 'csv'
+ * @returns {string} File content
+ */
+export function exportFavorites(favorites, format) {
+    switch (format) {
+        case 'geojson':
+            return exportGeoJSON(favorites);
+        case 'gpx':
+            return exportGPX(favorites);
+        case 'csv':
+            return exportCSV(favorites);
+        default:
+            throw new Error(`Unknown favorites format: ${format}`);
+    }
+}
+
+/**
+ * Guesses the format of an imported file from its name, then its content
+ * @param {string} fileName - File name
+ * @param {string} text - File content
+ * @returns {string} 'geojson', 'gpx' or 'csv'
+ */
+export function detectFavoritesFormat(fileName, text) {
+    const extension = String(fileName).split('.').pop().toLowerCase();
+    if (extension === 'geojson' || extension === 'json') return 'geojson';
+    if (extension === 'gpx' || extension === 'xml') return 'gpx';
+    if (extension === 'csv') return 'csv';
+    
+    const start = text.trimStart();
+    if (start.startsWith('{')) return 'geojson';
+    if (start.startsWith('<')) return 'gpx';
+    return 'csv';
+}
+
+/**
+ * Reads favorites from an exported file
+ * Duplicates within the file (same type and id) are kept once.
+ * @param {string} text - File content
+ * @param {string} format - 'geojson', 'gpx' or 'csv'
+ * @returns {Object} favorites (valid ones) and invalid (number of entries skipped)
+ * @throws {Error} If the file is not in the given format
+ */
+export function parseFavorites(text, format) {
+    const parsers = { geojson: parseGeoJSON, gpx: parseGPX, csv: parseCSV };
+    if (!parsers[format]) {
+        throw new Error(`Unknown favorites format: ${format}`);
+    }
+    
+    // A byte order mark from spreadsheet software is not part of the content
+    const entries = parsers[format](text.replace(/^﻿/, ''));
+    const favorites = new Map();
+    entries.filter(Boolean).forEach(fav => {
+        if (!favorites.has(getFavoriteKey(fav))) {
+            favorites.set(getFavoriteKey(fav), fav);
+        }
+    });
+    
+    return {
+        favorites: [...favorites.values()],
+        invalid: entries.filter(entry => !entry).length
+    };
+}
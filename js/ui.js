@@ -2,12 +2,98 @@
  * UI functions for displaying cafe details in the sidebar
  */
 
-import { sanitizeText, sanitizeUrl, parseOpeningHours } from './utils.js';
-import { isFavorite, toggleFavorite } from './favorites.js';
+import { CONFIG, collectionFilterState } from './config.js';
+import {
+    sanitizeText,
+    sanitizeUrl,
+    formatNextChange,
+    getWallClock,
+    getDistance,
+    formatDistance,
+    getBearing,
+    formatBearing,
+    formatDuration
+} from './utils.js';
+import {
+    isFavorite,
+    acknowledgeFavoriteChanges,
+    getFavorite,
+    getPersonalData,
+    updatePersonalData,
+    parseCustomTags,
+    getCustomTags,
+    filterFavorites,
+    loadFavorites,
+    importFavorites,
+    loadCollections,
+    createCollection,
+    renameCollection,
+    deleteCollection,
+    getFavoriteCollections,
+    addFavorite,
+    removeFavorite,
+    moveFavorite,
+    getFavoritesState,
+    restoreFavoritesState
+} from './favorites.js';
+import { FAVORITE_FORMATS, exportFavorites, detectFavoritesFormat, parseFavorites } from './transfer.js';
+import { getElementOpeningHours, isPlanning, formatPlannedTime } from './planner.js';
+import { getElementCoordinates } from './api.js';
+import { getUserPosition } from './geolocation.js';
+import { showRoute, clearRoute, getNavigationLinks } from './routing.js';
+import { isSyncEnabled, getShareCode, getPendingChangeCount, shareCollection, joinSharedCollection } from './sync.js';
+import { showNotification } from './notifications.js';
 
 // Store current element for reference
 let currentElement = null;
 
+// Route drawn to the current element, with mode and route, or null
+let currentRoute = null;
+
+// Favorites shown in the favorites list, by the data-index of their items
+let shownFavorites = [];
+
+// Filters of the favorites list; collection is the id of the list shown, '' for all lists
+const favoritesFilterState = {
+    collection: '',
+    query: '',
+    tag: '',
+    minRating: 0,
+    tried: 'any'
+};
+
+// Directions buttons, by travel mode (keys of CONFIG.ROUTING_PROFILES)
+const TRAVEL_MODES = {
+    walking: { icon: '🚶', label: 'Walk' },
+    cycling: { icon: '🚲', label: 'Cycle' }
+};
+
+/**
+ * Runs a change of the favorites and tells the user if it could not be saved
+ * @param {Function} change - Changes the favorites, throwing if they cannot be saved
+ * @returns {boolean} True if the change was saved
+ */
+function changeFavorites(change) {
+    try {
+        change();
+        return true;
+    } catch (error) {
+        showNotification(error.message, { id: 'favorites-save', level: 'error' });
+        return false;
+    }
+}
+
+/**
+ * Checks whether two elements are the same OSM place
+ * Compared by type and id, as the same place comes as a new object after each reload of the view.
+ * @param {Object|null} a - OSM element
+ * @param {Object|null} b - OSM element
+ * @returns {boolean} True if both are the same place
+ */
+function isSamePlace(a, b) {
+    return Boolean(a && b) && a.type === b.type && a.id === b.id;
+}
+
 /**
  * Gets the current element being displayed
  * @returns {Object|null} The current OSM element
@@ -36,6 +122,413 @@ function createDetailRow(label, value, isLink = false, linkHref = '') {
     return html;
 }
 
+/**
+ * Calculates the straight-line distance, bearing and walking time from the user to a location
+ * @param {Object} element - The OSM element
+ * @returns {Object|null} Distance (meters), bearing (degrees) and walking minutes, or null without a user position
+ */
+function getDistanceInfo(element) {
+    const position = getUserPosition();
+    const coords = getElementCoordinates(element);
+    if (!position || !coords) {
+        return null;
+    }
+    
+    const distance = getDistance(position.lat, position.lon, coords.lat, coords.lon);
+    return {
+        distance,
+        bearing: getBearing(position.lat, position.lon, coords.lat, coords.lon),
+        minutes: distance / CONFIG.WALKING_SPEED / 60
+    };
+}
+
+/**
+ * Generates HTML for the distance from the user, with direction and estimated walking time
+ * @param {Object} element - The OSM element
+ * @returns {string} HTML string, or empty string without a user position
+ */
+function generateDistanceHTML(element) {
+    const info = getDistanceInfo(element);
+    if (!info) {
+        return '';
+    }
+    
+    const arrow = `<span class="bearing-arrow" style="transform: rotate(${Math.round(info.bearing)}deg)">↑</span>`;
+    const value = `${formatDistance(info.distance)} ${arrow} ${formatBearing(info.bearing)} · ~${formatDuration(info.minutes)} walk`;
+    return createDetailRow('🚶 Distance', value);
+}
+
+/**
+ * Updates the distance and navigation app links in the details for a new user position, without re-rendering them
+ */
+export function updateDetailsDistance() {
+    const distanceDiv = document.getElementById('details-distance');
+    if (currentElement && distanceDiv) {
+        distanceDiv.innerHTML = generateDistanceHTML(currentElement);
+    }
+    
+    const linksDiv = document.getElementById('navigation-links');
+    const coords = currentElement && getElementCoordinates(currentElement);
+    if (linksDiv && coords) {
+        const mode = document.querySelector('.directions-btn.active')?.getAttribute('data-mode') || 'walking';
+        linksDiv.innerHTML = generateNavigationLinksHTML(coords, mode);
+    }
+}
+
+/**
+ * Formats the distance and walking time shown in a favorites list item
+ * @param {Object} info - Distance info from getDistanceInfo()
+ * @returns {string} Plain text, e.g. "350 m · 4 min"
+ */
+function formatFavoriteDistance(info) {
+    return `${formatDistance(info.distance)} · ${formatDuration(info.minutes)}`;
+}
+
+/**
+ * Updates the distance and walking time of the favorites list items for a new user position,
+ * without re-rendering the list
+ */
+export function updateFavoritesDistances() {
+    const favoritesListDiv = document.getElementById('favorites-list');
+    if (!favoritesListDiv) {
+        return;
+    }
+    
+    favoritesListDiv.querySelectorAll('.favorite-item').forEach(item => {
+        const favorite = shownFavorites[parseInt(item.getAttribute('data-index'), 10)];
+        const info = favorite && getDistanceInfo(favorite);
+        let distanceSpan = item.querySelector('.favorite-item-distance');
+        
+        if (!info) {
+            distanceSpan?.remove();
+            return;
+        }
+        if (!distanceSpan) {
+            distanceSpan = document.createElement('span');
+            distanceSpan.className = 'favorite-item-distance';
+            item.insertBefore(distanceSpan, item.querySelector('.favorite-item-type'));
+        }
+        distanceSpan.textContent = formatFavoriteDistance(info);
+    });
+}
+
+/**
+ * Generates HTML for links that open directions in external navigation apps
+ * @param {Object} coords - Destination with lat and lon
+ * @param {string} mode - 'walking' or 'cycling'
+ * @returns {string} HTML string for the links
+ */
+function generateNavigationLinksHTML(coords, mode) {
+    const links = getNavigationLinks(getUserPosition(), coords, mode)
+        .map(link => `<a href="${link.url}" target="_blank" rel="noopener noreferrer">${link.label}</a>`);
+    return `Open in: ${links.join(' · ')}`;
+}
+
+/**
+ * Generates HTML for the route summary
+ * @param {Object|null} routeInfo - Current route with mode and route, or null
+ * @returns {string} HTML string, or empty string without a route
+ */
+function generateRouteSummaryHTML(routeInfo) {
+    if (!routeInfo) {
+        return '';
+    }
+    
+    const { mode, route } = routeInfo;
+    let html = `<span>${TRAVEL_MODES[mode].icon} ${formatDuration(route.duration / 60)} · ${formatDistance(route.distance)}</span>`;
+    html += '<button type="button" class="route-clear" id="route-clear" title="Remove route">×</button>';
+    return html;
+}
+
+/**
+ * Generates HTML for the directions buttons, route summary and navigation app links
+ * @param {Object} element - The OSM element
+ * @returns {string} HTML string, or empty string for elements without coordinates
+ */
+function generateDirectionsHTML(element) {
+    const coords = getElementCoordinates(element);
+    if (!coords) {
+        return '';
+    }
+    
+    const mode = currentRoute?.mode || 'walking';
+    let html = '<div class="directions-section">';
+    html += '<span class="detail-label">🧭 Directions:</span>';
+    html += '<div class="directions-buttons">';
+    Object.entries(TRAVEL_MODES).forEach(([travelMode, { icon, label }]) => {
+        const active = currentRoute?.mode === travelMode ? ' active' : '';
+        html += `<button type="button" class="directions-btn${active}" data-mode="${travelMode}">${icon} ${label}</button>`;
+    });
+    html += '</div>';
+    html += `<div class="route-summary" id="route-summary">${generateRouteSummaryHTML(currentRoute)}</div>`;
+    html += `<div class="navigation-links" id="navigation-links">${generateNavigationLinksHTML(coords, mode)}</div>`;
+    html += '</div>';
+    return html;
+}
+
+/**
+ * Requests and draws a route to the displayed element, updating the directions section
+ * @param {Object} element - The OSM element
+ * @param {string} mode - 'walking' or 'cycling'
+ */
+async function requestDirections(element, mode) {
+    const summaryDiv = document.getElementById('route-summary');
+    const linksDiv = document.getElementById('navigation-links');
+    document.querySelectorAll('.directions-btn').forEach(button => {
+        button.classList.toggle('active', button.getAttribute('data-mode') === mode);
+    });
+    linksDiv.innerHTML = generateNavigationLinksHTML(getElementCoordinates(element), mode);
+    summaryDiv.textContent = 'Finding route…';
+    
+    const route = await showRoute(element, mode);
+    if (!isSamePlace(element, currentElement)) {
+        return;
+    }
+    
+    currentRoute = route ? { mode, route } : null;
+    updateRouteSummary();
+}
+
+/**
+ * Shows the current route in the directions section
+ */
+function updateRouteSummary() {
+    const summaryDiv = document.getElementById('route-summary');
+    if (!summaryDiv) {
+        return;
+    }
+    
+    summaryDiv.innerHTML = generateRouteSummaryHTML(currentRoute);
+    if (!currentRoute) {
+        document.querySelectorAll('.directions-btn').forEach(button => button.classList.remove('active'));
+    }
+    
+    const clearBtn = document.getElementById('route-clear');
+    if (clearBtn) {
+        clearBtn.addEventListener('click', () => {
+            clearRoute();
+            currentRoute = null;
+            updateRouteSummary();
+        });
+    }
+}
+
+/**
+ * Gets today's local date
+ * @returns {string} Date as 'YYYY-MM-DD'
+ */
+function getToday() {
+    const { year, month, day } = getWallClock(new Date());
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Formats a rating as stars
+ * @param {number} rating - Rating from 1 to 5
+ * @returns {string} E.g. "★★★★☆"
+ */
+function formatRating(rating) {
+    return '★'.repeat(rating) + '☆'.repeat(5 - rating);
+}
+
+/**
+ * Shows whether the place in the details is saved in any list
+ * @param {Object} element - The OSM element
+ */
+function updateFavoriteButton(element) {
+    const favoriteBtn = document.getElementById('favorite-toggle');
+    if (!favoriteBtn) {
+        return;
+    }
+    
+    const isFav = isFavorite(element);
+    favoriteBtn.textContent = isFav ? '❤️' : '🤍';
+    favoriteBtn.classList.toggle('favorited', isFav);
+}
+
+/**
+ * Updates the favorite button, list picker and notes of the shown details after favorites changed
+ * elsewhere (e.g. removed from the favorites list, or edited in another tab), without re-rendering
+ * a note or tags being typed
+ */
+export function updateDetailsFavorite() {
+    if (!currentElement) {
+        return;
+    }
+    
+    updateFavoriteButton(currentElement);
+    
+    const picker = document.getElementById('favorite-picker');
+    if (picker && !picker.hidden && !picker.contains(document.activeElement)) {
+        renderFavoritePicker(currentElement);
+    }
+    
+    const container = document.getElementById('favorite-personal');
+    if (!container) {
+        return;
+    }
+    const favorite = getFavorite(currentElement);
+    const personal = favorite ? JSON.stringify(getPersonalData(favorite)) : '';
+    const typing = container.contains(document.activeElement) && document.activeElement.matches('textarea, input[type="text"]');
+    if (personal !== (container.dataset.personal || '') && !typing) {
+        renderPersonalSection(currentElement);
+    }
+}
+
+/**
+ * Shows the lists a place can be saved in, with a checkbox each and a field to create a new list
+ * Every change is saved right away; unchecking the last list removes the favorite.
+ * @param {Object} element - The OSM element
+ */
+function renderFavoritePicker(element) {
+    const picker = document.getElementById('favorite-picker');
+    if (!picker) {
+        return;
+    }
+    
+    const memberOf = getFavoriteCollections(element);
+    
+    // List names are typed by the user, so they are set as text, never as HTML
+    const options = loadCollections().map(collection => {
+        const label = document.createElement('label');
+        label.className = 'favorite-picker-option';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = collection.id;
+        checkbox.checked = memberOf.includes(collection.id);
+        label.append(checkbox, ` ${collection.name}`);
+        return label;
+    });
+    
+    const form = document.createElement('form');
+    form.className = 'favorite-picker-new';
+    form.innerHTML = `<input type="text" placeholder="New list…" aria-label="New list name" maxlength="60">
+        <button type="submit" title="Create the list and save the place in it">＋</button>`;
+    
+    picker.replaceChildren(...options, form);
+    
+    // Only the list clicked changes, so lists changed in another tab meanwhile are kept
+    picker.querySelectorAll('.favorite-picker-option input').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            const saved = changeFavorites(() => {
+                if (checkbox.checked) {
+                    addFavorite(element, checkbox.value);
+                } else {
+                    removeFavorite(element, checkbox.value);
+                }
+            });
+            if (!saved) {
+                checkbox.checked = !checkbox.checked;
+            }
+            updateFavoriteButton(element);
+            renderPersonalSection(element);
+        });
+    });
+    
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        try {
+            addFavorite(element, createCollection(form.querySelector('input').value).id);
+            updateFavoriteButton(element);
+            renderPersonalSection(element);
+            
+            // Show the new list, ready to create another one
+            renderFavoritePicker(element);
+            picker.querySelector('.favorite-picker-new input').focus();
+        } catch (error) {
+            showNotification(error.message, { id: 'favorites-collection', level: 'warning' });
+        }
+    });
+}
+
+/**
+ * Shows the private note, rating, tried dates and custom tags of a favorite in the details
+ * Nothing is shown for elements that are not favorites. Every change is saved right away.
+ * @param {Object} element - The OSM element
+ */
+function renderPersonalSection(element) {
+    const container = document.getElementById('favorite-personal');
+    if (!container) {
+        return;
+    }
+    
+    const favorite = getFavorite(element);
+    if (!favorite) {
+        container.innerHTML = '';
+        container.dataset.personal = '';
+        return;
+    }
+    
+    const { note, rating, tried, tags } = getPersonalData(favorite);
+    
+    // What is shown, so changes from elsewhere can be told apart
+    container.dataset.personal = JSON.stringify({ note, rating, tried, tags });
+    
+    let html = '<div class="personal-section">';
+    html += '<span class="detail-label">📝 My notes:</span>';
+    html += '<div class="personal-rating" role="radiogroup" aria-label="Rating">';
+    for (let stars = 1; stars <= 5; stars++) {
+        const filled = rating !== null && stars <= rating;
+        html += `<button type="button" class="rating-star${filled ? ' filled' : ''}" data-rating="${stars}" role="radio" aria-checked="${stars === rating}" title="${stars} of 5">${filled ? '★' : '☆'}</button>`;
+    }
+    html += '</div>';
+    html += `<textarea id="personal-note" class="personal-note" rows="2" placeholder="Private note…" aria-label="Private note">${sanitizeText(note)}</textarea>`;
+    html += '<input type="text" id="personal-tags" class="personal-tags" placeholder="Tags, comma separated (e.g. quiet, good flat white)" aria-label="Tags">';
+    html += '<div class="personal-tried">';
+    html += '<span class="personal-tried-label">Tried:</span>';
+    tried.forEach(date => {
+        html += `<span class="tried-date">${date}<button type="button" class="tried-remove" data-date="${date}" title="Remove date">×</button></span>`;
+    });
+    html += `<input type="date" id="personal-tried-date" aria-label="Date tried" max="${getToday()}">`;
+    html += '<button type="button" class="tried-add" id="personal-tried-add" title="Add the chosen date, or today">+ Tried</button>';
+    html += '</div>';
+    html += '</div>';
+    
+    container.innerHTML = html;
+    
+    // Values typed by the user are set as properties, never as HTML attributes
+    const tagsInput = document.getElementById('personal-tags');
+    tagsInput.value = tags.join(', ');
+    
+    /**
+     * Gets the stored personal data, which may have changed in another tab since rendering
+     * @returns {Object} Personal data (see getPersonalData)
+     */
+    const getCurrentPersonalData = () => getPersonalData(getFavorite(element));
+    
+    container.querySelectorAll('.rating-star').forEach(button => {
+        button.addEventListener('click', () => {
+            const stars = parseInt(button.getAttribute('data-rating'), 10);
+            // Clicking the current rating clears it
+            changeFavorites(() => updatePersonalData(element, { rating: stars === getCurrentPersonalData().rating ? null : stars }));
+            renderPersonalSection(element);
+        });
+    });
+    
+    document.getElementById('personal-note').addEventListener('change', event => {
+        changeFavorites(() => updatePersonalData(element, { note: event.target.value }));
+    });
+    
+    tagsInput.addEventListener('change', () => {
+        changeFavorites(() => updatePersonalData(element, { tags: parseCustomTags(tagsInput.value) }));
+        renderPersonalSection(element);
+    });
+    
+    document.getElementById('personal-tried-add').addEventListener('click', () => {
+        const date = document.getElementById('personal-tried-date').value || getToday();
+        changeFavorites(() => updatePersonalData(element, { tried: [...getCurrentPersonalData().tried, date] }));
+        renderPersonalSection(element);
+    });
+    
+    container.querySelectorAll('.tried-remove').forEach(button => {
+        button.addEventListener('click', () => {
+            const date = button.getAttribute('data-date');
+            changeFavorites(() => updatePersonalData(element, { tried: getCurrentPersonalData().tried.filter(triedDate => triedDate !== date) }));
+            renderPersonalSection(element);
+        });
+    });
+}
+
 /**
  * Generates HTML for address information with fallback to contact:* tags
  * @param {Object} tags - OSM tags containing address information
@@ -262,7 +755,29 @@ function generateAdditionalDetailsHTML(tags) {
 }
 
 /**
- * Generates HTML for opening hours with "Open now?" indicator
+ * Generates HTML for the location's local time when its time zone differs from the browser's
+ * @param {string|null} timeZone - IANA time zone of the location
+ * @returns {string} HTML string, or empty string when local times match
+ */
+function generateLocalTimeHTML(timeZone) {
+    if (!timeZone) {
+        return '';
+    }
+    
+    const now = new Date();
+    const local = getWallClock(now, timeZone);
+    const browser = getWallClock(now);
+    if (local.hours === browser.hours && local.minutes === browser.minutes) {
+        return '';
+    }
+    
+    const time = `${String(local.hours).padStart(2, '0')}:${String(local.minutes).padStart(2, '0')}`;
+    return `<span class="local-time">🌍 Local time there: ${time} (${sanitizeText(timeZone)})</span><br>`;
+}
+
+/**
+ * Generates HTML for opening hours with "Open now?" indicator and next opening/closing time
+ * Evaluated in the location's time zone, at the planned time if one is set.
  * @param {Object} tags - OSM tags containing opening hours information
  * @param {Object} element - The OSM element for linking to OSM
  * @returns {string} HTML string for opening hours details
@@ -273,7 +788,8 @@ function generateOpeningHoursHTML(tags, element) {
     }
     
     const openingHours = tags.opening_hours;
-    const parsed = parseOpeningHours(openingHours);
+    const parsed = getElementOpeningHours(element);
+    const planning = isPlanning();
     
     let html = '<div class="detail-row">';
     html += '<span class="detail-label">🕒 Hours:</span>';
@@ -281,11 +797,24 @@ function generateOpeningHoursHTML(tags, element) {
     
     // Add status indicator
     if (parsed.isOpen === true) {
-        html += '<span class="open-status open">🟢 Open now</span><br>';
+        html += `<span class="open-status open">🟢 ${planning ? 'Open' : 'Open now'}</span>`;
     } else if (parsed.isOpen === false) {
-        html += '<span class="open-status closed">🔴 Closed</span><br>';
+        html += '<span class="open-status closed">🔴 Closed</span>';
+    } else {
+        html += '<span class="open-status unknown">⚪ Status unknown</span>';
+    }
+    
+    // Add next state change, e.g. "Closes in 25 min"
+    const nextChangeText = formatNextChange(parsed.nextChange);
+    if (nextChangeText) {
+        html += ` <span class="next-change">${nextChangeText}</span>`;
+    }
+    html += '<br>';
+    
+    if (planning) {
+        html += `<span class="planned-time">🗓️ Planned for ${sanitizeText(formatPlannedTime())} local time</span><br>`;
     } else {
-        html += '<span class="open-status unknown">⚪ Status unknown</span><br>';
+        html += generateLocalTimeHTML(parsed.timeZone);
     }
     
     // Add opening hours text
@@ -337,6 +866,11 @@ function generateOSMReferenceHTML(element) {
  * @param {Object} element - The OSM element containing cafe information
  */
 export function showCafeDetails(element) {
+    // A route belongs to the place it was requested for
+    if (!isSamePlace(element, currentElement)) {
+        clearRoute();
+        currentRoute = null;
+    }
     currentElement = element;
     const tags = element.tags || {};
     const name = tags.name || 'Unnamed';
@@ -354,58 +888,530 @@ export function showCafeDetails(element) {
     const detailsDiv = document.getElementById('details');
     detailsDiv.classList.remove('empty');
     
-    const isFav = isFavorite(element);
-    const heartIcon = isFav ? '❤️' : '🤍';
-    const favClass = isFav ? 'favorited' : '';
-    
     let html = '<div id="details-content">';
     html += '<h2>';
     html += `<span>${sanitizeText(name)}</span>`;
-    html += `<button class="favorite-btn ${favClass}" id="favorite-toggle" title="Toggle favorite">${heartIcon}</button>`;
+    html += '<button class="favorite-btn" id="favorite-toggle" title="Save to lists" aria-haspopup="true" aria-expanded="false" aria-controls="favorite-picker"></button>';
+    html += '<button class="details-close-btn" id="details-close" title="Close details" aria-label="Close details">✕</button>';
     html += '</h2>';
+    html += '<div id="favorite-picker" class="favorite-picker" hidden></div>';
     html += createDetailRow('Type', typeLabel);
+    html += '<div id="favorite-personal"></div>';
     
-    // Add all sections
+    // Add all sections; the distance is updated in place as the user moves
+    html += `<div id="details-distance">${generateDistanceHTML(element)}</div>`;
     html += generateAddressHTML(tags);
     html += generateOpeningHoursHTML(tags, element);
     html += generateContactHTML(tags);
     html += generateAmenitiesHTML(tags);
     html += generateAdditionalDetailsHTML(tags);
     html += generateOSMReferenceHTML(element);
+    html += generateDirectionsHTML(element);
     
     html += '</div>';
     
     detailsDiv.innerHTML = html;
+    document.getElementById('details-close')?.addEventListener('click', closeCafeDetails);
     
-    // Add event listener to favorite button
+    // The favorite button opens the picker of the lists the place is saved in
     const favoriteBtn = document.getElementById('favorite-toggle');
-    if (favoriteBtn) {
+    const picker = document.getElementById('favorite-picker');
+    if (favoriteBtn && picker) {
         favoriteBtn.addEventListener('click', () => {
-            const nowFavorited = toggleFavorite(element);
-            favoriteBtn.textContent = nowFavorited ? '❤️' : '🤍';
-            favoriteBtn.classList.toggle('favorited', nowFavorited);
+            picker.hidden = !picker.hidden;
+            favoriteBtn.setAttribute('aria-expanded', String(!picker.hidden));
+            if (!picker.hidden) {
+                renderFavoritePicker(element);
+                picker.querySelector('input')?.focus();
+            }
+        });
+        picker.addEventListener('keydown', event => {
+            if (event.key === 'Escape') {
+                picker.hidden = true;
+                favoriteBtn.setAttribute('aria-expanded', 'false');
+                favoriteBtn.focus();
+            }
+        });
+    }
+    updateFavoriteButton(element);
+    renderPersonalSection(element);
+    
+    // Add event listeners to the directions buttons
+    detailsDiv.querySelectorAll('.directions-btn').forEach(button => {
+        button.addEventListener('click', () => requestDirections(element, button.getAttribute('data-mode')));
+    });
+    updateRouteSummary();
+    
+    // Dispatch custom event to notify listeners (e.g. the shareable link)
+    window.dispatchEvent(new CustomEvent('cafeSelected', { detail: { element } }));
+}
+
+/**
+ * Closes the details of the current element, with its route, and shows the empty placeholder
+ * Listeners of cafeSelected get a null element, so the shareable link drops the place.
+ */
+export function closeCafeDetails() {
+    clearRoute();
+    currentRoute = null;
+    currentElement = null;
+    
+    const detailsDiv = document.getElementById('details');
+    detailsDiv.classList.add('empty');
+    detailsDiv.innerHTML = '<p>👆 Click on a marker on the map to see cafe details</p>';
+    
+    window.dispatchEvent(new CustomEvent('cafeSelected', { detail: { element: null } }));
+}
+
+/**
+ * Generates HTML for the badge of a favorite that was deleted or changed in OpenStreetMap
+ * @param {Object} favorite - The favorite
+ * @returns {string} HTML string, or empty string for unchanged favorites
+ */
+function generateFavoriteStatusHTML(favorite) {
+    if (favorite.status === 'deleted') {
+        return '<span class="favorite-item-status" title="Deleted from OpenStreetMap">🗑️</span>';
+    }
+    if (favorite.status === 'changed') {
+        const title = `Changed in OpenStreetMap: ${favorite.changedTags.join(', ')}`;
+        return `<span class="favorite-item-status" title="${sanitizeText(title)}">✏️</span>`;
+    }
+    return '';
+}
+
+/**
+ * Generates HTML for the rating, tried state and custom tags of a favorite in the list
+ * @param {Object} favorite - The favorite
+ * @returns {string} HTML string, or empty string without personal data
+ */
+function generateFavoritePersonalHTML(favorite) {
+    const { rating, tried, tags } = getPersonalData(favorite);
+    const parts = [];
+    if (rating !== null) {
+        parts.push(`<span class="favorite-item-rating" title="${rating} of 5">${formatRating(rating)}</span>`);
+    }
+    if (tried.length > 0) {
+        parts.push(`<span class="favorite-item-tried" title="Last tried ${tried[0]}">✓ ${tried.length}×</span>`);
+    }
+    tags.forEach(tag => {
+        parts.push(`<span class="favorite-tag">${sanitizeText(tag)}</span>`);
+    });
+    return parts.length > 0 ? `<span class="favorite-item-personal">${parts.join('')}</span>` : '';
+}
+
+/**
+ * Updates the favorites filter controls for the current favorites
+ * The tag choices follow the tags in use; a chosen tag that is no longer used is reset.
+ * @param {Array} favorites - All favorites
+ */
+function updateFavoritesFilterControls(favorites) {
+    const controls = document.getElementById('favorites-controls');
+    const tagSelect = document.getElementById('favorites-tag');
+    if (!controls || !tagSelect) {
+        return;
+    }
+    
+    controls.hidden = favorites.length === 0;
+    
+    const customTags = getCustomTags(favorites);
+    if (!customTags.includes(favoritesFilterState.tag)) {
+        favoritesFilterState.tag = '';
+    }
+    
+    tagSelect.replaceChildren(new Option('All tags', ''), ...customTags.map(tag => new Option(tag, tag)));
+    tagSelect.value = favoritesFilterState.tag;
+    tagSelect.disabled = customTags.length === 0;
+}
+
+/**
+ * Updates the list switcher for the current collections
+ * A shown list that no longer exists falls back to all lists, on the map too.
+ * @param {Array<Object>} collections - The collections
+ */
+function updateCollectionControls(collections) {
+    const select = document.getElementById('favorites-collection');
+    const renameBtn = document.getElementById('favorites-collection-rename');
+    const deleteBtn = document.getElementById('favorites-collection-delete');
+    const shareBtn = document.getElementById('favorites-collection-share');
+    const mapOnly = document.getElementById('favorites-map-only');
+    if (!select || !renameBtn || !deleteBtn || !shareBtn || !mapOnly) {
+        return;
+    }
+    
+    if (!collections.some(collection => collection.id === favoritesFilterState.collection)) {
+        favoritesFilterState.collection = '';
+        collectionFilterState.collection = null;
+    }
+    
+    // Option labels are set as text, so list names need no sanitizing; shared lists are marked
+    const total = new Set(collections.flatMap(collection => collection.members)).size;
+    select.replaceChildren(
+        new Option(`All lists (${total})`, ''),
+        ...collections.map(collection => {
+            const shared = getShareCode(collection.id) ? '🔗 ' : '';
+            return new Option(`${shared}${collection.name} (${collection.members.length})`, collection.id);
+        })
+    );
+    select.value = favoritesFilterState.collection;
+    
+    const allLists = favoritesFilterState.collection === '';
+    renameBtn.disabled = allLists;
+    deleteBtn.disabled = allLists || collections.length === 1;
+    shareBtn.disabled = allLists;
+    
+    const pending = allLists ? 0 : getPendingChangeCount(favoritesFilterState.collection);
+    if (!allLists && getShareCode(favoritesFilterState.collection)) {
+        shareBtn.title = pending > 0
+            ? `Show share code (${pending} change${pending === 1 ? '' : 's'} not sent yet)`
+            : 'Show share code';
+    } else {
+        shareBtn.title = 'Share list';
+    }
+    mapOnly.disabled = allLists;
+    mapOnly.checked = collectionFilterState.collection !== null;
+}
+
+/**
+ * Initializes the list switcher and the controls to create, rename, delete, share and join lists
+ * Sharing and joining are only offered with a sync server configured.
+ * @param {Function} onChange - Called when the shown list changes, to re-render the favorites list and markers
+ */
+export function initFavoritesCollections(onChange) {
+    const select = document.getElementById('favorites-collection');
+    const newBtn = document.getElementById('favorites-collection-new');
+    const renameBtn = document.getElementById('favorites-collection-rename');
+    const deleteBtn = document.getElementById('favorites-collection-delete');
+    const shareBtn = document.getElementById('favorites-collection-share');
+    const joinBtn = document.getElementById('favorites-collection-join');
+    const form = document.getElementById('favorites-collection-form');
+    const nameInput = document.getElementById('favorites-collection-name');
+    const cancelBtn = document.getElementById('favorites-collection-cancel');
+    const mapOnly = document.getElementById('favorites-map-only');
+    if (!select || !newBtn || !renameBtn || !deleteBtn || !shareBtn || !joinBtn || !form || !nameInput || !cancelBtn || !mapOnly) {
+        return;
+    }
+    
+    // What the form does: 'create', 'rename' (renamingId) or 'join' (the input holds a share code)
+    let formMode = 'create';
+    let renamingId = null;
+    const namePlaceholder = nameInput.placeholder;
+    
+    /**
+     * Shows the form, for a new list, to rename one or to join a shared list
+     * @param {string} mode - 'create', 'rename' or 'join'
+     * @param {Object|null} collection - The list to rename
+     */
+    const openForm = (mode, collection = null) => {
+        formMode = mode;
+        renamingId = collection ? collection.id : null;
+        nameInput.value = collection ? collection.name : '';
+        nameInput.placeholder = mode === 'join' ? 'Share code of a list' : namePlaceholder;
+        nameInput.setAttribute('aria-label', mode === 'join' ? 'Share code' : 'List name');
+        form.hidden = false;
+        nameInput.focus();
+    };
+    
+    /**
+     * Shows a list, keeping the map limited to the shown list if it was
+     * @param {string} collectionId - Id of the list, '' for all lists
+     */
+    const showCollection = collectionId => {
+        favoritesFilterState.collection = collectionId;
+        if (collectionFilterState.collection !== null) {
+            collectionFilterState.collection = collectionId || null;
+        }
+        onChange();
+    };
+    
+    select.addEventListener('change', () => showCollection(select.value));
+    
+    mapOnly.addEventListener('change', () => {
+        collectionFilterState.collection = mapOnly.checked ? favoritesFilterState.collection || null : null;
+        onChange();
+    });
+    
+    newBtn.addEventListener('click', () => openForm('create'));
+    renameBtn.addEventListener('click', () => {
+        const collection = loadCollections().find(item => item.id === favoritesFilterState.collection);
+        if (collection) {
+            openForm('rename', collection);
+        }
+    });
+    cancelBtn.addEventListener('click', () => {
+        form.hidden = true;
+    });
+    
+    form.addEventListener('submit', async event => {
+        event.preventDefault();
+        try {
+            if (formMode === 'join') {
+                const collectionId = await joinSharedCollection(nameInput.value);
+                form.hidden = true;
+                showCollection(collectionId);
+                const collection = loadCollections().find(item => item.id === collectionId);
+                showNotification(`Joined the shared list "${collection?.name}".`, { id: 'favorites-collection', level: 'success' });
+                return;
+            }
+            if (formMode === 'rename') {
+                renameCollection(renamingId, nameInput.value);
+            } else {
+                showCollection(createCollection(nameInput.value).id);
+            }
+            form.hidden = true;
+        } catch (error) {
+            const message = error.status === 404 ? 'No shared list has this code.' : error.message;
+            showNotification(message, { id: 'favorites-collection', level: 'warning' });
+        }
+    });
+    
+    if (isSyncEnabled()) {
+        shareBtn.hidden = false;
+        joinBtn.hidden = false;
+    }
+    joinBtn.addEventListener('click', () => openForm('join'));
+    
+    shareBtn.addEventListener('click', async () => {
+        const collection = loadCollections().find(item => item.id === favoritesFilterState.collection);
+        if (!collection) return;
+        
+        shareBtn.disabled = true;
+        try {
+            const code = await shareCollection(collection.id);
+            showNotification(`Share code of "${collection.name}": ${code}. Others can join the list with it.`, {
+                id: 'favorites-collection',
+                duration: 0,
+                action: { label: 'Copy', onClick: () => navigator.clipboard?.writeText(code) }
+            });
+        } catch (error) {
+            console.error('Error sharing list:', error);
+            showNotification('Could not share the list. Check your connection and try again.', {
+                id: 'favorites-collection',
+                level: 'error'
+            });
+        } finally {
+            shareBtn.disabled = false;
+        }
+    });
+    
+    deleteBtn.addEventListener('click', () => {
+        const collection = loadCollections().find(item => item.id === favoritesFilterState.collection);
+        if (!collection) return;
+        
+        const previous = getFavoritesState();
+        try {
+            const removed = deleteCollection(collection.id);
+            const places = removed > 0 ? ` and ${removed} place${removed === 1 ? '' : 's'} saved only in it` : '';
+            showNotification(`Deleted the list "${collection.name}"${places}.`, {
+                id: 'favorites-collection',
+                action: { label: 'Undo', onClick: () => changeFavorites(() => restoreFavoritesState(previous)) }
+            });
+        } catch (error) {
+            showNotification(error.message, { id: 'favorites-collection', level: 'warning' });
+        }
+    });
+}
+
+/**
+ * Creates the menu of a favorites list row to move, copy or remove the favorite
+ * Only shown with a single list, which the actions are relative to.
+ * @param {Object} favorite - The favorite
+ * @param {Array<Object>} collections - The collections
+ * @returns {HTMLSelectElement} The menu
+ */
+function createFavoriteActionsMenu(favorite, collections) {
+    const currentId = favoritesFilterState.collection;
+    const memberOf = getFavoriteCollections(favorite);
+    const others = collections.filter(collection => collection.id !== currentId);
+    
+    const select = document.createElement('select');
+    select.className = 'favorite-item-actions';
+    select.title = 'Move, copy or remove';
+    select.setAttribute('aria-label', 'Move, copy or remove');
+    select.append(new Option('⋯', ''));
+    
+    const groups = [
+        { label: 'Move to', action: 'move', targets: others },
+        { label: 'Copy to', action: 'copy', targets: others.filter(collection => !memberOf.includes(collection.id)) }
+    ];
+    groups.filter(group => group.targets.length > 0).forEach(({ label, action, targets }) => {
+        const group = document.createElement('optgroup');
+        group.label = label;
+        group.append(...targets.map(collection => new Option(collection.name, `${action}:${collection.id}`)));
+        select.append(group);
+    });
+    
+    // Leaving the last list removes the favorite with its personal data
+    const removeLabel = memberOf.length > 1 ? 'Remove from this list' : 'Remove from favorites';
+    select.append(new Option(removeLabel, 'remove'));
+    
+    // Using the menu must not open the favorite
+    select.addEventListener('click', event => event.stopPropagation());
+    select.addEventListener('change', () => {
+        const [action, targetId] = select.value.split(':');
+        changeFavorites(() => {
+            if (action === 'move') {
+                moveFavorite(favorite, currentId, targetId);
+            } else if (action === 'copy') {
+                addFavorite(favorite, targetId);
+            } else if (action === 'remove') {
+                removeFavorite(favorite, currentId);
+            }
         });
+        select.value = '';
+    });
+    return select;
+}
+
+/**
+ * Initializes the favorites filter controls
+ * @param {Function} onChange - Called when a filter changes, to re-render the favorites list
+ */
+export function initFavoritesFilter(onChange) {
+    const inputs = {
+        query: document.getElementById('favorites-search'),
+        tag: document.getElementById('favorites-tag'),
+        minRating: document.getElementById('favorites-rating'),
+        tried: document.getElementById('favorites-tried')
+    };
+    
+    Object.entries(inputs).forEach(([key, input]) => {
+        if (!input) return;
+        const eventName = input.tagName === 'SELECT' ? 'change' : 'input';
+        input.addEventListener(eventName, () => {
+            favoritesFilterState[key] = key === 'minRating' ? parseInt(input.value, 10) : input.value;
+            onChange();
+        });
+    });
+}
+
+/**
+ * Downloads the favorites of the shown list as a file
+ * @param {string} format - Key of FAVORITE_FORMATS
+ */
+function downloadFavorites(format) {
+    const { extension, mimeType } = FAVORITE_FORMATS[format];
+    const collectionId = favoritesFilterState.collection;
+    const favorites = loadFavorites().filter(fav => !collectionId || isFavorite(fav, collectionId));
+    const blob = new Blob([exportFavorites(favorites, format)], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `osm-coffee-favorites-${getToday()}.${extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    // Revoke after the download has started
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Imports favorites from a file chosen by the user into the shown list
+ * Replacing favorites can be undone from the notification.
+ * @param {File} file - GeoJSON, GPX or CSV file
+ * @param {string} mode - 'merge' or 'replace'
+ */
+async function importFavoritesFile(file, mode) {
+    let parsed;
+    try {
+        const text = await file.text();
+        parsed = parseFavorites(text, detectFavoritesFormat(file.name, text));
+    } catch (error) {
+        console.error('Error importing favorites:', error);
+        showNotification('Could not read this file. Choose a GeoJSON, GPX or CSV export.', {
+            id: 'favorites-import',
+            level: 'error'
+        });
+        return;
+    }
+    
+    const { favorites, invalid } = parsed;
+    if (favorites.length === 0) {
+        showNotification('No favorites found in this file.', { id: 'favorites-import', level: 'warning' });
+        return;
     }
+    
+    const collectionId = favoritesFilterState.collection || null;
+    const previous = getFavoritesState();
+    let result;
+    try {
+        result = importFavorites(favorites, mode, collectionId);
+    } catch (error) {
+        showNotification(error.message, { id: 'favorites-import', level: 'error' });
+        return;
+    }
+    
+    let message = mode === 'replace'
+        ? `Replaced ${collectionId ? 'the list' : 'favorites'} with ${favorites.length} from the file.`
+        : `Imported ${result.added} favorite${result.added === 1 ? '' : 's'} (${result.duplicates} already saved).`;
+    if (invalid > 0) {
+        message += ` ${invalid} entr${invalid === 1 ? 'y was' : 'ies were'} skipped.`;
+    }
+    
+    const action = mode === 'replace'
+        ? { label: 'Undo', onClick: () => changeFavorites(() => restoreFavoritesState(previous)) }
+        : undefined;
+    showNotification(message, { id: 'favorites-import', level: 'success', action });
+}
+
+/**
+ * Initializes the favorites export and import controls
+ */
+export function initFavoritesTransfer() {
+    const formatSelect = document.getElementById('favorites-export-format');
+    const exportButton = document.getElementById('favorites-export');
+    const modeSelect = document.getElementById('favorites-import-mode');
+    const fileInput = document.getElementById('favorites-import');
+    if (!formatSelect || !exportButton || !modeSelect || !fileInput) {
+        return;
+    }
+    
+    exportButton.addEventListener('click', () => downloadFavorites(formatSelect.value));
+    
+    fileInput.addEventListener('change', async () => {
+        const [file] = fileInput.files;
+        if (!file) return;
+        await importFavoritesFile(file, modeSelect.value);
+        
+        // Allow choosing the same file again
+        fileInput.value = '';
+    });
 }
 
 /**
  * Renders the favorites list in the sidebar
- * @param {Array} favorites - Array of favorite cafe elements
+ * Only favorites in the shown list and matching the filter controls (text, custom tag, rating, tried) are shown.
+ * @param {Array} favorites - Array of favorites
  * @param {Function} onFavoriteClick - Callback when a favorite is clicked
  */
 export function renderFavoritesList(favorites, onFavoriteClick) {
     const favoritesListDiv = document.getElementById('favorites-list');
+    const collections = loadCollections();
+    updateCollectionControls(collections);
+    
+    const collectionId = favoritesFilterState.collection;
+    const listed = collectionId ? (favorites || []).filter(fav => isFavorite(fav, collectionId)) : favorites || [];
+    updateFavoritesFilterControls(listed);
+    
+    if (listed.length === 0) {
+        favoritesListDiv.classList.add('empty');
+        favoritesListDiv.innerHTML = collectionId
+            ? '<p>This list is empty. Click the ❤️ button on a cafe to add it here!</p>'
+            : '<p>No favorites yet. Click the ❤️ button on a cafe to add it here!</p>';
+        return;
+    }
     
-    if (!favorites || favorites.length === 0) {
+    const shown = filterFavorites(listed, favoritesFilterState);
+    if (shown.length === 0) {
         favoritesListDiv.classList.add('empty');
-        favoritesListDiv.innerHTML = '<p>No favorites yet. Click the ❤️ button on a cafe to add it here!</p>';
+        favoritesListDiv.innerHTML = '<p>No favorites match the filters.</p>';
         return;
     }
     
     favoritesListDiv.classList.remove('empty');
     
     let html = '';
-    favorites.forEach((element, index) => {
+    shown.forEach((element, index) => {
         const tags = element.tags || {};
         const name = tags.name || 'Unnamed';
         
@@ -419,19 +1425,37 @@ export function renderFavoritesList(favorites, onFavoriteClick) {
             typeEmoji = '☕';
         }
         
-        html += `<div class="favorite-item" data-index="${index}">`;
+        const info = getDistanceInfo(element);
+        
+        const deletedClass = element.status === 'deleted' ? ' deleted' : '';
+        html += `<div class="favorite-item${deletedClass}" data-index="${index}">`;
+        html += '<span class="favorite-item-text">';
         html += `<span class="favorite-item-name">${sanitizeText(name)}</span>`;
+        html += generateFavoritePersonalHTML(element);
+        html += '</span>';
+        html += generateFavoriteStatusHTML(element);
+        if (info) {
+            html += `<span class="favorite-item-distance">${formatFavoriteDistance(info)}</span>`;
+        }
         html += `<span class="favorite-item-type">${typeEmoji}</span>`;
         html += '</div>';
     });
     
     favoritesListDiv.innerHTML = html;
+    shownFavorites = shown;
     
-    // Add click handlers to favorite items
+    // Add click handlers to favorite items, with the private note as tooltip
     favoritesListDiv.querySelectorAll('.favorite-item').forEach(item => {
+        const favorite = shown[parseInt(item.getAttribute('data-index'), 10)];
+        item.title = getPersonalData(favorite).note;
+        if (collectionId) {
+            item.append(createFavoriteActionsMenu(favorite, collections));
+        }
         item.addEventListener('click', () => {
-            const index = parseInt(item.getAttribute('data-index'), 10);
-            onFavoriteClick(favorites[index]);
+            onFavoriteClick(favorite);
+            
+            // Opening a changed favorite shows its current data, so the change has been seen
+            changeFavorites(() => acknowledgeFavoriteChanges(favorite));
         });
     });
 }
@@ -65,73 +65,821 @@ export function getLocationType(tags) {
 }
 
 /**
- * Parses opening hours to determine if location is currently open
- * @param {string} openingHours - OSM opening_hours string
- * @returns {Object} Object with isOpen (boolean|null), status (string), and error (boolean)
+ * Calculates the great-circle distance between two points (haversine formula)
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lon1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lon2 - Longitude of the second point
+ * @returns {number} Distance in meters
  */
-export function parseOpeningHours(openingHours) {
-    if (!openingHours) {
-        return { isOpen: null, status: 'Unknown', error: false };
+export function getDistance(lat1, lon1, lat2, lon2) {
+    const EARTH_RADIUS = 6371000;
+    const toRad = degrees => degrees * Math.PI / 180;
+    
+    const dLat = toRad(lat2 - lat1);
+    const dLon = toRad(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+    
+    return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Formats a distance for display
+ * @param {number} meters - Distance in meters
+ * @returns {string} E.g. "350 m" or "1.2 km" (whole kilometers from 10 km)
+ */
+export function formatDistance(meters) {
+    if (meters < 1000) {
+        return `${Math.round(meters / 10) * 10} m`;
     }
+    const kilometers = meters / 1000;
+    return kilometers < 10 ? `${kilometers.toFixed(1)} km` : `${Math.round(kilometers)} km`;
+}
+
+/**
+ * Calculates the initial compass bearing from one point to another
+ * @param {number} lat1 - Latitude of the start point
+ * @param {number} lon1 - Longitude of the start point
+ * @param {number} lat2 - Latitude of the destination
+ * @param {number} lon2 - Longitude of the destination
+ * @returns {number} Bearing in degrees clockwise from north (0-360)
+ */
+export function getBearing(lat1, lon1, lat2, lon2) {
+    const toRad = degrees => degrees * Math.PI / 180;
+    const dLon = toRad(lon2 - lon1);
     
-    // Handle simple cases
-    if (openingHours === '24/7' || openingHours.toLowerCase() === 'always') {
-        return { isOpen: true, status: 'Open 24/7', error: false };
+    const y = Math.sin(dLon) * Math.cos(toRad(lat2));
+    const x = Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
+        Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLon);
+    
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+/**
+ * Converts a bearing to one of the 8 compass directions
+ * @param {number} bearing - Bearing in degrees clockwise from north
+ * @returns {string} 'N', 'NE', 'E', 'SE', 'S', 'SW', 'W' or 'NW'
+ */
+export function formatBearing(bearing) {
+    const directions = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+    return directions[Math.round(bearing / 45) % 8];
+}
+
+/**
+ * Formats a duration for display
+ * @param {number} minutes - Duration in minutes
+ * @returns {string} E.g. "12 min" or "1 h 5 min" (at least "1 min")
+ */
+export function formatDuration(minutes) {
+    const rounded = Math.max(1, Math.round(minutes));
+    if (rounded < 60) {
+        return `${rounded} min`;
+    }
+    const hours = Math.floor(rounded / 60);
+    const rest = rounded % 60;
+    return rest ? `${hours} h ${rest} min` : `${hours} h`;
+}
+
+/**
+ * Lowercases text and strips accents for searching, so "cafe" finds "Café"
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+export function normalizeText(text) {
+    return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+
+/**
+ * Opening hours evaluation
+ *
+ * Implements the commonly used subset of the OSM opening_hours grammar
+ * (https://wiki.openstreetmap.org/wiki/Key:opening_hours/specification):
+ * - Rule separators: ";" (normal), "," (additional) and "||" (fallback)
+ * - Year ranges ("2024", "2024-2025")
+ * - Month and date ranges ("Jan-Mar", "Dec 24", "Dec 24-26", "Dec 24-Jan 02")
+ * - Week ranges with optional step ("week 01-26", "week 1-53/2")
+ * - Weekday lists, ranges and nth weekdays ("Mo,We,Fr", "Fr-Mo", "Su[1]", "Mo[-1]")
+ * - Holiday selectors ("PH", "SH") - parsed, but never match as there is no holiday calendar
+ * - Multiple time spans ("08:00-12:00,14:00-18:00"), past-midnight spans ("18:00-02:00"),
+ *   open ends ("18:00+") and approximate solar events ("sunrise-sunset")
+ * - Rule modifiers ("off", "closed", "open", "unknown") and comments ("\"by appointment\"")
+ */
+
+const MINUTES_PER_DAY = 24 * 60;
+const WEEKDAY_NAMES = ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'];
+const WEEKDAY_LONG_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const HOLIDAY_NAMES = ['PH', 'SH'];
+const RULE_STATES = ['open', 'closed', 'off', 'unknown'];
+const NEXT_CHANGE_LOOKAHEAD_DAYS = 7;
+
+// Solar events have no fixed time - use typical mid-latitude values (minutes after midnight)
+const VARIABLE_TIMES = {
+    dawn: 5 * 60 + 30,
+    sunrise: 6 * 60,
+    sunset: 18 * 60,
+    dusk: 18 * 60 + 30
+};
+
+/**
+ * Splits an opening_hours string into tokens
+ * @param {string} value - OSM opening_hours string
+ * @returns {Array<Object>} Tokens with type ('number', 'word', 'symbol', 'comment', 'always') and value
+ */
+function tokenizeOpeningHours(value) {
+    const tokens = [];
+    const tokenPattern = /\s*(?:"([^"]*)"|(24\/7)|(\d+)|([A-Za-z]+)|(\|\||[-–,;:+[\]/()]))/y;
+    let index = 0;
+    
+    while (index < value.length) {
+        if (/^\s*$/.test(value.slice(index))) break;
+        
+        tokenPattern.lastIndex = index;
+        const match = tokenPattern.exec(value);
+        if (!match) {
+            throw new Error(`Unexpected character at position ${index}`);
+        }
+        index = tokenPattern.lastIndex;
+        
+        const [, comment, always, number, word, symbol] = match;
+        if (comment !== undefined) {
+            tokens.push({ type: 'comment', value: comment });
+        } else if (always) {
+            tokens.push({ type: 'always', value: always });
+        } else if (number) {
+            tokens.push({ type: 'number', value: number });
+        } else if (word) {
+            tokens.push({ type: 'word', value: word });
+        } else {
+            tokens.push({ type: 'symbol', value: symbol === '–' ? '-' : symbol });
+        }
     }
     
-    // Get current day and time
-    const now = new Date();
-    const dayNames = ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'];
-    const currentDay = dayNames[now.getDay()];
-    const currentTime = now.getHours() * 100 + now.getMinutes(); // HHMM format
+    return tokens;
+}
+
+/**
+ * Parses an opening_hours string into a list of rules
+ * @param {string} value - OSM opening_hours string
+ * @returns {Array<Object>} Parsed rules in evaluation order
+ * @throws {Error} If the string does not follow the supported grammar
+ */
+function parseOpeningHoursRules(value) {
+    const tokens = tokenizeOpeningHours(value);
+    let pos = 0;
     
-    try {
-        // Simple parser for common patterns like "Mo-Fr 09:00-18:00" or "Mo-Su 08:00-20:00"
-        const patterns = openingHours.split(';').map(s => s.trim());
+    const peek = (offset = 0) => tokens[pos + offset];
+    const next = () => tokens[pos++];
+    const isSymbol = (token, symbol) => Boolean(token) && token.type === 'symbol' && token.value === symbol;
+    const isNumber = token => Boolean(token) && token.type === 'number';
+    const indexOfName = (token, names) => {
+        if (!token || token.type !== 'word') return -1;
+        return names.findIndex(name => name.toLowerCase() === token.value.toLowerCase());
+    };
+    const isVariableTime = token => Boolean(token) && token.type === 'word' &&
+        Object.hasOwn(VARIABLE_TIMES, token.value.toLowerCase());
+    
+    const fail = () => {
+        const token = peek();
+        throw new Error(token ? `Unexpected "${token.value}" in opening hours` : 'Unexpected end of opening hours');
+    };
+    const expectSymbol = symbol => {
+        if (!isSymbol(peek(), symbol)) fail();
+        pos++;
+    };
+    const expectNumber = () => {
+        if (!isNumber(peek())) fail();
+        return parseInt(next().value, 10);
+    };
+    
+    // Consumes a list comma only if the item after it belongs to the same list
+    const consumeListComma = belongsToList => {
+        if (isSymbol(peek(), ',') && belongsToList()) {
+            pos++;
+            return true;
+        }
+        return false;
+    };
+    
+    const isTimeStart = offset => {
+        const token = peek(offset);
+        return (isNumber(token) && isSymbol(peek(offset + 1), ':')) ||
+            isVariableTime(token) ||
+            (isSymbol(token, '(') && isVariableTime(peek(offset + 1)));
+    };
+    
+    function parseYears() {
+        const token = peek();
+        if (!isNumber(token) || token.value.length !== 4 || isSymbol(peek(1), ':')) return null;
         
-        let foundValidPattern = false;
-        for (const pattern of patterns) {
-            // Match pattern like "Mo-Fr 09:00-18:00" or "Mo 09:00-18:00"
-            const match = pattern.match(/([A-Za-z]{2})(?:-([A-Za-z]{2}))?\s+(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})/);
-            
-            if (match) {
-                foundValidPattern = true;
-                const [, startDay, endDay, startHour, startMin, endHour, endMin] = match;
-                const effectiveEndDay = endDay || startDay;
-                
-                // Check if current day is in range
-                const startDayIdx = dayNames.indexOf(startDay);
-                const endDayIdx = dayNames.indexOf(effectiveEndDay);
-                const currentDayIdx = now.getDay();
-                
-                let dayInRange = false;
-                if (startDayIdx <= endDayIdx) {
-                    dayInRange = currentDayIdx >= startDayIdx && currentDayIdx <= endDayIdx;
+        const ranges = [];
+        do {
+            const from = expectNumber();
+            let to = from;
+            if (isSymbol(peek(), '-')) {
+                pos++;
+                to = expectNumber();
+            }
+            ranges.push({ from, to });
+        } while (consumeListComma(() => isNumber(peek(1)) && peek(1).value.length === 4));
+        
+        return ranges;
+    }
+    
+    function parseMonthDay() {
+        const month = indexOfName(next(), MONTH_NAMES) + 1;
+        let day = null;
+        if (isNumber(peek()) && !isSymbol(peek(1), ':')) {
+            day = parseInt(next().value, 10);
+        }
+        return { month, day };
+    }
+    
+    function parseDates() {
+        if (indexOfName(peek(), MONTH_NAMES) < 0) return null;
+        
+        const ranges = [];
+        do {
+            const from = parseMonthDay();
+            let to = { ...from };
+            if (isSymbol(peek(), '-')) {
+                pos++;
+                if (indexOfName(peek(), MONTH_NAMES) >= 0) {
+                    to = parseMonthDay();
+                } else if (from.day !== null) {
+                    to = { month: from.month, day: expectNumber() };
                 } else {
-                    // Wraps around week (e.g., Fr-Mo)
-                    dayInRange = currentDayIdx >= startDayIdx || currentDayIdx <= endDayIdx;
+                    fail();
                 }
-                
-                if (dayInRange) {
-                    const openTime = parseInt(startHour) * 100 + parseInt(startMin);
-                    const closeTime = parseInt(endHour) * 100 + parseInt(endMin);
-                    
-                    if (currentTime >= openTime && currentTime < closeTime) {
-                        return { isOpen: true, status: 'Open now', error: false };
-                    }
+            }
+            ranges.push({
+                from: from.month * 100 + (from.day ?? 1),
+                to: to.month * 100 + (to.day ?? 31)
+            });
+        } while (consumeListComma(() => indexOfName(peek(1), MONTH_NAMES) >= 0));
+        
+        return ranges;
+    }
+    
+    function parseWeeks() {
+        const token = peek();
+        if (!token || token.type !== 'word' || token.value.toLowerCase() !== 'week') return null;
+        pos++;
+        
+        const ranges = [];
+        do {
+            const from = expectNumber();
+            let to = from;
+            let step = 1;
+            if (isSymbol(peek(), '-')) {
+                pos++;
+                to = expectNumber();
+                if (isSymbol(peek(), '/')) {
+                    pos++;
+                    step = expectNumber();
                 }
             }
+            ranges.push({ from, to, step });
+        } while (consumeListComma(() => isNumber(peek(1))));
+        
+        return ranges;
+    }
+    
+    function parseNth() {
+        const nth = [];
+        expectSymbol('[');
+        do {
+            const negative = isSymbol(peek(), '-');
+            if (negative) pos++;
+            const from = expectNumber() * (negative ? -1 : 1);
+            let to = from;
+            if (!negative && isSymbol(peek(), '-')) {
+                pos++;
+                to = expectNumber();
+            }
+            for (let n = from; n <= to; n++) {
+                nth.push(n);
+            }
+        } while (consumeListComma(() => true));
+        expectSymbol(']');
+        return nth;
+    }
+    
+    function parseDaySelector(rule) {
+        const isDayItem = token => indexOfName(token, WEEKDAY_NAMES) >= 0 || indexOfName(token, HOLIDAY_NAMES) >= 0;
+        if (!isDayItem(peek())) return;
+        
+        rule.weekdays = [];
+        rule.holidays = [];
+        do {
+            const token = next();
+            const holidayIndex = indexOfName(token, HOLIDAY_NAMES);
+            if (holidayIndex >= 0) {
+                rule.holidays.push(HOLIDAY_NAMES[holidayIndex]);
+                continue;
+            }
+            
+            const from = indexOfName(token, WEEKDAY_NAMES);
+            let to = from;
+            if (isSymbol(peek(), '-') && indexOfName(peek(1), WEEKDAY_NAMES) >= 0) {
+                pos++;
+                to = indexOfName(next(), WEEKDAY_NAMES);
+            }
+            const nth = isSymbol(peek(), '[') ? parseNth() : null;
+            rule.weekdays.push({ from, to, nth });
+        } while (consumeListComma(() => isDayItem(peek(1))));
+    }
+    
+    function parseTime() {
+        const token = peek();
+        if (isNumber(token)) {
+            const hours = expectNumber();
+            expectSymbol(':');
+            const minutes = expectNumber();
+            if (minutes > 59 || hours > 48) fail();
+            return hours * 60 + minutes;
+        }
+        if (isVariableTime(token)) {
+            pos++;
+            return VARIABLE_TIMES[token.value.toLowerCase()];
+        }
+        
+        // Solar event with offset, e.g. "(sunset-01:00)"
+        expectSymbol('(');
+        if (!isVariableTime(peek())) fail();
+        const base = VARIABLE_TIMES[next().value.toLowerCase()];
+        const sign = isSymbol(peek(), '-') ? -1 : 1;
+        if (!isSymbol(peek(), '-') && !isSymbol(peek(), '+')) fail();
+        pos++;
+        const offsetHours = expectNumber();
+        expectSymbol(':');
+        const offsetMinutes = expectNumber();
+        expectSymbol(')');
+        return base + sign * (offsetHours * 60 + offsetMinutes);
+    }
+    
+    function parseTimeSpan() {
+        const start = parseTime();
+        let end = null;
+        let openEnd = false;
+        
+        if (isSymbol(peek(), '-')) {
+            pos++;
+            end = parseTime();
+            // Spans ending at or before their start continue past midnight
+            if (end <= start) end += MINUTES_PER_DAY;
+        }
+        if (isSymbol(peek(), '+')) {
+            pos++;
+            openEnd = true;
+        }
+        if (end === null && !openEnd) fail();
+        
+        return { start, end, openEnd };
+    }
+    
+    function parseTimes() {
+        if (peek() && peek().type === 'always') {
+            pos++;
+            return [{ start: 0, end: MINUTES_PER_DAY, openEnd: false }];
+        }
+        if (!isTimeStart(0)) return null;
+        
+        const spans = [];
+        do {
+            spans.push(parseTimeSpan());
+        } while (consumeListComma(() => isTimeStart(1)));
+        
+        return spans;
+    }
+    
+    function parseModifier(rule) {
+        const token = peek();
+        if (token && token.type === 'word' && RULE_STATES.includes(token.value.toLowerCase())) {
+            const state = token.value.toLowerCase();
+            rule.state = state === 'off' ? 'closed' : state;
+            pos++;
+        }
+        if (peek() && peek().type === 'comment') {
+            rule.comment = next().value;
+        }
+    }
+    
+    function parseRule(kind) {
+        const rule = {
+            kind,
+            years: null,
+            dates: null,
+            weeks: null,
+            weekdays: null,
+            holidays: null,
+            times: null,
+            state: null,
+            comment: null
+        };
+        const start = pos;
+        
+        rule.years = parseYears();
+        rule.dates = parseDates();
+        rule.weeks = parseWeeks();
+        // Optional ":" after wide range selectors, e.g. "Dec 24: 10:00-14:00"
+        if (isSymbol(peek(), ':')) pos++;
+        parseDaySelector(rule);
+        if (isSymbol(peek(), ':')) pos++;
+        rule.times = parseTimes();
+        parseModifier(rule);
+        
+        if (pos === start) fail();
+        return rule;
+    }
+    
+    const separators = { ';': 'normal', ',': 'additional', '||': 'fallback' };
+    const rules = [];
+    let kind = 'normal';
+    
+    while (pos < tokens.length) {
+        rules.push(parseRule(kind));
+        if (pos >= tokens.length) break;
+        
+        const separator = next();
+        if (separator.type !== 'symbol' || !separators[separator.value]) {
+            pos--;
+            fail();
+        }
+        kind = separators[separator.value];
+    }
+    
+    if (rules.length === 0) {
+        throw new Error('Empty opening hours');
+    }
+    
+    return rules;
+}
+
+/**
+ * Calculates the ISO 8601 week number of a UTC date
+ * @param {Date} date - Date at UTC midnight
+ * @returns {number} Week number (1-53)
+ */
+function getIsoWeek(date) {
+    const thursday = new Date(date.getTime());
+    thursday.setUTCDate(thursday.getUTCDate() + 4 - (thursday.getUTCDay() || 7));
+    const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+    return Math.ceil(((thursday.getTime() - yearStart) / 86400000 + 1) / 7);
+}
+
+/**
+ * Describes a calendar day for rule matching
+ * Out-of-range days roll over, so (2024, 1, 32) is February 1st.
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {Object} Object with year, month, day, weekday, week and daysInMonth properties
+ */
+function getCalendarDay(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return {
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        weekday: date.getUTCDay(),
+        week: getIsoWeek(date),
+        daysInMonth: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate()
+    };
+}
+
+/**
+ * Checks whether a value lies in an inclusive range that may wrap around
+ * @param {number} value - Value to check
+ * @param {number} from - Range start
+ * @param {number} to - Range end (smaller than start when wrapping)
+ * @returns {boolean} True if the value is in range
+ */
+function inWrappingRange(value, from, to) {
+    return from <= to ? value >= from && value <= to : value >= from || value <= to;
+}
+
+/**
+ * Checks whether a rule's selectors match a calendar day
+ * @param {Object} rule - Parsed rule
+ * @param {Object} day - Calendar day from getCalendarDay()
+ * @returns {boolean} True if the rule applies to the day
+ */
+function ruleMatchesDay(rule, day) {
+    if (rule.years && !rule.years.some(range => day.year >= range.from && day.year <= range.to)) {
+        return false;
+    }
+    
+    if (rule.dates && !rule.dates.some(range => inWrappingRange(day.month * 100 + day.day, range.from, range.to))) {
+        return false;
+    }
+    
+    if (rule.weeks && !rule.weeks.some(range =>
+        day.week >= range.from && day.week <= range.to && (day.week - range.from) % range.step === 0)) {
+        return false;
+    }
+    
+    if (rule.weekdays) {
+        const nthFromStart = Math.ceil(day.day / 7);
+        const nthFromEnd = -(Math.floor((day.daysInMonth - day.day) / 7) + 1);
+        // Holiday selectors (rule.holidays) never match - there is no holiday calendar to check against
+        return rule.weekdays.some(item =>
+            inWrappingRange(day.weekday, item.from, item.to) &&
+            (!item.nth || item.nth.includes(nthFromStart) || item.nth.includes(nthFromEnd)));
+    }
+    
+    return true;
+}
+
+/**
+ * Converts a matching rule into time intervals for its day
+ * @param {Object} rule - Parsed rule
+ * @returns {Array<Object>} Intervals with start, end (minutes, end may exceed 24:00) and state
+ */
+function getRuleIntervals(rule) {
+    const defaultState = rule.comment && !rule.times ? 'unknown' : 'open';
+    const state = rule.state || defaultState;
+    
+    if (!rule.times) {
+        return [{ start: 0, end: MINUTES_PER_DAY, state, comment: rule.comment }];
+    }
+    
+    const intervals = [];
+    rule.times.forEach(span => {
+        if (span.end !== null) {
+            intervals.push({ start: span.start, end: span.end, state, comment: rule.comment });
+        }
+        // Open end: the place is open from this point on, but closing time is unknown
+        if (span.openEnd) {
+            const from = span.end ?? span.start;
+            if (from < MINUTES_PER_DAY) {
+                intervals.push({ start: from, end: MINUTES_PER_DAY, state: 'unknown', comment: rule.comment });
+            }
         }
+    });
+    return intervals;
+}
+
+/**
+ * Collects the intervals that rules define for a calendar day
+ * Later intervals take precedence over earlier ones.
+ * @param {Array<Object>} rules - Parsed rules
+ * @param {Object} day - Calendar day from getCalendarDay()
+ * @returns {Array<Object>} Intervals in precedence order
+ */
+function getDayIntervals(rules, day) {
+    let fallbackIntervals = [];
+    let intervals = [];
+    
+    rules.forEach(rule => {
+        if (!ruleMatchesDay(rule, day)) return;
         
-        // If we parsed at least one valid pattern but didn't match, it's closed
-        if (foundValidPattern) {
-            return { isOpen: false, status: 'Closed', error: false };
+        const ruleIntervals = getRuleIntervals(rule);
+        if (rule.kind === 'fallback') {
+            fallbackIntervals = fallbackIntervals.concat(ruleIntervals);
+        } else if (rule.kind === 'additional' || (rule.state === 'closed' && rule.times)) {
+            // Additional rules and "off" time spans amend the day instead of replacing it
+            intervals = intervals.concat(ruleIntervals);
+        } else {
+            intervals = ruleIntervals;
         }
+    });
+    
+    // Fallback rules only fill the gaps left by the other rules
+    return fallbackIntervals.concat(intervals);
+}
+
+/**
+ * Collects all intervals affecting a calendar day, including spans carried over from the previous day
+ * @param {Array<Object>} rules - Parsed rules
+ * @param {Object} day - Calendar day from getCalendarDay()
+ * @returns {Array<Object>} Intervals in precedence order, relative to the start of the day
+ */
+function getEffectiveIntervals(rules, day) {
+    const previousDay = getCalendarDay(day.year, day.month, day.day - 1);
+    const carriedOver = getDayIntervals(rules, previousDay)
+        .filter(interval => interval.end > MINUTES_PER_DAY)
+        .map(interval => ({
+            ...interval,
+            start: Math.max(0, interval.start - MINUTES_PER_DAY),
+            end: interval.end - MINUTES_PER_DAY
+        }));
+    
+    return carriedOver.concat(getDayIntervals(rules, day));
+}
+
+/**
+ * Determines the state at a given minute of a calendar day
+ * @param {Array<Object>} rules - Parsed rules
+ * @param {Object} day - Calendar day from getCalendarDay()
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string} 'open', 'closed' or 'unknown'
+ */
+function getStateAt(rules, day, minutes) {
+    let state = 'closed';
+    getEffectiveIntervals(rules, day).forEach(interval => {
+        if (minutes >= interval.start && minutes < interval.end) {
+            state = interval.state;
+        }
+    });
+    return state;
+}
+
+/**
+ * Finds the next time the state changes, looking up to a week ahead
+ * @param {Array<Object>} rules - Parsed rules
+ * @param {Object} today - Calendar day from getCalendarDay()
+ * @param {number} minutes - Minutes after midnight to start from
+ * @param {string} currentState - State at the starting time
+ * @returns {Object|null} Object with state, dayOffset, minutes and minutesUntil, or null if nothing changes
+ */
+function findNextChange(rules, today, minutes, currentState) {
+    for (let dayOffset = 0; dayOffset <= NEXT_CHANGE_LOOKAHEAD_DAYS; dayOffset++) {
+        const day = getCalendarDay(today.year, today.month, today.day + dayOffset);
+        
+        // The state can only change at midnight or where an interval starts or ends
+        const candidates = new Set([0]);
+        getEffectiveIntervals(rules, day).forEach(interval => {
+            candidates.add(interval.start);
+            candidates.add(interval.end);
+        });
+        
+        const sorted = [...candidates]
+            .filter(candidate => candidate >= 0 && candidate < MINUTES_PER_DAY)
+            .filter(candidate => dayOffset > 0 || candidate > minutes)
+            .sort((a, b) => a - b);
+        
+        for (const candidate of sorted) {
+            const state = getStateAt(rules, day, candidate);
+            if (state !== currentState) {
+                return {
+                    state,
+                    dayOffset,
+                    weekday: day.weekday,
+                    minutes: candidate,
+                    minutesUntil: dayOffset * MINUTES_PER_DAY + candidate - minutes
+                };
+            }
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Converts an evaluated state to the isOpen value used in results
+ * @param {string} state - 'open', 'closed' or 'unknown'
+ * @returns {boolean|null} True if open, false if closed, null if unknown
+ */
+function stateToIsOpen(state) {
+    if (state === 'open') return true;
+    if (state === 'closed') return false;
+    return null;
+}
+
+/**
+ * Reads the wall-clock date and time of an instant in a time zone
+ * @param {Date} date - The instant to read
+ * @param {string|null} timeZone - IANA time zone (e.g. 'Europe/Paris'), or null for browser local time
+ * @returns {Object} Object with year, month (1-12), day, hours and minutes properties
+ */
+export function getWallClock(date, timeZone = null) {
+    if (timeZone) {
+        try {
+            const parts = {};
+            new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                hourCycle: 'h23'
+            }).formatToParts(date).forEach(part => {
+                parts[part.type] = parseInt(part.value, 10);
+            });
+            return { year: parts.year, month: parts.month, day: parts.day, hours: parts.hour, minutes: parts.minute };
+        } catch (e) {
+            // Unknown time zone - fall back to local time
+        }
+    }
+    
+    return {
+        year: date.getFullYear(),
+        month: date.getMonth() + 1,
+        day: date.getDate(),
+        hours: date.getHours(),
+        minutes: date.getMinutes()
+    };
+}
+
+/**
+ * Evaluates opening hours at a given time
+ * @param {string} openingHours - OSM opening_hours string
+ * @param {Date} now - Time to evaluate
+ * @param {string|null} timeZone - IANA time zone of the location, or null for browser local time
+ * @param {boolean} withNextChange - Whether to look for the next state change, which scans a week of rules
+ * @returns {Object} Object with isOpen, status, error and nextChange (null unless withNextChange)
+ */
+function evaluateOpeningHours(openingHours, now, timeZone, withNextChange) {
+    if (!openingHours) {
+        return { isOpen: null, status: 'Unknown', error: false, nextChange: null };
+    }
+    
+    // Handle simple cases
+    const value = openingHours.trim();
+    if (value === '24/7' || value.toLowerCase() === 'always') {
+        return { isOpen: true, status: 'Open 24/7', error: false, nextChange: null };
+    }
+    
+    let rules;
+    try {
+        rules = parseOpeningHoursRules(value);
     } catch (e) {
         // If parsing fails, return unknown
-        return { isOpen: null, status: 'Unknown', error: true };
+        return { isOpen: null, status: 'Unknown', error: true, nextChange: null };
+    }
+    
+    // Rules are written in the location's wall-clock time
+    const wallClock = getWallClock(now, timeZone);
+    const day = getCalendarDay(wallClock.year, wallClock.month, wallClock.day);
+    const minutes = wallClock.hours * 60 + wallClock.minutes;
+    const state = getStateAt(rules, day, minutes);
+    
+    const change = withNextChange ? findNextChange(rules, day, minutes, state) : null;
+    const nextChange = change ? {
+        isOpen: stateToIsOpen(change.state),
+        dayOffset: change.dayOffset,
+        weekday: change.weekday,
+        minutes: change.minutes,
+        minutesUntil: change.minutesUntil
+    } : null;
+    
+    if (state === 'open') {
+        return { isOpen: true, status: 'Open now', error: false, nextChange };
+    }
+    if (state === 'closed') {
+        return { isOpen: false, status: 'Closed', error: false, nextChange };
+    }
+    return { isOpen: null, status: 'Unknown', error: false, nextChange };
+}
+
+/**
+ * Parses opening hours to determine if location is open at a given time
+ * @param {string} openingHours - OSM opening_hours string
+ * @param {Date} now - Time to evaluate (defaults to the current time)
+ * @param {string|null} timeZone - IANA time zone of the location (defaults to browser local time)
+ * @returns {Object} Object with isOpen (boolean|null), status (string), error (boolean),
+ *   and nextChange (Object|null) describing the next state change within a week
+ */
+export function parseOpeningHours(openingHours, now = new Date(), timeZone = null) {
+    return evaluateOpeningHours(openingHours, now, timeZone, true);
+}
+
+/**
+ * Checks whether a location is open at a given time, without looking for the next state change
+ * Much cheaper than parseOpeningHours(), for marker colors, filters and lists.
+ * @param {string} openingHours - OSM opening_hours string
+ * @param {Date} now - Time to evaluate (defaults to the current time)
+ * @param {string|null} timeZone - IANA time zone of the location (defaults to browser local time)
+ * @returns {Object} Object with isOpen (boolean|null), status (string) and error (boolean)
+ */
+export function getOpenStatus(openingHours, now = new Date(), timeZone = null) {
+    const { nextChange, ...status } = evaluateOpeningHours(openingHours, now, timeZone, false);
+    return status;
+}
+
+/**
+ * Formats the next state change of parsed opening hours for display
+ * e.g. "Closes in 25 min", "Opens at 14:00", "Opens tomorrow at 07:30", "Opens Monday at 08:00"
+ * @param {Object|null} nextChange - nextChange from parseOpeningHours()
+ * @returns {string} Human-readable description, or empty string if there is no change or the next state is unknown
+ */
+export function formatNextChange(nextChange) {
+    if (!nextChange || typeof nextChange.isOpen !== 'boolean') {
+        return '';
     }
     
-    // Default: unable to parse
-    return { isOpen: null, status: 'Unknown', error: true };
+    const action = nextChange.isOpen ? 'Opens' : 'Closes';
+    
+    if (nextChange.minutesUntil < 60) {
+        return `${action} in ${nextChange.minutesUntil} min`;
+    }
+    
+    const hours = String(Math.floor(nextChange.minutes / 60)).padStart(2, '0');
+    const minutes = String(nextChange.minutes % 60).padStart(2, '0');
+    const time = `${hours}:${minutes}`;
+    
+    if (nextChange.dayOffset === 0) {
+        return `${action} at ${time}`;
+    }
+    if (nextChange.dayOffset === 1 && nextChange.minutes === 0) {
+        return `${action} at midnight`;
+    }
+    if (nextChange.dayOffset === 1) {
+        return `${action} tomorrow at ${time}`;
+    }
+    return `${action} ${WEEKDAY_LONG_NAMES[nextChange.weekday]} at ${time}`;
 }
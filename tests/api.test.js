@@ -2,9 +2,31 @@
  * Unit tests for api.js
  */
 
-import { test, describe } from 'node:test';
+import { test, describe, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
-import { getElementCoordinates } from '../js/api.js';
+import {
+    getElementCoordinates,
+    fetchCoffeeLocations,
+    fetchLocationDensity,
+    fetchElement,
+    fetchElements,
+    parseOverpassStatus
+} from '../js/api.js';
+import { clearTileCache } from '../js/cache.js';
+import { getNotifications, clearNotifications } from '../js/notifications.js';
+import { CONFIG } from '../js/config.js';
+
+/**
+ * Creates an object with the Leaflet LatLngBounds getters used by fetchCoffeeLocations
+ */
+function createBounds(south, west, north, east) {
+    return {
+        getSouth: () => south,
+        getWest: () => west,
+        getNorth: () => north,
+        getEast: () => east
+    };
+}
 
 describe('api.js', () => {
     describe('getElementCoordinates', () => {
@@ -87,4 +109,484 @@ describe('api.js', () => {
             assert.deepStrictEqual(result, { lat: 48.8566, lon: 2.3522 });
         });
     });
+
+    describe('fetchCoffeeLocations', () => {
+        const originalFetch = global.fetch;
+        const originalBackoff = CONFIG.OVERPASS_BACKOFF_BASE;
+        const cafe = { type: 'node', id: 1, lat: 48.853, lon: 2.3499, tags: { amenity: 'cafe' } };
+        const roastery = { type: 'way', id: 2, center: { lat: 48.8535, lon: 2.3505 }, tags: { craft: 'roaster' } };
+        // A small area around Notre-Dame de Paris, inside a single zoom 13 tile
+        const smallArea = createBounds(48.852, 2.349, 48.854, 2.351);
+        let requests;
+        let responseElements;
+
+        beforeEach(async () => {
+            await clearTileCache();
+            CONFIG.OVERPASS_BACKOFF_BASE = 1;
+            requests = [];
+            responseElements = [cafe, roastery, { type: 'way', id: 3, tags: { amenity: 'cafe' } }];
+            global.fetch = async (url, options) => {
+                requests.push(options.body);
+                return { ok: true, json: async () => ({ elements: responseElements }) };
+            };
+        });
+
+        afterEach(() => {
+            global.fetch = originalFetch;
+            CONFIG.OVERPASS_BACKOFF_BASE = originalBackoff;
+            clearNotifications();
+        });
+
+        test('should return elements with coordinates', async () => {
+            const elements = await fetchCoffeeLocations(smallArea);
+            assert.deepStrictEqual(elements, [cafe, roastery]);
+            assert.strictEqual(requests.length, 1);
+        });
+
+        test('should query the bounds of the missing tiles', async () => {
+            await fetchCoffeeLocations(smallArea);
+            // Tile 13/4149/2818 spans longitudes 2.3291 to 2.3730
+            assert.match(requests[0], /\(48\.8\d+,2\.329\d+,48\.8\d+,2\.373\d+\)/);
+        });
+
+        test('should serve cached tiles without a new request', async () => {
+            await fetchCoffeeLocations(smallArea);
+            const elements = await fetchCoffeeLocations(createBounds(48.8525, 2.3495, 48.8535, 2.3505));
+            assert.deepStrictEqual(elements, [cafe, roastery]);
+            assert.strictEqual(requests.length, 1);
+        });
+
+        test('should fetch only tiles that are not cached', async () => {
+            await fetchCoffeeLocations(smallArea);
+            
+            // Extend the view one tile to the east
+            responseElements = [cafe, { type: 'node', id: 4, lat: 48.853, lon: 2.38, tags: { shop: 'coffee' } }];
+            const elements = await fetchCoffeeLocations(createBounds(48.852, 2.349, 48.854, 2.38));
+            
+            assert.strictEqual(requests.length, 2);
+            assert.doesNotMatch(requests[1], /2\.329/);
+            assert.deepStrictEqual(elements.map(element => element.id), [1, 2, 4]);
+        });
+
+        test('should not cache failed requests', async () => {
+            global.fetch = async () => ({ ok: false, status: 429 });
+            await assert.rejects(fetchCoffeeLocations(smallArea), /status: 429/);
+            
+            global.fetch = async (url, options) => {
+                requests.push(options.body);
+                return { ok: true, json: async () => ({ elements: [cafe] }) };
+            };
+            assert.deepStrictEqual(await fetchCoffeeLocations(smallArea), [cafe]);
+            assert.strictEqual(requests.length, 1);
+        });
+    });
+
+    describe('fetchLocationDensity', () => {
+        const originalFetch = global.fetch;
+        const cafe = { type: 'node', id: 1, lat: 48.853, lon: 2.3499, tags: { amenity: 'cafe' } };
+        // Inside a single zoom 11 tile (11/1037/704)
+        const smallArea = createBounds(48.852, 2.349, 48.854, 2.351);
+        // Spans two zoom 11 tiles side by side (the tile border is at longitude 2.4609)
+        const wideArea = createBounds(48.852, 2.4, 48.854, 2.5);
+        let requests;
+        let responseElements;
+
+        /**
+         * Creates a location position as returned by `out skel center`
+         */
+        function position(id, lat, lon) {
+            return { type: 'node', id, lat, lon };
+        }
+
+        beforeEach(async () => {
+            await clearTileCache();
+            requests = [];
+            responseElements = [position(1, 48.853, 2.35), position(2, 48.8531, 2.3501)];
+            global.fetch = async (url, options) => {
+                requests.push(options.body);
+                return { ok: true, json: async () => ({ elements: responseElements }) };
+            };
+        });
+
+        afterEach(() => {
+            global.fetch = originalFetch;
+            clearNotifications();
+        });
+
+        test('should count locations per cell one zoom level deeper than the map', async () => {
+            const cells = await fetchLocationDensity(smallArea, 10);
+            
+            assert.strictEqual(cells.length, 1);
+            assert.strictEqual(cells[0].key, '11/1037/704');
+            assert.strictEqual(cells[0].count, 2);
+            assert.ok(cells[0].bounds.west < 2.349 && cells[0].bounds.east > 2.351);
+            assert.match(requests[0], /out skel center qt;/);
+            assert.doesNotMatch(requests[0], /out count;/);
+        });
+
+        test('should count all missing cells from one request', async () => {
+            responseElements = [
+                position(1, 48.853, 2.45),
+                { type: 'way', id: 2, center: { lat: 48.853, lon: 2.47 } },
+                position(3, 48.853, 2.48),
+                // Outside the view's cells
+                position(4, 50, 2.47)
+            ];
+            const cells = await fetchLocationDensity(wideArea, 10);
+            
+            assert.deepStrictEqual(cells.map(cell => cell.count), [1, 2]);
+            assert.strictEqual(requests.length, 1);
+            assert.strictEqual(requests[0].match(/out /g).length, 1);
+        });
+
+        test('should serve cached counts without a new request', async () => {
+            await fetchLocationDensity(smallArea, 10);
+            const cells = await fetchLocationDensity(smallArea, 10);
+            
+            assert.strictEqual(cells[0].count, 2);
+            assert.strictEqual(requests.length, 1);
+        });
+
+        test('should cache empty cells', async () => {
+            responseElements = [];
+            await fetchLocationDensity(smallArea, 10);
+            const cells = await fetchLocationDensity(smallArea, 10);
+            
+            assert.strictEqual(cells[0].count, 0);
+            assert.strictEqual(requests.length, 1);
+        });
+
+        test('should count cached location tiles at the location zoom level', async () => {
+            responseElements = [cafe];
+            await fetchCoffeeLocations(smallArea);
+            
+            const cells = await fetchLocationDensity(smallArea, CONFIG.MIN_ZOOM_FOR_LOCATIONS - 1);
+            assert.strictEqual(cells[0].key, '13/4149/2818');
+            assert.strictEqual(cells[0].count, 1);
+            assert.strictEqual(requests.length, 1);
+        });
+
+        test('should reject failed requests and show an error', async () => {
+            global.fetch = async () => ({ ok: false, status: 400 });
+            await assert.rejects(fetchLocationDensity(wideArea, 10), /status: 400/);
+            assert.strictEqual(getNotifications()[0].level, 'error');
+        });
+    });
+
+    describe('fetchElement', () => {
+        const originalFetch = global.fetch;
+        let requests;
+        let responseElements;
+
+        beforeEach(() => {
+            requests = [];
+            global.fetch = async (url, options) => {
+                requests.push(options.body);
+                return { ok: true, json: async () => ({ elements: responseElements }) };
+            };
+        });
+
+        afterEach(() => {
+            global.fetch = originalFetch;
+        });
+
+        test('should request the element by type and id', async () => {
+            const way = { type: 'way', id: 42, center: { lat: 48.85, lon: 2.35 }, tags: { amenity: 'cafe' } };
+            responseElements = [way];
+            
+            assert.deepStrictEqual(await fetchElement('way', 42), way);
+            assert.match(requests[0], /way\(42\);\s*out center;/);
+        });
+
+        test('should return null for missing elements', async () => {
+            responseElements = [];
+            assert.strictEqual(await fetchElement('node', 1), null);
+        });
+    });
+
+    describe('fetchElements', () => {
+        const originalFetch = global.fetch;
+        let requests;
+        let responseElements;
+
+        beforeEach(() => {
+            requests = [];
+            global.fetch = async (url, options) => {
+                requests.push(options.body);
+                return { ok: true, json: async () => ({ elements: responseElements }) };
+            };
+        });
+
+        afterEach(() => {
+            global.fetch = originalFetch;
+        });
+
+        test('should request all elements by type in one query', async () => {
+            const node = { type: 'node', id: 1, lat: 48.85, lon: 2.35, tags: { amenity: 'cafe' } };
+            responseElements = [node];
+            
+            const elements = await fetchElements([
+                { type: 'node', id: 1 },
+                { type: 'way', id: 42 },
+                { type: 'node', id: 2 }
+            ]);
+            
+            assert.deepStrictEqual(elements, [node]);
+            assert.strictEqual(requests.length, 1);
+            assert.match(requests[0], /\(node\(id:1,2\);way\(id:42\);\);\s*out center;/);
+        });
+
+        test('should not send a request without references', async () => {
+            assert.deepStrictEqual(await fetchElements([]), []);
+            assert.strictEqual(requests.length, 0);
+        });
+    });
+
+    describe('parseOverpassStatus', () => {
+        test('should read available slots', () => {
+            const status = 'Connected as: 123\nRate limit: 2\n2 slots available now.\nCurrently running queries:';
+            assert.deepStrictEqual(parseOverpassStatus(status), { slotsAvailable: 2, nextSlotSeconds: null });
+        });
+
+        test('should read the wait for the next free slot', () => {
+            const status = [
+                'Rate limit: 2',
+                'Slot available after: 2024-06-03T12:00:15Z, in 15 seconds.',
+                'Slot available after: 2024-06-03T12:00:07Z, in 7 seconds.',
+                'Currently running queries (pid, space limit, time limit, start time):'
+            ].join('\n');
+            assert.deepStrictEqual(parseOverpassStatus(status), { slotsAvailable: 0, nextSlotSeconds: 7 });
+        });
+
+        test('should treat a rate limit of 0 as unlimited', () => {
+            assert.strictEqual(parseOverpassStatus('Rate limit: 0\n').slotsAvailable, Infinity);
+        });
+
+        test('should handle empty or unexpected responses', () => {
+            assert.deepStrictEqual(parseOverpassStatus(''), { slotsAvailable: 0, nextSlotSeconds: null });
+            assert.deepStrictEqual(parseOverpassStatus(undefined), { slotsAvailable: 0, nextSlotSeconds: null });
+        });
+    });
+
+    describe('Overpass endpoint failover', () => {
+        const originalFetch = global.fetch;
+        const originalConfig = { ...CONFIG };
+        const cafe = { type: 'node', id: 1, lat: 48.853, lon: 2.3499, tags: { amenity: 'cafe' } };
+        const area = createBounds(48.852, 2.349, 48.854, 2.351);
+        let run = 0;
+        let primary;
+        let secondary;
+        let calls;
+
+        /**
+         * Mocks fetch with a handler per URL; each handler gets the number of previous calls to that URL and the fetch options
+         */
+        function mockFetch(handlers) {
+            global.fetch = async (url, options) => {
+                const count = calls.filter(call => call === url).length;
+                calls.push(url);
+                const handler = handlers[url];
+                if (!handler) throw new TypeError('Failed to fetch');
+                return handler(count, options);
+            };
+        }
+
+        const ok = () => ({ ok: true, json: async () => ({ elements: [cafe] }) });
+        const failWith = status => () => ({ ok: false, status });
+        const statusText = text => () => ({ ok: true, text: async () => text });
+        const hang = (count, { signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+        });
+
+        beforeEach(async () => {
+            await clearTileCache();
+            calls = [];
+            // Fresh endpoint URLs per test, so the preferred endpoint of one test does not leak into the next
+            run++;
+            primary = `https://primary${run}.test/api/interpreter`;
+            secondary = `https://secondary${run}.test/api/interpreter`;
+            CONFIG.OVERPASS_ENDPOINTS = [primary, secondary];
+            CONFIG.OVERPASS_BACKOFF_BASE = 1;
+            CONFIG.OVERPASS_MAX_RETRIES = 2;
+            CONFIG.OVERPASS_MAX_RETRY_DELAY = 1000;
+        });
+
+        afterEach(() => {
+            global.fetch = originalFetch;
+            Object.assign(CONFIG, originalConfig);
+            clearNotifications();
+        });
+
+        test('should fail over to the next endpoint on network errors', async () => {
+            mockFetch({ [secondary]: ok });
+            assert.deepStrictEqual(await fetchCoffeeLocations(area), [cafe]);
+            assert.deepStrictEqual(calls, [primary, secondary]);
+        });
+
+        test('should fail over on a successful response that is not Overpass JSON', async () => {
+            const htmlPage = () => ({ ok: true, json: async () => { throw new SyntaxError('Unexpected token <'); } });
+            mockFetch({ [primary]: htmlPage, [secondary]: ok });
+            assert.deepStrictEqual(await fetchCoffeeLocations(area), [cafe]);
+            assert.deepStrictEqual(calls, [primary, secondary]);
+            
+            // JSON without elements is not a result either
+            await clearTileCache();
+            calls = [];
+            mockFetch({ [secondary]: () => ({ ok: true, json: async () => ({ remark: 'runtime error' }) }), [primary]: ok });
+            assert.deepStrictEqual(await fetchCoffeeLocations(area), [cafe]);
+            assert.deepStrictEqual(calls, [secondary, primary]);
+        });
+
+        test('should start with the endpoint that last answered', async () => {
+            mockFetch({ [secondary]: ok });
+            await fetchCoffeeLocations(area);
+            
+            await clearTileCache();
+            calls = [];
+            await fetchCoffeeLocations(area);
+            assert.deepStrictEqual(calls, [secondary]);
+        });
+
+        test('should retry 504 responses with backoff before failing over', async () => {
+            mockFetch({ [primary]: failWith(504), [secondary]: ok });
+            assert.deepStrictEqual(await fetchCoffeeLocations(area), [cafe]);
+            assert.deepStrictEqual(calls, [primary, primary, primary, secondary]);
+        });
+
+        test('should retry a 429 response once a slot is free', async () => {
+            const primaryStatus = primary.replace('/interpreter', '/status');
+            mockFetch({
+                [primary]: count => count === 0 ? failWith(429)() : ok(),
+                [primaryStatus]: statusText('Rate limit: 2\nSlot available after: 2024-06-03T12:00:00Z, in 0 seconds.\n')
+            });
+            assert.deepStrictEqual(await fetchCoffeeLocations(area), [cafe]);
+            assert.deepStrictEqual(calls, [primary, primaryStatus, primary]);
+        });
+
+        test('should fail over when the next slot is too far away', async () => {
+            const primaryStatus = primary.replace('/interpreter', '/status');
+            mockFetch({
+                [primary]: failWith(429),
+                [primaryStatus]: statusText('Rate limit: 2\nSlot available after: 2024-06-03T12:05:00Z, in 300 seconds.\n'),
+                [secondary]: ok
+            });
+            assert.deepStrictEqual(await fetchCoffeeLocations(area), [cafe]);
+            assert.deepStrictEqual(calls, [primary, primaryStatus, secondary]);
+        });
+
+        test('should use the default backoff when the status request times out', async () => {
+            CONFIG.OVERPASS_TIMEOUT = 20;
+            const primaryStatus = primary.replace('/interpreter', '/status');
+            mockFetch({
+                [primary]: count => count === 0 ? failWith(429)() : ok(),
+                [primaryStatus]: hang
+            });
+            assert.deepStrictEqual(await fetchCoffeeLocations(area), [cafe]);
+            assert.deepStrictEqual(calls, [primary, primaryStatus, primary]);
+        });
+
+        test('should cancel the status request', async () => {
+            const controller = new AbortController();
+            const primaryStatus = primary.replace('/interpreter', '/status');
+            mockFetch({
+                [primary]: failWith(429),
+                [primaryStatus]: (count, options) => {
+                    setTimeout(() => controller.abort(), 10);
+                    return hang(count, options);
+                },
+                [secondary]: ok
+            });
+            await assert.rejects(fetchCoffeeLocations(area, controller.signal), { name: 'AbortError' });
+            assert.deepStrictEqual(calls, [primary, primaryStatus]);
+        });
+
+        test('should not retry other HTTP errors', async () => {
+            mockFetch({ [primary]: failWith(400), [secondary]: ok });
+            await fetchCoffeeLocations(area);
+            assert.deepStrictEqual(calls, [primary, secondary]);
+        });
+
+        test('should not fail over or retry once cancelled', async () => {
+            const controller = new AbortController();
+            mockFetch({
+                [primary]: () => {
+                    controller.abort();
+                    throw controller.signal.reason;
+                },
+                [secondary]: ok
+            });
+            await assert.rejects(fetchCoffeeLocations(area, controller.signal), { name: 'AbortError' });
+            assert.deepStrictEqual(calls, [primary]);
+        });
+
+        test('should cancel a retry wait', async () => {
+            CONFIG.OVERPASS_BACKOFF_BASE = 500;
+            const controller = new AbortController();
+            mockFetch({ [primary]: failWith(504), [secondary]: ok });
+            
+            const request = fetchCoffeeLocations(area, controller.signal);
+            setTimeout(() => controller.abort(), 10);
+            await assert.rejects(request, { name: 'AbortError' });
+            assert.deepStrictEqual(calls, [primary]);
+        });
+
+        test('should reject with the last error when all endpoints fail', async () => {
+            mockFetch({ [primary]: failWith(400), [secondary]: failWith(500) });
+            await assert.rejects(fetchCoffeeLocations(area), /status: 500/);
+        });
+
+        test('should report errors with a retry action', async () => {
+            mockFetch({});
+            await assert.rejects(fetchCoffeeLocations(area));
+            
+            const [notification] = getNotifications();
+            assert.strictEqual(notification.level, 'error');
+            assert.strictEqual(notification.action.label, 'Retry loading');
+        });
+
+        test('should report busy servers while retrying and clear the report on success', async () => {
+            let notificationsDuringRetry;
+            mockFetch({
+                [primary]: count => {
+                    if (count === 0) return failWith(504)();
+                    notificationsDuringRetry = getNotifications();
+                    return ok();
+                }
+            });
+            await fetchCoffeeLocations(area);
+            
+            assert.deepStrictEqual(notificationsDuringRetry.map(n => n.level), ['warning']);
+            assert.deepStrictEqual(getNotifications(), []);
+        });
+
+        test('should clear the busy report after refreshing elements', async () => {
+            let notificationsDuringRetry;
+            mockFetch({
+                [primary]: count => {
+                    if (count === 0) return failWith(429)();
+                    notificationsDuringRetry = getNotifications();
+                    return ok();
+                }
+            });
+            assert.deepStrictEqual(await fetchElements([{ type: 'node', id: 1 }]), [cafe]);
+            
+            assert.deepStrictEqual(notificationsDuringRetry.map(n => n.level), ['warning']);
+            assert.deepStrictEqual(getNotifications(), []);
+        });
+
+        test('should clear the busy report when fetching an element finally fails', async () => {
+            mockFetch({ [primary]: failWith(504), [secondary]: failWith(504) });
+            await assert.rejects(fetchElement('node', 1), /status: 504/);
+            
+            assert.deepStrictEqual(calls.filter(call => call === primary).length, 3);
+            assert.deepStrictEqual(getNotifications(), []);
+        });
+
+        test('should not report cancelled requests', async () => {
+            const controller = new AbortController();
+            controller.abort();
+            await assert.rejects(fetchCoffeeLocations(area, controller.signal), { name: 'AbortError' });
+            assert.deepStrictEqual(getNotifications(), []);
+        });
+    });
 });
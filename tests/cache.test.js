@@ -0,0 +1,57 @@
+/**
+ * Unit tests for cache.js
+ * IndexedDB is not available in Node.js, so these cover the in-memory fallback.
+ */
+
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { getCachedTile, setCachedTile, clearTileCache } from '../js/cache.js';
+import { CONFIG } from '../js/config.js';
+
+describe('cache.js', () => {
+    const elements = [{ type: 'node', id: 1, lat: 48.85, lon: 2.35, tags: { amenity: 'cafe' } }];
+    const fetchedAt = Date.UTC(2024, 5, 3, 12, 0);
+
+    beforeEach(async () => {
+        await clearTileCache();
+    });
+
+    describe('getCachedTile', () => {
+        test('should return null for tiles that were never cached', async () => {
+            assert.strictEqual(await getCachedTile('13/1/1', fetchedAt), null);
+        });
+
+        test('should return cached elements within the TTL', async () => {
+            await setCachedTile('13/1/1', elements, fetchedAt);
+            assert.deepStrictEqual(await getCachedTile('13/1/1', fetchedAt + CONFIG.TILE_CACHE_TTL - 1), elements);
+        });
+
+        test('should return cached empty tiles', async () => {
+            await setCachedTile('13/1/1', [], fetchedAt);
+            assert.deepStrictEqual(await getCachedTile('13/1/1', fetchedAt), []);
+        });
+
+        test('should treat expired tiles as missing', async () => {
+            await setCachedTile('13/1/1', elements, fetchedAt);
+            assert.strictEqual(await getCachedTile('13/1/1', fetchedAt + CONFIG.TILE_CACHE_TTL), null);
+        });
+    });
+
+    describe('setCachedTile', () => {
+        test('should replace an existing entry', async () => {
+            await setCachedTile('13/1/1', elements, fetchedAt);
+            await setCachedTile('13/1/1', [], fetchedAt + 1);
+            assert.deepStrictEqual(await getCachedTile('13/1/1', fetchedAt + 1), []);
+        });
+    });
+
+    describe('clearTileCache', () => {
+        test('should remove all tiles', async () => {
+            await setCachedTile('13/1/1', elements, fetchedAt);
+            await setCachedTile('13/1/2', elements, fetchedAt);
+            await clearTileCache();
+            assert.strictEqual(await getCachedTile('13/1/1', fetchedAt), null);
+            assert.strictEqual(await getCachedTile('13/1/2', fetchedAt), null);
+        });
+    });
+});
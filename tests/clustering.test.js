@@ -0,0 +1,89 @@
+/**
+ * Unit tests for clustering.js
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { clusterPoints, groupByPosition, getTypeBreakdown } from '../js/clustering.js';
+
+describe('clustering.js', () => {
+    describe('clusterPoints', () => {
+        test('should return no clusters for no points', () => {
+            assert.deepStrictEqual(clusterPoints([], 60), []);
+        });
+
+        test('should group points within the radius', () => {
+            const points = [{ x: 100, y: 100 }, { x: 130, y: 120 }, { x: 100, y: 159 }];
+            const clusters = clusterPoints(points, 60);
+            assert.strictEqual(clusters.length, 1);
+            assert.deepStrictEqual(clusters[0].points, points);
+        });
+
+        test('should keep distant points in separate clusters', () => {
+            const clusters = clusterPoints([{ x: 0, y: 0 }, { x: 61, y: 0 }, { x: 500, y: 500 }], 60);
+            assert.strictEqual(clusters.length, 3);
+        });
+
+        test('should measure distance from the first point of a cluster', () => {
+            // The third point is close to the second but too far from the first
+            const clusters = clusterPoints([{ x: 0, y: 0 }, { x: 50, y: 0 }, { x: 100, y: 0 }], 60);
+            assert.deepStrictEqual(clusters.map(cluster => cluster.points.length), [2, 1]);
+            assert.deepStrictEqual([clusters[1].x, clusters[1].y], [100, 0]);
+        });
+
+        test('should find clusters across grid cell borders', () => {
+            const clusters = clusterPoints([{ x: 59, y: 59 }, { x: 61, y: 61 }, { x: 100, y: 30 }], 60);
+            assert.strictEqual(clusters.length, 1);
+        });
+
+        test('should add a point to the nearest cluster', () => {
+            const clusters = clusterPoints([{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 70, y: 0 }], 60);
+            assert.deepStrictEqual(clusters.map(cluster => cluster.points.length), [1, 2]);
+        });
+
+        test('should keep extra point properties', () => {
+            const [cluster] = clusterPoints([{ x: 1, y: 1, location: 'a' }], 60);
+            assert.strictEqual(cluster.points[0].location, 'a');
+        });
+    });
+
+    describe('groupByPosition', () => {
+        test('should group locations at exactly the same position, keeping their order', () => {
+            const first = { id: 1, coords: { lat: 48.8566, lon: 2.3522 } };
+            const other = { id: 2, coords: { lat: 48.8567, lon: 2.3522 } };
+            const same = { id: 3, coords: { lat: 48.8566, lon: 2.3522 } };
+            
+            assert.deepStrictEqual(groupByPosition([first, other, same]), [[first, same], [other]]);
+        });
+
+        test('should return one group when all locations share a position', () => {
+            const locations = [1, 2, 3].map(id => ({ id, coords: { lat: -33.8688, lon: 151.2093 } }));
+            assert.strictEqual(groupByPosition(locations).length, 1);
+        });
+
+        test('should return no groups for no locations', () => {
+            assert.deepStrictEqual(groupByPosition([]), []);
+        });
+    });
+
+    describe('getTypeBreakdown', () => {
+        test('should count locations per type', () => {
+            const elements = [
+                { tags: { amenity: 'cafe' } },
+                { tags: { amenity: 'cafe' } },
+                { tags: { shop: 'coffee' } },
+                { tags: { craft: 'roaster' } },
+                { tags: { amenity: 'fast_food', cuisine: 'sandwich' } }
+            ];
+            assert.deepStrictEqual(getTypeBreakdown(elements), { cafe: 2, shop: 1, roastery: 1, sandwich: 1 });
+        });
+
+        test('should count elements without tags as cafes', () => {
+            assert.deepStrictEqual(getTypeBreakdown([{}]), { cafe: 1 });
+        });
+
+        test('should return an empty breakdown for no elements', () => {
+            assert.deepStrictEqual(getTypeBreakdown([]), {});
+        });
+    });
+});
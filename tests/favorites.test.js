@@ -2,9 +2,48 @@
  * Unit tests for favorites.js
  */
 
-import { test, describe, beforeEach } from 'node:test';
+import { test, describe, before, after, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
-import { loadFavorites, addFavorite, removeFavorite, isFavorite, toggleFavorite } from '../js/favorites.js';
+import { createServer } from 'node:http';
+import {
+    loadFavorites,
+    addFavorite,
+    removeFavorite,
+    isFavorite,
+    toggleFavorite,
+    createFavoriteRecord,
+    getRefreshedFavorite,
+    refreshFavorites,
+    acknowledgeFavoriteChanges,
+    getFavorite,
+    getPersonalData,
+    parseCustomTags,
+    updatePersonalData,
+    getCustomTags,
+    filterFavorites,
+    loadCollections,
+    createCollection,
+    renameCollection,
+    deleteCollection,
+    getFavoriteCollections,
+    setFavoriteCollections,
+    moveFavorite,
+    getFavoritesState,
+    restoreFavoritesState,
+    exportFavorites,
+    parseFavorites,
+    importFavorites,
+    getCollectionPlaces,
+    setCollectionPlaces,
+    setFavoritesStorage,
+    localStorageAdapter,
+    createRestStorageAdapter,
+    loadFavoritesStorage,
+    initFavoritesStorage,
+    applyExternalFavoritesChange
+} from '../js/favorites.js';
+import { getNotifications, clearNotifications } from '../js/notifications.js';
+import { CONFIG } from '../js/config.js';
 
 // Mock localStorage for Node.js environment
 const mockStorage = {};
@@ -29,7 +68,8 @@ if (typeof window === 'undefined') {
             // Store event for verification
             events[event.type] = event;
         },
-        _getLastEvent: (type) => events[type]
+        _getLastEvent: (type) => events[type],
+        addEventListener: () => {}
     };
 }
 
@@ -39,6 +79,10 @@ describe('favorites.js', () => {
         localStorage.clear();
     });
 
+    afterEach(() => {
+        clearNotifications();
+    });
+
     describe('loadFavorites', () => {
         test('should return empty array when no favorites exist', () => {
             const favorites = loadFavorites();
@@ -47,30 +91,106 @@ describe('favorites.js', () => {
 
         test('should load favorites from localStorage', () => {
             const testFavorites = [
-                { id: 1, type: 'node', tags: { name: 'Test Cafe' } }
+                { type: 'node', id: 1, lat: 48.85, lon: 2.35, tags: { name: 'Test Cafe' }, savedAt: '2024-06-01T10:00:00.000Z' }
             ];
-            localStorage.setItem('osmCoffeeFavorites', JSON.stringify(testFavorites));
+            localStorage.setItem('osmCoffeeFavorites', JSON.stringify({ version: 2, favorites: testFavorites }));
             
             const favorites = loadFavorites();
             assert.deepStrictEqual(favorites, testFavorites);
         });
 
+        test('should migrate favorites stored as raw OSM elements', () => {
+            const rawElements = [
+                { type: 'node', id: 1, lat: 48.85, lon: 2.35, tags: { name: 'Test Cafe', amenity: 'cafe', 'check_date': '2020-01-01' } },
+                { type: 'way', id: 2, center: { lat: 48.86, lon: 2.36 }, tags: { shop: 'coffee' } }
+            ];
+            localStorage.setItem('osmCoffeeFavorites', JSON.stringify(rawElements));
+            
+            const favorites = loadFavorites();
+            assert.deepStrictEqual(favorites.map(({ savedAt, ...favorite }) => favorite), [
+                { type: 'node', id: 1, lat: 48.85, lon: 2.35, tags: { name: 'Test Cafe', amenity: 'cafe' } },
+                { type: 'way', id: 2, center: { lat: 48.86, lon: 2.36 }, tags: { shop: 'coffee' } }
+            ]);
+            assert.ok(!Number.isNaN(Date.parse(favorites[0].savedAt)));
+            
+            // Reading does not write; the migrated favorites are stored in the new format with the next save
+            assert.ok(Array.isArray(JSON.parse(localStorage.getItem('osmCoffeeFavorites'))));
+            addFavorite({ type: 'node', id: 3, tags: { name: 'Other Cafe' } });
+            const stored = JSON.parse(localStorage.getItem('osmCoffeeFavorites'));
+            assert.strictEqual(stored.version, 3);
+            assert.deepStrictEqual(stored.favorites.slice(0, 2), favorites);
+        });
+
+        test('should migrate a single list of favorites into the first collection', () => {
+            const favorite = { type: 'node', id: 1, lat: 48.85, lon: 2.35, tags: { name: 'Test Cafe' }, savedAt: '2024-05-01T10:00:00.000Z' };
+            localStorage.setItem('osmCoffeeFavorites', JSON.stringify({ version: 2, favorites: [favorite] }));
+            
+            assert.deepStrictEqual(loadFavorites(), [favorite]);
+            assert.deepStrictEqual(loadCollections(), [{ id: 'favorites', name: 'Favorites', members: ['node/1'] }]);
+            assert.strictEqual(JSON.parse(localStorage.getItem('osmCoffeeFavorites')).version, 2);
+        });
+
+        test('should warn about favorites stored by a newer version', () => {
+            localStorage.setItem('osmCoffeeFavorites', JSON.stringify({ version: 99, favorites: [] }));
+            
+            assert.deepStrictEqual(loadFavorites(), []);
+            assert.deepStrictEqual(getNotifications().map(n => n.level), ['warning']);
+        });
+
+        test('should read favorites changed in storage by someone else', () => {
+            addFavorite({ id: 1, type: 'node', tags: { name: 'Cafe 1' } });
+            localStorage.setItem('osmCoffeeFavorites', JSON.stringify({ version: 2, favorites: [] }));
+            
+            assert.deepStrictEqual(loadFavorites(), []);
+            assert.strictEqual(isFavorite({ id: 1, type: 'node' }), false);
+        });
+
         test('should return empty array on JSON parse error', () => {
             localStorage.setItem('osmCoffeeFavorites', 'invalid json');
             
             const favorites = loadFavorites();
             assert.deepStrictEqual(favorites, []);
         });
+
+        test('should notify the user when favorites cannot be read', () => {
+            localStorage.setItem('osmCoffeeFavorites', 'invalid json');
+            
+            loadFavorites();
+            assert.deepStrictEqual(getNotifications().map(n => n.level), ['warning']);
+        });
+    });
+
+    describe('saving', () => {
+        const lomi = { type: 'node', id: 1, lat: 48.85, lon: 2.35, tags: { name: 'Café Lomi' } };
+
+        afterEach(() => {
+            setFavoritesStorage(localStorageAdapter);
+        });
+
+        test('should throw and not report a change when the storage is full', () => {
+            setFavoritesStorage({
+                load: () => null,
+                save: () => { throw new Error('QuotaExceededError'); }
+            });
+            window.dispatchEvent({ type: 'favoritesChanged', stale: true });
+            
+            assert.throws(() => addFavorite(lomi), /could not be saved/);
+            assert.throws(() => createCollection('Paris'), /could not be saved/);
+            assert.throws(() => importFavorites([createFavoriteRecord(lomi)]), /could not be saved/);
+            assert.strictEqual(window._getLastEvent('favoritesChanged').stale, true);
+            assert.strictEqual(isFavorite(lomi), false);
+            assert.deepStrictEqual(loadCollections().map(collection => collection.name), ['Favorites']);
+        });
     });
 
     describe('addFavorite', () => {
         test('should add a favorite to empty list', () => {
-            const element = { id: 1, type: 'node', tags: { name: 'Test Cafe' } };
+            const element = { id: 1, type: 'node', lat: 48.85, lon: 2.35, tags: { name: 'Test Cafe' } };
             addFavorite(element);
             
             const favorites = loadFavorites();
             assert.strictEqual(favorites.length, 1);
-            assert.deepStrictEqual(favorites[0], element);
+            assert.deepStrictEqual(favorites[0], createFavoriteRecord(element, favorites[0].savedAt));
         });
 
         test('should add multiple favorites', () => {
@@ -218,4 +338,797 @@ describe('favorites.js', () => {
             assert.strictEqual(isFavorite(element), true);
         });
     });
+
+    describe('createFavoriteRecord', () => {
+        test('should keep only key tags and the save time', () => {
+            const element = {
+                type: 'node',
+                id: 1,
+                lat: 48.85,
+                lon: 2.35,
+                tags: { name: 'Cafe', amenity: 'cafe', opening_hours: 'Mo-Fr 08:00-18:00', source: 'survey' }
+            };
+            
+            assert.deepStrictEqual(createFavoriteRecord(element, '2024-06-01T10:00:00.000Z'), {
+                type: 'node',
+                id: 1,
+                lat: 48.85,
+                lon: 2.35,
+                tags: { name: 'Cafe', amenity: 'cafe', opening_hours: 'Mo-Fr 08:00-18:00' },
+                savedAt: '2024-06-01T10:00:00.000Z'
+            });
+        });
+
+        test('should keep the center of ways and leave out missing coordinates', () => {
+            const way = createFavoriteRecord({ type: 'way', id: 2, center: { lat: 1, lon: 2 }, tags: {} });
+            assert.deepStrictEqual(way.center, { lat: 1, lon: 2 });
+            
+            const relation = createFavoriteRecord({ type: 'relation', id: 3 });
+            assert.strictEqual('center' in relation || 'lat' in relation, false);
+            assert.deepStrictEqual(relation.tags, {});
+        });
+    });
+
+    describe('getRefreshedFavorite', () => {
+        const favorite = {
+            type: 'node',
+            id: 1,
+            lat: 48.85,
+            lon: 2.35,
+            tags: { name: 'Cafe', amenity: 'cafe', opening_hours: 'Mo-Fr 08:00-18:00' },
+            savedAt: '2024-06-01T10:00:00.000Z'
+        };
+        const refreshedAt = '2024-07-01T10:00:00.000Z';
+
+        test('should flag favorites that no longer exist', () => {
+            assert.deepStrictEqual(getRefreshedFavorite(favorite, undefined, refreshedAt), {
+                ...favorite,
+                status: 'deleted',
+                refreshedAt
+            });
+        });
+
+        test('should update the snapshot and flag changed key tags', () => {
+            const element = {
+                type: 'node',
+                id: 1,
+                lat: 48.8501,
+                lon: 2.35,
+                tags: { name: 'Cafe', amenity: 'cafe', opening_hours: 'Mo-Su 08:00-18:00', 'check_date': '2024-06-30' }
+            };
+            const refreshed = getRefreshedFavorite(favorite, element, refreshedAt);
+            
+            assert.strictEqual(refreshed.status, 'changed');
+            assert.deepStrictEqual(refreshed.changedTags, ['opening_hours']);
+            assert.strictEqual(refreshed.tags.opening_hours, 'Mo-Su 08:00-18:00');
+            assert.strictEqual(refreshed.lat, 48.8501);
+            assert.strictEqual(refreshed.savedAt, favorite.savedAt);
+            assert.strictEqual(refreshed.refreshedAt, refreshedAt);
+        });
+
+        test('should not flag unchanged favorites', () => {
+            const element = { type: 'node', id: 1, lat: 48.85, lon: 2.35, tags: { ...favorite.tags, source: 'survey' } };
+            const refreshed = getRefreshedFavorite(favorite, element, refreshedAt);
+            
+            assert.strictEqual(refreshed.status, undefined);
+            assert.strictEqual(refreshed.changedTags, undefined);
+        });
+
+        test('should keep the personal data', () => {
+            const personal = { note: 'Ask for the oat milk', rating: 4, tried: [], tags: ['quiet'] };
+            const element = { type: 'node', id: 1, lat: 48.85, lon: 2.35, tags: favorite.tags };
+            
+            assert.deepStrictEqual(getRefreshedFavorite({ ...favorite, personal }, element, refreshedAt).personal, personal);
+        });
+
+        test('should keep changes that were not seen yet', () => {
+            const changed = { ...favorite, status: 'changed', changedTags: ['name'] };
+            const element = { type: 'node', id: 1, lat: 48.85, lon: 2.35, tags: { ...favorite.tags, cuisine: 'coffee_shop' } };
+            
+            assert.deepStrictEqual(getRefreshedFavorite(changed, element, refreshedAt).changedTags, ['name', 'cuisine']);
+        });
+    });
+
+    describe('refreshFavorites', () => {
+        const originalFetch = global.fetch;
+        let requests;
+        let responseElements;
+
+        /**
+         * Stores favorites in the current format
+         */
+        function storeFavorites(favorites) {
+            localStorage.setItem('osmCoffeeFavorites', JSON.stringify({ version: 2, favorites }));
+        }
+
+        beforeEach(() => {
+            requests = [];
+            responseElements = [];
+            global.fetch = async (url, options) => {
+                requests.push(options.body);
+                return { ok: true, json: async () => ({ elements: responseElements }) };
+            };
+        });
+
+        afterEach(() => {
+            global.fetch = originalFetch;
+        });
+
+        test('should only check favorites not refreshed recently', async () => {
+            const longAgo = new Date(Date.now() - 2 * CONFIG.FAVORITES_REFRESH_INTERVAL).toISOString();
+            const recently = new Date().toISOString();
+            storeFavorites([
+                { type: 'node', id: 1, lat: 1, lon: 1, tags: { name: 'Old' }, savedAt: longAgo },
+                { type: 'node', id: 2, lat: 1, lon: 1, tags: { name: 'New' }, savedAt: recently },
+                { type: 'node', id: 3, lat: 1, lon: 1, tags: { name: 'Checked' }, savedAt: longAgo, refreshedAt: recently }
+            ]);
+            responseElements = [{ type: 'node', id: 1, lat: 1, lon: 1, tags: { name: 'Old' } }];
+            
+            assert.strictEqual(await refreshFavorites(), 1);
+            assert.strictEqual(requests.length, 1);
+            assert.match(requests[0], /node\(id:1\);/);
+            assert.strictEqual(loadFavorites()[0].status, undefined);
+            assert.ok(loadFavorites()[0].refreshedAt);
+        });
+
+        test('should flag deleted and changed favorites', async () => {
+            const longAgo = new Date(Date.now() - 2 * CONFIG.FAVORITES_REFRESH_INTERVAL).toISOString();
+            storeFavorites([
+                { type: 'node', id: 1, lat: 1, lon: 1, tags: { name: 'Gone' }, savedAt: longAgo },
+                { type: 'way', id: 2, center: { lat: 1, lon: 1 }, tags: { name: 'Renamed' }, savedAt: longAgo }
+            ]);
+            responseElements = [{ type: 'way', id: 2, center: { lat: 1, lon: 1 }, tags: { name: 'New name' } }];
+            
+            await refreshFavorites();
+            
+            const [gone, renamed] = loadFavorites();
+            assert.strictEqual(gone.status, 'deleted');
+            assert.strictEqual(renamed.status, 'changed');
+            assert.strictEqual(renamed.tags.name, 'New name');
+            assert.ok(window._getLastEvent('favoritesChanged'));
+        });
+
+        test('should not send a request when all favorites are fresh', async () => {
+            addFavorite({ id: 1, type: 'node', lat: 1, lon: 1, tags: { name: 'Cafe' } });
+            
+            assert.strictEqual(await refreshFavorites(), 0);
+            assert.strictEqual(requests.length, 0);
+        });
+
+        test('should keep favorites added during the refresh', async () => {
+            const longAgo = new Date(Date.now() - 2 * CONFIG.FAVORITES_REFRESH_INTERVAL).toISOString();
+            storeFavorites([{ type: 'node', id: 1, lat: 1, lon: 1, tags: { name: 'Cafe' }, savedAt: longAgo }]);
+            global.fetch = async () => {
+                addFavorite({ id: 2, type: 'node', lat: 1, lon: 1, tags: { name: 'Added meanwhile' } });
+                return { ok: true, json: async () => ({ elements: [] }) };
+            };
+            
+            await refreshFavorites();
+            
+            assert.deepStrictEqual(loadFavorites().map(favorite => favorite.id), [1, 2]);
+            assert.strictEqual(loadFavorites()[1].status, undefined);
+        });
+    });
+
+    describe('acknowledgeFavoriteChanges', () => {
+        test('should clear the changed flag', () => {
+            localStorage.setItem('osmCoffeeFavorites', JSON.stringify({
+                version: 2,
+                favorites: [{ type: 'node', id: 1, tags: { name: 'Cafe' }, savedAt: '2024-06-01T10:00:00.000Z', status: 'changed', changedTags: ['name'] }]
+            }));
+            
+            acknowledgeFavoriteChanges({ type: 'node', id: 1 });
+            
+            assert.deepStrictEqual(loadFavorites(), [{ type: 'node', id: 1, tags: { name: 'Cafe' }, savedAt: '2024-06-01T10:00:00.000Z' }]);
+        });
+
+        test('should keep the deleted flag', () => {
+            localStorage.setItem('osmCoffeeFavorites', JSON.stringify({
+                version: 2,
+                favorites: [{ type: 'node', id: 1, tags: {}, savedAt: '2024-06-01T10:00:00.000Z', status: 'deleted' }]
+            }));
+            
+            acknowledgeFavoriteChanges({ type: 'node', id: 1 });
+            
+            assert.strictEqual(loadFavorites()[0].status, 'deleted');
+        });
+    });
+
+    describe('personal data', () => {
+        const element = { id: 1, type: 'node', lat: 48.85, lon: 2.35, tags: { name: 'Café Lomi' } };
+
+        test('should default to no note, rating, dates or tags', () => {
+            addFavorite(element);
+            assert.deepStrictEqual(getPersonalData(getFavorite(element)), { note: '', rating: null, tried: [], tags: [] });
+            assert.deepStrictEqual(getPersonalData(null), { note: '', rating: null, tried: [], tags: [] });
+        });
+
+        test('should split and normalize typed tags', () => {
+            assert.deepStrictEqual(parseCustomTags(' Quiet,good  flat white, ,quiet'), ['quiet', 'good flat white']);
+        });
+
+        test('should store valid changes and merge them with earlier ones', () => {
+            addFavorite(element);
+            updatePersonalData(element, { note: '  Ask for the oat milk ', rating: 4 });
+            updatePersonalData(element, { tried: ['2024-06-01', '2024-07-15', '2024-06-01'], tags: ['Quiet'] });
+            
+            assert.deepStrictEqual(getFavorite(element).personal, {
+                note: 'Ask for the oat milk',
+                rating: 4,
+                tried: ['2024-07-15', '2024-06-01'],
+                tags: ['quiet']
+            });
+            assert.ok(window._getLastEvent('favoritesChanged'));
+        });
+
+        test('should drop invalid ratings and dates', () => {
+            addFavorite(element);
+            const personal = updatePersonalData(element, { rating: 7, tried: ['yesterday', '2024-02-30x'] });
+            
+            assert.strictEqual(personal.rating, null);
+            assert.deepStrictEqual(personal.tried, []);
+        });
+
+        test('should not store empty personal data', () => {
+            addFavorite(element);
+            updatePersonalData(element, { rating: 5 });
+            updatePersonalData(element, { rating: null });
+            
+            assert.strictEqual('personal' in getFavorite(element), false);
+        });
+
+        test('should ignore elements that are not favorites', () => {
+            assert.strictEqual(updatePersonalData(element, { rating: 3 }), null);
+            assert.deepStrictEqual(loadFavorites(), []);
+        });
+
+        test('should be removed with the favorite', () => {
+            addFavorite(element);
+            updatePersonalData(element, { note: 'Great' });
+            removeFavorite(element);
+            addFavorite(element);
+            
+            assert.strictEqual(getPersonalData(getFavorite(element)).note, '');
+        });
+    });
+
+    describe('filterFavorites', () => {
+        const favorites = [
+            { type: 'node', id: 1, tags: { name: 'Café Lomi' }, personal: { rating: 5, tried: ['2024-06-01'], tags: ['good flat white'] } },
+            { type: 'node', id: 2, tags: { name: 'Ten Belles' }, personal: { note: 'Quiet upstairs', rating: 3, tags: ['quiet', 'good flat white'] } },
+            { type: 'node', id: 3, tags: { name: 'Boot Café' } }
+        ];
+        const ids = list => list.map(favorite => favorite.id);
+
+        test('should list the custom tags in use', () => {
+            assert.deepStrictEqual(getCustomTags(favorites), ['good flat white', 'quiet']);
+        });
+
+        test('should return all favorites without filters', () => {
+            assert.deepStrictEqual(ids(filterFavorites(favorites)), [1, 2, 3]);
+        });
+
+        test('should search names, notes and tags ignoring accents', () => {
+            assert.deepStrictEqual(ids(filterFavorites(favorites, { query: 'cafe' })), [1, 3]);
+            assert.deepStrictEqual(ids(filterFavorites(favorites, { query: 'upstairs' })), [2]);
+            assert.deepStrictEqual(ids(filterFavorites(favorites, { query: 'flat lomi' })), [1]);
+        });
+
+        test('should filter by tag, minimum rating and tried', () => {
+            assert.deepStrictEqual(ids(filterFavorites(favorites, { tag: 'quiet' })), [2]);
+            assert.deepStrictEqual(ids(filterFavorites(favorites, { minRating: 4 })), [1]);
+            assert.deepStrictEqual(ids(filterFavorites(favorites, { tried: 'yes' })), [1]);
+            assert.deepStrictEqual(ids(filterFavorites(favorites, { tried: 'no' })), [2, 3]);
+        });
+    });
+
+    describe('export and import', () => {
+        const FORMATS = ['geojson', 'gpx', 'csv'];
+        const favorites = [
+            {
+                type: 'node',
+                id: 1,
+                lat: 48.85,
+                lon: 2.35,
+                tags: { name: 'Café "Lomi" & Co, <Paris>', amenity: 'cafe', opening_hours: 'Mo-Fr 08:00-18:00' },
+                savedAt: '2024-05-01T10:00:00.000Z',
+                personal: { note: 'Oat milk;\nask for "the usual"', rating: 4, tried: ['2024-07-15', '2024-06-01'], tags: ['quiet', 'good flat white'] }
+            },
+            {
+                type: 'way',
+                id: 42,
+                center: { lat: 52.52, lon: 13.405 },
+                tags: { name: 'The Barn', craft: 'roaster' },
+                savedAt: '2024-05-02T10:00:00.000Z'
+            }
+        ];
+
+        FORMATS.forEach(format => {
+            test(`should round-trip favorites with personal data through ${format}`, () => {
+                const { favorites: imported, invalid } = parseFavorites(exportFavorites(favorites, format), format);
+                
+                assert.deepStrictEqual(imported, favorites);
+                assert.strictEqual(invalid, 0);
+            });
+        });
+
+        test('should merge imported favorites, keeping saved ones on duplicates', () => {
+            addFavorite({ type: 'node', id: 1, lat: 48.85, lon: 2.35, tags: { name: 'Saved Lomi' } });
+            const result = importFavorites(favorites, 'merge');
+            
+            assert.deepStrictEqual(result, { added: 1, duplicates: 1 });
+            assert.deepStrictEqual(loadFavorites().map(favorite => favorite.tags.name), ['Saved Lomi', 'The Barn']);
+            assert.ok(window._getLastEvent('favoritesChanged'));
+        });
+
+        test('should replace all favorites with the imported ones', () => {
+            addFavorite({ type: 'node', id: 1, lat: 48.85, lon: 2.35, tags: { name: 'Saved Lomi' } });
+            addFavorite({ type: 'node', id: 99, lat: 48.86, lon: 2.36, tags: { name: 'Gone' } });
+            const result = importFavorites(favorites, 'replace');
+            
+            assert.deepStrictEqual(result, { added: 1, duplicates: 1 });
+            assert.deepStrictEqual(loadFavorites(), favorites);
+            assert.strictEqual(isFavorite({ type: 'node', id: 99 }), false);
+        });
+    });
+
+    describe('collections', () => {
+        const lomi = { type: 'node', id: 1, lat: 48.85, lon: 2.35, tags: { name: 'Café Lomi' } };
+        const barn = { type: 'way', id: 42, center: { lat: 52.52, lon: 13.405 }, tags: { name: 'The Barn', craft: 'roaster' } };
+        const names = () => loadCollections().map(collection => collection.name);
+
+        test('should start with one empty collection', () => {
+            assert.deepStrictEqual(loadCollections(), [{ id: 'favorites', name: 'Favorites', members: [] }]);
+        });
+
+        test('should create and rename collections with unique names', () => {
+            const trip = createCollection('  Paris   trip ');
+            renameCollection(trip.id, 'Paris weekend');
+            
+            assert.deepStrictEqual(names(), ['Favorites', 'Paris weekend']);
+            assert.ok(window._getLastEvent('favoritesChanged'));
+            assert.throws(() => createCollection('paris WEEKEND'), /already a list named/);
+            assert.throws(() => createCollection('   '), /needs a name/);
+            assert.throws(() => renameCollection('favorites', 'Paris Weekend'), /already a list named/);
+            assert.throws(() => renameCollection('missing', 'Other'), /no longer exists/);
+        });
+
+        test('should add favorites to the first collection by default', () => {
+            createCollection('Near office');
+            addFavorite(lomi);
+            
+            assert.deepStrictEqual(getFavoriteCollections(lomi), ['favorites']);
+        });
+
+        test('should copy a favorite to another collection, keeping one snapshot', () => {
+            const office = createCollection('Near office');
+            addFavorite(lomi);
+            updatePersonalData(lomi, { rating: 5 });
+            addFavorite(lomi, office.id);
+            
+            assert.deepStrictEqual(getFavoriteCollections(lomi), ['favorites', office.id]);
+            assert.strictEqual(loadFavorites().length, 1);
+            assert.strictEqual(isFavorite(lomi, office.id), true);
+            assert.strictEqual(getPersonalData(getFavorite(lomi)).rating, 5);
+        });
+
+        test('should move a favorite between collections', () => {
+            const office = createCollection('Near office');
+            addFavorite(lomi);
+            moveFavorite(lomi, 'favorites', office.id);
+            
+            assert.deepStrictEqual(getFavoriteCollections(lomi), [office.id]);
+            assert.strictEqual(isFavorite(lomi, 'favorites'), false);
+        });
+
+        test('should remove a favorite only when it leaves its last collection', () => {
+            const office = createCollection('Near office');
+            setFavoriteCollections(lomi, ['favorites', office.id, 'unknown']);
+            
+            removeFavorite(lomi, 'favorites');
+            assert.strictEqual(isFavorite(lomi), true);
+            
+            removeFavorite(lomi, office.id);
+            assert.strictEqual(isFavorite(lomi), false);
+            assert.deepStrictEqual(loadCollections().map(collection => collection.members), [[], []]);
+        });
+
+        test('should remove a favorite from all collections', () => {
+            const office = createCollection('Near office');
+            setFavoriteCollections(lomi, ['favorites', office.id]);
+            removeFavorite(lomi);
+            
+            assert.deepStrictEqual(loadFavorites(), []);
+            assert.deepStrictEqual(getFavoriteCollections(lomi), []);
+        });
+
+        test('should delete a collection with the places that are in no other one', () => {
+            const trip = createCollection('Paris trip');
+            setFavoriteCollections(lomi, ['favorites', trip.id]);
+            setFavoriteCollections(barn, [trip.id]);
+            
+            assert.strictEqual(deleteCollection(trip.id), 1);
+            assert.deepStrictEqual(names(), ['Favorites']);
+            assert.deepStrictEqual(loadFavorites().map(favorite => favorite.id), [1]);
+            assert.throws(() => deleteCollection('favorites'), /only list/);
+        });
+
+        test('should restore an earlier state', () => {
+            const trip = createCollection('Paris trip');
+            setFavoriteCollections(barn, [trip.id]);
+            const state = getFavoritesState();
+            deleteCollection(trip.id);
+            restoreFavoritesState(state);
+            
+            assert.deepStrictEqual(names(), ['Favorites', 'Paris trip']);
+            assert.deepStrictEqual(getFavoriteCollections(barn), [trip.id]);
+        });
+
+        test('should import into a collection, replacing only that collection', () => {
+            const trip = createCollection('Paris trip');
+            setFavoriteCollections(lomi, ['favorites', trip.id]);
+            setFavoriteCollections({ type: 'node', id: 5, tags: { name: 'Gone' } }, [trip.id]);
+            
+            const imported = [createFavoriteRecord(barn, '2024-05-01T10:00:00.000Z')];
+            assert.deepStrictEqual(importFavorites(imported, 'replace', trip.id), { added: 1, duplicates: 0 });
+            
+            assert.deepStrictEqual(loadFavorites().map(favorite => favorite.id), [1, 42]);
+            assert.deepStrictEqual(getFavoriteCollections(lomi), ['favorites']);
+            assert.deepStrictEqual(getFavoriteCollections(barn), [trip.id]);
+        });
+
+        test('should replace the places of a collection, keeping data of places already saved', () => {
+            const trip = createCollection('Paris trip');
+            setFavoriteCollections(lomi, ['favorites', trip.id]);
+            updatePersonalData(lomi, { rating: 4 });
+            setFavoriteCollections({ type: 'node', id: 5, tags: { name: 'Gone' } }, [trip.id]);
+            
+            const places = [...getCollectionPlaces(trip.id).filter(place => place.id === 1), createFavoriteRecord(barn)];
+            assert.strictEqual(places[0].personal, undefined);
+            setCollectionPlaces(trip.id, { name: 'Favorites', places: [...places, { type: 'node' }] });
+            
+            // Names from a server may match another list's name
+            assert.deepStrictEqual(names(), ['Favorites', 'Favorites']);
+            assert.deepStrictEqual(loadFavorites().map(favorite => favorite.id), [1, 42]);
+            assert.deepStrictEqual(getFavoriteCollections(barn), [trip.id]);
+            assert.strictEqual(getPersonalData(getFavorite(lomi)).rating, 4);
+        });
+
+        test('should keep places with personal data that leave their last collection', () => {
+            const office = createCollection('Office coffee');
+            addFavorite(lomi, office.id);
+            addFavorite(barn, office.id);
+            updatePersonalData(barn, { note: 'Ask for the filter of the day' });
+            
+            // Someone else removed both places from the shared list
+            setCollectionPlaces(office.id, { name: 'Office coffee', places: [] });
+            
+            assert.deepStrictEqual(loadFavorites().map(favorite => favorite.id), [42]);
+            assert.deepStrictEqual(getFavoriteCollections(barn), ['favorites']);
+            assert.strictEqual(getPersonalData(getFavorite(barn)).note, 'Ask for the filter of the day');
+            assert.match(getNotifications()[0].message, /1 place removed from "Office coffee" kept in "Favorites"/);
+        });
+
+        test('should keep places with personal data in a new list if the shared list is the only one', () => {
+            addFavorite(lomi);
+            updatePersonalData(lomi, { rating: 5 });
+            
+            setCollectionPlaces('favorites', { name: 'Favorites', places: [] });
+            
+            assert.deepStrictEqual(names(), ['Favorites', 'Favorites 2']);
+            assert.deepStrictEqual(loadCollections()[0].members, []);
+            assert.strictEqual(getPersonalData(getFavorite(lomi)).rating, 5);
+        });
+
+        test('should keep favorites in a custom storage adapter', () => {
+            let stored = null;
+            setFavoritesStorage({ load: () => stored, save: raw => { stored = raw; } });
+            try {
+                addFavorite(lomi);
+                assert.strictEqual(JSON.parse(stored).favorites[0].id, 1);
+                assert.strictEqual(localStorage.getItem('osmCoffeeFavorites'), null);
+            } finally {
+                setFavoritesStorage(localStorageAdapter);
+            }
+        });
+    });
+
+    describe('changes from other tabs', () => {
+        const lomi = { type: 'node', id: 1, lat: 48.85, lon: 2.35, tags: { name: 'Café Lomi' } };
+        const barn = { type: 'way', id: 42, center: { lat: 52.52, lon: 13.405 }, tags: { name: 'The Barn', craft: 'roaster' } };
+        let stored;
+
+        /**
+         * Saves a change as another tab would: on top of the given stored version, with a new revision
+         */
+        function saveInOtherTab(raw, change) {
+            const data = JSON.parse(raw);
+            change(data);
+            data.revisions.push('other-tab');
+            stored = JSON.stringify(data);
+        }
+
+        beforeEach(() => {
+            stored = null;
+            setFavoritesStorage({ load: () => stored, save: raw => { stored = raw; } });
+        });
+
+        afterEach(() => {
+            setFavoritesStorage(localStorageAdapter);
+        });
+
+        test('should merge a change that overwrote ours', () => {
+            addFavorite(lomi);
+            const before = stored;
+            addFavorite(barn);
+
+            // The other tab saves a note from the version before ours, overwriting our new favorite
+            saveInOtherTab(before, data => {
+                data.favorites[0].personal = { note: 'Oat milk' };
+            });
+            applyExternalFavoritesChange();
+
+            assert.deepStrictEqual(loadFavorites().map(fav => fav.id), [1, 42]);
+            assert.strictEqual(getPersonalData(getFavorite(lomi)).note, 'Oat milk');
+            assert.deepStrictEqual(loadCollections()[0].members, ['node/1', 'way/42']);
+            assert.ok(JSON.parse(stored).revisions.includes('other-tab'));
+            assert.ok(window._getLastEvent('favoritesChanged'));
+        });
+
+        test('should merge a change that overwrote ours when reading, but only save it on the storage event', () => {
+            addFavorite(lomi);
+            const before = stored;
+            addFavorite(barn);
+            saveInOtherTab(before, data => {
+                data.favorites[0].personal = { note: 'Oat milk' };
+            });
+            const theirs = stored;
+
+            assert.deepStrictEqual(loadFavorites().map(fav => fav.id), [1, 42]);
+            assert.strictEqual(stored, theirs);
+
+            applyExternalFavoritesChange();
+            assert.notStrictEqual(stored, theirs);
+            assert.deepStrictEqual(JSON.parse(stored).favorites.map(fav => fav.id), [1, 42]);
+        });
+
+        test('should not store empty personal data when merging', () => {
+            addFavorite(lomi);
+            updatePersonalData(lomi, { note: 'Busy' });
+            const before = stored;
+            updatePersonalData(lomi, { note: '' });
+            saveInOtherTab(before, data => {
+                data.favorites.push(createFavoriteRecord(barn));
+                data.collections[0].members.push('way/42');
+            });
+            applyExternalFavoritesChange();
+
+            assert.deepStrictEqual(loadFavorites().map(fav => fav.id), [1, 42]);
+            assert.strictEqual('personal' in getFavorite(lomi), false);
+        });
+
+        test('should take over a change made on top of ours without saving again', () => {
+            addFavorite(lomi);
+            saveInOtherTab(stored, data => {
+                data.favorites = [];
+                data.collections[0].members = [];
+            });
+            const theirs = stored;
+
+            applyExternalFavoritesChange();
+
+            assert.strictEqual(stored, theirs);
+            assert.deepStrictEqual(loadFavorites(), []);
+        });
+
+        test('should keep personal data and list members changed in both tabs', () => {
+            const office = createCollection('Near office');
+            addFavorite(lomi);
+            addFavorite(barn);
+            updatePersonalData(lomi, { rating: 3, note: 'Busy' });
+            const before = stored;
+
+            updatePersonalData(lomi, { rating: 5, note: 'Busy' });
+            addFavorite(barn, office.id);
+            saveInOtherTab(before, data => {
+                data.favorites[0].personal.note = 'Quiet after 3pm';
+                data.collections[1].members.push('node/1');
+            });
+            applyExternalFavoritesChange();
+
+            assert.strictEqual(getPersonalData(getFavorite(lomi)).rating, 5);
+            assert.strictEqual(getPersonalData(getFavorite(lomi)).note, 'Quiet after 3pm');
+            assert.deepStrictEqual(loadCollections()[1].members, ['node/1', 'way/42']);
+        });
+
+        test('should merge our change before making the next one', () => {
+            addFavorite(lomi);
+            const before = stored;
+            addFavorite(barn);
+
+            // Saved in the other tab, but not reported yet when the next change is made here
+            saveInOtherTab(before, data => {
+                data.favorites[0].personal = { rating: 4 };
+            });
+            removeFavorite(lomi);
+
+            assert.deepStrictEqual(loadFavorites().map(fav => fav.id), [42]);
+            applyExternalFavoritesChange();
+            assert.deepStrictEqual(loadFavorites().map(fav => fav.id), [42]);
+        });
+    });
+    describe('REST storage', () => {
+        const lomi = { type: 'node', id: 1, lat: 48.85, lon: 2.35, tags: { name: 'Café Lomi' } };
+        const barn = { type: 'way', id: 42, center: { lat: 52.52, lon: 13.405 }, tags: { name: 'The Barn', craft: 'roaster' } };
+        let server;
+        let url;
+        let requests;
+        let offline;
+        let readOnly;
+
+        // The favorites document on the server and its version (the ETag is "v<version>"), null if none
+        let remote;
+
+        before(async () => {
+            // Stand-in for a JSON server: GET and PUT of one document with ETags
+            server = createServer((request, response) => {
+                if (offline) {
+                    request.socket.destroy();
+                    return;
+                }
+                let body = '';
+                request.on('data', chunk => { body += chunk; });
+                request.on('end', () => {
+                    requests.push({ method: request.method, headers: request.headers });
+                    const etag = remote && `"v${remote.version}"`;
+                    const send = (status, data) => {
+                        response.writeHead(status, etag ? { 'Content-Type': 'application/json', ETag: `"v${remote.version}"` } : {});
+                        response.end(data);
+                    };
+
+                    if (request.method === 'GET' && !remote) {
+                        send(404);
+                    } else if (request.method === 'GET' && request.headers['if-none-match'] === etag) {
+                        send(304);
+                    } else if (request.method === 'GET') {
+                        send(200, remote.raw);
+                    } else if (readOnly) {
+                        send(403);
+                    } else if (remote && request.headers['if-match'] !== etag) {
+                        send(412);
+                    } else {
+                        remote = { raw: body, version: (remote?.version || 0) + 1 };
+                        send(200);
+                    }
+                });
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            url = `http://127.0.0.1:${server.address().port}/favorites`;
+        });
+
+        after(async () => {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        beforeEach(() => {
+            requests = [];
+            offline = false;
+            readOnly = false;
+            remote = null;
+        });
+
+        afterEach(() => {
+            setFavoritesStorage(localStorageAdapter);
+            CONFIG.FAVORITES_STORAGE = 'local';
+            CONFIG.FAVORITES_STORAGE_URL = null;
+        });
+
+        /**
+         * Names of the favorites in the document on the server
+         */
+        function remoteNames() {
+            return JSON.parse(remote.raw).favorites.map(fav => fav.tags.name);
+        }
+
+        test('should load and save favorites on the server', async () => {
+            setFavoritesStorage(createRestStorageAdapter(url));
+            await loadFavoritesStorage();
+            assert.deepStrictEqual(loadFavorites(), []);
+
+            addFavorite(lomi);
+            assert.strictEqual(isFavorite(lomi), true);
+            await loadFavoritesStorage();
+            addFavorite(barn);
+            await loadFavoritesStorage();
+
+            assert.deepStrictEqual(remoteNames(), ['Café Lomi', 'The Barn']);
+            assert.strictEqual(requests.filter(request => request.method === 'PUT')[1].headers['if-match'], '"v1"');
+            assert.strictEqual(localStorage.getItem('osmCoffeeFavorites'), null);
+
+            // Another browser loads the same favorites
+            setFavoritesStorage(createRestStorageAdapter(url));
+            assert.deepStrictEqual(loadFavorites(), []);
+            await loadFavoritesStorage();
+            assert.deepStrictEqual(loadFavorites().map(fav => fav.id), [1, 42]);
+        });
+
+        test('should merge changes saved on another device meanwhile', async () => {
+            setFavoritesStorage(createRestStorageAdapter(url));
+            await loadFavoritesStorage();
+            addFavorite(lomi);
+            await loadFavoritesStorage();
+
+            // Another device adds a note; our save built on the older version is rejected and merged
+            const data = JSON.parse(remote.raw);
+            data.favorites[0].personal = { note: 'Oat milk' };
+            data.revisions.push('other-device');
+            remote = { raw: JSON.stringify(data), version: remote.version + 1 };
+            addFavorite(barn);
+            await loadFavoritesStorage();
+            await loadFavoritesStorage();
+
+            assert.ok(requests.some(request => request.method === 'PUT' && request.headers['if-match'] === '"v1"'));
+            assert.deepStrictEqual(remoteNames(), ['Café Lomi', 'The Barn']);
+            assert.strictEqual(JSON.parse(remote.raw).favorites[0].personal.note, 'Oat milk');
+            assert.strictEqual(getPersonalData(getFavorite(lomi)).note, 'Oat milk');
+        });
+
+        test('should keep changes made offline and send them later', async () => {
+            setFavoritesStorage(createRestStorageAdapter(url));
+            await loadFavoritesStorage();
+            offline = true;
+            addFavorite(lomi);
+            await loadFavoritesStorage();
+
+            assert.strictEqual(remote, null);
+            assert.strictEqual(isFavorite(lomi), true);
+            assert.ok(localStorage.getItem('osmCoffeeFavoritesPending'));
+
+            // Sent after a reload, once back online
+            offline = false;
+            setFavoritesStorage(createRestStorageAdapter(url));
+            await loadFavoritesStorage();
+
+            assert.deepStrictEqual(remoteNames(), ['Café Lomi']);
+            assert.strictEqual(localStorage.getItem('osmCoffeeFavoritesPending'), null);
+            assert.deepStrictEqual(loadFavorites().map(fav => fav.id), [1]);
+            assert.ok(getNotifications().every(notification => !notification.message.includes('could not be saved')));
+        });
+
+        test('should report a save the server refuses', async () => {
+            setFavoritesStorage(createRestStorageAdapter(url));
+            await loadFavoritesStorage();
+            readOnly = true;
+            addFavorite(lomi);
+            await loadFavoritesStorage();
+
+            assert.strictEqual(remote, null);
+            assert.strictEqual(getNotifications()[0].message, 'Your favorites could not be saved to the server.');
+        });
+
+        test('should use the storage chosen in the configuration', async () => {
+            // No polling for changes, which would keep the tests running
+            const originalSetInterval = global.setInterval;
+            global.setInterval = () => 0;
+            try {
+                CONFIG.FAVORITES_STORAGE = 'rest';
+                CONFIG.FAVORITES_STORAGE_URL = url;
+                remote = { raw: JSON.stringify({ version: 3, revisions: ['r1'], favorites: [createFavoriteRecord(barn)], collections: [{ id: 'favorites', name: 'Favorites', members: ['way/42'] }] }), version: 1 };
+                await initFavoritesStorage();
+                assert.deepStrictEqual(loadFavorites().map(fav => fav.id), [42]);
+            } finally {
+                global.setInterval = originalSetInterval;
+            }
+
+            CONFIG.FAVORITES_STORAGE = 'local';
+            await initFavoritesStorage();
+            assert.deepStrictEqual(loadFavorites(), []);
+
+            CONFIG.FAVORITES_STORAGE = 'dropbox';
+            await assert.rejects(initFavoritesStorage(), /Unknown favorites storage/);
+            CONFIG.FAVORITES_STORAGE = 'rest';
+            CONFIG.FAVORITES_STORAGE_URL = null;
+            await assert.rejects(initFavoritesStorage(), /FAVORITES_STORAGE_URL/);
+        });
+    });
 });
@@ -4,7 +4,17 @@
 
 import { test, describe, beforeEach } from 'node:test';
 import assert from 'node:assert';
-import { toggleFilter } from '../js/filters.js';
+import {
+    toggleFilter,
+    toggleOpenNowFilter,
+    getAttributeValue,
+    matchesAttributeFilters,
+    matchesFilters,
+    cycleAttributeFilter,
+    clearAttributeFilters,
+    applyFilterPreset,
+    restoreFilters
+} from '../js/filters.js';
 
 // Mock document for filters.js
 if (typeof document === 'undefined') {
@@ -45,6 +55,7 @@ describe('filters.js', () => {
     let updateMarkersCallCount;
     let updateMarkersCallback;
     let filterState;
+    let attributeFilterState;
     
     beforeEach(async () => {
         // Reset DOM mock
@@ -56,6 +67,11 @@ describe('filters.js', () => {
         filterState.cafe = true;
         filterState.shop = true;
         filterState.roastery = true;
+        filterState.openNow = false;
+        attributeFilterState = configModule.attributeFilterState;
+        Object.keys(attributeFilterState).forEach(attribute => {
+            attributeFilterState[attribute] = null;
+        });
         
         // Reset callback
         updateMarkersCallCount = 0;
@@ -165,4 +181,224 @@ describe('filters.js', () => {
             document.querySelector = originalQuerySelector;
         });
     });
+
+    describe('toggleOpenNowFilter', () => {
+        test('should toggle open now state', () => {
+            toggleOpenNowFilter(updateMarkersCallback);
+            assert.strictEqual(filterState.openNow, true);
+
+            toggleOpenNowFilter(updateMarkersCallback);
+            assert.strictEqual(filterState.openNow, false);
+        });
+
+        test('should call updateMarkers callback', () => {
+            toggleOpenNowFilter(updateMarkersCallback);
+            assert.strictEqual(updateMarkersCallCount, 1);
+        });
+
+        test('should not change type filters', () => {
+            toggleOpenNowFilter(updateMarkersCallback);
+            assert.strictEqual(filterState.cafe, true);
+            assert.strictEqual(filterState.shop, true);
+            assert.strictEqual(filterState.roastery, true);
+        });
+
+        test('should mark legend item as active', () => {
+            const mockElement = {
+                classList: {
+                    classes: new Set(),
+                    add: function(className) { this.classes.add(className); },
+                    remove: function(className) { this.classes.delete(className); },
+                    contains: function(className) { return this.classes.has(className); }
+                }
+            };
+            const originalQuerySelector = document.querySelector;
+            document.querySelector = (selector) => {
+                if (selector === '.legend-item[data-filter="openNow"]') {
+                    return mockElement;
+                }
+                return originalQuerySelector.call(document, selector);
+            };
+            
+            toggleOpenNowFilter(updateMarkersCallback);
+            assert.strictEqual(mockElement.classList.contains('active'), true);
+            
+            toggleOpenNowFilter(updateMarkersCallback);
+            assert.strictEqual(mockElement.classList.contains('active'), false);
+            
+            // Restore
+            document.querySelector = originalQuerySelector;
+        });
+    });
+
+    describe('getAttributeValue', () => {
+        test('should read WiFi from internet_access and wifi tags', () => {
+            assert.strictEqual(getAttributeValue({ internet_access: 'wlan' }, 'wifi'), 'yes');
+            assert.strictEqual(getAttributeValue({ wifi: 'free' }, 'wifi'), 'yes');
+            assert.strictEqual(getAttributeValue({ internet_access: 'no' }, 'wifi'), 'no');
+            assert.strictEqual(getAttributeValue({ internet_access: 'wired' }, 'wifi'), 'no');
+            assert.strictEqual(getAttributeValue({}, 'wifi'), 'unknown');
+        });
+
+        test('should read power from power_supply and socket tags', () => {
+            assert.strictEqual(getAttributeValue({ power_supply: 'yes' }, 'power'), 'yes');
+            assert.strictEqual(getAttributeValue({ 'socket:schuko': '4' }, 'power'), 'yes');
+            assert.strictEqual(getAttributeValue({ power_supply: 'no' }, 'power'), 'no');
+            assert.strictEqual(getAttributeValue({}, 'power'), 'unknown');
+        });
+
+        test('should read simple yes/no tags', () => {
+            assert.strictEqual(getAttributeValue({ 'diet:vegan': 'only' }, 'vegan'), 'yes');
+            assert.strictEqual(getAttributeValue({ 'diet:vegan': 'no' }, 'vegan'), 'no');
+            assert.strictEqual(getAttributeValue({ outdoor_seating: 'yes' }, 'outdoor'), 'yes');
+            assert.strictEqual(getAttributeValue({ wheelchair: 'limited' }, 'wheelchair'), 'yes');
+            assert.strictEqual(getAttributeValue({ takeaway: 'maybe' }, 'takeaway'), 'unknown');
+        });
+
+        test('should combine payment tags', () => {
+            assert.strictEqual(getAttributeValue({ 'payment:cards': 'no', 'payment:contactless': 'yes' }, 'cards'), 'yes');
+            assert.strictEqual(getAttributeValue({ 'payment:credit_cards': 'no' }, 'cards'), 'no');
+            assert.strictEqual(getAttributeValue({ 'payment:cash': 'yes' }, 'cash'), 'yes');
+            assert.strictEqual(getAttributeValue({ 'payment:cash': 'yes' }, 'cards'), 'unknown');
+        });
+
+        test('should return unknown for unknown attributes and missing tags', () => {
+            assert.strictEqual(getAttributeValue({ wifi: 'yes' }, 'espresso'), 'unknown');
+            assert.strictEqual(getAttributeValue(undefined, 'wifi'), 'unknown');
+        });
+    });
+
+    describe('matchesAttributeFilters', () => {
+        const tags = { internet_access: 'wlan', power_supply: 'yes', outdoor_seating: 'no' };
+
+        test('should match everything without active filters', () => {
+            assert.strictEqual(matchesAttributeFilters({}), true);
+        });
+
+        test('should combine filters with AND semantics', () => {
+            attributeFilterState.wifi = 'yes';
+            attributeFilterState.power = 'yes';
+            assert.strictEqual(matchesAttributeFilters(tags), true);
+            assert.strictEqual(matchesAttributeFilters({ internet_access: 'wlan' }), false);
+        });
+
+        test('should filter for no and unknown values', () => {
+            attributeFilterState.outdoor = 'no';
+            attributeFilterState.vegan = 'unknown';
+            assert.strictEqual(matchesAttributeFilters(tags), true);
+            assert.strictEqual(matchesAttributeFilters({ ...tags, 'diet:vegan': 'yes' }), false);
+        });
+    });
+
+    describe('matchesFilters', () => {
+        const cafeTags = { amenity: 'cafe', internet_access: 'wlan' };
+
+        test('should hide disabled location types', () => {
+            assert.strictEqual(matchesFilters(cafeTags, true), true);
+            filterState.cafe = false;
+            assert.strictEqual(matchesFilters(cafeTags, true), false);
+            assert.strictEqual(matchesFilters({ craft: 'roaster' }, true), true);
+        });
+
+        test('should hide only closed locations when "Open now" is active', () => {
+            filterState.openNow = true;
+            assert.strictEqual(matchesFilters(cafeTags, true), true);
+            assert.strictEqual(matchesFilters(cafeTags, false), false);
+            assert.strictEqual(matchesFilters(cafeTags, null), true);
+        });
+
+        test('should apply attribute filters', () => {
+            attributeFilterState.wifi = 'yes';
+            assert.strictEqual(matchesFilters(cafeTags, null), true);
+            assert.strictEqual(matchesFilters({ amenity: 'cafe' }, null), false);
+        });
+    });
+
+    describe('cycleAttributeFilter', () => {
+        test('should cycle through any, yes, no and unknown', () => {
+            const seen = [];
+            for (let i = 0; i < 4; i++) {
+                cycleAttributeFilter('wifi', updateMarkersCallback);
+                seen.push(attributeFilterState.wifi);
+            }
+            assert.deepStrictEqual(seen, ['yes', 'no', 'unknown', null]);
+            assert.strictEqual(updateMarkersCallCount, 4);
+        });
+
+        test('should ignore unknown attributes', () => {
+            cycleAttributeFilter('espresso', updateMarkersCallback);
+            assert.strictEqual('espresso' in attributeFilterState, false);
+            assert.strictEqual(updateMarkersCallCount, 0);
+        });
+    });
+
+    describe('clearAttributeFilters', () => {
+        test('should reset all attribute filters', () => {
+            attributeFilterState.wifi = 'yes';
+            attributeFilterState.cash = 'no';
+            
+            clearAttributeFilters(updateMarkersCallback);
+            
+            assert.ok(Object.values(attributeFilterState).every(value => value === null));
+            assert.strictEqual(updateMarkersCallCount, 1);
+        });
+    });
+
+    describe('applyFilterPreset', () => {
+        test('should apply the remote work preset', () => {
+            attributeFilterState.vegan = 'yes';
+            
+            applyFilterPreset('remoteWork', updateMarkersCallback);
+            
+            assert.strictEqual(attributeFilterState.wifi, 'yes');
+            assert.strictEqual(attributeFilterState.power, 'yes');
+            assert.strictEqual(attributeFilterState.vegan, null);
+            assert.strictEqual(filterState.openNow, true);
+            assert.strictEqual(updateMarkersCallCount, 1);
+        });
+
+        test('should ignore unknown presets', () => {
+            applyFilterPreset('espressoOnly', updateMarkersCallback);
+            assert.strictEqual(updateMarkersCallCount, 0);
+        });
+    });
+
+    describe('restoreFilters', () => {
+        test('should replace type, open now and attribute filters', () => {
+            attributeFilterState.cash = 'yes';
+            
+            restoreFilters(
+                { cafe: true, shop: false, roastery: false, sandwich: true, openNow: true },
+                { wifi: 'yes', power: 'no', cash: null },
+                updateMarkersCallback
+            );
+            
+            assert.strictEqual(filterState.cafe, true);
+            assert.strictEqual(filterState.shop, false);
+            assert.strictEqual(filterState.roastery, false);
+            assert.strictEqual(filterState.openNow, true);
+            assert.strictEqual(attributeFilterState.wifi, 'yes');
+            assert.strictEqual(attributeFilterState.power, 'no');
+            assert.strictEqual(attributeFilterState.cash, null);
+            assert.strictEqual(updateMarkersCallCount, 1);
+        });
+
+        test('should ignore unknown keys and invalid values', () => {
+            restoreFilters({ shop: 'no', espresso: false }, { wifi: 'maybe', crema: 'yes' }, updateMarkersCallback);
+            
+            assert.strictEqual(filterState.shop, true);
+            assert.strictEqual('espresso' in filterState, false);
+            assert.strictEqual(attributeFilterState.wifi, null);
+            assert.strictEqual('crema' in attributeFilterState, false);
+        });
+
+        test('should not refresh markers when nothing changed', () => {
+            attributeFilterState.wifi = 'yes';
+            
+            restoreFilters({ ...filterState }, { ...attributeFilterState }, updateMarkersCallback);
+            
+            assert.strictEqual(attributeFilterState.wifi, 'yes');
+            assert.strictEqual(updateMarkersCallCount, 0);
+        });
+    });
 });
@@ -0,0 +1,175 @@
+/**
+ * Unit tests for geocoding.js
+ * Place searches go to a local Nominatim stand-in server, never to the network.
+ */
+
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'node:http';
+import {
+    buildGeocodingUrl,
+    parseGeocodingResults,
+    getPlaceZoom,
+    searchPlaces,
+    findLoadedLocations
+} from '../js/geocoding.js';
+import { CONFIG } from '../js/config.js';
+
+// Nominatim jsonv2 results for "Lyon"
+const LYON_RESULTS = [
+    {
+        place_id: 1,
+        lat: '45.7578137',
+        lon: '4.8320114',
+        name: 'Lyon',
+        display_name: 'Lyon, Métropole de Lyon, Rhône, Auvergne-Rhône-Alpes, France',
+        boundingbox: ['45.7073666', '45.8082628', '4.7718134', '4.8983774']
+    },
+    {
+        place_id: 2,
+        lat: '45.76',
+        lon: '4.83',
+        display_name: 'Gare de Lyon, Paris, France'
+    }
+];
+
+describe('geocoding.js', () => {
+    describe('buildGeocodingUrl', () => {
+        const originalEndpoint = CONFIG.GEOCODING_ENDPOINT;
+
+        after(() => {
+            CONFIG.GEOCODING_ENDPOINT = originalEndpoint;
+        });
+
+        test('should encode the query for the configured endpoint', () => {
+            CONFIG.GEOCODING_ENDPOINT = 'http://localhost:8080/search';
+            const url = new URL(buildGeocodingUrl('Rue de Rivoli & Co'));
+            
+            assert.strictEqual(url.origin + url.pathname, 'http://localhost:8080/search');
+            assert.strictEqual(url.searchParams.get('q'), 'Rue de Rivoli & Co');
+            assert.strictEqual(url.searchParams.get('format'), 'jsonv2');
+            assert.strictEqual(url.searchParams.get('limit'), String(CONFIG.GEOCODING_RESULT_LIMIT));
+        });
+
+        test('should keep parameters of the configured endpoint', () => {
+            CONFIG.GEOCODING_ENDPOINT = 'http://localhost:8080/search?countrycodes=fr';
+            const url = new URL(buildGeocodingUrl('Lyon'));
+            
+            assert.strictEqual(url.searchParams.get('countrycodes'), 'fr');
+            assert.strictEqual(url.searchParams.get('q'), 'Lyon');
+        });
+    });
+
+    describe('parseGeocodingResults', () => {
+        test('should convert coordinates and bounding boxes', () => {
+            const [lyon] = parseGeocodingResults(LYON_RESULTS);
+            
+            assert.strictEqual(lyon.name, 'Lyon');
+            assert.strictEqual(lyon.lat, 45.7578137);
+            assert.strictEqual(lyon.lon, 4.8320114);
+            assert.deepStrictEqual(lyon.bounds, { south: 45.7073666, west: 4.7718134, north: 45.8082628, east: 4.8983774 });
+        });
+
+        test('should fall back to the first part of the display name and no bounds', () => {
+            const [, station] = parseGeocodingResults(LYON_RESULTS);
+            
+            assert.strictEqual(station.name, 'Gare de Lyon');
+            assert.strictEqual(station.bounds, null);
+        });
+
+        test('should drop results without coordinates and unexpected responses', () => {
+            assert.deepStrictEqual(parseGeocodingResults([{ display_name: 'Nowhere' }]), []);
+            assert.deepStrictEqual(parseGeocodingResults({ error: 'Unable to geocode' }), []);
+        });
+    });
+
+    describe('getPlaceZoom', () => {
+        test('should show a city at the density zoom levels', () => {
+            const [lyon] = parseGeocodingResults(LYON_RESULTS);
+            assert.strictEqual(getPlaceZoom(lyon), 12);
+        });
+
+        test('should zoom in closely on places without bounds or with a point box', () => {
+            assert.strictEqual(getPlaceZoom({ lat: 1, lon: 1, bounds: null }), 18);
+            assert.strictEqual(getPlaceZoom({ lat: 1, lon: 1, bounds: { south: 1, west: 1, north: 1, east: 1 } }), 18);
+        });
+
+        test('should not zoom out further than a country', () => {
+            assert.strictEqual(getPlaceZoom({ lat: 0, lon: 0, bounds: { south: -80, west: -170, north: 80, east: 170 } }), 4);
+        });
+    });
+
+    describe('findLoadedLocations', () => {
+        const elements = [
+            { type: 'node', id: 1, tags: { name: 'Café Lomi' } },
+            { type: 'node', id: 2, tags: { name: 'Lomi Roastery' } },
+            { type: 'node', id: 3, tags: { 'addr:street': 'Rue Lomi' } },
+            { type: 'node', id: 4, tags: { name: 'Ten Belles' } }
+        ];
+
+        test('should match names ignoring case and accents', () => {
+            assert.deepStrictEqual(findLoadedLocations(elements, 'LOMI').map(element => element.id), [1, 2]);
+            assert.deepStrictEqual(findLoadedLocations(elements, 'cafe').map(element => element.id), [1]);
+        });
+
+        test('should return nothing for an empty search', () => {
+            assert.deepStrictEqual(findLoadedLocations(elements, '  '), []);
+        });
+    });
+
+    describe('searchPlaces', () => {
+        const originalEndpoint = CONFIG.GEOCODING_ENDPOINT;
+        let server;
+        let requests;
+        let respond;
+
+        before(async () => {
+            server = createServer((request, response) => {
+                requests.push(new URL(request.url, 'http://localhost'));
+                respond(response);
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            CONFIG.GEOCODING_ENDPOINT = `http://127.0.0.1:${server.address().port}/search`;
+        });
+
+        after(async () => {
+            CONFIG.GEOCODING_ENDPOINT = originalEndpoint;
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        beforeEach(() => {
+            requests = [];
+            respond = response => {
+                response.writeHead(200, { 'Content-Type': 'application/json' });
+                response.end(JSON.stringify(LYON_RESULTS));
+            };
+        });
+
+        test('should query the configured endpoint and parse the results', async () => {
+            const places = await searchPlaces('Lyon');
+            
+            assert.strictEqual(requests.length, 1);
+            assert.strictEqual(requests[0].pathname, '/search');
+            assert.strictEqual(requests[0].searchParams.get('q'), 'Lyon');
+            assert.deepStrictEqual(places.map(place => place.name), ['Lyon', 'Gare de Lyon']);
+        });
+
+        test('should reject on HTTP errors', async () => {
+            respond = response => {
+                response.writeHead(503);
+                response.end();
+            };
+            await assert.rejects(searchPlaces('Lyon'), /status: 503/);
+        });
+
+        test('should be cancellable', async () => {
+            // Never answers, so only the abort can end the request
+            respond = () => {};
+            const controller = new AbortController();
+            const search = searchPlaces('Lyon', controller.signal);
+            controller.abort();
+            
+            await assert.rejects(search, error => error.name === 'AbortError');
+        });
+    });
+});
@@ -0,0 +1,38 @@
+/**
+ * Unit tests for geolocation.js
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { getNextLocationMode } from '../js/geolocation.js';
+
+describe('geolocation.js', () => {
+    describe('getNextLocationMode', () => {
+        test('should cycle off, locate and follow on clicks', () => {
+            assert.strictEqual(getNextLocationMode('off', 'click'), 'locate');
+            assert.strictEqual(getNextLocationMode('locate', 'click'), 'follow');
+            assert.strictEqual(getNextLocationMode('follow', 'click'), 'off');
+        });
+
+        test('should stop following but keep tracking when the map is dragged', () => {
+            assert.strictEqual(getNextLocationMode('follow', 'drag'), 'locate');
+            assert.strictEqual(getNextLocationMode('locate', 'drag'), 'locate');
+            assert.strictEqual(getNextLocationMode('off', 'drag'), 'off');
+        });
+
+        test('should stop tracking on errors before the first position', () => {
+            assert.strictEqual(getNextLocationMode('locate', 'error', { hasFix: false }), 'off');
+            assert.strictEqual(getNextLocationMode('follow', 'error'), 'off');
+        });
+
+        test('should keep tracking through temporary errors after a position was found', () => {
+            assert.strictEqual(getNextLocationMode('locate', 'error', { hasFix: true }), 'locate');
+            assert.strictEqual(getNextLocationMode('follow', 'error', { hasFix: true }), 'follow');
+        });
+
+        test('should stop tracking when permission is denied, even after a position was found', () => {
+            assert.strictEqual(getNextLocationMode('follow', 'error', { hasFix: true, permissionDenied: true }), 'off');
+            assert.strictEqual(getNextLocationMode('off', 'error', { permissionDenied: true }), 'off');
+        });
+    });
+});
@@ -0,0 +1,101 @@
+/**
+ * Unit tests for list.js
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { matchesSearch, getListEntries } from '../js/list.js';
+
+/**
+ * Creates a list location as returned by getVisibleLocations()
+ */
+function createLocation(id, name, lat, lon, isOpen = null, tags = {}) {
+    return {
+        element: { type: 'node', id, lat, lon, tags: { amenity: 'cafe', ...(name ? { name } : {}), ...tags } },
+        coords: { lat, lon },
+        hours: { isOpen }
+    };
+}
+
+describe('list.js', () => {
+    describe('matchesSearch', () => {
+        const tags = {
+            name: 'Café Lomi',
+            cuisine: 'coffee_shop',
+            'coffee:roaster': 'Lomi',
+            'addr:street': 'Rue Marcadet',
+            'addr:housenumber': '3 ter',
+            'addr:city': 'Paris'
+        };
+
+        test('should match everything for an empty search', () => {
+            assert.strictEqual(matchesSearch(tags, ''), true);
+            assert.strictEqual(matchesSearch({}, '   '), true);
+        });
+
+        test('should search name, cuisine, roaster and address', () => {
+            assert.strictEqual(matchesSearch(tags, 'lomi'), true);
+            assert.strictEqual(matchesSearch(tags, 'coffee_shop'), true);
+            assert.strictEqual(matchesSearch(tags, 'marcadet'), true);
+            assert.strictEqual(matchesSearch(tags, 'paris'), true);
+        });
+
+        test('should ignore case and accents', () => {
+            assert.strictEqual(matchesSearch(tags, 'CAFE'), true);
+            assert.strictEqual(matchesSearch({ name: 'Cafe Oberkampf' }, 'café'), true);
+        });
+
+        test('should require every word to match', () => {
+            assert.strictEqual(matchesSearch(tags, 'lomi paris'), true);
+            assert.strictEqual(matchesSearch(tags, 'lomi berlin'), false);
+        });
+
+        test('should not search other tags', () => {
+            assert.strictEqual(matchesSearch({ name: 'Bar', website: 'https://espresso.example' }, 'espresso'), false);
+        });
+    });
+
+    describe('getListEntries', () => {
+        const user = { lat: 48.85, lon: 2.35 };
+        const far = createLocation(1, 'Aroma', 48.87, 2.35, false);
+        const near = createLocation(2, 'Brew', 48.851, 2.35, null);
+        const middle = createLocation(3, 'Crema', 48.86, 2.35, true);
+        const unnamed = createLocation(4, null, 48.8505, 2.35, true);
+        const locations = [far, near, middle, unnamed];
+
+        const ids = entries => entries.map(entry => entry.element.id);
+
+        test('should sort by distance from the user', () => {
+            const entries = getListEntries(locations, { sortBy: 'distance', userPosition: user });
+            assert.deepStrictEqual(ids(entries), [4, 2, 3, 1]);
+            assert.ok(Math.abs(entries[1].distance - 111) < 1);
+        });
+
+        test('should sort by name without a user position', () => {
+            const entries = getListEntries(locations, { sortBy: 'distance' });
+            assert.deepStrictEqual(ids(entries), [1, 2, 3, 4]);
+            assert.strictEqual(entries[0].distance, null);
+        });
+
+        test('should sort by name with unnamed locations last', () => {
+            const entries = getListEntries(locations, { sortBy: 'name', userPosition: user });
+            assert.deepStrictEqual(ids(entries), [1, 2, 3, 4]);
+        });
+
+        test('should sort open first, then unknown, then closed, each by distance', () => {
+            const entries = getListEntries(locations, { sortBy: 'openNow', userPosition: user });
+            assert.deepStrictEqual(ids(entries), [4, 3, 2, 1]);
+        });
+
+        test('should filter by the search text', () => {
+            const entries = getListEntries(locations, { query: 'cre', userPosition: user });
+            assert.deepStrictEqual(ids(entries), [3]);
+        });
+
+        test('should not change the input', () => {
+            getListEntries(locations, { sortBy: 'name' });
+            assert.deepStrictEqual(ids(locations), [1, 2, 3, 4]);
+            assert.strictEqual('distance' in locations[0], false);
+        });
+    });
+});
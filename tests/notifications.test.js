@@ -0,0 +1,118 @@
+/**
+ * Unit tests for notifications.js
+ * Rendering is skipped in Node.js (no document); these cover the notification list and timers.
+ */
+
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert';
+import {
+    showNotification,
+    dismissNotification,
+    clearNotifications,
+    getNotifications
+} from '../js/notifications.js';
+import { CONFIG } from '../js/config.js';
+
+describe('notifications.js', () => {
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setTimeout'] });
+        clearNotifications();
+    });
+
+    afterEach(() => {
+        clearNotifications();
+        mock.timers.reset();
+    });
+
+    describe('showNotification', () => {
+        test('should add a notification with a level', () => {
+            const id = showNotification('Could not load', { level: 'error' });
+            assert.deepStrictEqual(getNotifications(), [
+                { id, message: 'Could not load', level: 'error', action: null }
+            ]);
+        });
+
+        test('should default to the info level', () => {
+            showNotification('Hello');
+            showNotification('Hello again', { level: 'fatal' });
+            assert.deepStrictEqual(getNotifications().map(n => n.level), ['info', 'info']);
+        });
+
+        test('should replace a notification with the same id', () => {
+            showNotification('Retrying…', { id: 'load', level: 'warning' });
+            showNotification('Could not load', { id: 'load', level: 'error' });
+            assert.deepStrictEqual(getNotifications().map(n => n.message), ['Could not load']);
+        });
+
+        test('should keep the action', () => {
+            const onClick = () => {};
+            showNotification('Could not load', { action: { label: 'Retry loading', onClick } });
+            assert.deepStrictEqual(getNotifications()[0].action, { label: 'Retry loading', onClick });
+        });
+
+        test('should drop the oldest notifications beyond the limit', () => {
+            for (let i = 1; i <= CONFIG.MAX_NOTIFICATIONS + 2; i++) {
+                showNotification(`Message ${i}`);
+            }
+            const messages = getNotifications().map(n => n.message);
+            assert.strictEqual(messages.length, CONFIG.MAX_NOTIFICATIONS);
+            assert.strictEqual(messages[messages.length - 1], `Message ${CONFIG.MAX_NOTIFICATIONS + 2}`);
+        });
+    });
+
+    describe('auto-dismiss', () => {
+        test('should dismiss after the duration of the level', () => {
+            showNotification('Saved', { level: 'success' });
+            mock.timers.tick(CONFIG.NOTIFICATION_DURATIONS.success - 1);
+            assert.strictEqual(getNotifications().length, 1);
+            mock.timers.tick(1);
+            assert.strictEqual(getNotifications().length, 0);
+        });
+
+        test('should use a custom duration', () => {
+            showNotification('Quick', { duration: 100 });
+            mock.timers.tick(100);
+            assert.strictEqual(getNotifications().length, 0);
+        });
+
+        test('should keep notifications with duration 0 until dismissed', () => {
+            const id = showNotification('Sticky', { level: 'error', duration: 0 });
+            mock.timers.tick(CONFIG.NOTIFICATION_DURATIONS.error * 10);
+            assert.strictEqual(getNotifications().length, 1);
+            dismissNotification(id);
+            assert.strictEqual(getNotifications().length, 0);
+        });
+
+        test('should restart the timer when a notification is replaced', () => {
+            showNotification('First', { id: 'load', duration: 1000 });
+            mock.timers.tick(800);
+            showNotification('Second', { id: 'load', duration: 1000 });
+            mock.timers.tick(800);
+            assert.deepStrictEqual(getNotifications().map(n => n.message), ['Second']);
+        });
+    });
+
+    describe('dismissNotification', () => {
+        test('should remove only the given notification', () => {
+            const first = showNotification('First');
+            showNotification('Second');
+            dismissNotification(first);
+            assert.deepStrictEqual(getNotifications().map(n => n.message), ['Second']);
+        });
+
+        test('should ignore unknown ids', () => {
+            showNotification('First');
+            dismissNotification('missing');
+            assert.strictEqual(getNotifications().length, 1);
+        });
+    });
+
+    describe('clearNotifications', () => {
+        test('should remove all notifications', () => {
+            showNotification('First');
+            showNotification('Second', { level: 'error' });
+            clearNotifications();
+            assert.deepStrictEqual(getNotifications(), []);
+        });
+    });
+});
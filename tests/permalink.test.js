@@ -0,0 +1,125 @@
+/**
+ * Unit tests for permalink.js
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parsePermalink, buildPermalink } from '../js/permalink.js';
+
+const DEFAULT_FILTERS = { cafe: true, shop: true, roastery: true, sandwich: true, openNow: false };
+const DEFAULT_ATTRIBUTES = {
+    wifi: null, power: null, outdoor: null, vegan: null, vegetarian: null,
+    wheelchair: null, takeaway: null, cards: null, cash: null
+};
+
+describe('permalink.js', () => {
+    describe('parsePermalink', () => {
+        test('should read the view, place and filters', () => {
+            const state = parsePermalink('#map=16/48.85660/2.35220&place=node/123&hide=shop,sandwich&open=1');
+            
+            assert.deepStrictEqual(state.view, { lat: 48.8566, lon: 2.3522, zoom: 16 });
+            assert.deepStrictEqual(state.place, { type: 'node', id: 123 });
+            assert.deepStrictEqual(state.filters, { cafe: true, shop: false, roastery: true, sandwich: false, openNow: true });
+            assert.deepStrictEqual(state.attributes, DEFAULT_ATTRIBUTES);
+        });
+
+        test('should read the attribute filters', () => {
+            const state = parsePermalink('#map=16/48.85660/2.35220&attr=wifi:yes,cash:no,wheelchair:unknown');
+            
+            assert.deepStrictEqual(state.attributes, { ...DEFAULT_ATTRIBUTES, wifi: 'yes', cash: 'no', wheelchair: 'unknown' });
+        });
+
+        test('should ignore unknown attributes and values', () => {
+            const state = parsePermalink('#attr=wifi:maybe,crema:yes,power');
+            
+            assert.deepStrictEqual(state.attributes, DEFAULT_ATTRIBUTES);
+        });
+
+        test('should accept a hash without the leading #', () => {
+            assert.deepStrictEqual(parsePermalink('place=way/42').place, { type: 'way', id: 42 });
+        });
+
+        test('should return no state for an empty hash', () => {
+            const state = parsePermalink('');
+            
+            assert.strictEqual(state.view, null);
+            assert.strictEqual(state.place, null);
+            assert.strictEqual(state.filters, null);
+            assert.strictEqual(state.attributes, null);
+        });
+
+        test('should keep the current filters for a link to only a place', () => {
+            const state = parsePermalink('#place=node/123');
+            
+            assert.deepStrictEqual(state.place, { type: 'node', id: 123 });
+            assert.strictEqual(state.filters, null);
+            assert.strictEqual(state.attributes, null);
+        });
+
+        test('should reset filters not mentioned in a link with a view', () => {
+            const state = parsePermalink('#map=16/48.85660/2.35220');
+            
+            assert.deepStrictEqual(state.filters, DEFAULT_FILTERS);
+            assert.deepStrictEqual(state.attributes, DEFAULT_ATTRIBUTES);
+        });
+
+        test('should ignore invalid views', () => {
+            assert.strictEqual(parsePermalink('#map=16/48.8566').view, null);
+            assert.strictEqual(parsePermalink('#map=16/95/2.35').view, null);
+            assert.strictEqual(parsePermalink('#map=16/48.85/181').view, null);
+            assert.strictEqual(parsePermalink('#map=16.5/48.85/2.35').view, null);
+            assert.strictEqual(parsePermalink('#map=25/48.85/2.35').view, null);
+            assert.strictEqual(parsePermalink('#map=16/abc/2.35').view, null);
+            assert.strictEqual(parsePermalink('#map=16//2.35').view, null);
+        });
+
+        test('should accept negative coordinates', () => {
+            assert.deepStrictEqual(parsePermalink('#map=12/-33.86882/151.20929').view, { lat: -33.86882, lon: 151.20929, zoom: 12 });
+        });
+
+        test('should ignore invalid places', () => {
+            assert.strictEqual(parsePermalink('#place=node/abc').place, null);
+            assert.strictEqual(parsePermalink('#place=area/123').place, null);
+            assert.strictEqual(parsePermalink('#place=node/123);out;').place, null);
+        });
+
+        test('should ignore unknown hidden types', () => {
+            assert.deepStrictEqual(parsePermalink('#hide=espresso').filters, DEFAULT_FILTERS);
+        });
+    });
+
+    describe('buildPermalink', () => {
+        test('should encode the view with 5 decimals', () => {
+            const hash = buildPermalink({ view: { lat: 48.856614, lon: 2.3522219, zoom: 15 }, filters: DEFAULT_FILTERS });
+            assert.strictEqual(hash, '#map=15/48.85661/2.35222');
+        });
+
+        test('should encode the place and non-default filters', () => {
+            const hash = buildPermalink({
+                view: { lat: 48.8566, lon: 2.3522, zoom: 16 },
+                place: { type: 'node', id: 123, tags: { name: 'Café' } },
+                filters: { ...DEFAULT_FILTERS, roastery: false, openNow: true }
+            });
+            assert.strictEqual(hash, '#map=16/48.85660/2.35220&place=node/123&hide=roastery&open=1');
+        });
+
+        test('should encode the required attributes', () => {
+            const hash = buildPermalink({
+                view: { lat: 48.8566, lon: 2.3522, zoom: 16 },
+                filters: DEFAULT_FILTERS,
+                attributes: { ...DEFAULT_ATTRIBUTES, power: 'yes', wifi: 'yes', vegan: 'unknown' }
+            });
+            assert.strictEqual(hash, '#map=16/48.85660/2.35220&attr=wifi:yes,power:yes,vegan:unknown');
+        });
+
+        test('should round-trip through parsePermalink', () => {
+            const state = {
+                view: { lat: -33.86882, lon: 151.20929, zoom: 14 },
+                place: { type: 'way', id: 987654321 },
+                filters: { cafe: false, shop: true, roastery: true, sandwich: false, openNow: true },
+                attributes: { ...DEFAULT_ATTRIBUTES, outdoor: 'yes', cards: 'no' }
+            };
+            assert.deepStrictEqual(parsePermalink(buildPermalink(state)), state);
+        });
+    });
+});
@@ -0,0 +1,83 @@
+/**
+ * Unit tests for planner.js
+ */
+
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { setPlannedTime, isPlanning, getElementOpeningHours, getElementOpenStatus } from '../js/planner.js';
+
+describe('planner.js', () => {
+    const parisCafe = {
+        type: 'node',
+        lat: 48.86,
+        lon: 2.35,
+        tags: { name: 'Cafe', opening_hours: 'Mo-Fr 08:00-18:00; Sa 10:00-14:00', timezone: 'Europe/Paris' }
+    };
+
+    beforeEach(() => {
+        setPlannedTime(null);
+    });
+
+    describe('setPlannedTime', () => {
+        test('should enable planning for a time', () => {
+            setPlannedTime('2024-06-01T10:00');
+            assert.strictEqual(isPlanning(), true);
+        });
+
+        test('should disable planning for empty values', () => {
+            setPlannedTime('2024-06-01T10:00');
+            setPlannedTime('');
+            assert.strictEqual(isPlanning(), false);
+        });
+    });
+
+    describe('getElementOpeningHours', () => {
+        test('should evaluate the current time in the element time zone', () => {
+            // 2024-06-03 07:00 UTC is Monday 09:00 in Paris
+            const result = getElementOpeningHours(parisCafe, new Date(Date.UTC(2024, 5, 3, 7, 0)));
+            assert.strictEqual(result.isOpen, true);
+            assert.strictEqual(result.timeZone, 'Europe/Paris');
+        });
+
+        test('should evaluate the planned wall-clock time', () => {
+            // Saturday 2024-06-01
+            setPlannedTime('2024-06-01T11:00');
+            assert.strictEqual(getElementOpeningHours(parisCafe).isOpen, true);
+
+            setPlannedTime('2024-06-01T15:00');
+            assert.strictEqual(getElementOpeningHours(parisCafe).isOpen, false);
+        });
+
+        test('should use planned wall-clock time in each location time zone', () => {
+            const tokyoCafe = { ...parisCafe, lat: 35.68, lon: 139.69, tags: { ...parisCafe.tags, timezone: 'Asia/Tokyo' } };
+            setPlannedTime('2024-06-03T09:00');
+            assert.strictEqual(getElementOpeningHours(tokyoCafe).isOpen, true);
+            assert.strictEqual(getElementOpeningHours(tokyoCafe).timeZone, 'Asia/Tokyo');
+        });
+
+        test('should return unknown without opening hours', () => {
+            const result = getElementOpeningHours({ ...parisCafe, tags: {} });
+            assert.strictEqual(result.isOpen, null);
+        });
+    });
+
+    describe('getElementOpenStatus', () => {
+        test('should match the opening hours evaluation without the next change', () => {
+            const now = new Date(Date.UTC(2024, 5, 3, 7, 0));
+            const result = getElementOpenStatus(parisCafe, now);
+            const full = getElementOpeningHours(parisCafe, now);
+            assert.strictEqual(result.isOpen, full.isOpen);
+            assert.strictEqual(result.status, full.status);
+            assert.strictEqual(result.timeZone, 'Europe/Paris');
+            assert.strictEqual(result.nextChange, undefined);
+        });
+
+        test('should evaluate the planned wall-clock time', () => {
+            setPlannedTime('2024-06-01T11:00');
+            assert.strictEqual(getElementOpenStatus(parisCafe).isOpen, true);
+
+            setPlannedTime('2024-06-01T15:00');
+            assert.strictEqual(getElementOpenStatus(parisCafe).isOpen, false);
+        });
+    });
+});
@@ -0,0 +1,194 @@
+/**
+ * Unit tests for routing.js
+ * Routes are requested from a local routing stand-in server, never from the network.
+ */
+
+import { test, describe, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'node:http';
+import { buildRouteUrl, parseRoute, fetchRoute, getNavigationLinks } from '../js/routing.js';
+import { CONFIG } from '../js/config.js';
+
+const FROM = { lat: 48.8566, lon: 2.3522 };
+const TO = { lat: 48.8606, lon: 2.3376 };
+
+// OSRM route service response (coordinates are lon, lat)
+const OSRM_RESPONSE = {
+    code: 'Ok',
+    routes: [{
+        distance: 1234.5,
+        duration: 900,
+        geometry: { type: 'LineString', coordinates: [[2.3522, 48.8566], [2.345, 48.858], [2.3376, 48.8606]] }
+    }]
+};
+
+// GraphHopper route response with unencoded points (time in milliseconds)
+const GRAPHHOPPER_RESPONSE = {
+    paths: [{
+        distance: 1300,
+        time: 960000,
+        points: { type: 'LineString', coordinates: [[2.3522, 48.8566], [2.3376, 48.8606]] }
+    }]
+};
+
+describe('routing.js', () => {
+    const originalApi = CONFIG.ROUTING_API;
+    const originalEndpoint = CONFIG.ROUTING_ENDPOINT;
+
+    afterEach(() => {
+        CONFIG.ROUTING_API = originalApi;
+        CONFIG.ROUTING_ENDPOINT = originalEndpoint;
+    });
+
+    describe('buildRouteUrl', () => {
+        test('should build an OSRM route request with lon,lat coordinates', () => {
+            CONFIG.ROUTING_ENDPOINT = 'http://localhost:5000/';
+            const url = new URL(buildRouteUrl(FROM, TO, 'walking'));
+
+            assert.strictEqual(url.origin + url.pathname, 'http://localhost:5000/route/v1/foot/2.3522,48.8566;2.3376,48.8606');
+            assert.strictEqual(url.searchParams.get('geometries'), 'geojson');
+            assert.strictEqual(url.searchParams.get('overview'), 'full');
+        });
+
+        test('should replace the profile placeholder of the endpoint', () => {
+            CONFIG.ROUTING_ENDPOINT = 'https://routing.example.org/routed-{profile}';
+            const url = new URL(buildRouteUrl(FROM, TO, 'cycling'));
+
+            assert.strictEqual(url.pathname, '/routed-bike/route/v1/bike/2.3522,48.8566;2.3376,48.8606');
+        });
+
+        test('should build a GraphHopper request and keep endpoint parameters', () => {
+            CONFIG.ROUTING_API = 'graphhopper';
+            CONFIG.ROUTING_ENDPOINT = 'http://localhost:8989?key=secret';
+            const url = new URL(buildRouteUrl(FROM, TO, 'cycling'));
+
+            assert.strictEqual(url.pathname, '/route');
+            assert.deepStrictEqual(url.searchParams.getAll('point'), ['48.8566,2.3522', '48.8606,2.3376']);
+            assert.strictEqual(url.searchParams.get('profile'), 'bike');
+            assert.strictEqual(url.searchParams.get('points_encoded'), 'false');
+            assert.strictEqual(url.searchParams.get('key'), 'secret');
+        });
+
+        test('should reject unknown travel modes and APIs', () => {
+            assert.throws(() => buildRouteUrl(FROM, TO, 'flying'), /Unknown travel mode/);
+            CONFIG.ROUTING_API = 'valhalla';
+            assert.throws(() => buildRouteUrl(FROM, TO, 'walking'), /Unknown routing API/);
+        });
+    });
+
+    describe('parseRoute', () => {
+        test('should read an OSRM route as lat,lon coordinates', () => {
+            const route = parseRoute(OSRM_RESPONSE);
+
+            assert.strictEqual(route.distance, 1234.5);
+            assert.strictEqual(route.duration, 900);
+            assert.deepStrictEqual(route.coordinates[0], [48.8566, 2.3522]);
+            assert.strictEqual(route.coordinates.length, 3);
+        });
+
+        test('should read a GraphHopper path with the duration in seconds', () => {
+            CONFIG.ROUTING_API = 'graphhopper';
+            const route = parseRoute(GRAPHHOPPER_RESPONSE);
+
+            assert.strictEqual(route.distance, 1300);
+            assert.strictEqual(route.duration, 960);
+            assert.deepStrictEqual(route.coordinates, [[48.8566, 2.3522], [48.8606, 2.3376]]);
+        });
+
+        test('should throw the server message when there is no route', () => {
+            assert.throws(() => parseRoute({ code: 'NoRoute', message: 'Impossible route between points' }), /Impossible route/);
+            assert.throws(() => parseRoute(null), /No route found/);
+        });
+    });
+
+    describe('getNavigationLinks', () => {
+        test('should link to apps with origin, destination and travel mode', () => {
+            const [google, apple, osm, geo] = getNavigationLinks(FROM, TO, 'cycling');
+
+            const googleUrl = new URL(google.url);
+            assert.strictEqual(googleUrl.searchParams.get('origin'), '48.8566,2.3522');
+            assert.strictEqual(googleUrl.searchParams.get('destination'), '48.8606,2.3376');
+            assert.strictEqual(googleUrl.searchParams.get('travelmode'), 'bicycling');
+
+            // Apple Maps has no cycling directions flag
+            assert.strictEqual(new URL(apple.url).searchParams.get('dirflg'), null);
+
+            const osmUrl = new URL(osm.url);
+            assert.strictEqual(osmUrl.searchParams.get('engine'), 'fossgis_osrm_bike');
+            assert.strictEqual(osmUrl.searchParams.get('route'), '48.8566,2.3522;48.8606,2.3376');
+
+            assert.strictEqual(geo.url, 'geo:48.8606,2.3376');
+        });
+
+        test('should leave out the origin without a user position', () => {
+            const [google, apple] = getNavigationLinks(null, TO, 'walking');
+
+            assert.strictEqual(new URL(google.url).searchParams.has('origin'), false);
+            assert.strictEqual(new URL(apple.url).searchParams.has('saddr'), false);
+            assert.strictEqual(new URL(apple.url).searchParams.get('dirflg'), 'w');
+        });
+    });
+
+    describe('fetchRoute', () => {
+        let server;
+        let baseUrl;
+        let requests;
+        let respond;
+
+        before(async () => {
+            server = createServer((request, response) => {
+                requests.push(new URL(request.url, 'http://localhost'));
+                respond(response);
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        after(async () => {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        beforeEach(() => {
+            CONFIG.ROUTING_ENDPOINT = baseUrl;
+            requests = [];
+            respond = response => {
+                response.writeHead(200, { 'Content-Type': 'application/json' });
+                response.end(JSON.stringify(OSRM_RESPONSE));
+            };
+        });
+
+        test('should request the configured endpoint and parse the route', async () => {
+            const route = await fetchRoute(FROM, TO, 'walking');
+
+            assert.strictEqual(requests.length, 1);
+            assert.strictEqual(requests[0].pathname, '/route/v1/foot/2.3522,48.8566;2.3376,48.8606');
+            assert.strictEqual(route.duration, 900);
+        });
+
+        test('should reject with the message of a "no route" answer', async () => {
+            respond = response => {
+                response.writeHead(400, { 'Content-Type': 'application/json' });
+                response.end(JSON.stringify({ code: 'NoRoute', message: 'Impossible route between points' }));
+            };
+            await assert.rejects(fetchRoute(FROM, TO, 'walking'), /Impossible route/);
+        });
+
+        test('should reject on HTTP errors without a JSON body', async () => {
+            respond = response => {
+                response.writeHead(503);
+                response.end();
+            };
+            await assert.rejects(fetchRoute(FROM, TO, 'walking'), /status: 503/);
+        });
+
+        test('should be cancellable', async () => {
+            // Never answers, so only the abort can end the request
+            respond = () => {};
+            const controller = new AbortController();
+            const request = fetchRoute(FROM, TO, 'walking', controller.signal);
+            controller.abort();
+
+            await assert.rejects(request, error => error.name === 'AbortError');
+        });
+    });
+});
@@ -0,0 +1,341 @@
+/**
+ * Unit tests for store.js
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { setLocations, clearLocations, getLocations, getVisibleLocations, getFavoriteLocations, loadLocations, loadDensity, getDensityCells } from '../js/store.js';
+import { CONFIG, filterState, attributeFilterState, collectionFilterState } from '../js/config.js';
+import { clearTileCache } from '../js/cache.js';
+import { clearNotifications } from '../js/notifications.js';
+import { createCollection, setFavoriteCollections, addFavorite, setFavoritesStorage } from '../js/favorites.js';
+
+// Mock localStorage and window events for favorites collections
+if (typeof localStorage === 'undefined') {
+    const items = {};
+    global.localStorage = {
+        getItem: key => items[key] ?? null,
+        setItem: (key, value) => { items[key] = value; }
+    };
+}
+if (typeof window === 'undefined') {
+    global.window = { dispatchEvent: () => {} };
+}
+
+/**
+ * Creates an object with the Leaflet LatLngBounds getters used by fetchCoffeeLocations
+ */
+function createBounds(south, west, north, east) {
+    return {
+        getSouth: () => south,
+        getWest: () => west,
+        getNorth: () => north,
+        getEast: () => east
+    };
+}
+
+/**
+ * Lets pending promise callbacks run (e.g. until a mocked fetch has been called)
+ */
+function flush() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('store.js', () => {
+    // Monday 2024-06-03 07:00 UTC is 09:00 in Paris
+    const now = new Date(Date.UTC(2024, 5, 3, 7, 0));
+
+    const openCafe = {
+        type: 'node',
+        id: 1,
+        lat: 48.86,
+        lon: 2.35,
+        tags: { amenity: 'cafe', name: 'Open', opening_hours: 'Mo-Fr 08:00-18:00', internet_access: 'wlan', timezone: 'Europe/Paris' }
+    };
+    const closedRoastery = {
+        type: 'way',
+        id: 2,
+        center: { lat: 48.87, lon: 2.36 },
+        tags: { craft: 'roaster', name: 'Closed', opening_hours: 'Sa 10:00-14:00' }
+    };
+    const unknownShop = {
+        type: 'node',
+        id: 3,
+        lat: 48.85,
+        lon: 2.34,
+        tags: { shop: 'coffee', name: 'Unknown' }
+    };
+
+    const visibleNames = () => getVisibleLocations(now).map(({ element }) => element.tags.name);
+
+    beforeEach(() => {
+        ['cafe', 'shop', 'roastery', 'sandwich'].forEach(type => {
+            filterState[type] = true;
+        });
+        filterState.openNow = false;
+        Object.keys(attributeFilterState).forEach(attribute => {
+            attributeFilterState[attribute] = null;
+        });
+        collectionFilterState.collection = null;
+        setLocations([openCafe, closedRoastery, unknownShop]);
+    });
+
+    describe('setLocations', () => {
+        test('should store elements with coordinates only', () => {
+            setLocations([openCafe, { type: 'way', id: 4, tags: { amenity: 'cafe' } }]);
+            assert.deepStrictEqual(getLocations(), [openCafe]);
+        });
+
+        test('should replace previously stored locations', () => {
+            setLocations([unknownShop]);
+            assert.deepStrictEqual(getLocations(), [unknownShop]);
+        });
+
+        test('should handle missing input', () => {
+            setLocations(undefined);
+            assert.deepStrictEqual(getLocations(), []);
+        });
+    });
+
+    describe('clearLocations', () => {
+        test('should remove all locations', () => {
+            clearLocations();
+            assert.deepStrictEqual(getLocations(), []);
+            assert.deepStrictEqual(getVisibleLocations(now), []);
+        });
+    });
+
+    describe('getVisibleLocations', () => {
+        test('should return all locations without active filters', () => {
+            assert.deepStrictEqual(visibleNames(), ['Open', 'Closed', 'Unknown']);
+        });
+
+        test('should include coordinates and opening hours', () => {
+            const [first, second] = getVisibleLocations(now);
+            assert.deepStrictEqual(first.coords, { lat: 48.86, lon: 2.35 });
+            assert.strictEqual(first.hours.isOpen, true);
+            assert.deepStrictEqual(second.coords, { lat: 48.87, lon: 2.36 });
+            assert.strictEqual(second.hours.isOpen, false);
+        });
+
+        test('should apply type filters without changing the store', () => {
+            filterState.roastery = false;
+            assert.deepStrictEqual(visibleNames(), ['Open', 'Unknown']);
+            assert.strictEqual(getLocations().length, 3);
+
+            filterState.roastery = true;
+            assert.deepStrictEqual(visibleNames(), ['Open', 'Closed', 'Unknown']);
+        });
+
+        test('should hide closed locations when "Open now" is active', () => {
+            filterState.openNow = true;
+            assert.deepStrictEqual(visibleNames(), ['Open', 'Unknown']);
+        });
+
+        test('should apply attribute filters', () => {
+            attributeFilterState.wifi = 'yes';
+            assert.deepStrictEqual(visibleNames(), ['Open']);
+        });
+
+        test('should show only the places of the chosen favorites collection', () => {
+            const trip = createCollection('Weekend roasteries');
+            setFavoriteCollections(closedRoastery, [trip.id]);
+            setFavoriteCollections(unknownShop, ['favorites']);
+
+            collectionFilterState.collection = trip.id;
+            assert.deepStrictEqual(visibleNames(), ['Closed']);
+        });
+    });
+
+    describe('getFavoriteLocations', () => {
+        // Saved far away from the loaded locations
+        const farCafe = { type: 'node', id: 9, lat: 52.52, lon: 13.4, tags: { amenity: 'cafe', name: 'Far' } };
+        const favoriteNames = (includeLoaded = false) => getFavoriteLocations(includeLoaded, now).map(({ element }) => element.tags.name);
+
+        beforeEach(() => {
+            let stored = null;
+            setFavoritesStorage({ load: () => stored, save: raw => { stored = raw; } });
+            addFavorite(openCafe);
+            addFavorite(farCafe);
+        });
+
+        test('should leave out favorites that have location markers', () => {
+            assert.deepStrictEqual(favoriteNames(), ['Far']);
+            assert.deepStrictEqual(favoriteNames(true), ['Open', 'Far']);
+
+            clearLocations();
+            assert.deepStrictEqual(favoriteNames(), ['Open', 'Far']);
+        });
+
+        test('should include coordinates and opening hours of the snapshots', () => {
+            const [open] = getFavoriteLocations(true, now);
+            assert.deepStrictEqual(open.coords, { lat: 48.86, lon: 2.35 });
+            assert.strictEqual(open.hours.isOpen, true);
+        });
+
+        test('should ignore location filters but follow the collection shown on its own', () => {
+            filterState.cafe = false;
+            assert.deepStrictEqual(favoriteNames(), ['Far']);
+
+            const trip = createCollection('Berlin trip');
+            setFavoriteCollections(farCafe, [trip.id]);
+            collectionFilterState.collection = 'favorites';
+            assert.deepStrictEqual(favoriteNames(true), ['Open']);
+        });
+    });
+
+    describe('loadLocations', () => {
+        const originalFetch = global.fetch;
+        const originalEndpoints = CONFIG.OVERPASS_ENDPOINTS;
+        // Two areas in neighbouring zoom 13 tiles, so neither is served from the other's cache
+        const westArea = createBounds(48.852, 2.349, 48.854, 2.351);
+        const eastArea = createBounds(48.852, 2.379, 48.854, 2.381);
+        const westCafe = { type: 'node', id: 10, lat: 48.853, lon: 2.35, tags: { amenity: 'cafe' } };
+        const eastCafe = { type: 'node', id: 11, lat: 48.853, lon: 2.38, tags: { amenity: 'cafe' } };
+        let requests;
+
+        /**
+         * Mocks fetch with responses that are settled manually by each test
+         * @param {boolean} honorAbort - Whether aborting the signal rejects the pending response
+         */
+        function mockFetch(honorAbort) {
+            global.fetch = (url, options) => new Promise((resolve, reject) => {
+                const request = {
+                    signal: options.signal,
+                    respond: elements => resolve({ ok: true, json: async () => ({ elements }) }),
+                    fail: status => resolve({ ok: false, status })
+                };
+                requests.push(request);
+                if (honorAbort) {
+                    options.signal.addEventListener('abort', () => reject(options.signal.reason));
+                }
+            });
+        }
+
+        beforeEach(async () => {
+            await clearTileCache();
+            requests = [];
+            CONFIG.OVERPASS_ENDPOINTS = ['https://overpass.test/api/interpreter'];
+        });
+
+        afterEach(() => {
+            global.fetch = originalFetch;
+            CONFIG.OVERPASS_ENDPOINTS = originalEndpoints;
+            clearNotifications();
+        });
+
+        test('should replace the stored locations', async () => {
+            mockFetch(true);
+            const load = loadLocations(westArea);
+            await flush();
+            requests[0].respond([westCafe]);
+
+            assert.strictEqual(await load, true);
+            assert.deepStrictEqual(getLocations(), [westCafe]);
+        });
+
+        test('should abort the previous request when a new load starts', async () => {
+            mockFetch(true);
+            const firstLoad = loadLocations(westArea);
+            await flush();
+            const secondLoad = loadLocations(eastArea);
+            await flush();
+
+            assert.strictEqual(requests[0].signal.aborted, true);
+            assert.strictEqual(requests[1].signal.aborted, false);
+
+            requests[1].respond([eastCafe]);
+            assert.strictEqual(await firstLoad, false);
+            assert.strictEqual(await secondLoad, true);
+            assert.deepStrictEqual(getLocations(), [eastCafe]);
+        });
+
+        test('should ignore a stale response that arrives after a newer one', async () => {
+            // A server that ignores the abort and still answers the old request
+            mockFetch(false);
+            const firstLoad = loadLocations(westArea);
+            await flush();
+            const secondLoad = loadLocations(eastArea);
+            await flush();
+
+            requests[1].respond([eastCafe]);
+            assert.strictEqual(await secondLoad, true);
+            requests[0].respond([westCafe]);
+            assert.strictEqual(await firstLoad, false);
+
+            assert.deepStrictEqual(getLocations(), [eastCafe]);
+        });
+
+        test('should ignore errors of superseded loads', async () => {
+            mockFetch(false);
+            const firstLoad = loadLocations(westArea);
+            await flush();
+            const secondLoad = loadLocations(eastArea);
+            await flush();
+
+            requests[0].fail(400);
+            assert.strictEqual(await firstLoad, false);
+            requests[1].respond([eastCafe]);
+            assert.strictEqual(await secondLoad, true);
+        });
+
+        test('should keep the stored locations when the latest load fails', async () => {
+            mockFetch(true);
+            setLocations([westCafe]);
+            const load = loadLocations(eastArea);
+            await flush();
+            requests[0].fail(400);
+
+            await assert.rejects(load, /status: 400/);
+            assert.deepStrictEqual(getLocations(), [westCafe]);
+        });
+
+        test('should cancel a load in progress when clearing locations', async () => {
+            mockFetch(false);
+            const load = loadLocations(westArea);
+            await flush();
+            clearLocations();
+
+            assert.strictEqual(requests[0].signal.aborted, true);
+            requests[0].respond([westCafe]);
+            assert.strictEqual(await load, false);
+            assert.deepStrictEqual(getLocations(), []);
+        });
+
+        test('should replace the locations with density cells', async () => {
+            mockFetch(true);
+            setLocations([westCafe]);
+            const load = loadDensity(westArea, 10);
+            await flush();
+            requests[0].respond([westCafe, { ...westCafe, id: 12 }]);
+
+            assert.strictEqual(await load, true);
+            assert.deepStrictEqual(getDensityCells().map(cell => cell.count), [2]);
+            assert.deepStrictEqual(getLocations(), []);
+        });
+
+        test('should cancel a location load when a density load starts', async () => {
+            mockFetch(true);
+            const locationLoad = loadLocations(westArea);
+            await flush();
+            const densityLoad = loadDensity(westArea, 10);
+            await flush();
+
+            assert.strictEqual(requests[0].signal.aborted, true);
+            requests[1].respond([westCafe]);
+            assert.strictEqual(await locationLoad, false);
+            assert.strictEqual(await densityLoad, true);
+        });
+
+        test('should clear density cells when clearing locations', async () => {
+            mockFetch(true);
+            const load = loadDensity(westArea, 10);
+            await flush();
+            requests[0].respond([westCafe]);
+            await load;
+
+            clearLocations();
+            assert.deepStrictEqual(getDensityCells(), []);
+        });
+    });
+});
@@ -0,0 +1,365 @@
+/**
+ * Unit tests for sync.js
+ * Shared lists are stored on a local sync stand-in server, never on the network.
+ */
+
+import { test, describe, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'node:http';
+import {
+    shareCollection,
+    joinSharedCollection,
+    getShareCode,
+    getPendingChangeCount,
+    queueLocalChanges,
+    syncSharedCollections
+} from '../js/sync.js';
+import {
+    setFavoritesStorage,
+    loadFavorites,
+    loadCollections,
+    addFavorite,
+    removeFavorite,
+    isFavorite,
+    updatePersonalData,
+    getFavoriteCollections,
+    renameCollection,
+    createCollection,
+    deleteCollection
+} from '../js/favorites.js';
+import { getNotifications, clearNotifications } from '../js/notifications.js';
+import { CONFIG } from '../js/config.js';
+
+// Mock localStorage (for the sync state) and window events
+if (typeof localStorage === 'undefined') {
+    const items = {};
+    global.localStorage = {
+        getItem: key => items[key] ?? null,
+        setItem: (key, value) => { items[key] = value; },
+        removeItem: key => { delete items[key]; }
+    };
+}
+if (typeof window === 'undefined') {
+    global.window = { dispatchEvent: () => {} };
+}
+
+/**
+ * Creates a cafe node
+ */
+function createCafe(id, name) {
+    return { type: 'node', id, lat: 48.85 + id / 1000, lon: 2.35, tags: { amenity: 'cafe', name } };
+}
+
+describe('sync.js', () => {
+    const originalEndpoint = CONFIG.FAVORITES_SYNC_ENDPOINT;
+    let server;
+    let baseUrl;
+    let requests;
+    let offline;
+
+    // Called when the server receives an update, before it answers
+    let onUpdate;
+
+    // Lists on the server by id, with document and version (the ETag is "v<version>")
+    let lists;
+
+    /**
+     * Changes a list on the server, as another member of the list would
+     */
+    function editOnServer(id, edit) {
+        const list = lists.get(id);
+        edit(list.document);
+        list.version++;
+    }
+
+    before(async () => {
+        // Stand-in for the REST sync API: POST /lists, GET and PUT /lists/{id} with ETags
+        server = createServer((request, response) => {
+            if (offline) {
+                request.socket.destroy();
+                return;
+            }
+            let body = '';
+            request.on('data', chunk => { body += chunk; });
+            request.on('end', () => {
+                requests.push({ method: request.method, url: request.url, headers: request.headers, body });
+                if (request.method === 'PUT') onUpdate?.();
+                const send = (status, data, list) => {
+                    const headers = { 'Content-Type': 'application/json' };
+                    if (list) headers.ETag = `"v${list.version}"`;
+                    response.writeHead(status, headers);
+                    response.end(data === undefined ? undefined : JSON.stringify(data));
+                };
+
+                if (request.method === 'POST' && request.url === '/lists') {
+                    const id = `list${lists.size + 1}`;
+                    lists.set(id, { document: JSON.parse(body), version: 1 });
+                    send(201, { id }, lists.get(id));
+                    return;
+                }
+
+                const list = lists.get(decodeURIComponent(request.url.replace('/lists/', '')));
+                if (!list) {
+                    send(404, { error: 'Not found' });
+                } else if (request.method === 'GET' && request.headers['if-none-match'] === `"v${list.version}"`) {
+                    send(304, undefined, list);
+                } else if (request.method === 'GET') {
+                    send(200, list.document, list);
+                } else if (request.headers['if-match'] !== `"v${list.version}"`) {
+                    send(412, { error: 'Changed meanwhile' }, list);
+                } else {
+                    list.document = JSON.parse(body);
+                    list.version++;
+                    send(200, { ok: true }, list);
+                }
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        // Favorites in memory, through the storage adapter interface
+        let stored = null;
+        setFavoritesStorage({
+            load: () => stored,
+            save: raw => { stored = raw; }
+        });
+        localStorage.removeItem('osmCoffeeSync');
+
+        CONFIG.FAVORITES_SYNC_ENDPOINT = `${baseUrl}/`;
+        lists = new Map();
+        requests = [];
+        offline = false;
+        onUpdate = null;
+    });
+
+    afterEach(() => {
+        CONFIG.FAVORITES_SYNC_ENDPOINT = originalEndpoint;
+        clearNotifications();
+    });
+
+    test('should upload a shared list without personal data and return its code', async () => {
+        addFavorite(createCafe(1, 'Café One'));
+        addFavorite(createCafe(2, 'Café Two'));
+
+        const code = await shareCollection('favorites');
+
+        assert.strictEqual(code, 'list1');
+        assert.strictEqual(getShareCode('favorites'), 'list1');
+        const { document } = lists.get('list1');
+        assert.strictEqual(document.name, 'Favorites');
+        assert.deepStrictEqual(document.places.map(place => place.tags.name), ['Café One', 'Café Two']);
+        assert.strictEqual(document.places[0].personal, undefined);
+
+        // Sharing again only returns the code
+        assert.strictEqual(await shareCollection('favorites'), 'list1');
+        assert.strictEqual(lists.size, 1);
+    });
+
+    test('should join a shared list as a new local list', async () => {
+        lists.set('office', {
+            document: { name: 'Office coffee', places: [createCafe(3, 'Corner Café')] },
+            version: 4
+        });
+
+        const collectionId = await joinSharedCollection(' office ');
+
+        const collection = loadCollections().find(item => item.id === collectionId);
+        assert.strictEqual(collection.name, 'Office coffee');
+        assert.ok(isFavorite({ type: 'node', id: 3 }, collectionId));
+        assert.strictEqual(getShareCode(collectionId), 'office');
+
+        // Joining again keeps the one local list
+        assert.strictEqual(await joinSharedCollection('office'), collectionId);
+        assert.strictEqual(loadCollections().length, 2);
+    });
+
+    test('should name shared lists without a name on the server "Shared list"', async () => {
+        lists.set('a', { document: { places: [createCafe(3, 'Corner Café')] }, version: 1 });
+        lists.set('b', { document: { name: '  ', places: [] }, version: 1 });
+
+        const first = await joinSharedCollection('a');
+        const second = await joinSharedCollection('b');
+
+        assert.deepStrictEqual(loadCollections().map(collection => collection.name), ['Favorites', 'Shared list', 'Shared list 2']);
+        assert.ok(isFavorite({ type: 'node', id: 3 }, first));
+
+        // The local name is not sent to the server, a rename is
+        assert.strictEqual(queueLocalChanges(), false);
+        renameCollection(second, 'Team beans');
+        assert.strictEqual(queueLocalChanges(), true);
+        await syncSharedCollections();
+        assert.strictEqual(lists.get('a').document.name, undefined);
+        assert.strictEqual(lists.get('b').document.name, 'Team beans');
+    });
+
+    test('should reject unknown share codes', async () => {
+        await assert.rejects(joinSharedCollection('missing'), error => error.status === 404);
+        await assert.rejects(joinSharedCollection('  '), /Enter the code/);
+    });
+
+    test('should send local changes with the ETag of the known version', async () => {
+        addFavorite(createCafe(1, 'Café One'));
+        await shareCollection('favorites');
+
+        addFavorite(createCafe(2, 'Café Two'));
+        renameCollection('favorites', 'Office coffee');
+        assert.strictEqual(queueLocalChanges(), true);
+        assert.strictEqual(getPendingChangeCount('favorites'), 2);
+
+        assert.strictEqual(await syncSharedCollections(), true);
+
+        const put = requests.find(request => request.method === 'PUT');
+        assert.strictEqual(put.headers['if-match'], '"v1"');
+        const { document, version } = lists.get('list1');
+        assert.strictEqual(version, 2);
+        assert.strictEqual(document.name, 'Office coffee');
+        assert.strictEqual(document.places.length, 2);
+        assert.strictEqual(getPendingChangeCount('favorites'), 0);
+    });
+
+    test('should keep both edits when someone else changed the list meanwhile', async () => {
+        addFavorite(createCafe(1, 'Café One'));
+        addFavorite(createCafe(2, 'Café Two'));
+        await shareCollection('favorites');
+
+        // Someone else adds a place and removes one
+        editOnServer('list1', document => {
+            document.places = document.places.filter(place => place.id !== 2);
+            document.places.push(createCafe(3, 'Their Café'));
+        });
+
+        // Meanwhile this client adds another place
+        addFavorite(createCafe(4, 'My Café'));
+        queueLocalChanges();
+        assert.strictEqual(await syncSharedCollections(), true);
+
+        assert.deepStrictEqual(requests.map(request => request.method), ['POST', 'PUT', 'GET', 'PUT']);
+        const names = lists.get('list1').document.places.map(place => place.tags.name);
+        assert.deepStrictEqual(names, ['Café One', 'Their Café', 'My Café']);
+
+        // The local list matches the merged version
+        assert.deepStrictEqual(loadFavorites().map(fav => fav.id).sort(), [1, 3, 4]);
+        assert.strictEqual(getPendingChangeCount('favorites'), 0);
+    });
+
+    test('should fetch changes by others and skip unchanged lists', async () => {
+        addFavorite(createCafe(1, 'Café One'));
+        await shareCollection('favorites');
+
+        await syncSharedCollections();
+        const get = requests.find(request => request.method === 'GET');
+        assert.strictEqual(get.headers['if-none-match'], '"v1"');
+
+        editOnServer('list1', document => {
+            document.places = [createCafe(5, 'New Café')];
+        });
+        await syncSharedCollections();
+
+        assert.deepStrictEqual(loadFavorites().map(fav => fav.id), [5]);
+        assert.strictEqual(getPendingChangeCount('favorites'), 0);
+    });
+
+    test('should keep notes of places others removed from a shared list', async () => {
+        const collection = createCollection('Office coffee');
+        addFavorite(createCafe(1, 'Café One'), collection.id);
+        updatePersonalData(createCafe(1, 'Café One'), { rating: 5 });
+        await shareCollection(collection.id);
+
+        editOnServer('list1', document => {
+            document.places = [];
+        });
+        await syncSharedCollections();
+
+        assert.deepStrictEqual(getFavoriteCollections({ type: 'node', id: 1 }), ['favorites']);
+        assert.strictEqual(lists.get('list1').document.places.length, 0);
+        assert.strictEqual(getPendingChangeCount(collection.id), 0);
+    });
+
+        test('should queue changes while offline and send them later', async () => {
+        addFavorite(createCafe(1, 'Café One'));
+        await shareCollection('favorites');
+
+        offline = true;
+        removeFavorite({ type: 'node', id: 1 });
+        queueLocalChanges();
+        assert.strictEqual(await syncSharedCollections(), false);
+
+        assert.strictEqual(getPendingChangeCount('favorites'), 1);
+        assert.strictEqual(getNotifications()[0].level, 'warning');
+        assert.strictEqual(lists.get('list1').document.places.length, 1);
+
+        offline = false;
+        assert.strictEqual(await syncSharedCollections(), true);
+
+        assert.strictEqual(getPendingChangeCount('favorites'), 0);
+        assert.deepStrictEqual(lists.get('list1').document.places, []);
+    });
+
+    test('should keep changes queued in another tab while sending', async () => {
+        addFavorite(createCafe(1, 'Café One'));
+        await shareCollection('favorites');
+
+        addFavorite(createCafe(2, 'Café Two'));
+        queueLocalChanges();
+        onUpdate = () => {
+            onUpdate = null;
+
+            // Another tab sends the same change and queues a new one
+            const state = JSON.parse(localStorage.getItem('osmCoffeeSync'));
+            const list = state.lists.favorites;
+            list.base.places.push(list.queue.shift().place);
+            localStorage.setItem('osmCoffeeSync', JSON.stringify(state));
+            addFavorite(createCafe(3, 'Café Three'));
+            queueLocalChanges();
+        };
+        await syncSharedCollections();
+
+        assert.deepStrictEqual(lists.get('list1').document.places.map(place => place.id), [1, 2]);
+        assert.deepStrictEqual(loadFavorites().map(fav => fav.id), [1, 2, 3]);
+        assert.strictEqual(getPendingChangeCount('favorites'), 1);
+
+        await syncSharedCollections();
+        assert.deepStrictEqual(lists.get('list1').document.places.map(place => place.id), [1, 2, 3]);
+        assert.strictEqual(getPendingChangeCount('favorites'), 0);
+    });
+
+    test('should stop syncing a shared list deleted on the server and say so once', async () => {
+        const collection = createCollection('Office coffee');
+        addFavorite(createCafe(1, 'Café One'), collection.id);
+        await shareCollection(collection.id);
+
+        lists.delete('list1');
+        assert.strictEqual(await syncSharedCollections(), false);
+
+        assert.strictEqual(getShareCode(collection.id), null);
+        assert.match(getNotifications()[0].message, /"Office coffee" no longer exists on the sync server/);
+        assert.ok(isFavorite({ type: 'node', id: 1 }, collection.id));
+
+        clearNotifications();
+        requests = [];
+        assert.strictEqual(await syncSharedCollections(), true);
+        assert.strictEqual(requests.length, 0);
+        assert.deepStrictEqual(getNotifications(), []);
+    });
+
+        test('should stop syncing a shared list deleted locally', async () => {
+        const collection = createCollection('Office coffee');
+        addFavorite(createCafe(1, 'Café One'), collection.id);
+        await shareCollection(collection.id);
+
+        deleteCollection(collection.id);
+        queueLocalChanges();
+
+        assert.strictEqual(getShareCode(collection.id), null);
+        requests = [];
+        await syncSharedCollections();
+        assert.strictEqual(requests.length, 0);
+        assert.strictEqual(lists.get('list1').document.places.length, 1);
+    });
+});
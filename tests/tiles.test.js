@@ -0,0 +1,63 @@
+/**
+ * Unit tests for tiles.js
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { getTileKey, getTileForCoordinates, getTileBounds, getTilesForBounds } from '../js/tiles.js';
+
+describe('tiles.js', () => {
+    describe('getTileKey', () => {
+        test('should build zoom/x/y keys', () => {
+            assert.strictEqual(getTileKey(13, 4148, 2818), '13/4148/2818');
+        });
+    });
+
+    describe('getTileForCoordinates', () => {
+        test('should find the tile of a point', () => {
+            // Notre-Dame de Paris
+            assert.deepStrictEqual(getTileForCoordinates(48.853, 2.3499, 13), { x: 4149, y: 2818, key: '13/4149/2818' });
+        });
+
+        test('should split the world into four tiles at zoom 1', () => {
+            assert.strictEqual(getTileForCoordinates(10, -10, 1).key, '1/0/0');
+            assert.strictEqual(getTileForCoordinates(10, 10, 1).key, '1/1/0');
+            assert.strictEqual(getTileForCoordinates(-10, -10, 1).key, '1/0/1');
+            assert.strictEqual(getTileForCoordinates(-10, 10, 1).key, '1/1/1');
+        });
+
+        test('should clamp points outside the tile grid', () => {
+            assert.strictEqual(getTileForCoordinates(89.9, 180, 2).key, '2/3/0');
+            assert.strictEqual(getTileForCoordinates(-89.9, -190, 2).key, '2/0/3');
+        });
+    });
+
+    describe('getTileBounds', () => {
+        test('should return the bounds of a tile', () => {
+            const bounds = getTileBounds(1, 1, 0);
+            assert.strictEqual(bounds.west, 0);
+            assert.strictEqual(bounds.east, 180);
+            assert.strictEqual(bounds.south, 0);
+            assert.ok(Math.abs(bounds.north - 85.0511) < 0.001);
+        });
+
+        test('should contain the points of the tile', () => {
+            const { x, y } = getTileForCoordinates(48.853, 2.3499, 13);
+            const bounds = getTileBounds(13, x, y);
+            assert.ok(bounds.south <= 48.853 && 48.853 < bounds.north);
+            assert.ok(bounds.west <= 2.3499 && 2.3499 < bounds.east);
+        });
+    });
+
+    describe('getTilesForBounds', () => {
+        test('should list every tile overlapping the area, row by row', () => {
+            const keys = getTilesForBounds({ south: -10, west: -10, north: 10, east: 10 }, 1).map(tile => tile.key);
+            assert.deepStrictEqual(keys, ['1/0/0', '1/1/0', '1/0/1', '1/1/1']);
+        });
+
+        test('should return a single tile for a small area', () => {
+            const tiles = getTilesForBounds({ south: 48.852, west: 2.349, north: 48.854, east: 2.351 }, 13);
+            assert.deepStrictEqual(tiles, [{ x: 4149, y: 2818, key: '13/4149/2818' }]);
+        });
+    });
+});
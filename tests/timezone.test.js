@@ -0,0 +1,107 @@
+/**
+ * Unit tests for timezone.js
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { isValidTimeZone, getBrowserTimeZone, getTimeZoneForCoordinates, getElementTimeZone, wallClockToDate } from '../js/timezone.js';
+
+describe('timezone.js', () => {
+    describe('isValidTimeZone', () => {
+        test('should accept IANA time zones', () => {
+            assert.strictEqual(isValidTimeZone('Europe/Paris'), true);
+            assert.strictEqual(isValidTimeZone('America/New_York'), true);
+        });
+
+        test('should reject unknown or missing time zones', () => {
+            assert.strictEqual(isValidTimeZone('Mars/Olympus_Mons'), false);
+            assert.strictEqual(isValidTimeZone(''), false);
+            assert.strictEqual(isValidTimeZone(undefined), false);
+        });
+    });
+
+    describe('getTimeZoneForCoordinates', () => {
+        test('should use the nearest reference city', () => {
+            assert.strictEqual(getTimeZoneForCoordinates(48.85, 2.29), 'Europe/Paris');
+            assert.strictEqual(getTimeZoneForCoordinates(35.66, 139.70), 'Asia/Tokyo');
+            assert.strictEqual(getTimeZoneForCoordinates(40.73, -73.99), 'America/New_York');
+        });
+
+        test('should tell apart neighbouring zones', () => {
+            // Brighton and Boulogne-sur-Mer face each other across the Channel
+            assert.strictEqual(getTimeZoneForCoordinates(50.82, -0.14), 'Europe/London');
+            assert.strictEqual(getTimeZoneForCoordinates(50.73, 1.61), 'Europe/Paris');
+            // Georgia is on Eastern time, neighbouring Tennessee mostly on Central time
+            assert.strictEqual(getTimeZoneForCoordinates(32.08, -81.09), 'America/New_York');
+            assert.strictEqual(getTimeZoneForCoordinates(36.16, -86.78), 'America/Chicago');
+            // Minsk and Kyiv, Tucson and El Paso are in different zones
+            assert.strictEqual(getTimeZoneForCoordinates(53.93, 27.45), 'Europe/Minsk');
+            assert.strictEqual(getTimeZoneForCoordinates(50.40, 30.60), 'Europe/Kiev');
+            assert.strictEqual(getTimeZoneForCoordinates(32.25, -110.90), 'America/Phoenix');
+            assert.strictEqual(getTimeZoneForCoordinates(31.80, -106.40), 'America/Denver');
+        });
+
+        test('should estimate remote places from longitude', () => {
+            assert.strictEqual(getTimeZoneForCoordinates(0, -150), 'Etc/GMT+10');
+            assert.strictEqual(getTimeZoneForCoordinates(-60, 0), 'Etc/GMT');
+            assert.strictEqual(getTimeZoneForCoordinates(-50, 90), 'Etc/GMT-6');
+        });
+    });
+
+    describe('getElementTimeZone', () => {
+        test('should prefer a valid timezone tag', () => {
+            const element = { type: 'node', lat: 48.86, lon: 2.35, tags: { timezone: 'Asia/Tokyo' } };
+            assert.strictEqual(getElementTimeZone(element), 'Asia/Tokyo');
+        });
+
+        test('should infer the zone from coordinates without a valid tag', () => {
+            assert.strictEqual(getElementTimeZone({ type: 'node', lat: 33.75, lon: -84.39, tags: {} }), 'America/New_York');
+            assert.strictEqual(getElementTimeZone({ type: 'node', lat: 53.9, lon: 27.57, tags: { timezone: 'CET+1 maybe' } }), 'Europe/Minsk');
+            assert.strictEqual(getElementTimeZone({ type: 'way', center: { lat: 52.52, lon: 13.40 }, tags: {} }), 'Europe/Berlin');
+        });
+
+        test('should infer a zone other than the browser one', () => {
+            const browserTimeZone = getBrowserTimeZone();
+            const element = browserTimeZone === 'Asia/Tokyo'
+                ? { type: 'node', lat: 40.71, lon: -74.01, tags: {} }
+                : { type: 'node', lat: 35.68, lon: 139.69, tags: {} };
+            const timeZone = getElementTimeZone(element);
+            assert.notStrictEqual(timeZone, browserTimeZone);
+            assert.ok(['Asia/Tokyo', 'America/New_York'].includes(timeZone));
+        });
+
+        test('should use the browser time zone without coordinates', () => {
+            const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+            assert.strictEqual(getBrowserTimeZone(), browserTimeZone);
+            assert.strictEqual(getElementTimeZone({ type: 'way', tags: {} }), browserTimeZone);
+        });
+    });
+
+    describe('wallClockToDate', () => {
+        test('should convert wall-clock time in a time zone to an instant', () => {
+            const date = wallClockToDate('2024-06-01T10:00', 'Europe/Paris');
+            assert.strictEqual(date.toISOString(), '2024-06-01T08:00:00.000Z');
+        });
+
+        test('should respect winter time', () => {
+            const date = wallClockToDate('2024-01-15T10:00', 'America/New_York');
+            assert.strictEqual(date.toISOString(), '2024-01-15T15:00:00.000Z');
+        });
+
+        test('should settle times right after a daylight saving change', () => {
+            const date = wallClockToDate('2024-03-31T03:30', 'Europe/Paris');
+            assert.strictEqual(date.toISOString(), '2024-03-31T01:30:00.000Z');
+        });
+
+        test('should use local time without a time zone', () => {
+            const date = wallClockToDate('2024-06-01T10:00', null);
+            assert.strictEqual(date.getHours(), 10);
+            assert.strictEqual(date.getDate(), 1);
+        });
+
+        test('should return null for malformed input', () => {
+            assert.strictEqual(wallClockToDate('tomorrow'), null);
+            assert.strictEqual(wallClockToDate(null), null);
+        });
+    });
+});
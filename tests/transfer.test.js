@@ -0,0 +1,107 @@
+/**
+ * Unit tests for transfer.js
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { exportFavorites, detectFavoritesFormat, parseFavorites } from '../js/transfer.js';
+
+describe('transfer.js', () => {
+    const favorites = [
+        {
+            type: 'node',
+            id: 1,
+            lat: 48.85,
+            lon: 2.35,
+            tags: { name: 'Café "Lomi" & Co, <Paris>', amenity: 'cafe', opening_hours: 'Mo-Fr 08:00-18:00' },
+            savedAt: '2024-05-01T10:00:00.000Z',
+            personal: { note: 'Oat milk;\nask for "the usual"', rating: 4, tried: ['2024-07-15', '2024-06-01'], tags: ['quiet', 'good flat white'] }
+        },
+        {
+            type: 'way',
+            id: 42,
+            center: { lat: 52.52, lon: 13.405 },
+            tags: { name: 'The Barn', craft: 'roaster' },
+            savedAt: '2024-05-02T10:00:00.000Z'
+        }
+    ];
+
+    describe('exportFavorites and parseFavorites', () => {
+        test('should export GeoJSON points with the OSM reference', () => {
+            const { features } = JSON.parse(exportFavorites(favorites, 'geojson'));
+        
+            assert.strictEqual(features[1].id, 'way/42');
+            assert.deepStrictEqual(features[1].geometry, { type: 'Point', coordinates: [13.405, 52.52] });
+            assert.strictEqual(features[1].properties.name, 'The Barn');
+        });
+
+        test('should import overpass turbo GeoJSON', () => {
+            const geojson = JSON.stringify({
+                type: 'FeatureCollection',
+                features: [{
+                    type: 'Feature',
+                    id: 'node/7',
+                    properties: { '@id': 'node/7', name: 'Five Elephant', amenity: 'cafe', website: 'https://example.org' },
+                    geometry: { type: 'Point', coordinates: [13.42, 52.49] }
+                }]
+            });
+            const [favorite] = parseFavorites(geojson, 'geojson').favorites;
+        
+            assert.strictEqual(favorite.id, 7);
+            assert.deepStrictEqual({ lat: favorite.lat, lon: favorite.lon }, { lat: 52.49, lon: 13.42 });
+            assert.deepStrictEqual(favorite.tags, { name: 'Five Elephant', amenity: 'cafe', website: 'https://example.org' });
+        });
+
+        test('should escape GPX text and link waypoints to OpenStreetMap', () => {
+            const gpx = exportFavorites(favorites, 'gpx');
+        
+            assert.ok(gpx.includes('<name>Café &quot;Lomi&quot; &amp; Co, &lt;Paris&gt;</name>'));
+            assert.ok(gpx.includes('<link href="https://www.openstreetmap.org/way/42">'));
+            assert.strictEqual((gpx.match(/<wpt /g) || []).length, 2);
+        });
+
+        test('should leave favorites without coordinates out of GPX only', () => {
+            const withoutCoords = [{ type: 'relation', id: 5, tags: { name: 'Market hall' }, savedAt: '2024-05-03T10:00:00.000Z' }];
+        
+            assert.deepStrictEqual(parseFavorites(exportFavorites(withoutCoords, 'gpx'), 'gpx').favorites, []);
+            assert.deepStrictEqual(parseFavorites(exportFavorites(withoutCoords, 'csv'), 'csv').favorites, withoutCoords);
+        });
+
+        test('should quote CSV fields and read columns by name', () => {
+            const csv = exportFavorites(favorites, 'csv');
+            assert.ok(csv.includes('"Café ""Lomi"" & Co, <Paris>"'));
+        
+            // Columns in another order, LF line ends and a byte order mark, as saved by spreadsheets
+            const edited = '\uFEFFname,osm_id,osm_type,lat,lon,rating\nBonanza,9,node,52.54,13.41,5\n';
+            const [favorite] = parseFavorites(edited, 'csv').favorites;
+            assert.strictEqual(favorite.tags.name, 'Bonanza');
+            assert.deepStrictEqual(favorite.personal, { note: '', rating: 5, tried: [], tags: [] });
+        });
+
+        test('should skip invalid entries and duplicates in a file', () => {
+            const csv = 'osm_type,osm_id,name\nnode,1,A\nshop,2,B\nnode,-3,C\nnode,1,A again\n';
+            const { favorites: imported, invalid } = parseFavorites(csv, 'csv');
+        
+            assert.deepStrictEqual(imported.map(favorite => favorite.tags.name), ['A']);
+            assert.strictEqual(invalid, 2);
+        });
+
+        test('should reject files in another format', () => {
+            assert.throws(() => parseFavorites('osm_type,osm_id', 'geojson'));
+            assert.throws(() => parseFavorites('{}', 'gpx'), /Not a GPX file/);
+            assert.throws(() => parseFavorites('name\nLomi', 'csv'), /osm_type and osm_id/);
+            assert.throws(() => exportFavorites(favorites, 'kml'), /Unknown favorites format/);
+        });
+    });
+
+    describe('detectFavoritesFormat', () => {
+        test('should detect the format from the file name or content', () => {
+            assert.strictEqual(detectFavoritesFormat('favorites.GPX', ''), 'gpx');
+            assert.strictEqual(detectFavoritesFormat('export.json', ''), 'geojson');
+            assert.strictEqual(detectFavoritesFormat('favorites.csv', '{'), 'csv');
+            assert.strictEqual(detectFavoritesFormat('download', '  { "type": "FeatureCollection" }'), 'geojson');
+            assert.strictEqual(detectFavoritesFormat('download', '<?xml version="1.0"?><gpx>'), 'gpx');
+            assert.strictEqual(detectFavoritesFormat('download', 'osm_type,osm_id'), 'csv');
+        });
+    });
+});
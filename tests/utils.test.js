@@ -4,7 +4,7 @@
 
 import { test, describe } from 'node:test';
 import assert from 'node:assert';
-import { sanitizeText, sanitizeUrl, debounce, getLocationType, parseOpeningHours } from '../js/utils.js';
+import { sanitizeText, sanitizeUrl, debounce, getLocationType, getDistance, formatDistance, getBearing, formatBearing, formatDuration, normalizeText, parseOpeningHours, getOpenStatus, formatNextChange, getWallClock } from '../js/utils.js';
 
 // Mock minimal document.createElement for sanitizeText
 if (typeof document === 'undefined') {
@@ -208,6 +208,80 @@ describe('getLocationType', () => {
     });
 });
 
+describe('getDistance', () => {
+    test('should return 0 for the same point', () => {
+        assert.strictEqual(getDistance(48.8566, 2.3522, 48.8566, 2.3522), 0);
+    });
+
+    test('should measure one degree of latitude as about 111 km', () => {
+        assert.ok(Math.abs(getDistance(48, 2, 49, 2) - 111195) < 10);
+    });
+
+    test('should measure Paris to London as about 344 km', () => {
+        const distance = getDistance(48.8566, 2.3522, 51.5074, -0.1278);
+        assert.ok(Math.abs(distance - 343500) < 1000);
+    });
+});
+
+describe('formatDistance', () => {
+    test('should show meters rounded to 10 m below 1 km', () => {
+        assert.strictEqual(formatDistance(0), '0 m');
+        assert.strictEqual(formatDistance(346), '350 m');
+    });
+
+    test('should show kilometers with one decimal below 10 km', () => {
+        assert.strictEqual(formatDistance(1000), '1.0 km');
+        assert.strictEqual(formatDistance(2345), '2.3 km');
+    });
+
+    test('should show whole kilometers from 10 km', () => {
+        assert.strictEqual(formatDistance(12600), '13 km');
+    });
+});
+
+describe('getBearing', () => {
+    test('should point north, east, south and west', () => {
+        assert.ok(Math.abs(getBearing(48, 2, 49, 2) - 0) < 0.001);
+        assert.ok(Math.abs(getBearing(0, 0, 0, 1) - 90) < 0.001);
+        assert.ok(Math.abs(getBearing(49, 2, 48, 2) - 180) < 0.001);
+        assert.ok(Math.abs(getBearing(0, 1, 0, 0) - 270) < 0.001);
+    });
+
+    test('should return bearings between 0 and 360', () => {
+        const bearing = getBearing(48.8566, 2.3522, 48.86, 2.34);
+        assert.ok(bearing >= 0 && bearing < 360);
+        assert.ok(bearing > 270, 'north-west of the start');
+    });
+});
+
+describe('formatBearing', () => {
+    test('should round to the nearest of 8 directions', () => {
+        assert.strictEqual(formatBearing(0), 'N');
+        assert.strictEqual(formatBearing(44), 'NE');
+        assert.strictEqual(formatBearing(180), 'S');
+        assert.strictEqual(formatBearing(290), 'W');
+        assert.strictEqual(formatBearing(350), 'N');
+    });
+});
+
+describe('formatDuration', () => {
+    test('should show minutes, at least 1', () => {
+        assert.strictEqual(formatDuration(0.2), '1 min');
+        assert.strictEqual(formatDuration(12.4), '12 min');
+    });
+
+    test('should show hours and minutes from 60 minutes', () => {
+        assert.strictEqual(formatDuration(60), '1 h');
+        assert.strictEqual(formatDuration(65), '1 h 5 min');
+    });
+});
+
+describe('normalizeText', () => {
+    test('should lowercase and strip accents', () => {
+        assert.strictEqual(normalizeText('Café Crème'), 'cafe creme');
+    });
+});
+
 describe('parseOpeningHours', () => {
     test('should handle 24/7 opening hours', () => {
         const result = parseOpeningHours('24/7');
@@ -263,3 +337,282 @@ describe('parseOpeningHours', () => {
         assert.strictEqual(result.error, true);
     });
 });
+
+describe('parseOpeningHours grammar', () => {
+    // 2024-01-15 is a Monday; dates are built in local time like the parser reads them
+    const at = (day, hours, minutes = 0, month = 0, year = 2024) => new Date(year, month, day, hours, minutes);
+
+    test('should evaluate weekday ranges against the given time', () => {
+        assert.strictEqual(parseOpeningHours('Mo-Fr 09:00-18:00', at(15, 10)).isOpen, true);
+        assert.strictEqual(parseOpeningHours('Mo-Fr 09:00-18:00', at(15, 18)).isOpen, false);
+        assert.strictEqual(parseOpeningHours('Mo-Fr 09:00-18:00', at(20, 10)).isOpen, false);
+    });
+
+    test('should support comma-separated weekdays', () => {
+        assert.strictEqual(parseOpeningHours('Mo,We,Fr 08:00-12:00', at(17, 9)).isOpen, true);
+        assert.strictEqual(parseOpeningHours('Mo,We,Fr 08:00-12:00', at(16, 9)).isOpen, false);
+    });
+
+    test('should support multiple time ranges per day', () => {
+        const hours = 'Mo-Fr 08:00-12:00,14:00-18:00';
+        assert.strictEqual(parseOpeningHours(hours, at(15, 11)).isOpen, true);
+        assert.strictEqual(parseOpeningHours(hours, at(15, 13)).isOpen, false);
+        assert.strictEqual(parseOpeningHours(hours, at(15, 15)).isOpen, true);
+    });
+
+    test('should support ranges past midnight', () => {
+        const hours = 'Fr 18:00-02:00';
+        assert.strictEqual(parseOpeningHours(hours, at(19, 23)).isOpen, true);
+        assert.strictEqual(parseOpeningHours(hours, at(20, 1, 30)).isOpen, true);
+        assert.strictEqual(parseOpeningHours(hours, at(20, 2)).isOpen, false);
+        assert.strictEqual(parseOpeningHours(hours, at(19, 1)).isOpen, false);
+    });
+
+    test('should let later rules override earlier ones', () => {
+        const hours = 'Mo-Sa 08:00-18:00; Sa 10:00-14:00';
+        assert.strictEqual(parseOpeningHours(hours, at(20, 9)).isOpen, false);
+        assert.strictEqual(parseOpeningHours(hours, at(20, 11)).isOpen, true);
+        assert.strictEqual(parseOpeningHours(hours, at(15, 9)).isOpen, true);
+    });
+
+    test('should support off and closed modifiers', () => {
+        assert.strictEqual(parseOpeningHours('Mo-Su 08:00-18:00; We off', at(17, 10)).isOpen, false);
+        assert.strictEqual(parseOpeningHours('Mo-Su 08:00-18:00; We closed', at(17, 10)).isOpen, false);
+        assert.strictEqual(parseOpeningHours('Mo-Su 08:00-18:00; We off', at(18, 10)).isOpen, true);
+    });
+
+    test('should only close the given span for off rules with times', () => {
+        const hours = 'Mo-Fr 08:00-18:00; Mo 12:00-13:00 off';
+        assert.strictEqual(parseOpeningHours(hours, at(15, 12, 30)).isOpen, false);
+        assert.strictEqual(parseOpeningHours(hours, at(15, 14)).isOpen, true);
+    });
+
+    test('should add time spans with additional rules', () => {
+        const hours = 'Mo-Fr 08:00-12:00, We 14:00-18:00';
+        assert.strictEqual(parseOpeningHours(hours, at(17, 15)).isOpen, true);
+        assert.strictEqual(parseOpeningHours(hours, at(17, 9)).isOpen, true);
+        assert.strictEqual(parseOpeningHours(hours, at(15, 15)).isOpen, false);
+    });
+
+    test('should parse public holiday rules without a holiday calendar', () => {
+        const result = parseOpeningHours('Mo-Fr 08:00-18:00; PH off', at(15, 10));
+        assert.strictEqual(result.isOpen, true);
+        assert.strictEqual(result.error, false);
+
+        const weekend = parseOpeningHours('Sa,Su,PH 10:00-14:00', at(20, 11));
+        assert.strictEqual(weekend.isOpen, true);
+    });
+
+    test('should support month ranges', () => {
+        const hours = 'Apr-Sep 08:00-20:00; Oct-Mar 08:00-17:00';
+        assert.strictEqual(parseOpeningHours(hours, at(15, 18, 0, 6)).isOpen, true);
+        assert.strictEqual(parseOpeningHours(hours, at(15, 18, 0, 0)).isOpen, false);
+    });
+
+    test('should support specific dates and date ranges across the year end', () => {
+        assert.strictEqual(parseOpeningHours('Mo-Su 08:00-18:00; Dec 25 off', at(25, 10, 0, 11)).isOpen, false);
+        assert.strictEqual(parseOpeningHours('Mo-Su 08:00-18:00; Dec 25 off', at(24, 10, 0, 11)).isOpen, true);
+
+        const holidays = 'Mo-Su 08:00-18:00; Dec 24-Jan 02 off';
+        assert.strictEqual(parseOpeningHours(holidays, at(1, 10, 0, 0)).isOpen, false);
+        assert.strictEqual(parseOpeningHours(holidays, at(3, 10, 0, 0)).isOpen, true);
+        assert.strictEqual(parseOpeningHours('Dec 24-26 10:00-14:00', at(26, 11, 0, 11)).isOpen, true);
+    });
+
+    test('should support week selectors', () => {
+        // 2024-01-15 is in ISO week 3, 2024-01-22 in week 4
+        const hours = 'week 01-53/2 Mo 08:00-12:00';
+        assert.strictEqual(parseOpeningHours(hours, at(15, 10)).isOpen, true);
+        assert.strictEqual(parseOpeningHours(hours, at(22, 10)).isOpen, false);
+    });
+
+    test('should support nth weekday selectors', () => {
+        assert.strictEqual(parseOpeningHours('Mo[1] 10:00-12:00', at(1, 11)).isOpen, true);
+        assert.strictEqual(parseOpeningHours('Mo[1] 10:00-12:00', at(8, 11)).isOpen, false);
+        assert.strictEqual(parseOpeningHours('Mo[-1] 10:00-12:00', at(29, 11)).isOpen, true);
+    });
+
+    test('should support year selectors', () => {
+        assert.strictEqual(parseOpeningHours('2024 Mo-Fr 08:00-18:00', at(15, 10)).isOpen, true);
+        assert.strictEqual(parseOpeningHours('2025 Mo-Fr 08:00-18:00', at(15, 10)).isOpen, false);
+    });
+
+    test('should treat weekday rules without times as open all day', () => {
+        assert.strictEqual(parseOpeningHours('Mo-Fr', at(15, 23)).isOpen, true);
+        assert.strictEqual(parseOpeningHours('Mo-Fr', at(20, 10)).isOpen, false);
+        assert.strictEqual(parseOpeningHours('Sa-Su 24/7', at(20, 3)).isOpen, true);
+    });
+
+    test('should report unknown state for the unknown modifier and comments', () => {
+        const unknown = parseOpeningHours('Mo-Fr unknown', at(15, 10));
+        assert.strictEqual(unknown.isOpen, null);
+        assert.strictEqual(unknown.error, false);
+
+        const comment = parseOpeningHours('"by appointment"', at(15, 10));
+        assert.strictEqual(comment.isOpen, null);
+        assert.strictEqual(comment.error, false);
+    });
+
+    test('should use fallback rules only where other rules do not apply', () => {
+        const hours = 'Mo-Fr 08:00-18:00 || "by appointment"';
+        assert.strictEqual(parseOpeningHours(hours, at(15, 10)).isOpen, true);
+        assert.strictEqual(parseOpeningHours(hours, at(20, 10)).isOpen, null);
+    });
+
+    test('should treat open ends as unknown after the start time', () => {
+        assert.strictEqual(parseOpeningHours('Fr 18:00+', at(19, 20)).isOpen, null);
+        assert.strictEqual(parseOpeningHours('Fr 18:00+', at(19, 17)).isOpen, false);
+    });
+
+    test('should approximate solar events', () => {
+        assert.strictEqual(parseOpeningHours('sunrise-sunset', at(15, 12)).isOpen, true);
+        assert.strictEqual(parseOpeningHours('sunrise-(sunset-01:00)', at(15, 17, 30)).isOpen, false);
+    });
+
+    test('should accept lowercase day names and a colon after selectors', () => {
+        assert.strictEqual(parseOpeningHours('mo-fr 09:00-18:00', at(15, 10)).isOpen, true);
+        assert.strictEqual(parseOpeningHours('Mo-Fr: 09:00-18:00', at(15, 10)).isOpen, true);
+    });
+
+    test('should flag malformed opening hours as errors', () => {
+        ['Mo-Fr 09:00-', 'Mo-Fr 9-18', 'Mo-Fr 09:00-18:00 Sa', 'Mo-Fr 09:75-18:00'].forEach(hours => {
+            const result = parseOpeningHours(hours, at(15, 10));
+            assert.strictEqual(result.isOpen, null, hours);
+            assert.strictEqual(result.error, true, hours);
+        });
+    });
+});
+
+describe('parseOpeningHours next change', () => {
+    // 2024-01-15 is a Monday
+    const at = (day, hours, minutes = 0) => new Date(2024, 0, day, hours, minutes);
+
+    test('should find the closing time of an open location', () => {
+        const { nextChange } = parseOpeningHours('Mo-Fr 09:00-18:00', at(15, 17, 35));
+        assert.deepStrictEqual(nextChange, { isOpen: false, dayOffset: 0, weekday: 1, minutes: 18 * 60, minutesUntil: 25 });
+    });
+
+    test('should find the next opening time on a later day', () => {
+        const { nextChange } = parseOpeningHours('Mo-Fr 09:00-18:00', at(19, 20));
+        assert.strictEqual(nextChange.isOpen, true);
+        assert.strictEqual(nextChange.dayOffset, 3);
+        assert.strictEqual(nextChange.weekday, 1);
+        assert.strictEqual(nextChange.minutes, 9 * 60);
+    });
+
+    test('should skip breaks that do not change the state', () => {
+        const { nextChange } = parseOpeningHours('Mo 08:00-12:00, Mo 12:00-14:00', at(15, 9));
+        assert.strictEqual(nextChange.minutes, 14 * 60);
+    });
+
+    test('should follow ranges past midnight', () => {
+        const { nextChange } = parseOpeningHours('Fr 18:00-02:00', at(19, 23));
+        assert.strictEqual(nextChange.isOpen, false);
+        assert.strictEqual(nextChange.dayOffset, 1);
+        assert.strictEqual(nextChange.minutesUntil, 180);
+    });
+
+    test('should return null when the state never changes', () => {
+        assert.strictEqual(parseOpeningHours('24/7', at(15, 10)).nextChange, null);
+        assert.strictEqual(parseOpeningHours('Mo-Su', at(15, 10)).nextChange, null);
+        assert.strictEqual(parseOpeningHours('by appointment only', at(15, 10)).nextChange, null);
+    });
+});
+
+describe('getOpenStatus', () => {
+    test('should match parseOpeningHours without the next change', () => {
+        const cases = [
+            'Mo-Fr 09:00-18:00',
+            'Mo-Fr 08:00-12:00,14:00-18:00; Sa off',
+            'Fr 18:00-02:00',
+            '24/7',
+            'not a valid pattern',
+            ''
+        ];
+        // Monday 2024-06-03 and Saturday 2024-06-08 around noon and early morning
+        const times = [new Date(2024, 5, 3, 12, 0), new Date(2024, 5, 8, 1, 0), new Date(2024, 5, 3, 13, 0)];
+
+        cases.forEach(hours => times.forEach(now => {
+            const { nextChange, ...expected } = parseOpeningHours(hours, now);
+            assert.deepStrictEqual(getOpenStatus(hours, now), expected);
+        }));
+    });
+
+    test('should evaluate in the given time zone', () => {
+        // 2024-06-03 07:00 UTC is 09:00 in Paris and 16:00 in Tokyo
+        const now = new Date(Date.UTC(2024, 5, 3, 7, 0));
+        assert.strictEqual(getOpenStatus('Mo 08:00-12:00', now, 'Europe/Paris').isOpen, true);
+        assert.strictEqual(getOpenStatus('Mo 08:00-12:00', now, 'Asia/Tokyo').isOpen, false);
+    });
+});
+
+describe('formatNextChange', () => {
+    test('should return empty string without a change', () => {
+        assert.strictEqual(formatNextChange(null), '');
+    });
+
+    test('should show minutes for changes within the hour', () => {
+        const text = formatNextChange({ isOpen: false, dayOffset: 0, weekday: 1, minutes: 1080, minutesUntil: 25 });
+        assert.strictEqual(text, 'Closes in 25 min');
+    });
+
+    test('should show the time for later changes today', () => {
+        const text = formatNextChange({ isOpen: true, dayOffset: 0, weekday: 1, minutes: 840, minutesUntil: 120 });
+        assert.strictEqual(text, 'Opens at 14:00');
+    });
+
+    test('should mention tomorrow', () => {
+        const text = formatNextChange({ isOpen: true, dayOffset: 1, weekday: 2, minutes: 450, minutesUntil: 600 });
+        assert.strictEqual(text, 'Opens tomorrow at 07:30');
+    });
+
+    test('should describe closing at midnight', () => {
+        const text = formatNextChange({ isOpen: false, dayOffset: 1, weekday: 2, minutes: 0, minutesUntil: 120 });
+        assert.strictEqual(text, 'Closes at midnight');
+    });
+
+    test('should name the weekday for changes further ahead', () => {
+        const text = formatNextChange({ isOpen: true, dayOffset: 3, weekday: 1, minutes: 480, minutesUntil: 3600 });
+        assert.strictEqual(text, 'Opens Monday at 08:00');
+    });
+
+    test('should return empty string for changes to an unknown state', () => {
+        assert.strictEqual(formatNextChange({ isOpen: null, dayOffset: 0, weekday: 5, minutes: 1080, minutesUntil: 90 }), '');
+        assert.strictEqual(formatNextChange({ isOpen: null, dayOffset: 0, weekday: 5, minutes: 1080, minutesUntil: 20 }), '');
+    });
+});
+
+describe('parseOpeningHours time zones', () => {
+    // 2024-06-03 is a Monday; 06:30 UTC is 08:30 in Paris and 15:30 in Tokyo
+    const instant = new Date(Date.UTC(2024, 5, 3, 6, 30));
+
+    test('should evaluate hours in the given time zone', () => {
+        assert.strictEqual(parseOpeningHours('Mo-Fr 08:00-12:00', instant, 'Europe/Paris').isOpen, true);
+        assert.strictEqual(parseOpeningHours('Mo-Fr 08:00-12:00', instant, 'Asia/Tokyo').isOpen, false);
+    });
+
+    test('should compute the next change in the given time zone', () => {
+        const { nextChange } = parseOpeningHours('Mo-Fr 08:00-12:00', instant, 'Europe/Paris');
+        assert.strictEqual(nextChange.minutes, 12 * 60);
+        assert.strictEqual(nextChange.minutesUntil, 210);
+    });
+
+    test('should fall back to local time for unknown time zones', () => {
+        const local = parseOpeningHours('Mo-Fr 08:00-12:00', instant);
+        const unknown = parseOpeningHours('Mo-Fr 08:00-12:00', instant, 'Not/AZone');
+        assert.strictEqual(unknown.isOpen, local.isOpen);
+    });
+});
+
+describe('getWallClock', () => {
+    test('should read wall-clock time in a time zone', () => {
+        const instant = new Date(Date.UTC(2024, 0, 15, 23, 30));
+        assert.deepStrictEqual(getWallClock(instant, 'Asia/Tokyo'), { year: 2024, month: 1, day: 16, hours: 8, minutes: 30 });
+        assert.deepStrictEqual(getWallClock(instant, 'America/New_York'), { year: 2024, month: 1, day: 15, hours: 18, minutes: 30 });
+    });
+
+    test('should use local time without a time zone', () => {
+        const instant = new Date(2024, 0, 15, 9, 5);
+        assert.deepStrictEqual(getWallClock(instant), { year: 2024, month: 1, day: 15, hours: 9, minutes: 5 });
+    });
+});